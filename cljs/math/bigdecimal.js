@@ -0,0 +1,1015 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ * Portions Copyright (c) 1996, 2021, Oracle and/or its affiliates.  All rights reserved.
+ *
+ */
+
+/**
+ * @fileoverview Defines a BigDecimal class for representing immutable arbitrary-precision
+ * signed decimal numbers, along with the MathContext and RoundingMode classes that control
+ * rounding. A BigDecimal is an unscaled BigInteger value and a 32-bit integer scale: the value
+ * of the number is (unscaledValue × 10^-scale).
+ */
+
+const { BigInteger, NumberFormatException, ArithmeticException } = require('./biginteger.js');
+
+const MAX_INT = 0x7FFFFFFF;
+const MIN_INT = 0x80000000 | 0;
+const LOG10_2 = Math.log10(2);
+
+// Powers of ten up to this exponent are cached.
+const TEN_POWERS_CACHE_MAX = 256;
+const tenPowers = [BigInteger.ONE, BigInteger.TEN];
+
+/**
+ * Returns 10 to the power n, as a BigInteger.
+ * @param {number} n  The non-negative power of ten.
+ * @returns {BigInteger} 10^n
+ */
+function bigTenToThe(n) {
+    if (n >= TEN_POWERS_CACHE_MAX) return BigInteger.TEN.pow(n);
+    for (var i = tenPowers.length; i <= n; i++) tenPowers[i] = tenPowers[i - 1].multiply(BigInteger.TEN);
+    return tenPowers[n];
+}
+
+/**
+ * Multiplies a value by 10 to the power n.
+ * @param {BigInteger} value  The value to multiply.
+ * @param {number} n  The power of ten. Values of zero or less return value unchanged.
+ * @returns {BigInteger} value × 10^n
+ */
+function bigMultiplyPowerTen(value, n) {
+    if (n <= 0) return value;
+    return value.multiply(bigTenToThe(n));
+}
+
+/**
+ * Returns the number of decimal digits in the magnitude of a BigInteger. Zero has 1 digit.
+ * @param {BigInteger} b  The value to measure.
+ * @returns {number} The number of decimal digits in b.
+ */
+function bigDigitLength(b) {
+    if (b.signum() === 0) return 1;
+    const abs = b.abs();
+    // abs is at least 2^(bitLength-1) and less than 2^bitLength, so its length is r or r+1
+    const r = Math.floor((abs.bitLength() - 1) * LOG10_2) + 1;
+    return abs.compareTo(bigTenToThe(r)) < 0 ? r : r + 1;
+}
+
+/**
+ * Determines if a truncated quotient needs to be incremented in magnitude to round it.
+ * @param {RoundingMode} roundingMode  The rounding mode to apply.
+ * @param {number} qsign  The sign of the quotient.
+ * @param {number} cmpFracHalf  The comparison of the discarded fraction with one half.
+ * @param {boolean} oddQuot  true if the truncated quotient is odd.
+ * @returns {boolean} true if the magnitude of the quotient must be incremented.
+ * @throws {ArithmeticException} if the rounding mode is UNNECESSARY.
+ */
+function needIncrement(roundingMode, qsign, cmpFracHalf, oddQuot) {
+    switch (roundingMode) {
+        case RoundingMode.UNNECESSARY: throw new ArithmeticException("Rounding necessary");
+        case RoundingMode.UP: return true;          // Away from zero
+        case RoundingMode.DOWN: return false;       // Towards zero
+        case RoundingMode.CEILING: return qsign > 0;    // Towards +infinity
+        case RoundingMode.FLOOR: return qsign < 0;      // Towards -infinity
+        default:  // Some kind of half-way rounding
+            if (cmpFracHalf !== 0) return cmpFracHalf > 0;
+            switch (roundingMode) {
+                case RoundingMode.HALF_DOWN: return false;
+                case RoundingMode.HALF_UP: return true;
+                default: return oddQuot;  // HALF_EVEN
+            }
+    }
+}
+
+/**
+ * Divides two BigIntegers, rounding the quotient to an integer with the given rounding mode.
+ * @param {BigInteger} dividend  The value to be divided.
+ * @param {BigInteger} divisor  The non-zero value to divide by.
+ * @param {RoundingMode} roundingMode  The rounding mode to apply.
+ * @returns {Array} The rounded quotient, and true if the division was exact.
+ * @throws {ArithmeticException} if the rounding mode is UNNECESSARY and the division is inexact.
+ */
+function divideAndRound(dividend, divisor, roundingMode) {
+    var [q, r] = dividend.divideAndRemainder(divisor);
+    if (r.signum() === 0) return [q, true];
+
+    const qsign = dividend.signum() === divisor.signum() ? 1 : -1;
+    const cmpFracHalf = r.abs().shiftLeft(1).compareTo(divisor.abs());
+    if (needIncrement(roundingMode, qsign, cmpFracHalf, q.testBit(0))) {
+        q = qsign > 0 ? q.add(BigInteger.ONE) : q.subtract(BigInteger.ONE);
+    }
+    return [q, false];
+}
+
+/**
+ * Checks that a scale fits in a 32-bit int. Scales of a zero value are clamped to the int range.
+ * @param {BigInteger} intVal  The unscaled value the scale is for.
+ * @param {number} val  The candidate scale.
+ * @returns {number} The valid scale.
+ * @throws {ArithmeticException} if the scale is out of range for a non-zero value.
+ */
+function checkScale(intVal, val) {
+    if (val > MAX_INT || val < MIN_INT) {
+        if (intVal.signum() !== 0) throw new ArithmeticException(val > MAX_INT ? "Underflow" : "Overflow");
+        return val > MAX_INT ? MAX_INT : MIN_INT;
+    }
+    return val;
+}
+
+/**
+ * Throws the exception for a division by zero.
+ * @param {BigDecimal} dividend  The value being divided.
+ * @throws {ArithmeticException} always.
+ */
+function reportDivideByZero(dividend) {
+    // 0/0 is undefined, as for NaN
+    throw new ArithmeticException(dividend.signum() === 0 ? "Division undefined" : "Division by zero");
+}
+
+// forward declaration of RoundingMode values
+var _UP;
+var _DOWN;
+var _CEILING;
+var _FLOOR;
+var _HALF_UP;
+var _HALF_DOWN;
+var _HALF_EVEN;
+var _UNNECESSARY;
+const roundingModes = [];
+
+/**
+ * Specifies a rounding behavior for numerical operations capable of discarding precision. Each
+ * rounding mode indicates how the least significant returned digit of a rounded result is to be
+ * calculated. These are the eight modes of java.math.RoundingMode, and are compared by identity.
+ */
+class RoundingMode {
+    #name;
+    #ordinal;
+
+    static {
+        _UP = new RoundingMode("UP");
+        _DOWN = new RoundingMode("DOWN");
+        _CEILING = new RoundingMode("CEILING");
+        _FLOOR = new RoundingMode("FLOOR");
+        _HALF_UP = new RoundingMode("HALF_UP");
+        _HALF_DOWN = new RoundingMode("HALF_DOWN");
+        _HALF_EVEN = new RoundingMode("HALF_EVEN");
+        _UNNECESSARY = new RoundingMode("UNNECESSARY");
+    }
+
+    /**
+     * Creates a rounding mode. This is only called for the eight modes.
+     * @param {string} name  The name of the mode.
+     */
+    constructor(name) {
+        this.#name = name;
+        this.#ordinal = roundingModes.length;
+        roundingModes.push(this);
+    }
+
+    /** Rounding mode to round away from zero. */
+    static get UP() { return _UP; };
+    /** Rounding mode to round towards zero. */
+    static get DOWN() { return _DOWN; };
+    /** Rounding mode to round towards positive infinity. */
+    static get CEILING() { return _CEILING; };
+    /** Rounding mode to round towards negative infinity. */
+    static get FLOOR() { return _FLOOR; };
+    /** Rounding mode to round towards the nearest neighbor, unless equidistant, then round up. */
+    static get HALF_UP() { return _HALF_UP; };
+    /** Rounding mode to round towards the nearest neighbor, unless equidistant, then round down. */
+    static get HALF_DOWN() { return _HALF_DOWN; };
+    /** Rounding mode to round towards the nearest neighbor, unless equidistant, then round to the even neighbor. */
+    static get HALF_EVEN() { return _HALF_EVEN; };
+    /** Rounding mode to assert that the operation has an exact result, so no rounding is necessary. */
+    static get UNNECESSARY() { return _UNNECESSARY; };
+
+    /**
+     * @returns {Array<RoundingMode>} The rounding modes, in the order they are declared in Java.
+     */
+    static values() {
+        return roundingModes.slice();
+    }
+
+    /**
+     * Returns the rounding mode with the given name.
+     * @param {string} name  The name of the rounding mode, such as "HALF_EVEN".
+     * @returns {RoundingMode} The rounding mode.
+     * @throws {RangeError} if there is no rounding mode with the name.
+     */
+    static valueOf(name) {
+        const mode = roundingModes.find((m) => m.#name === name);
+        if (mode === undefined) throw new RangeError("No enum constant RoundingMode." + name);
+        return mode;
+    }
+
+    /**
+     * @returns {string} The name of this rounding mode.
+     */
+    name() {
+        return this.#name;
+    }
+
+    /**
+     * @returns {number} The position of this rounding mode in the declaration order.
+     */
+    ordinal() {
+        return this.#ordinal;
+    }
+
+    toString() {
+        return this.#name;
+    }
+}
+
+// forward declaration of MathContext values
+var _UNLIMITED;
+var _DECIMAL32;
+var _DECIMAL64;
+var _DECIMAL128;
+
+/**
+ * Immutable objects which encapsulate the context settings which describe certain rules for
+ * numerical operators: the number of digits to be used for an operation, and the rounding mode.
+ * A precision of 0 indicates that unlimited precision is to be used.
+ */
+class MathContext {
+    #precision;
+    #roundingMode;
+
+    static {
+        _UNLIMITED = new MathContext(0, _HALF_UP);
+        _DECIMAL32 = new MathContext(7, _HALF_EVEN);
+        _DECIMAL64 = new MathContext(16, _HALF_EVEN);
+        _DECIMAL128 = new MathContext(34, _HALF_EVEN);
+    }
+
+    /**
+     * Constructs a new MathContext with a specified precision and rounding mode. The settings may
+     * instead be given as a single string in the form produced by toString, such as
+     * "precision=7 roundingMode=HALF_EVEN".
+     * @param {number|string} precision  The non-negative number of digits, or the settings string.
+     * @param {RoundingMode} roundingMode  The rounding mode to use. Defaults to HALF_UP.
+     * @throws {RangeError} if precision is negative, or the settings string is malformed.
+     * @throws {TypeError} if roundingMode is not a RoundingMode.
+     */
+    constructor(precision, roundingMode = _HALF_UP) {
+        if (typeof precision === 'string') {
+            const settings = /^precision=(\d+) roundingMode=([A-Z_]+)$/.exec(precision);
+            if (settings === null) throw new RangeError("bad string format");
+            precision = Number.parseInt(settings[1], 10);
+            roundingMode = RoundingMode.valueOf(settings[2]);
+            if (precision > MAX_INT) throw new RangeError("bad string format");
+        }
+        if (!Number.isInteger(precision)) throw new TypeError("Invalid precision");
+        if (precision < 0) throw new RangeError("Digits < 0");
+        if (!(roundingMode instanceof RoundingMode)) throw new TypeError("null RoundingMode");
+        this.#precision = precision;
+        this.#roundingMode = roundingMode;
+    }
+
+    /** A MathContext whose settings have the values required for unlimited precision arithmetic. */
+    static get UNLIMITED() { return _UNLIMITED; };
+    /** A MathContext with a precision setting matching the IEEE 754R Decimal32 format, 7 digits. */
+    static get DECIMAL32() { return _DECIMAL32; };
+    /** A MathContext with a precision setting matching the IEEE 754R Decimal64 format, 16 digits. */
+    static get DECIMAL64() { return _DECIMAL64; };
+    /** A MathContext with a precision setting matching the IEEE 754R Decimal128 format, 34 digits. */
+    static get DECIMAL128() { return _DECIMAL128; };
+
+    /**
+     * @returns {number} The number of digits to be used for an operation. 0 means unlimited.
+     */
+    getPrecision() {
+        return this.#precision;
+    }
+
+    /**
+     * @returns {RoundingMode} The rounding mode used for an operation.
+     */
+    getRoundingMode() {
+        return this.#roundingMode;
+    }
+
+    /**
+     * Compares this MathContext with the specified Object for equality.
+     * @param {Object} x  The object to compare with.
+     * @returns {boolean} true if x is a MathContext with the same settings as this.
+     */
+    equals(x) {
+        return x instanceof MathContext &&
+               x.#precision === this.#precision && x.#roundingMode === this.#roundingMode;
+    }
+
+    /**
+     * @returns {string} The settings, in the form "precision=7 roundingMode=HALF_EVEN".
+     */
+    toString() {
+        return "precision=" + this.#precision + " roundingMode=" + this.#roundingMode;
+    }
+}
+
+// forward declaration of BigDecimal values
+var _ZERO;
+var _ONE;
+var _TEN;
+
+/**
+ * Immutable, arbitrary-precision signed decimal numbers. A BigDecimal consists of an arbitrary
+ * precision integer unscaled value and a 32-bit integer scale. If zero or positive, the scale is
+ * the number of digits to the right of the decimal point. If negative, the unscaled value of the
+ * number is multiplied by ten to the power of the negation of the scale.
+ * Operations follow java.math.BigDecimal, including the scale of each result, so that the string
+ * representations are identical.
+ */
+class BigDecimal {
+    #intVal;
+    #scale;
+    #precision;
+
+    static {
+        _ZERO = new BigDecimal(BigInteger.ZERO, 0);
+        _ONE = new BigDecimal(BigInteger.ONE, 0);
+        _TEN = new BigDecimal(BigInteger.TEN, 0);
+    }
+
+    /**
+     * Translates an unscaled value and a scale into a BigDecimal. The value of the BigDecimal is
+     * (unscaledVal × 10^-scale).
+     * @param {Object} unscaledVal  The BigInteger or integer unscaled value.
+     * @param {number} scale  The 32-bit integer scale. Defaults to 0.
+     * @throws {RangeError} if scale is not a 32-bit integer.
+     */
+    constructor(unscaledVal, scale = 0) {
+        if (!Number.isInteger(scale) || scale > MAX_INT || scale < MIN_INT) {
+            throw new RangeError(`Scale ${scale} is not a 32-bit integer`);
+        }
+        if (typeof unscaledVal === 'number') unscaledVal = BigInteger.valueOf(unscaledVal);
+        else if (!(unscaledVal instanceof BigInteger)) throw new TypeError('Invalid argument type');
+        this.#intVal = unscaledVal;
+        this.#scale = scale;
+        this.#precision = 0;
+    }
+
+    static get ZERO() { return _ZERO; };
+    static get ONE() { return _ONE; };
+    static get TEN() { return _TEN; };
+
+    /**
+     * Translates the string representation of a BigDecimal into a BigDecimal. The string consists
+     * of an optional sign, '+' or '-', followed by a sequence of zero or more decimal digits (the
+     * integer), optionally followed by a fraction, optionally followed by an exponent. The fraction
+     * is a decimal point followed by zero or more decimal digits. The string must contain at least
+     * one digit in either the integer or the fraction. The exponent is the character 'e' or 'E'
+     * followed by one or more decimal digits, with an optional sign.
+     * The scale of the result is the number of digits in the fraction, less the exponent.
+     * @param {string} val  The string representation of a BigDecimal.
+     * @param {MathContext} mc  The context to round the result with. Defaults to unlimited precision.
+     * @returns {BigDecimal} The value of the string.
+     * @throws {NumberFormatException} if val is not a valid representation of a BigDecimal, or its
+     *         scale is out of range.
+     * @throws {ArithmeticException} if the result is inexact but the rounding mode is UNNECESSARY.
+     */
+    static fromString(val, mc = _UNLIMITED) {
+        const len = val.length;
+        var cursor = 0;
+        var negative = false;
+
+        // Handle the sign
+        if (len > 0 && (val[0] === '-' || val[0] === '+')) {
+            negative = val[0] === '-';
+            cursor++;
+        }
+
+        var digits = "";
+        var scale = 0;
+        var dot = false;
+        for (; cursor < len; cursor++) {
+            const c = val[cursor];
+            if (c >= '0' && c <= '9') {
+                digits += c;
+                if (dot) scale++;
+            } else if (c === '.') {
+                if (dot) throw new NumberFormatException("Character array contains more than one decimal point.");
+                dot = true;
+            } else if (c === 'e' || c === 'E') {
+                break;
+            } else {
+                throw new NumberFormatException("Character " + c +
+                    " is neither a decimal digit number, decimal point, nor \"e\" notation exponential mark.");
+            }
+        }
+        if (digits.length === 0) throw new NumberFormatException("No digits found.");
+
+        // Handle the exponent
+        if (cursor < len) {
+            const exp = val.substring(cursor + 1);
+            if (!/^[+-]?[0-9]+$/.test(exp)) throw new NumberFormatException("Invalid exponent: " + exp);
+            const expVal = Number.parseInt(exp, 10);
+            if (Math.abs(expVal) > MAX_INT) throw new NumberFormatException("Exponent overflow.");
+            scale -= expVal;
+            if (scale > MAX_INT || scale < MIN_INT) throw new NumberFormatException("Scale out of range.");
+        }
+
+        const intVal = BigInteger.fromString(negative ? "-" + digits : digits);
+        return BigDecimal.#doRound(new BigDecimal(intVal, scale), mc);
+    }
+
+    /**
+     * Translates a number into a BigDecimal. With a scale, this is Java's valueOf(long, int), and
+     * the number is the unscaled value. Without one, this is Java's valueOf(double), since every
+     * number is a double: the BigDecimal has the digits of the canonical string representation
+     * given by Double.toString, so valueOf(100) is 100.0 and valueOf(1e20) is 1.0E+20. Use
+     * valueOf(val, 0) for an integer with a scale of 0.
+     * @param {number} val  The value of the BigDecimal, or its unscaled value if a scale is given.
+     * @param {number} scale  The scale of the BigDecimal, when val is its unscaled value.
+     * @returns {BigDecimal} The number as a BigDecimal.
+     * @throws {NumberFormatException} if val is infinite or NaN.
+     * @throws {RangeError} if a scale is provided for a value that is not a safe integer.
+     */
+    static valueOf(val, scale) {
+        if (scale !== undefined) {
+            if (!Number.isSafeInteger(val)) throw new RangeError(`Value ${val} is not a safe integer`);
+            if (scale === 0 && val >= 0 && val <= 10) {
+                return val === 0 ? _ZERO : val === 1 ? _ONE : val === 10 ? _TEN : new BigDecimal(val, 0);
+            }
+            return new BigDecimal(BigInteger.valueOf(val), scale);
+        }
+        if (!Number.isFinite(val)) throw new NumberFormatException("Infinite or NaN");
+
+        // The shortest digits which uniquely distinguish the double, as used by Double.toString.
+        // Java uses two digits for the two smallest subnormal values, such as 4.9E-324.
+        const abs = Math.abs(val);
+        const shortest = abs < 3 * Number.MIN_VALUE ? abs.toExponential(1) : abs.toExponential();
+        const [significand, exponent] = shortest.split('e');
+        var digits = significand.replace('.', '');
+        const exp = Number.parseInt(exponent, 10);
+        var scl;
+        if (abs >= 1e-3 && abs < 1e7) {
+            // Plain notation, with at least one digit after the decimal point
+            scl = digits.length - 1 - exp;
+            if (scl < 1) {
+                digits += "0".repeat(1 - scl);
+                scl = 1;
+            }
+        } else {
+            // Computerized scientific notation, with at least one digit after the decimal point
+            if (digits.length === 1) digits += "0";
+            scl = digits.length - 1 - exp;
+        }
+        return new BigDecimal(BigInteger.fromString(val < 0 ? "-" + digits : digits), scl);
+    }
+
+    /**
+     * @returns {BigInteger} The unscaled value of this BigDecimal.
+     */
+    unscaledValue() {
+        return this.#intVal;
+    }
+
+    /**
+     * @returns {number} The scale of this BigDecimal.
+     */
+    scale() {
+        return this.#scale;
+    }
+
+    /**
+     * Returns the precision of this BigDecimal, which is the number of digits in the unscaled value.
+     * The precision of a zero value is 1.
+     * @returns {number} The precision of this BigDecimal.
+     */
+    precision() {
+        if (this.#precision === 0) this.#precision = bigDigitLength(this.#intVal);
+        return this.#precision;
+    }
+
+    /**
+     * @returns {number} -1, 0, or 1 as the value of this BigDecimal is negative, zero, or positive.
+     */
+    signum() {
+        return this.#intVal.signum();
+    }
+
+    /**
+     * Returns a BigDecimal whose value is (-this), and whose scale is this.scale().
+     * @param {MathContext} mc  The context to round the result with. Defaults to unlimited precision.
+     * @returns {BigDecimal} -this
+     */
+    negate(mc = _UNLIMITED) {
+        return BigDecimal.#doRound(new BigDecimal(this.#intVal.negate(), this.#scale), mc);
+    }
+
+    /**
+     * Returns a BigDecimal whose value is the absolute value of this BigDecimal, and whose scale is
+     * this.scale().
+     * @param {MathContext} mc  The context to round the result with. Defaults to unlimited precision.
+     * @returns {BigDecimal} abs(this)
+     */
+    abs(mc = _UNLIMITED) {
+        return this.signum() < 0 ? this.negate(mc) : this.plus(mc);
+    }
+
+    /**
+     * Returns a BigDecimal whose value is (+this), rounded according to the context settings.
+     * @param {MathContext} mc  The context to round the result with. Defaults to unlimited precision.
+     * @returns {BigDecimal} this, rounded as necessary. A zero result will have a scale of 0.
+     * @throws {ArithmeticException} if the result is inexact but the rounding mode is UNNECESSARY.
+     */
+    plus(mc = _UNLIMITED) {
+        return BigDecimal.#doRound(this, mc);
+    }
+
+    /**
+     * Returns a BigDecimal rounded according to the MathContext settings. If the precision setting
+     * is 0 then no rounding takes place.
+     * @param {MathContext} mc  The context to use.
+     * @returns {BigDecimal} this, rounded as necessary.
+     * @throws {ArithmeticException} if the result is inexact but the rounding mode is UNNECESSARY.
+     */
+    round(mc) {
+        return this.plus(mc);
+    }
+
+    /**
+     * Returns a BigDecimal whose value is (this + augend). With unlimited precision, the scale is
+     * max(this.scale(), augend.scale()). Otherwise the result is rounded according to the context.
+     * @param {BigDecimal} augend  The value to be added to this BigDecimal.
+     * @param {MathContext} mc  The context to use. Defaults to unlimited precision.
+     * @returns {BigDecimal} this + augend, rounded as necessary.
+     * @throws {ArithmeticException} if the result is inexact but the rounding mode is UNNECESSARY.
+     */
+    add(augend, mc = _UNLIMITED) {
+        if (mc.getPrecision() === 0) return BigDecimal.#addExact(this, augend);
+
+        // If either number is zero then the other number, rounded and scaled if necessary, is used as the result.
+        const lhsIsZero = this.signum() === 0;
+        const augendIsZero = augend.signum() === 0;
+        if (lhsIsZero || augendIsZero) {
+            const preferredScale = Math.max(this.#scale, augend.#scale);
+            if (lhsIsZero && augendIsZero) return new BigDecimal(BigInteger.ZERO, preferredScale);
+
+            const result = BigDecimal.#doRound(lhsIsZero ? augend : this, mc);
+            if (result.#scale === preferredScale) {
+                return result;
+            } else if (result.#scale > preferredScale) {
+                return BigDecimal.#stripZerosToMatchScale(result.#intVal, result.#scale, preferredScale);
+            } else {  // result.scale < preferredScale
+                const precisionDiff = mc.getPrecision() - result.precision();
+                const scaleDiff = preferredScale - result.#scale;
+
+                if (precisionDiff >= scaleDiff) return result.setScale(preferredScale); // can achieve target scale
+                return result.setScale(result.#scale + precisionDiff);
+            }
+        }
+
+        var lhs = this;
+        const padding = lhs.#scale - augend.#scale;
+        if (padding !== 0) [lhs, augend] = BigDecimal.#preAlign(lhs, augend, padding, mc);
+        return BigDecimal.#doRound(BigDecimal.#addExact(lhs, augend), mc);
+    }
+
+    /**
+     * Adds two BigDecimals exactly, at the larger of their scales.
+     */
+    static #addExact(x, y) {
+        if (x.#scale === y.#scale) return new BigDecimal(x.#intVal.add(y.#intVal), x.#scale);
+        if (x.#scale < y.#scale) {
+            return new BigDecimal(bigMultiplyPowerTen(x.#intVal, y.#scale - x.#scale).add(y.#intVal), y.#scale);
+        }
+        return new BigDecimal(x.#intVal.add(bigMultiplyPowerTen(y.#intVal, x.#scale - y.#scale)), x.#scale);
+    }
+
+    /**
+     * Returns an array of length two, the sum of whose entries is equal to the rounded sum of the
+     * arguments. If the digit positions of the arguments have a sufficient gap between them, the
+     * value smaller in magnitude can be condensed into a "sticky bit" and the end result will
+     * round the same way if the precision of the final result does not include the high order
+     * digit of the small magnitude operand. This avoids padding the larger operand with a huge
+     * number of zeros.
+     */
+    static #preAlign(lhs, augend, padding, mc) {
+        var big;
+        var small;
+
+        if (padding < 0) {     // lhs is big;   augend is small
+            big = lhs;
+            small = augend;
+        } else {               // lhs is small; augend is big
+            big = augend;
+            small = lhs;
+        }
+
+        // This is the estimated scale of an ulp of the result; it assumes that the result doesn't
+        // have a carry-out on a true add (e.g. 999 + 1 => 1000) or any subtractive cancellation on
+        // borrowing (e.g. 100 - 1.2 => 98.8)
+        const estResultUlpScale = big.#scale - big.precision() + mc.getPrecision();
+
+        // The low-order digit position of big is big.scale(). The high-order digit position of
+        // small is small.scale - (small.precision() - 1). To do the full condensation, the digit
+        // positions of big and small must be disjoint *and* the digit positions of small should
+        // not be directly visible in the result.
+        const smallHighDigitPos = small.#scale - small.precision() + 1;
+        if (smallHighDigitPos > big.#scale + 2 &&          // big and small disjoint
+            smallHighDigitPos > estResultUlpScale + 2) {   // small digits not visible
+            const scale = checkScale(small.#intVal, Math.max(big.#scale, estResultUlpScale) + 3);
+            small = new BigDecimal(BigInteger.valueOf(small.signum()), scale);
+        }
+
+        // Since addition is symmetric, preserving input order in returned operands doesn't matter
+        return [big, small];
+    }
+
+    /**
+     * Returns a BigDecimal whose value is (this - subtrahend). With unlimited precision, the scale
+     * is max(this.scale(), subtrahend.scale()). Otherwise the result is rounded according to the context.
+     * @param {BigDecimal} subtrahend  The value to be subtracted from this BigDecimal.
+     * @param {MathContext} mc  The context to use. Defaults to unlimited precision.
+     * @returns {BigDecimal} this - subtrahend, rounded as necessary.
+     * @throws {ArithmeticException} if the result is inexact but the rounding mode is UNNECESSARY.
+     */
+    subtract(subtrahend, mc = _UNLIMITED) {
+        return this.add(subtrahend.negate(), mc);
+    }
+
+    /**
+     * Returns a BigDecimal whose value is (this × multiplicand). With unlimited precision, the scale
+     * is (this.scale() + multiplicand.scale()). Otherwise the result is rounded according to the context.
+     * @param {BigDecimal} multiplicand  The value to be multiplied by this BigDecimal.
+     * @param {MathContext} mc  The context to use. Defaults to unlimited precision.
+     * @returns {BigDecimal} this × multiplicand, rounded as necessary.
+     * @throws {ArithmeticException} if the result is inexact but the rounding mode is UNNECESSARY.
+     */
+    multiply(multiplicand, mc = _UNLIMITED) {
+        const productScale = checkScale(this.#intVal, this.#scale + multiplicand.#scale);
+        const product = new BigDecimal(this.#intVal.multiply(multiplicand.#intVal), productScale);
+        return BigDecimal.#doRound(product, mc);
+    }
+
+    /**
+     * Returns a BigDecimal whose value is (this / divisor). The form of the result depends on the
+     * arguments, as for the overloads of the Java method:
+     * - divide(divisor): the exact quotient, with a preferred scale of (this.scale() - divisor.scale()).
+     *   If the exact quotient would have an infinitely long decimal expansion then an
+     *   ArithmeticException is thrown.
+     * - divide(divisor, mc): the quotient rounded according to the context settings, and reduced
+     *   towards the preferred scale if exact.
+     * - divide(divisor, roundingMode): the quotient rounded to this.scale().
+     * - divide(divisor, scale, roundingMode): the quotient rounded to the specified scale.
+     * @param {BigDecimal} divisor  The value by which this BigDecimal is to be divided.
+     * @param {MathContext|RoundingMode|number} mcOrModeOrScale  The context, rounding mode or scale.
+     * @param {RoundingMode} roundingMode  The rounding mode, if a scale is given.
+     * @returns {BigDecimal} this / divisor
+     * @throws {ArithmeticException} if divisor is zero, or the quotient has a non-terminating
+     *         decimal expansion with unlimited precision, or the rounding mode is UNNECESSARY and
+     *         the quotient cannot be represented exactly.
+     */
+    divide(divisor, mcOrModeOrScale, roundingMode) {
+        if (mcOrModeOrScale === undefined) return this.#divideExact(divisor);
+        if (mcOrModeOrScale instanceof MathContext) return this.#divideToPrecision(divisor, mcOrModeOrScale);
+        if (mcOrModeOrScale instanceof RoundingMode) return this.#divideToScale(divisor, this.#scale, mcOrModeOrScale);
+        if (!Number.isInteger(mcOrModeOrScale)) throw new TypeError('Invalid argument type');
+        if (!(roundingMode instanceof RoundingMode)) throw new TypeError('Invalid rounding mode');
+        return this.#divideToScale(divisor, mcOrModeOrScale, roundingMode);
+    }
+
+    /**
+     * Divides exactly, using the smallest scale no less than the preferred scale that can hold the
+     * quotient. A quotient a/b in lowest terms terminates when b has no prime factors other than
+     * 2 and 5, and then a × 10^k / b is an integer for k the larger power of 2 or 5 in b.
+     */
+    #divideExact(divisor) {
+        if (divisor.signum() === 0) reportDivideByZero(this);
+
+        const preferredScale = this.#scale - divisor.#scale;
+        if (this.signum() === 0) return new BigDecimal(BigInteger.ZERO, checkScale(BigInteger.ZERO, preferredScale));
+
+        const g = this.#intVal.gcd(divisor.#intVal);
+        var num = this.#intVal.divide(g);
+        var den = divisor.#intVal.divide(g);
+        if (den.signum() < 0) {
+            num = num.negate();
+            den = den.negate();
+        }
+        const twos = den.getLowestSetBit();
+        den = den.shiftRight(twos);
+        var fives = 0;
+        for (var qr = den.divideAndRemainder(5); qr[1].signum() === 0; qr = den.divideAndRemainder(5)) {
+            den = qr[0];
+            fives++;
+        }
+        if (den.compareTo(BigInteger.ONE) !== 0) {
+            throw new ArithmeticException("Non-terminating decimal expansion; no exact representable decimal result.");
+        }
+
+        const k = Math.max(twos, fives);
+        num = num.multiply(BigInteger.TWO.pow(k - twos)).multiply(BigInteger.valueOf(5).pow(k - fives));
+        return new BigDecimal(num, checkScale(num, preferredScale + k));
+    }
+
+    /**
+     * Divides, rounding to the given scale.
+     */
+    #divideToScale(divisor, scale, roundingMode) {
+        if (divisor.signum() === 0) reportDivideByZero(this);
+
+        var dividend = this.#intVal;
+        var divisorVal = divisor.#intVal;
+        if (checkScale(dividend, scale + divisor.#scale) > this.#scale) {
+            dividend = bigMultiplyPowerTen(dividend, scale + divisor.#scale - this.#scale);
+        } else {
+            const newScale = checkScale(divisorVal, this.#scale - scale);
+            divisorVal = bigMultiplyPowerTen(divisorVal, newScale - divisor.#scale);
+        }
+        return new BigDecimal(divideAndRound(dividend, divisorVal, roundingMode)[0], scale);
+    }
+
+    /**
+     * Divides, rounding to the precision of the context. The dividend and divisor are normalized
+     * to the same range of digit positions, so that the quotient has the context precision, and an
+     * exact result is then reduced towards the preferred scale.
+     */
+    #divideToPrecision(divisor, mc) {
+        const mcp = mc.getPrecision();
+        if (mcp === 0) return this.#divideExact(divisor);
+        if (divisor.signum() === 0) reportDivideByZero(this);
+
+        const preferredScale = this.#scale - divisor.#scale;
+        if (this.signum() === 0) return new BigDecimal(BigInteger.ZERO, checkScale(BigInteger.ZERO, preferredScale));
+
+        const xs = this.#intVal;
+        const ys = divisor.#intVal;
+        const xscale = this.precision();
+        var yscale = divisor.precision();
+
+        // Normalize dividend & divisor so that both fall into [0.1, 0.999...]
+        const sdiff = xscale - yscale;
+        const cmp = sdiff < 0 ? xs.abs().multiply(bigTenToThe(-sdiff)).compareTo(ys.abs())
+                              : xs.abs().compareTo(ys.abs().multiply(bigTenToThe(sdiff)));
+        if (cmp > 0) yscale -= 1;  // [that is, divisor *= 10]
+
+        const scl = checkScale(xs, preferredScale + yscale - xscale + mcp);
+        var quotient;
+        if (mcp + yscale - xscale > 0) {
+            const raise = mcp + yscale - xscale;
+            quotient = BigDecimal.#divideAndRound(bigMultiplyPowerTen(xs, raise), ys, scl, mc.getRoundingMode(),
+                                                  checkScale(xs, preferredScale));
+        } else {
+            const newScale = xscale - mcp;
+            const raise = newScale - yscale;
+            quotient = BigDecimal.#divideAndRound(xs, bigMultiplyPowerTen(ys, raise), scl, mc.getRoundingMode(),
+                                                  checkScale(xs, preferredScale));
+        }
+        // doRound, here, only affects 1000000000 case.
+        return BigDecimal.#doRound(quotient, mc);
+    }
+
+    /**
+     * Divides two BigIntegers and rounds the quotient to a BigDecimal of the given scale. An exact
+     * quotient has its trailing zeros removed down to the preferred scale.
+     */
+    static #divideAndRound(dividend, divisor, scale, roundingMode, preferredScale) {
+        const [q, exact] = divideAndRound(dividend, divisor, roundingMode);
+        if (exact && preferredScale !== scale) return BigDecimal.#stripZerosToMatchScale(q, scale, preferredScale);
+        return new BigDecimal(q, scale);
+    }
+
+    /**
+     * Returns a BigDecimal whose scale is the specified value, and whose unscaled value is
+     * determined by multiplying or dividing this BigDecimal's unscaled value by the appropriate
+     * power of ten to maintain its overall value. If the scale is reduced then the value is rounded.
+     * @param {number} newScale  The scale of the BigDecimal value to be returned.
+     * @param {RoundingMode} roundingMode  The rounding mode to apply. Defaults to UNNECESSARY.
+     * @returns {BigDecimal} A BigDecimal whose scale is newScale, and whose value is this one, rounded.
+     * @throws {ArithmeticException} if roundingMode is UNNECESSARY and rounding is required.
+     */
+    setScale(newScale, roundingMode = _UNNECESSARY) {
+        if (!(roundingMode instanceof RoundingMode)) throw new TypeError('Invalid rounding mode');
+        if (!Number.isInteger(newScale) || newScale > MAX_INT || newScale < MIN_INT) {
+            throw new RangeError(`Scale ${newScale} is not a 32-bit integer`);
+        }
+        const oldScale = this.#scale;
+        if (newScale === oldScale) return this;
+        if (this.signum() === 0) return new BigDecimal(BigInteger.ZERO, newScale);
+
+        if (newScale > oldScale) {
+            return new BigDecimal(bigMultiplyPowerTen(this.#intVal, newScale - oldScale), newScale);
+        }
+        // newScale < oldScale -- drop some digits
+        const divisor = bigTenToThe(oldScale - newScale);
+        return new BigDecimal(divideAndRound(this.#intVal, divisor, roundingMode)[0], newScale);
+    }
+
+    /**
+     * Returns a BigDecimal which is numerically equal to this one but with any trailing zeros
+     * removed from the representation. Zero is returned as BigDecimal.ZERO.
+     * @returns {BigDecimal} A numerically equal BigDecimal with any trailing zeros removed.
+     */
+    stripTrailingZeros() {
+        if (this.signum() === 0) return _ZERO;
+        return BigDecimal.#stripZerosToMatchScale(this.#intVal, this.#scale, -Infinity);
+    }
+
+    /**
+     * Removes trailing zeros from an unscaled value, while the scale is above the preferred scale.
+     */
+    static #stripZerosToMatchScale(intVal, scale, preferredScale) {
+        while (intVal.abs().compareTo(BigInteger.TEN) >= 0 && scale > preferredScale) {
+            if (intVal.testBit(0)) break;  // odd number cannot end in 0
+            const [q, r] = intVal.divideAndRemainder(BigInteger.TEN);
+            if (r.signum() !== 0) break;   // non-0 remainder
+            intVal = q;
+            scale = checkScale(intVal, scale - 1);  // could Overflow
+        }
+        return new BigDecimal(intVal, scale);
+    }
+
+    /**
+     * Rounds a BigDecimal to the precision of a context. If rounding carries into a new digit, as
+     * for 9.99 to 10.0, then the result is rounded again.
+     */
+    static #doRound(val, mc) {
+        const mcp = mc.getPrecision();
+        if (mcp === 0) return val;
+
+        var intVal = val.#intVal;
+        var scale = val.#scale;
+        var drop = val.precision() - mcp;
+        if (drop <= 0) return val;
+
+        while (drop > 0) {
+            scale = checkScale(intVal, scale - drop);
+            intVal = divideAndRound(intVal, bigTenToThe(drop), mc.getRoundingMode())[0];
+            drop = bigDigitLength(intVal) - mcp;
+        }
+        return new BigDecimal(intVal, scale);
+    }
+
+    /**
+     * Compares this BigDecimal numerically with the specified BigDecimal. Two BigDecimal objects
+     * that are equal in value but have a different scale (like 2.0 and 2.00) are considered equal.
+     * @param {BigDecimal} val  The BigDecimal to which this BigDecimal is to be compared.
+     * @returns {number} -1, 0, or 1 as this BigDecimal is numerically less than, equal to, or greater than val.
+     */
+    compareTo(val) {
+        const xsign = this.signum();
+        const ysign = val.signum();
+        if (xsign !== ysign) return xsign > ysign ? 1 : -1;
+        if (xsign === 0) return 0;
+
+        // Compare the adjusted exponents first, as these decide most comparisons
+        const xae = this.precision() - this.#scale;
+        const yae = val.precision() - val.#scale;
+        var cmp;
+        if (xae !== yae) {
+            cmp = xae < yae ? -1 : 1;
+        } else if (this.#scale < val.#scale) {
+            cmp = bigMultiplyPowerTen(this.#intVal.abs(), val.#scale - this.#scale).compareTo(val.#intVal.abs());
+        } else {
+            cmp = this.#intVal.abs().compareTo(bigMultiplyPowerTen(val.#intVal.abs(), this.#scale - val.#scale));
+        }
+        return xsign > 0 ? cmp : -cmp;
+    }
+
+    /**
+     * Compares this BigDecimal with the specified Object for equality. Unlike compareTo, this method
+     * considers two BigDecimal objects equal only if they are equal in value and scale.
+     * @param {Object} x  The object to which this BigDecimal is to be compared.
+     * @returns {boolean} true if x is a BigDecimal whose value and scale are equal to this BigDecimal's.
+     */
+    equals(x) {
+        if (x === this) return true;
+        return x instanceof BigDecimal && x.#scale === this.#scale && x.#intVal.compareTo(this.#intVal) === 0;
+    }
+
+    /**
+     * Converts this BigDecimal to a double, rounding to the nearest double. If this BigDecimal has
+     * too great a magnitude to represent as a double, it will be converted to Infinity or -Infinity.
+     * @returns {number} This BigDecimal converted to a double.
+     */
+    doubleValue() {
+        // Parsing a decimal string rounds correctly, as Java does
+        return Number(this.toString());
+    }
+
+    /**
+     * Returns the string representation of this BigDecimal, using scientific notation if an
+     * exponent is needed. The adjusted exponent is (-scale + (precision - 1)). If the scale is
+     * non-negative and the adjusted exponent is at least -6, then the number is shown without an
+     * exponent. Otherwise it is shown with one digit before the decimal point, followed by 'E' and
+     * the adjusted exponent.
+     * @returns {string} The string representation of this BigDecimal.
+     */
+    toString() {
+        return this.#layoutChars(true);
+    }
+
+    /**
+     * Returns the string representation of this BigDecimal, using engineering notation if an
+     * exponent is needed. This is as for toString, except that the exponent is a multiple of three,
+     * so there may be up to three digits before the decimal point.
+     * @returns {string} The string representation of this BigDecimal, in engineering notation.
+     */
+    toEngineeringString() {
+        return this.#layoutChars(false);
+    }
+
+    /**
+     * Returns the string representation of this BigDecimal without an exponent field.
+     * @returns {string} The string representation of this BigDecimal without an exponent field.
+     */
+    toPlainString() {
+        if (this.#scale === 0) return this.#intVal.toString();
+        if (this.#scale < 0) {  // No decimal point
+            if (this.signum() === 0) return "0";
+            return this.#intVal.toString() + "0".repeat(-this.#scale);
+        }
+        const str = this.#intVal.abs().toString();
+        const sign = this.signum() < 0 ? "-" : "";
+        const insertionPoint = str.length - this.#scale;
+        if (insertionPoint > 0) {  // Point goes inside intVal
+            return sign + str.substring(0, insertionPoint) + "." + str.substring(insertionPoint);
+        }
+        // We must insert zeros between point and intVal
+        return sign + "0." + "0".repeat(-insertionPoint) + str;
+    }
+
+    /**
+     * Lays out this BigDecimal as a string, in scientific or engineering notation.
+     * @param {boolean} sci  true for scientific notation, false for engineering notation.
+     * @returns {string} The string representation.
+     */
+    #layoutChars(sci) {
+        if (this.#scale === 0) return this.#intVal.toString();
+
+        // Get the significand as an absolute value
+        const coeff = this.#intVal.abs().toString();
+        const coeffLen = coeff.length;
+        var buf = this.signum() < 0 ? "-" : "";
+        var adjusted = -this.#scale + (coeffLen - 1);
+        if (this.#scale >= 0 && adjusted >= -6) {  // plain number
+            const pad = this.#scale - coeffLen;     // count of padding zeros
+            if (pad >= 0) {                        // 0.xxx form
+                buf += "0." + "0".repeat(pad) + coeff;
+            } else {                               // xx.xx form
+                buf += coeff.substring(0, -pad) + "." + coeff.substring(-pad);
+            }
+            return buf;
+        }
+
+        // E-notation is needed
+        if (sci) {                                 // Scientific notation
+            buf += coeff[0];                       // first character
+            if (coeffLen > 1) buf += "." + coeff.substring(1);  // more to come
+        } else {                                   // Engineering notation
+            var sig = adjusted % 3;
+            if (sig < 0) sig += 3;                 // [adjusted was negative]
+            adjusted -= sig;                       // now a multiple of 3
+            sig++;
+            if (this.signum() === 0) {
+                switch (sig) {
+                    case 1:
+                        buf += "0";                // exponent is a multiple of three
+                        break;
+                    case 2:
+                        buf += "0.00";
+                        adjusted += 3;
+                        break;
+                    case 3:
+                        buf += "0.0";
+                        adjusted += 3;
+                        break;
+                }
+            } else if (sig >= coeffLen) {          // significand all in integer
+                buf += coeff + "0".repeat(sig - coeffLen);  // may need some zeros, too
+            } else {                               // xx.xxE form
+                buf += coeff.substring(0, sig) + "." + coeff.substring(sig);
+            }
+        }
+        if (adjusted !== 0) {                      // [!sci could have made 0]
+            buf += "E" + (adjusted > 0 ? "+" : "") + adjusted;  // force sign for positive
+        }
+        return buf;
+    }
+}
+
+module.exports = { BigDecimal, MathContext, RoundingMode };
@@ -28,15 +28,23 @@
  * arbitrary-precision integers.
  */
 
+const { SecureRandom } = require('./random.js');
+const { MutableBigInteger } = require('./mutablebiginteger.js');
+const { WorkerPool } = require('./workerpool.js');
+const { NumberFormatException, ArithmeticException, digit } = require('./lang.js');
+const { numberOfLeadingZeros, numberOfTrailingZeros, bitCount } = require('./integer.js');
+
 const LONG_MASK = 0xffffffff;
 const MAX_MAG_LENGTH = 0x80000000 / 32;
 const PRIME_SEARCH_BIT_LENGTH_LIMIT = 500000000;
 const KARATSUBA_THRESHOLD = 80;
 const TOOM_COOK_THRESHOLD = 240;
 const KARATSUBA_SQUARE_THRESHOLD = 128;
+const TOOM_COOK_SQUARE_THRESHOLD = 216;
 const BURNIKEL_ZIEGLER_THRESHOLD = 80;
 const BURNIKEL_ZIEGLER_OFFSET = 40;
 const SCHOENHAGE_BASE_CONVERSION_THRESHOLD = 20;
+const RECURSIVE_PARSE_THRESHOLD = 40;
 const MULTIPLY_SQUARE_THRESHOLD = 20;
 const MONTGOMERY_INTRINSIC_THRESHOLD = 512;
 const MIN_RADIX = 2;
@@ -45,8 +53,17 @@ const INT_MASK = 0xFFFFFFFF;
 const MAX_INT = 0x7FFFFFFF;
 const MIN_INT = 0x80000000 | 0;
 const TWO_32 = INT_MASK + 1;
+const TWO_53 = 0x20000000000000;
 const LOG_TWO = Math.log(2);
 
+// Candidates below this bit length are found by testing random numbers, rather than by sieving.
+const SMALL_PRIME_THRESHOLD = 95;
+// The certainty used by nextProbablePrime and probablePrime.
+const DEFAULT_PRIME_CERTAINTY = 100;
+
+// Sets the window size for modPow by the bit length of the exponent.
+const bnExpModThreshTable = [7, 25, 81, 241, 673, 1793, MAX_INT];
+
 // forward declaration of BigInteger values
 var _ZERO;
 var _ONE;
@@ -56,6 +73,13 @@ var _TEN;
 
 var _SMALL_PRIME_PRODUCT;
 
+// Returns the internal magnitude of a BigInteger, for the functions outside the class.
+// This is defined in the static initialization of BigInteger, where the private field is visible.
+var magnitudeOf;
+
+// The pool of workers for parallelMultiply, which is opened when it is first needed.
+var multiplyPool = null;
+
 const MAX_CONSTANT = 16;
 const posConst = new Array(MAX_CONSTANT + 1);
 const negConst = new Array(MAX_CONSTANT + 1);
@@ -86,10 +110,155 @@ const intRadix = [
     0x17179149, 0x1cb91000, 0x23744899, 0x2b73a840, 0x34e63b41,
     0x40000000, 0x4cfa3cc1, 0x5c13d840, 0x6d91b519, 0x39aa400];
 
-class NumberFormatException extends Error {}
+/**
+ * A bit sieve used for finding prime number candidates. Each bit in the sieve represents an odd
+ * number, starting from a base value, and candidates are indicated by clear bits. A small sieve of
+ * the primes below 150 * 64 * 2 is used to remove the multiples of those primes from larger sieves.
+ */
+class BitSieve {
+    #bits;
+    #length;
+
+    static #smallSieve;
+
+    static {
+        // Construct the small sieve, where bit i represents 2i+1
+        const sieve = new BitSieve(null, 150 * 64);
+
+        // Mark 1 as composite
+        sieve.#set(0);
+        var nextIndex = 1;
+        var nextPrime = 3;
+
+        // Find primes and remove their multiples from sieve
+        do {
+            sieve.#sieveSingle(sieve.#length, nextIndex + nextPrime, nextPrime);
+            nextIndex = sieve.#sieveSearch(sieve.#length, nextIndex + 1);
+            nextPrime = 2 * nextIndex + 1;
+        } while ((nextIndex > 0) && (nextPrime < sieve.#length));
+        BitSieve.#smallSieve = sieve;
+    }
+
+    /**
+     * Constructs a bit sieve of searchLen bits used for finding prime number candidates. The new
+     * sieve begins at the specified base, which must be even.
+     * @param {BigInteger} base  The even value for the start of the sieve. If null, then the sieve is left empty.
+     * @param {number} searchLen  The number of bits in the sieve.
+     */
+    constructor(base, searchLen) {
+        this.#bits = new Int32Array(BitSieve.#unitIndex(searchLen - 1) + 1);
+        this.#length = searchLen;
+        if (base === null) return;
+
+        const smallSieve = BitSieve.#smallSieve;
+        const b = new MutableBigInteger(magnitudeOf(base));
+        const q = new MutableBigInteger();
+        var step = smallSieve.#sieveSearch(smallSieve.#length, 0);
+        var convertedStep = (step * 2) + 1;
+
+        // Construct a large sieve for the candidates
+        do {
+            // Calculate base mod convertedStep
+            var start = b.divideOneWord(convertedStep, q);
+
+            // Take each multiple of step out of sieve
+            start = convertedStep - start;
+            if (start % 2 === 0) start += convertedStep;
+            this.#sieveSingle(searchLen, (start - 1) / 2, convertedStep);
+
+            // Find next prime from small sieve
+            step = smallSieve.#sieveSearch(smallSieve.#length, step + 1);
+            convertedStep = (step * 2) + 1;
+        } while (step > 0);
+    }
+
+    /**
+     * Given a bit index return unit index containing it.
+     */
+    static #unitIndex(bitIndex) {
+        return bitIndex >>> 5;
+    }
+
+    /**
+     * Return a unit that masks the specified bit in its unit.
+     */
+    static #bit(bitIndex) {
+        return 1 << (bitIndex & 31);
+    }
+
+    /**
+     * Get the value of the bit at the specified index.
+     */
+    #get(bitIndex) {
+        return (this.#bits[BitSieve.#unitIndex(bitIndex)] & BitSieve.#bit(bitIndex)) !== 0;
+    }
+
+    /**
+     * Set the bit at the specified index.
+     */
+    #set(bitIndex) {
+        this.#bits[BitSieve.#unitIndex(bitIndex)] |= BitSieve.#bit(bitIndex);
+    }
+
+    /**
+     * This method returns the index of the first clear bit in the search array that occurs at or
+     * after start. It will not search past the specified limit. It returns -1 if there is no such
+     * clear bit.
+     */
+    #sieveSearch(limit, start) {
+        if (start >= limit) return -1;
+
+        var index = start;
+        do {
+            if (!this.#get(index)) return index;
+            index++;
+        } while (index < limit - 1);
+        return -1;
+    }
+
+    /**
+     * Sieve a single set of multiples out of the sieve. Begin to remove multiples of the specified
+     * step starting at the specified start index, up to the specified limit.
+     */
+    #sieveSingle(limit, start, step) {
+        while (start < limit) {
+            this.#set(start);
+            start += step;
+        }
+    }
 
-class ArithmeticException extends Error {}
+    /**
+     * Test probable primes in the sieve and return successful candidates.
+     * @param {BigInteger} initValue  The base value of the sieve.
+     * @param {function(BigInteger): boolean} isPrime  The primality test for candidates.
+     * @returns {BigInteger} The first candidate to pass the test, or null if there are none.
+     */
+    retrieve(initValue, isPrime) {
+        // Examine the sieve one unit at a time to find possible primes
+        var offset = 1;
+        for (var i = 0; i < this.#bits.length; i++) {
+            var nextUnit = ~this.#bits[i];
+            for (var j = 0; j < 32; j++) {
+                if ((nextUnit & 1) === 1) {
+                    const candidate = initValue.add(BigInteger.valueOf(offset));
+                    if (isPrime(candidate)) return candidate;
+                }
+                nextUnit >>>= 1;
+                offset += 2;
+            }
+        }
+        return null;
+    }
+}
 
+/**
+ * Checks that the sub-range from fromIndex (inclusive) to fromIndex + size (exclusive) is within
+ * the bounds of range from 0 (inclusive) to length (exclusive).
+ * @param {number} fromIndex  The lower bound of the sub-range.
+ * @param {number} size  The size of the sub-range.
+ * @param {number} length  The upper bound of the range.
+ * @throws {RangeError} if the sub-range is out of bounds.
+ */
 function checkFromIndexSize(fromIndex, size, length) {
     if (length < 0 || fromIndex < 0 || size < 0 || size > length - fromIndex) {
         throw new RangeError("Accessing array outside of bounds.");
@@ -99,10 +268,10 @@ function checkFromIndexSize(fromIndex, size, length) {
 /**
  * Returns a cope of the input array stripped of any leading zero bytes.
  * Converts the byte array into an array of 32-bit integers.
- * @param {number[]} mag  The array of bytes to process.
+ * @param {Array<number>} mag  The array of bytes to process.
  * @param {number} offset  The offset into the array to start processing.
  * @param {number} length  The number of bytes to process from the array.
- * @returns {number[]} An array of 32-bit integers with packed values from the initial bytes.
+ * @returns {Uint32Array} An array of 32-bit integers with packed values from the initial bytes.
  */
 function stripLeadingZeroBytes(mag, offset, length) {
     const indexBound = offset + length;
@@ -112,7 +281,7 @@ function stripLeadingZeroBytes(mag, offset, length) {
 
     // Allocate new array and copy relevant part of input array
     const intLength = ((indexBound - keep) + 3) >>> 2;
-    const result = new Array(intLength);
+    const result = new Uint32Array(intLength);
     var b = indexBound - 1;
     for (var i = intLength - 1; i >= 0; i--) {
         result[i] = mag[b--] & 0xff;
@@ -126,11 +295,11 @@ function stripLeadingZeroBytes(mag, offset, length) {
 }
 
 /**
- * Multiply a pair of 32-bit values, and add in a carry that is up to 16-bits
+ * Multiply a pair of 32-bit values, and add in an unsigned carry that is up to 32-bits
  * @param {number} a  The first 32-bit integer to multiply.
  * @param {number} b  The second 32-bit integer to multiply.
- * @param {number} carry  A 32-bit "carry" value to be added to the result.
- * @return {number[]} A pair of 32-bit values representing the high and low words of the 64-bit result.
+ * @param {number} carry  An unsigned 32-bit "carry" value to be added to the result.
+ * @return {Array<number>} A pair of values representing the unsigned high word and the 32-bit low word of the 64-bit result.
  */
 function multiplyCarryInt(a, b, carry) {
     const al = 0xFFFF & a
@@ -143,11 +312,11 @@ function multiplyCarryInt(a, b, carry) {
     const bhal = bh * al;
     const bhah = bh * ah;
 
+    // partial sums can exceed 32 bits, so carry between them with division rather than >>>
     var p0 = blal + carry;
-    var p1 = blah + bhal + (p0 >>> 16);
+    var p1 = blah + bhal + Math.floor(p0 / 0x10000);
     p0 &= 0xFFFF;
-    var p32 = bhah + (p1 >>> 16);
-    // p1 &= 0xFFFF;
+    var p32 = bhah + Math.floor(p1 / 0x10000);
     return [p32, p1 << 16 | p0];
 }
 
@@ -163,36 +332,68 @@ function unsignedLonger(n) {
 
 /**
  * Multiply x array times integer y in place, and add integer z
- * @param {number[]} x  An array of 32 bit integer values.
+ * @param {Uint32Array} x  An array of 32 bit integer values.
  * @param {number} y  An unsigned 32 bit value to multiply the array by.
  * @param {number} z  An unsigned 32 bit value to add to the array.
  */
 function destructiveMulAdd(x, y, z) {
-    const len = x.length;
-
-    var product_low = 0;
-    var carry = 0;
-    for (var i = len - 1; i >= 0; i--) {
-        [carry, x[i]] = multiplyCarryInt(y, x[i], carry);
+    const yl = y & 0xFFFF;
+    const yh = y >>> 16;
+
+    // z is added by starting with it as the carry into the lowest word
+    var carry = z;
+    for (var i = x.length - 1; i >= 0; i--) {
+        const lo = yl * x[i] + carry;
+        const hi = yh * x[i] + Math.floor(lo / 0x10000);
+        x[i] = (hi << 16) | (lo & 0xFFFF);
+        carry = Math.floor(hi / 0x10000);
     }
+}
 
-    // Perform the addition
-    var sum = unsignedLonger(x[len - 1]) + unsignedLonger(z);
-    x[len - 1] = sum & INT_MASK;
-    carry = Math.floor(sum / TWO_32);  // equivalent to >>>32
-    for (var i = len - 2; i >= 0; i--) {
-        sum = unsignedLonger(x[i]) + carry;
-        x[i] = sum & INT_MASK;
-        carry = Math.floor(sum / TWO_32);
+/**
+ * The number of ints in each of the buffers that small magnitudes are allocated from. A typed array
+ * of more than 64 bytes otherwise has its own allocation outside the JavaScript heap, which costs
+ * more than adding two magnitudes of a few dozen ints. As with Node's pool for small Buffers, a
+ * buffer stays in memory while any magnitude in it is in use.
+ */
+const MAGNITUDE_POOL_INTS = 2048;
+const MAGNITUDE_POOL_MAX_LENGTH = MAGNITUDE_POOL_INTS >>> 2;
+var magnitudePool = new ArrayBuffer(4 * MAGNITUDE_POOL_INTS);
+var magnitudePoolOffset = 0;
+
+/**
+ * Allocates a zeroed magnitude array, from the shared pool if it is small.
+ * @param {number} length  The number of ints in the array.
+ * @returns {Uint32Array} The new array.
+ */
+function newMagnitude(length) {
+    if (length > MAGNITUDE_POOL_MAX_LENGTH) return new Uint32Array(length);
+    if (magnitudePoolOffset + length > MAGNITUDE_POOL_INTS) {
+        magnitudePool = new ArrayBuffer(4 * MAGNITUDE_POOL_INTS);
+        magnitudePoolOffset = 0;
     }
+    const mag = new Uint32Array(magnitudePool, 4 * magnitudePoolOffset, length);
+    magnitudePoolOffset += length;
+    return mag;
+}
+
+/**
+ * Returns a magnitude that has a buffer of its own, copying it if it is part of a larger buffer, as
+ * a pooled magnitude is. A magnitude is sent to another thread as a structured clone, which copies
+ * the whole buffer of a typed array.
+ * @param {Uint32Array} mag  The magnitude.
+ * @returns {Uint32Array} mag, or a copy of it.
+ */
+function compactMagnitude(mag) {
+    return mag.byteLength === mag.buffer.byteLength ? mag : mag.slice();
 }
 
 /**
  * Returns the input array stripped of any leading zero bytes.
  * If the source is trusted then the copying may be skipped.
- * @param {number[]} value  The integer array to strip zeros from.
+ * @param {Uint32Array} value  The integer array to strip zeros from.
  * @param {boolean} trusted  Indicates if the value array can be trusted not to change.
- * @param {number[]} An integer array with no leading zeros. This may be the original array.
+ * @returns {Uint32Array} An integer array with no leading zeros. This may be the original array.
  */
 function stripLeadingZeroInts(value, trusted = false) {
     const vlen = value.length;
@@ -200,44 +401,110 @@ function stripLeadingZeroInts(value, trusted = false) {
     // Find first nonzero byte
     for (var keep = 0; keep < vlen && value[keep] == 0; keep++);
 
-    return trusted && keep === 0 ? value : value.slice(keep, vlen);
+    if (keep === 0 && trusted) return value;
+    return trusted ? value.subarray(keep) : value.slice(keep, vlen);
 }
 
 /**
- * Throws an ArithmeticException if the BigInteger would be
- * out of the supported range.
- *
- * @throws {ArithmeticException} if this exceeds the supported range.
+ * The default limit on bit length, which is the largest that Java supports.
+ */
+const DEFAULT_MAX_BIT_LENGTH = 32 * MAX_MAG_LENGTH - 1;
+
+/**
+ * The limits on the size of BigIntegers, as set by BigInteger.setLimits. This object is replaced,
+ * never modified, so a reference to it is a snapshot.
+ */
+var limits = Object.freeze({ maxBitLength: DEFAULT_MAX_BIT_LENGTH, maxDigits: Infinity });
+
+/**
+ * Throws a RangeError if a value is not usable as a size limit.
+ * @param {number} value  The limit to check.
+ * @param {string} name  The name of the limit, for the error message.
+ * @param {number} max  The largest allowed value of the limit.
+ * @throws {RangeError} if value is not a positive integer no greater than max.
+ */
+function checkLimit(value, name, max) {
+    if (!(value === Infinity || Number.isInteger(value)) || value <= 0 || value > max) {
+        throw new RangeError(`${name} must be a positive integer ` +
+                             (max === Infinity ? 'or Infinity' : `no greater than ${max}`));
+    }
+}
+
+/**
+ * Throws an ArithmeticException if the magnitude has more bits than the limit on bit length.
+ * @param {Uint32Array} mag  A magnitude array with no leading zeros.
+ * @throws {ArithmeticException} if the magnitude exceeds the limit on bit length.
  */
 function checkRange(mag) {
-    if (mag.length > MAX_MAG_LENGTH || mag.length == MAX_MAG_LENGTH && mag[0] < 0) {
+    if (mag.length * 32 > limits.maxBitLength && bitLengthForMag(mag, mag.length) > limits.maxBitLength) {
         reportOverflow();
     }
 }
 
+/**
+ * Throws an ArithmeticException if a result of the given bit length would exceed the limit. This is
+ * used to reject an operation before any space is allocated for its result.
+ * @param {number} bitLength  The bit length of the result, or a lower bound on it.
+ * @throws {ArithmeticException} if bitLength exceeds the limit.
+ */
+function checkBitLength(bitLength) {
+    if (bitLength > limits.maxBitLength) reportOverflow();
+}
+
+/**
+ * Calls a function with the limit on bit length lifted to Java's, and checks only the result
+ * against the limit. Operations whose intermediate values can be larger than both their arguments
+ * and their result, such as the products that modPow reduces, run their calculation with this, so
+ * that the limit applies to what goes into and comes out of a public operation.
+ * @param {Function} fn  The function to call, with no arguments.
+ * @returns {*} The value returned by fn.
+ * @throws {ArithmeticException} if fn returns a BigInteger that exceeds the limit on bit length.
+ */
+function withoutLimits(fn) {
+    const previous = limits;
+    if (previous.maxBitLength === DEFAULT_MAX_BIT_LENGTH) return fn();
+    limits = Object.freeze({ maxBitLength: DEFAULT_MAX_BIT_LENGTH, maxDigits: previous.maxDigits });
+    var result;
+    try {
+        result = fn();
+    } finally {
+        limits = previous;
+    }
+    if (result instanceof BigInteger) checkBitLength(result.abs().bitLength());
+    return result;
+}
+
 /**
  * Throws an ArithmeticException with a consistent error message for reporting an overflow.
+ * The message is Java's, unless the limit on bit length has been changed from Java's.
  * @throws {ArithmeticException} always.
  */
 function reportOverflow() {
-    throw new ArithmeticException('BigInteger would overflow supported range');
+    throw new ArithmeticException(limits.maxBitLength === DEFAULT_MAX_BIT_LENGTH ?
+                                  'BigInteger would overflow supported range' :
+                                  `BigInteger would exceed the limit of ${limits.maxBitLength} bits`);
 }
 
 /**
- * Creates an integer array with numBits of random bits, 8 bits per integer.
+ * The default source of random numbers, backed by the platform's cryptographically strong generator.
+ */
+const defaultRandom = new SecureRandom();
+
+/**
+ * Creates a big-endian byte array with numBits of random bits.
  * @param {number} numBits  The number of random bits to generate.
- * @returns {number[]} The array containing 8 bit integers of random bits.
- * TODO: add optional certainty argument for probable prime generation.
- */
-function randomBits(numBits) {
-    if (numBits < 0) throw new RangeError('numBits myst be non-negative');
-    var numInts = Math.floor((numBits + 31) / 32);
-    var randomBits = new Uint32Array(numInts);
-    if (numInts > 0) {
-        var crpt = (typeof self === 'undefined') ? global.crypto.webcrypto : self.crypto;
-        crpt.getRandomValues(randomBits);
-        var excessBits = 32 * numInts - numBits;
-        randomBits[0] &= (1 << (32 - excessBits)) - 1;
+ * @param {Object} rnd  The source of randomness, providing nextBytes(bytes). Defaults to the platform generator.
+ * @returns {Uint8Array} The array of random bytes, with any excess bits in the first byte cleared.
+ */
+function randomBits(numBits, rnd = defaultRandom) {
+    if (numBits < 0) throw new RangeError('numBits must be non-negative');
+    checkBitLength(numBits);
+    const numBytes = Math.floor((numBits + 7) / 8);
+    const randomBits = new Uint8Array(numBytes);
+    if (numBytes > 0) {
+        rnd.nextBytes(randomBits);
+        const excessBits = 8 * numBytes - numBits;
+        randomBits[0] &= (1 << (8 - excessBits)) - 1;
     }
     return randomBits;
 }
@@ -245,38 +512,35 @@ function randomBits(numBits) {
 /**
  * Adds the contents of the int arrays x and y. Allocates a new int array to hold the answer
  * and returns a reference to that array.
- * @param {number[]} x The first int array to add.
- * @param {number[]} y The second int array to add.
+ * @param {Uint32Array} x The first int array to add.
+ * @param {Uint32Array} y The second int array to add.
  */
 function addMagnitudes(x, y) {
     if (x.length < y.length) [x, y] = [y, x];
     var xIndex = x.length;
     var yIndex = y.length;
-    const result = new Array(xIndex);
-    var sum = 0;
-    if (yIndex === 1) {
-        sum = unsignedLonger(x[--xIndex]) + unsignedLonger(y[0]);
+    const result = newMagnitude(xIndex);
+    var carry = 0;
+    // Add common parts of both numbers. The sum wraps around as an int, and so is below either
+    // addend exactly when there is a carry, or equal to it when a carry in was all that was added.
+    while (yIndex > 0) {
+        const xi = x[--xIndex];
+        const sum = (xi + y[--yIndex] + carry) >>> 0;
         result[xIndex] = sum;
-    } else {
-        // Add common parts of both numbers
-        while (yIndex > 0) {
-            sum = unsignedLonger(x[--xIndex]) + unsignedLonger(y[--yIndex]) + Math.floor(sum / TWO_32);
-            result[xIndex] = sum & INT_MASK;
-        }
+        carry = sum < xi || (sum === xi && carry !== 0) ? 1 : 0;
     }
     // Copy remainder of longer number while carry propagation is required
-    var carry = (sum > INT_MASK);
-    while (xIndex > 0 && carry) {
-        sum = unsignedLonger(x[--xIndex]) + 1;
-        result[xIndex] = sum & INT_MASK;
-        carry = (sum > INT_MASK);
+    while (xIndex > 0 && carry !== 0) {
+        const sum = (x[--xIndex] + 1) >>> 0;
+        result[xIndex] = sum;
+        carry = sum === 0 ? 1 : 0;
     }
     // Copy remainder of longer number
     while (xIndex > 0) result[--xIndex] = x[xIndex];
     // Grow result if necessary
-    if (carry) {
-        var newResult = new Array(result.length + 1);
-        for (var i = 0; i < result.length; i++) newResult[i + 1] = result[i];
+    if (carry !== 0) {
+        const newResult = newMagnitude(result.length + 1);
+        newResult.set(result, 1);
         newResult[0] = 1;
         return newResult;
     }
@@ -285,31 +549,27 @@ function addMagnitudes(x, y) {
 
 /**
  * Subtracts the contents of the int arrays x and y. Allocates a new int array to hold the answer.
- * @param {number[]} big The first int array to subtract.
- * @param {number[]} little The second int array to subtract. This must be shorted than the big array.
+ * @param {Uint32Array} big The first int array to subtract.
+ * @param {Uint32Array} little The second int array to subtract. This must be shorted than the big array.
  */
 function subtractMagnitudes(big, little) {
     if (big.length < little.length) throw new RangeError('big array must be longer than little array');
     var bigIndex = big.length;
     var littleIndex = little.length;
-    const result = new Array(bigIndex);
-    var difference = 0;
-    if (littleIndex === 1) {
-        difference = unsignedLonger(big[--bigIndex]) - unsignedLonger(little[0]);
-        result[bigIndex] = difference & INT_MASK;
-    } else {
-        // Subtract common parts of both numbers
-        while (littleIndex > 0) {
-            difference = unsignedLonger(big[--bigIndex]) - unsignedLonger(little[--littleIndex]) + Math.floor(difference / TWO_32);
-            result[bigIndex] = difference & INT_MASK;
-        }
+    const result = newMagnitude(bigIndex);
+    var borrow = 0;
+    // Subtract common parts of both numbers, with the difference wrapping around as an int
+    while (littleIndex > 0) {
+        const bi = big[--bigIndex];
+        const li = little[--littleIndex];
+        result[bigIndex] = bi - li - borrow;
+        borrow = bi < li || (bi === li && borrow !== 0) ? 1 : 0;
     }
     // Subtract remainder of longer number while borrow propagates
-    var borrow = (difference > INT_MASK);
-    while (bigIndex > 0 && borrow) {
-        difference = (unsignedLonger(big[--bigIndex]) - 1) & INT_MASK;
-        result[bigIndex] = difference;
-        borrow = difference === -1;
+    while (bigIndex > 0 && borrow !== 0) {
+        const bi = big[--bigIndex];
+        result[bigIndex] = bi - 1;
+        borrow = bi === 0 ? 1 : 0;
     }
     // Copy remainder of longer number
     while (bigIndex > 0) result[--bigIndex] = big[bigIndex];
@@ -319,15 +579,15 @@ function subtractMagnitudes(big, little) {
 
 /**
  * Compares the contents of the int arrays x and y.
- * @param {number[]} x The first int array to compare.
- * @param {number[]} y The second int array to compare.
+ * @param {Uint32Array} x The first int array to compare.
+ * @param {Uint32Array} y The second int array to compare.
  */
 function compareMagnitudes(x, y) {
     const xIndex = x.length;
     const yIndex = y.length;
     if (xIndex === yIndex) {
         for (var i = 0; i < xIndex; i++) {
-            if (x[i] !== y[i]) return unsignedLonger(x[i]) < unsignedLonger(y[i]) ? -1 : 1;
+            if (x[i] !== y[i]) return x[i] < y[i] ? -1 : 1;
         }
         return 0;
     }
@@ -335,240 +595,1008 @@ function compareMagnitudes(x, y) {
 }
 
 /**
- * Counts the number of bits set to 1 in the integer n.
- * @param {number} n  A 32-bit integer.
- * @returns The number of bits set to 1 in the integer n, from 0 to 32.
+ * Multiplies int arrays x and y to the specified lengths and places the result into z.
+ * Each word of x is split into 16-bit halves so that every partial product stays exact in a double.
+ * @param {Uint32Array} x  The first int array to multiply.
+ * @param {number} xlen  The number of ints in x to multiply.
+ * @param {Uint32Array} y  The second int array to multiply.
+ * @param {number} ylen  The number of ints in y to multiply.
+ * @param {Uint32Array} z  An array to hold the result. A new array is allocated if this is null or too short.
+ * @returns {Uint32Array} The array of xlen + ylen ints holding the product. This may have leading zeros.
  */
-function bitCount(n) {
-    n = n - ((n >> 1) & 0x55555555);
-    n = (n & 0x33333333) + ((n >> 2) & 0x33333333);
-    return ((n + (n >> 4) & 0xF0F0F0F) * 0x1010101) >> 24;
+function multiplyToLen(x, xlen, y, ylen, z) {
+    const xstart = xlen - 1;
+    const ystart = ylen - 1;
+
+    if (z == null || z.length < xlen + ylen) {
+        z = newMagnitude(xlen + ylen);
+    } else {
+        z.fill(0, 0, xlen + ylen);
+    }
+
+    for (var i = xstart; i >= 0; i--) {
+        const xl = x[i] & 0xFFFF;
+        const xh = x[i] >>> 16;
+        var carry = 0;
+        for (var j = ystart, k = ystart + 1 + i; j >= 0; j--, k--) {
+            const yj = y[j];
+            const lo = xl * yj + z[k] + carry;
+            const hi = xh * yj + Math.floor(lo / 0x10000);
+            z[k] = (hi << 16) | (lo & 0xFFFF);
+            carry = Math.floor(hi / 0x10000);
+        }
+        z[i] = carry;
+    }
+    return z;
 }
 
 /**
- * Returns the length of the bits required to represent the integer n in binary.
- * @param {number} n A 32-bit integer.
- * @returns The shortest number of bits required to represent the integer n in binary.
+ * Multiply an array by one word k and add to result.
+ * @param {Uint32Array} out  The array to accumulate into. The offset is counted from the end of this array.
+ * @param {Uint32Array} input  The array to multiply by k.
+ * @param {number} offset  The number of ints from the end of out where accumulation starts.
+ * @param {number} len  The number of ints of input to multiply.
+ * @param {number} k  The 32-bit word to multiply by.
+ * @returns {number} The unsigned carry out of the final word.
  */
-function bitLengthForInt(n) {
-    return 32 - (n | 0).toString(2).length;
+function mulAdd(out, input, offset, len, k) {
+    const kl = k & 0xFFFF;
+    const kh = k >>> 16;
+    var carry = 0;
+
+    offset = out.length - offset - 1;
+    for (var j = len - 1; j >= 0; j--) {
+        const v = input[j];
+        const lo = kl * v + out[offset] + carry;
+        const hi = kh * v + Math.floor(lo / 0x10000);
+        out[offset--] = (hi << 16) | (lo & 0xFFFF);
+        carry = Math.floor(hi / 0x10000);
+    }
+    return carry;
 }
 
 /**
- * Returns the value radix^(2^exponent) from the cache.
- * If this value doesn't already exist int he cache, it is added.
- * @param {number} radix The base of the power.
- * @param {number} exponent The exponent of the power.
- * @returns radix^(2^exponent)
+ * Add one word to the number a at mlen words into a. Returns the resulting carry.
+ * @param {Uint32Array} a  The array to add into. The offset is counted from the end of this array.
+ * @param {number} offset  The number of ints from the end of a where the addition starts.
+ * @param {number} mlen  The number of words that the carry may propagate through.
+ * @param {number} carry  The unsigned 32-bit word to add.
+ * @returns {number} 1 if the carry propagated out of a, 0 otherwise.
  */
-function getRadixConversionCache(radix, exponent) {
-    var cacheLine = powerCache[radix];
-    if (exponent < cacheLine.length) return cacheLine[exponent];
+function addOne(a, offset, mlen, carry) {
+    offset = a.length - 1 - mlen - offset;
+    const t = a[offset] + carry;
+
+    a[offset] = t;
+    if (t <= INT_MASK) return 0;
+    while (--mlen >= 0) {
+        if (--offset < 0) {  // Carry out of number
+            return 1;
+        }
+        a[offset]++;
+        if (a[offset] !== 0) return 0;
+    }
+    return 1;
+}
 
-    newCacheLine = new Array(exponent + 1);
-    for (var i = 0; i < cacheLine.length; i++) newCacheLine[i] = cacheLine[i];
-    for (; i < newCacheLine.length; i++) {
-        cacheLine[i] = cacheLine[i - 1].pow(2);
+/**
+ * Squares the contents of the int array x. The result is placed into the int array z.
+ * The contents of x are not changed.
+ * @param {Uint32Array} x  The int array to square.
+ * @param {number} len  The number of ints in x.
+ * @returns {Uint32Array} A new array of 2 * len ints holding the square of x. This may have leading zeros.
+ */
+function squareToLen(x, len) {
+    const zlen = len << 1;
+    const z = newMagnitude(zlen);
+
+    // Store the squares, right shifted one bit (i.e., divided by 2)
+    var lastProductLowWord = 0;
+    for (var j = 0, i = 0; j < len; j++) {
+        const [high, low] = multiplyCarryInt(x[j], x[j], 0);
+        z[i++] = (lastProductLowWord << 31) | (high >>> 1);
+        z[i++] = (high << 31) | (low >>> 1);
+        lastProductLowWord = low;
     }
-    
-    if (exponent >= powerCache[radix].length) {
-        powerCache[radix] = newCacheLine;
+
+    // Add in off-diagonal sums
+    for (var i = len, offset = 1; i > 0; i--, offset += 2) {
+        var t = x[i - 1];
+        t = mulAdd(z, x, offset, i - 1, t);
+        addOne(z, offset - 1, i, t);
     }
-    return cacheLine[exponent];
+
+    // Shift back up and set low bit
+    primitiveLeftShift(z, zlen, 1);
+    z[zlen - 1] |= x[len - 1] & 1;
+    return z;
 }
 
-function smallToString(u, radix, s, digits) {
-    
+/**
+ * Shifts the first len ints of an array left by n bits, in place. Bits shifted out of the top are lost.
+ * @param {Uint32Array} a  The int array to shift.
+ * @param {number} len  The number of ints to shift.
+ * @param {number} n  The number of bits to shift by. Must be less than 32.
+ */
+function primitiveLeftShift(a, len, n) {
+    if (len === 0 || n === 0) return;
+    const n2 = 32 - n;
+    for (var i = 0, c = a[i], m = i + len - 1; i < m; i++) {
+        const b = c;
+        c = a[i + 1];
+        a[i] = (b << n) | (c >>> n2);
+    }
+    a[len - 1] <<= n;
 }
 
-function toString(u, s, radix, digits) {
-    if (u.mag.length <= SCHOENHAGE_BASE_CONVERSION_THRESHOLD) {
-        return smallToString(u, radix, s, digits);
+/**
+ * Shifts the first len ints of an array right by n bits, in place.
+ * @param {Uint32Array} a  The int array to shift.
+ * @param {number} len  The number of ints to shift.
+ * @param {number} n  The number of bits to shift by. Must be between 1 and 31.
+ */
+function primitiveRightShift(a, len, n) {
+    const n2 = 32 - n;
+    for (var i = len - 1, c = a[i]; i > 0; i--) {
+        const b = c;
+        c = a[i - 1];
+        a[i] = (c << n2) | (b >>> n);
     }
-    var b = u.bitLength();
-    var n = Math.round(Math.log(b * LOG_TWO / logCache[radix]) / LOG_TWO - 1);
-    var v = getRadixConversionCache(radix, n);
-    var results = u.divideAndRemainder(v); // TODO
-    var expectedDigits = 1 << n;
-    // Now recursively build the two halves of each number
-    return toString(results[0], s, radix, digits - expectedDigits) +
-           toString(results[1], s, radix, expectedDigits);
+    a[0] >>>= n;
 }
 
-class BigInteger {
-    #signum;
-    #mag;
-    #bitCountPlusOne;
-    #bitLengthPlusOne;
-    #lowestSetBitPlusTwo;
-    #firstNonzeroIntNumPlusTwo;
-  
-    // static initialization of constant values.
-    // These values are all vars, but are invisible outside this file, except through static getters.
-    static {
-        for (var i = 1; i <= MAX_CONSTANT; i++) {
-            posConst[i] = new BigInteger(1, [i]);
-            negConst[i] = new BigInteger(-1, [i]);
+/**
+ * Returns a magnitude array that is the magnitude shifted left by n bits.
+ * @param {Uint32Array} mag  The magnitude array to shift. This is not modified. It has no leading zeros.
+ * @param {number} n  The non-negative number of bits to shift by.
+ * @returns {Uint32Array} A new magnitude array with no leading zeros.
+ * @throws {ArithmeticException} if the result would exceed the limit on bit length.
+ */
+function shiftLeftMagnitude(mag, n) {
+    checkBitLength(bitLengthForMag(mag, mag.length) + n);
+    const nInts = n >>> 5;
+    const nBits = n & 0x1f;
+    const magLen = mag.length;
+    var newMag;
+
+    if (nBits === 0) {
+        newMag = newMagnitude(magLen + nInts);
+        newMag.set(mag);
+    } else {
+        var i = 0;
+        const nBits2 = 32 - nBits;
+        const highBits = mag[0] >>> nBits2;
+        if (highBits !== 0) {
+            newMag = newMagnitude(magLen + nInts + 1);
+            newMag[i++] = highBits;
+        } else {
+            newMag = newMagnitude(magLen + nInts);
         }
-        _ZERO = new BigInteger(0, []);
-        _ONE = BigInteger.valueOf(1);
-        _TWO = BigInteger.valueOf(2);
-        _NEGATIVE_ONE = BigInteger.valueOf(-1);
-        _TEN = BigInteger.valueOf(10);
-        _SMALL_PRIME_PRODUCT = new BigInteger(1, [0x8a5b, 0x6470af95])
-        for (var i = MIN_RADIX; i < MAX_RADIX; i++) {
-            powerCache[i] = [new BigInteger(1, [i])];
-            logCache[i] = Math.log(i);
+        const numIter = magLen - 1;
+        for (var j = 0; j < numIter; j++) {
+            newMag[i++] = (mag[j] << nBits) | (mag[j + 1] >>> nBits2);
         }
+        newMag[i] = mag[numIter] << nBits;
     }
+    return newMag;
+}
 
-    /**
-     * @param {number} signum  Contains a number representing the sign of the integer. May only be one of: [-1, 0 1]
-     * @param {number[]} magnitude  An array of 32-bit integers containing the full value of the BigInteger.
-     */
-    constructor(signum, magnitude) {
-        if (signum < -1 || signum > 1) {
-            throw new NumberFormatException('Invalid signum value');
-        }
-        if (magnitude.length <= 1) {
-            // declaration of constants
-            if ((magnitude.length === 0 && signum !== 0) || (magnitude.length === 1 && signum === 0)) {
-                throw new NumberFormatException('Invalid signum value');
-            }
-            this.#signum = signum;
-            this.#mag = magnitude;
-        } else {
-            checkFromIndexSize(0, magnitude.length, magnitude);
-            magnitude.forEach((item) => {
-                if (item > MAX_INT || item < MIN_INT) {
-                    throw NumberFormatException('Magnitude array must be 32 bit integer values');
-                }
-            });
-            
-            this.#mag = stripLeadingZeroInts(magnitude);
-            if (this.#mag.length == 0) {
-                this.#signum = 0;
-            } else {
-                if (signum === 0) throw new NumberFormatException('signum-magnitude mismatch');
-                this.#signum = signum;
-            }
-            if (this.#mag.length >= MAX_MAG_LENGTH) checkRange(this.#mag);
-        }
-        this.#bitCountPlusOne = 0;
-        this.#bitLengthPlusOne = 0;
-        this.#lowestSetBitPlusTwo = 0;
-        this.#firstNonzeroIntNumPlusTwo = 0;
+/**
+ * Adds one to the magnitude in the array, in place if it does not need to grow.
+ * @param {Uint32Array} val  The magnitude array to increment.
+ * @returns {Uint32Array} The incremented array. This is a new array if the magnitude had to grow.
+ */
+function javaIncrement(val) {
+    var lastSum = 0;
+    for (var i = val.length - 1; i >= 0 && lastSum === 0; i--) {
+        lastSum = val[i] = (val[i] + 1) | 0;
+    }
+    if (lastSum === 0) {
+        val = newMagnitude(val.length + 1);
+        val[0] = 1;
     }
+    return val;
+}
 
-    /**
-     * @returns {number[]} The internal magnitude array.
-     */
-    get mag() { return this.#mag; }
+/**
+ * Calculates the bit length of a magnitude array.
+ * @param {Uint32Array} val  The magnitude array.
+ * @param {number} len  The number of ints in the array to consider.
+ * @returns {number} The number of bits needed to represent the magnitude.
+ */
+function bitLengthForMag(val, len) {
+    if (len === 0) return 0;
+    return ((len - 1) << 5) + bitLengthForInt(val[0]);
+}
 
-    static get ZERO() { return _ZERO; };
-    static get ONE() { return _ONE; };
-    static get TWO() { return _TWO; };
-    static get NEGATIVE_ONE() { return _NEGATIVE_ONE; };
-    static get TEN() { return _TEN; };
+/**
+ * Subtracts two numbers of same length, in place, returning borrow.
+ * @param {Uint32Array} a  The array to subtract from.
+ * @param {Uint32Array} b  The array to subtract.
+ * @param {number} len  The number of ints to subtract.
+ * @returns {number} -1 if there is a borrow out of the subtraction, 0 otherwise.
+ */
+function subN(a, b, len) {
+    var borrow = 0;
+    while (--len >= 0) {
+        const difference = a[len] - b[len] - borrow;
+        a[len] = difference;
+        borrow = difference < 0 ? 1 : 0;
+    }
+    return -borrow;
+}
 
-    static fromSlice(signum, magnitude, offset, len) {
-        return new BigInteger(signum, magnitude.slice(offset, offset + len));
+/**
+ * Compares the first len ints of two arrays as unsigned numbers.
+ * @param {Uint32Array} arg1  The first array to compare.
+ * @param {Uint32Array} arg2  The second array to compare.
+ * @param {number} len  The number of ints to compare.
+ * @returns {number} -1, 0 or 1 as arg1 is less than, equal to, or greater than arg2.
+ */
+function intArrayCmpToLen(arg1, arg2, len) {
+    for (var i = 0; i < len; i++) {
+        const b1 = arg1[i];
+        const b2 = arg2[i];
+        if (b1 < b2) return -1;
+        if (b1 > b2) return 1;
     }
+    return 0;
+}
 
-    static fromString(value, radix = 10) {
-        var cursor = 0, numDigits;
-        const len = value.length;
+/**
+ * Montgomery reduce n, modulo mod. This reduces modulo mod and divides by 2^(32*mlen).
+ * Adapted from Colin Plumb's C library.
+ * @param {Uint32Array} n  The 2 * mlen int number to reduce. This is modified in place.
+ * @param {Uint32Array} mod  The modulus, which is mlen ints long.
+ * @param {number} mlen  The length of the modulus.
+ * @param {number} inv  The negative of the inverse of the low word of mod, modulo 2^32.
+ * @returns {Uint32Array} The array n, with the reduced value in its first mlen ints.
+ */
+function montReduce(n, mod, mlen, inv) {
+    var c = 0;
+    var len = mlen;
+    var offset = 0;
 
-        if (radix < MIN_RADIX || radix > MAX_RADIX) throw new RangeError("Radix out of range");
-        if (len == 0) throw new NumberFormatException("Zero length BigInteger");
+    do {
+        const nEnd = n[n.length - 1 - offset];
+        const carry = mulAdd(n, mod, offset, mlen, Math.imul(inv, nEnd));
+        c += addOne(n, offset, mlen, carry);
+        offset++;
+    } while (--len > 0);
 
-        // Check for at most one leading sign
-        var sign = 1;
-        var index1 = value.lastIndexOf('-');
-        var index2 = value.lastIndexOf('+');
-        if (index1 >= 0) {
-            if (index1 != 0 || index2 >= 0) {
-                throw new NumberFormatException("Illegal embedded sign character");
-            }
-            sign = -1;
-            cursor = 1;
-        } else if (index2 >= 0) {
-            if (index2 != 0) {
-                throw new NumberFormatException("Illegal embedded sign character");
-            }
-            cursor = 1;
-        }
-        if (cursor === len) throw new NumberFormatException("Zero length BigInteger");
+    while (c > 0) c += subN(n, mod, mlen);
 
-        // Skip leading zeros and compute number of digits in magnitude
-        while (cursor < len && Number.parseInt(value.charAt(cursor), radix) === 0) {
-            cursor++;
-        }
+    while (intArrayCmpToLen(n, mod, mlen) >= 0) subN(n, mod, mlen);
 
-        if (cursor === len) {
-            return new BigInteger(0, ZERO.mag);
-        }
+    return n;
+}
 
-        numDigits = len - cursor;
-        var signum = sign;
+/**
+ * Montgomery multiplication of the first len ints of a and b, modulo n.
+ * Very long arguments are multiplied with the subquadratic algorithms of BigInteger.
+ * @param {Uint32Array} a  The first number, in Montgomery form.
+ * @param {Uint32Array} b  The second number, in Montgomery form.
+ * @param {Uint32Array} n  The modulus, which is len ints long.
+ * @param {number} len  The length of the modulus.
+ * @param {number} inv  The negative of the inverse of the low word of n, modulo 2^32.
+ * @returns {Uint32Array} A 2 * len array with the product in Montgomery form in its first len ints.
+ */
+function montgomeryMultiply(a, b, n, len, inv) {
+    var product;
+    if (len > MONTGOMERY_INTRINSIC_THRESHOLD) {
+        const mag = magnitudeOf(new BigInteger(1, a.slice(0, len)).multiply(new BigInteger(1, b.slice(0, len))));
+        product = new Uint32Array(2 * len);
+        product.set(mag, 2 * len - mag.length);
+    } else {
+        product = multiplyToLen(a, len, b, len, null);
+    }
+    return montReduce(product, n, len, inv);
+}
 
-        // Pre-allocate array of expected size. May be too large but can
-        // never be too small. Typically exact.
-        var numBits = ((numDigits * bitsPerDigit[radix]) >>> 10) + 1;
-        if (numBits + 31 >= 0x100000000) {
-            reportOverflow();
-        }
-        var numWords = (numBits + 31) >>> 5;
-        var magnitude = new Array(numWords);
+/**
+ * Montgomery squaring of the first len ints of a, modulo n.
+ * Very long arguments are squared with the subquadratic algorithms of BigInteger.
+ * @param {Uint32Array} a  The number to square, in Montgomery form.
+ * @param {Uint32Array} n  The modulus, which is len ints long.
+ * @param {number} len  The length of the modulus.
+ * @param {number} inv  The negative of the inverse of the low word of n, modulo 2^32.
+ * @returns {Uint32Array} A 2 * len array with the square in Montgomery form in its first len ints.
+ */
+function montgomerySquare(a, n, len, inv) {
+    var product;
+    if (len > MONTGOMERY_INTRINSIC_THRESHOLD) {
+        const mag = magnitudeOf(new BigInteger(1, a.slice(0, len)).square());
+        product = new Uint32Array(2 * len);
+        product.set(mag, 2 * len - mag.length);
+    } else {
+        product = squareToLen(a, len);
+    }
+    return montReduce(product, n, len, inv);
+}
 
-        // Process first (potentially short) digit group
-        var firstGroupLen = numDigits % digitsPerInt[radix];
-        if (firstGroupLen == 0) firstGroupLen = digitsPerInt[radix];
-        var group = value.substring(cursor, cursor += firstGroupLen);
-        magnitude[numWords - 1] = Number.parseInt(group, radix);
-        if (magnitude[numWords - 1] < 0) throw new NumberFormatException('Illegal digit');
+/**
+ * Returns the length of the bits required to represent the integer n in binary.
+ * @param {number} n A 32-bit integer.
+ * @returns The shortest number of bits required to represent the integer n in binary.
+ */
+function bitLengthForInt(n) {
+    return 32 - numberOfLeadingZeros(n);
+}
 
-        // Process remaining digit groups
-        var superRadix = intRadix[radix];
-        var groupVal = 0;
-        while (cursor < len) {
-            group = value.substring(cursor, cursor += digitsPerInt[radix]);
-            groupVal = Number.parseInt(group, radix);
-            if (groupVal < 0) throw new NumberFormatException('Illegal digit');
-            destructiveMulAdd(magnitude, superRadix, groupVal);
-        }
-        // Required for cases where the array was overallocated.
-        mag = stripLeadingZeroInts(magnitude, true);
-        if (mag.length >= MAX_MAG_LENGTH) {
-            checkRange();
-        }
+/**
+ * Multiplies a magnitude array by a single int.
+ * @param {Uint32Array} x  The magnitude array to multiply.
+ * @param {number} y  The 32-bit int to multiply by. This is treated as unsigned.
+ * @param {number} sign  The signum of the result.
+ * @returns {BigInteger} A new BigInteger with the given sign and the magnitude of x * y.
+ */
+function multiplyByInt(x, y, sign) {
+    if (bitCount(y) === 1) {
+        return new BigInteger(sign, shiftLeftMagnitude(x, numberOfTrailingZeros(y)));
     }
+    const yl = y & 0xFFFF;
+    const yh = y >>> 16;
+    const rmag = newMagnitude(x.length + 1);
+    var carry = 0;
+    for (var i = x.length - 1; i >= 0; i--) {
+        const lo = yl * x[i] + carry;
+        const hi = yh * x[i] + Math.floor(lo / 0x10000);
+        rmag[i + 1] = (hi << 16) | (lo & 0xFFFF);
+        carry = Math.floor(hi / 0x10000);
+    }
+    rmag[0] = carry;
+    return new BigInteger(sign, carry === 0 ? rmag.subarray(1) : rmag);
+}
 
-    /**
-     * Creates a randomly generated BigInteger.
+/**
+ * Returns the value radix^(2^exponent) from the cache.
+ * If this value doesn't already exist int he cache, it is added.
+ * @param {number} radix The base of the power.
+ * @param {number} exponent The exponent of the power.
+ * @returns radix^(2^exponent)
+ */
+function getRadixConversionCache(radix, exponent) {
+    var cacheLine = powerCache[radix];
+    if (exponent < cacheLine.length) return cacheLine[exponent];
+
+    // Extend a copy of the line, so that a line in the cache is never seen partially filled
+    const oldLength = cacheLine.length;
+    cacheLine = cacheLine.slice();
+    for (var i = oldLength; i <= exponent; i++) {
+        cacheLine[i] = cacheLine[i - 1].square();
+    }
+
+    if (exponent >= powerCache[radix].length) {
+        powerCache[radix] = cacheLine;
+    }
+    return cacheLine[exponent];
+}
+
+/**
+ * Returns a string of zeros to pad a digit string out to a required length.
+ * @param {number} numZeros  The number of zeros needed. Values less than 1 result in an empty string.
+ * @returns {string} A string of numZeros zeros.
+ */
+function padWithZeros(numZeros) {
+    return numZeros > 0 ? '0'.repeat(numZeros) : '';
+}
+
+/**
+ * Converts a non-negative BigInteger to a string in the given radix, one int-sized digit group at a time.
+ * This is used for numbers below the threshold for recursive conversion.
+ * @param {BigInteger} u  The non-negative number to convert.
+ * @param {number} radix  The radix of the string representation.
+ * @param {number} digits  The minimum number of digits to return, padding with leading zeros if needed.
+ * @returns {string} The digits of u in the given radix.
+ */
+function smallToString(u, radix, digits) {
+    const mag = magnitudeOf(u);
+    if (mag.length === 0) return padWithZeros(digits);
+
+    // Translate number to string, a digit group at a time
+    const groupDigits = digitsPerInt[radix];
+    const digitGroups = [];
+    var q = new MutableBigInteger(mag.slice());
+    var q2 = new MutableBigInteger();
+    while (!q.isZero()) {
+        digitGroups.push(q.divideOneWord(intRadix[radix], q2));
+        const t = q;
+        q = q2;
+        q2 = t;
+    }
+
+    // Get string version of first digit group, padded with internal zeros if necessary.
+    const numGroups = digitGroups.length;
+    var s = digitGroups[numGroups - 1].toString(radix);
+    var result = padWithZeros(digits - (s.length + (numGroups - 1) * groupDigits)) + s;
+
+    // Append remaining digit groups each padded with leading zeros
+    for (var i = numGroups - 2; i >= 0; i--) {
+        s = digitGroups[i].toString(radix);
+        result += padWithZeros(groupDigits - s.length) + s;
+    }
+    return result;
+}
+
+/**
+ * Converts a non-negative BigInteger to a string in the given radix. Large numbers are converted using
+ * Schoenhage's recursive base conversion, dividing by a cached power radix^(2^n) and converting each part.
+ * See Knuth, Donald, The Art of Computer Programming, Vol. 2, Answers to Exercises (4.4) Question 14.
+ * @param {BigInteger} u  The non-negative number to convert.
+ * @param {number} radix  The radix of the string representation.
+ * @param {number} digits  The minimum number of digits to return, padding with leading zeros if needed.
+ * @returns {string} The digits of u in the given radix.
+ */
+function toString(u, radix, digits) {
+    // If we're smaller than a certain threshold, use the smallToString method, padding with
+    // leading zeroes when necessary unless we're at the beginning of the string or digits <= 0.
+    if (magnitudeOf(u).length <= SCHOENHAGE_BASE_CONVERSION_THRESHOLD) {
+        return smallToString(u, radix, digits);
+    }
+
+    // Calculate a value for n in the equation radix^(2^n) = u and subtract 1 from that value.
+    // This is used to find the cache index that contains the best value to divide u.
+    const b = u.bitLength();
+    const n = Math.round(Math.log(b * LOG_TWO / logCache[radix]) / LOG_TWO - 1);
+    const v = getRadixConversionCache(radix, n);
+    const [quotient, rem] = u.divideAndRemainder(v);
+    const expectedDigits = 1 << n;
+
+    // Now recursively build the two halves of each number
+    return toString(quotient, radix, digits - expectedDigits) +
+           toString(rem, radix, expectedDigits);
+}
+
+/**
+ * The integer syntax of the Clojure reader. The groups are: sign, a lone zero, decimal digits,
+ * hexadecimal digits, octal digits, radix and radix digits. A zero followed by non-octal digits
+ * matches without any of these groups, and is invalid. The N suffix is ignored, since the result
+ * is always a BigInteger. Radix digits take a trailing N greedily, as in the Clojure reader.
+ */
+const INTEGER_LITERAL =
+    /^([-+]?)(?:(0)|([1-9][0-9]*)|0[xX]([0-9A-Fa-f]+)|0([0-7]+)|([1-9][0-9]?)[rR]([0-9A-Za-z]+)|0[0-9]+)N?$/;
+
+/**
+ * Throws a NumberFormatException if any character from the cursor onwards is not a digit in the radix.
+ * The message quotes the digit group that holds the bad character, in the same way that Java reports
+ * the failure of Integer.parseInt on that group. Groups are digitsPerInt digits long, with the first
+ * group taking up any digits left over.
+ * @param {string} value  The string being parsed.
+ * @param {number} cursor  The position of the first digit, after any sign and leading zeros.
+ * @param {number} radix  The radix of the digits.
+ * @throws {NumberFormatException} if a character is not a digit in the radix.
+ */
+function checkDigits(value, cursor, radix) {
+    const len = value.length;
+    for (var i = cursor; i < len; i++) {
+        if (digit(value.charCodeAt(i), radix) < 0) {
+            const groupLen = digitsPerInt[radix];
+            const firstGroupLen = (len - cursor) % groupLen || groupLen;
+            var groupStart = cursor;
+            var groupEnd = cursor + firstGroupLen;
+            if (i >= groupEnd) {
+                groupStart = i - (i - groupEnd) % groupLen;
+                groupEnd = groupStart + groupLen;
+            }
+            throw new NumberFormatException(`For input string: "${value.substring(groupStart, groupEnd)}"` +
+                                            (radix === 10 ? '' : ` under radix ${radix}`));
+        }
+    }
+}
+
+/**
+ * Returns the value of a group of digits that is known to fit in an int.
+ * @param {string} value  The string being parsed.
+ * @param {number} start  The position of the first digit in the group.
+ * @param {number} end  The position after the last digit in the group.
+ * @param {number} radix  The radix of the digits.
+ * @returns {number} The value of the digits.
+ */
+function parseGroup(value, start, end, radix) {
+    var result = 0;
+    for (var i = start; i < end; i++) {
+        result = result * radix + digit(value.charCodeAt(i), radix);
+    }
+    return result;
+}
+
+/**
+ * Parses a range of digits into a magnitude, one int-sized digit group at a time.
+ * This takes time that is quadratic in the number of digits.
+ * @param {string} value  The string being parsed. The digits in the range must already be checked.
+ * @param {number} start  The position of the first digit.
+ * @param {number} end  The position after the last digit.
+ * @param {number} radix  The radix of the digits.
+ * @returns {Uint32Array} The magnitude array. This may have leading zeros.
+ */
+function parseDigits(value, start, end, radix) {
+    const numDigits = end - start;
+
+    // Pre-allocate array of expected size. May be too large but can
+    // never be too small. Typically exact.
+    const numBits = Math.floor(numDigits * bitsPerDigit[radix] / 1024) + 1;
+    const numWords = (numBits + 31) >>> 5;
+    const magnitude = new Uint32Array(numWords);
+
+    // Process first (potentially short) digit group
+    var cursor = start;
+    const firstGroupLen = numDigits % digitsPerInt[radix] || digitsPerInt[radix];
+    magnitude[numWords - 1] = parseGroup(value, cursor, cursor += firstGroupLen, radix);
+
+    // Process remaining digit groups
+    const superRadix = intRadix[radix];
+    while (cursor < end) {
+        const groupVal = parseGroup(value, cursor, cursor += digitsPerInt[radix], radix);
+        destructiveMulAdd(magnitude, superRadix, groupVal);
+    }
+    return magnitude;
+}
+
+/**
+ * Parses a range of digits by splitting off the lowest 2^n digits, where 2^n is the largest power
+ * of two less than the number of digits. The two parts are parsed recursively and recombined with
+ * the cached power radix^(2^n), so the parse is only as slow as the multiplication.
+ * @param {string} value  The string being parsed. The digits in the range must already be checked.
+ * @param {number} start  The position of the first digit.
+ * @param {number} end  The position after the last digit.
+ * @param {number} radix  The radix of the digits.
+ * @returns {BigInteger} The non-negative value of the digits.
+ */
+function parseDigitsRecursive(value, start, end, radix) {
+    const numDigits = end - start;
+    if (numDigits <= digitsPerInt[radix] * RECURSIVE_PARSE_THRESHOLD) {
+        return new BigInteger(1, parseDigits(value, start, end, radix));
+    }
+    const n = 31 - numberOfLeadingZeros(numDigits - 1);
+    const split = end - (1 << n);
+    const high = parseDigitsRecursive(value, start, split, radix);
+    const low = parseDigitsRecursive(value, split, end, radix);
+    return high.multiply(getRadixConversionCache(radix, n)).add(low);
+}
+
+/**
+ * Takes an array a representing a negative 2's-complement number and returns the minimal
+ * (no leading zero ints) unsigned whose value is -a.
+ * @param {Int32Array} a  A big-endian array of 32-bit ints holding a negative 2's-complement number.
+ * @returns {Uint32Array} The magnitude of the number.
+ */
+function makePositive(a) {
+    var keep, j;
+
+    // Find first non-sign (0xffffffff) int of input
+    for (keep = 0; keep < a.length && a[keep] === -1; keep++) ;
+
+    // Allocate output array. If all non-sign ints are 0x00, we must
+    // allocate space for one extra output int.
+    for (j = keep; j < a.length && a[j] === 0; j++) ;
+    const extraInt = j === a.length ? 1 : 0;
+    const result = new Uint32Array(a.length - keep + extraInt);
+
+    // Copy one's complement of input into output, leaving extra
+    // int (if it exists) == 0x00
+    for (var i = keep; i < a.length; i++) result[i - keep + extraInt] = ~a[i];
+
+    // Add one to one's complement to generate two's complement
+    for (var i = result.length - 1; (result[i] = (result[i] + 1) | 0) === 0; i--) ;
+
+    return result;
+}
+
+/**
+ * Takes a sub-array of bytes representing a negative 2's-complement number and returns the minimal
+ * (no leading zero ints) unsigned whose value is -a.
+ * @param {Uint8Array|Array<number>} a  A big-endian array of bytes holding a negative 2's-complement number.
+ * @param {number} off  The offset of the first byte to use.
+ * @param {number} len  The number of bytes to use.
+ * @returns {Uint32Array} The magnitude of the number.
+ */
+function makePositiveBytes(a, off, len) {
+    var keep, k;
+    const indexBound = off + len;
+
+    // Find first non-sign (0xff) byte of input
+    for (keep = off; keep < indexBound && (a[keep] & 0xff) === 0xff; keep++) ;
+
+    // Allocate output array. If all non-sign bytes are 0x00, we must
+    // allocate space for one extra output byte.
+    for (k = keep; k < indexBound && (a[k] & 0xff) === 0; k++) ;
+
+    const extraByte = k === indexBound ? 1 : 0;
+    const intLength = ((indexBound - keep + extraByte) + 3) >>> 2;
+    const result = new Uint32Array(intLength);
+
+    // Copy one's complement of input into output, leaving extra
+    // byte (if it exists) == 0x00
+    var b = indexBound - 1;
+    for (var i = intLength - 1; i >= 0; i--) {
+        result[i] = a[b--] & 0xff;
+        var numBytesToTransfer = Math.min(3, b - keep + 1);
+        if (numBytesToTransfer < 0) numBytesToTransfer = 0;
+        for (var j = 8; j <= 8 * numBytesToTransfer; j += 8) {
+            result[i] |= ((a[b--] & 0xff) << j);
+        }
+
+        // Mask indicates which bits must be complemented
+        const mask = -1 >>> (8 * (3 - numBytesToTransfer));
+        result[i] = ~result[i] & mask;
+    }
+
+    // Add one to one's complement to generate two's complement
+    for (var i = result.length - 1; (result[i] = (result[i] + 1) | 0) === 0 && i > 0; i--) ;
+
+    return result;
+}
+
+/**
+ * Returns a BigInteger with the value of a big-endian 2's-complement int array.
+ * @param {Int32Array} val  A big-endian array of 32-bit ints holding a 2's-complement number.
+ * @returns {BigInteger} The value of the array.
+ * @throws {NumberFormatException} if val is zero ints long.
+ */
+function valueOfTwosComplement(val) {
+    if (val.length === 0) throw new NumberFormatException("Zero length BigInteger");
+    if (val[0] < 0) return new BigInteger(-1, makePositive(val));
+    return new BigInteger(1, new Uint32Array(val.buffer, val.byteOffset, val.length));
+}
+
+/**
+ * Converts an argument that may be a BigInteger or an integer into a BigInteger.
+ * @param {Object} val  The BigInteger or integer to convert.
+ * @returns {BigInteger} val as a BigInteger.
+ * @throws {TypeError} if val is not a BigInteger or a number.
+ */
+function toBigInteger(val) {
+    if (val instanceof BigInteger) return val;
+    if (typeof val === 'number') return BigInteger.valueOf(val);
+    throw new TypeError('Invalid argument type');
+}
+
+class BigInteger {
+    #signum;
+    #mag;
+    #bitCountPlusOne;
+    #bitLengthPlusOne;
+    #lowestSetBitPlusTwo;
+    #firstNonzeroIntNumPlusTwo;
+  
+    // static initialization of constant values.
+    // These values are all vars, but are invisible outside this file, except through static getters.
+    static {
+        for (var i = 1; i <= MAX_CONSTANT; i++) {
+            posConst[i] = new BigInteger(1, [i]);
+            negConst[i] = new BigInteger(-1, [i]);
+        }
+        _ZERO = new BigInteger(0, []);
+        _ONE = BigInteger.valueOf(1);
+        _TWO = BigInteger.valueOf(2);
+        _NEGATIVE_ONE = BigInteger.valueOf(-1);
+        _TEN = BigInteger.valueOf(10);
+        _SMALL_PRIME_PRODUCT = new BigInteger(1, [0x8a5b, 0x6470af95])
+        for (var i = MIN_RADIX; i <= MAX_RADIX; i++) {
+            powerCache[i] = [new BigInteger(1, [i])];
+            logCache[i] = Math.log(i);
+        }
+        magnitudeOf = (val) => val.#mag;
+    }
+
+    /**
+     * The magnitude is held in a Uint32Array, most significant int first. An array of Java ints is
+     * copied into a new Uint32Array. A Uint32Array is taken to be unsigned, and is used directly
+     * rather than copied, so it must not be modified afterwards.
+     * @param {number} signum  Contains a number representing the sign of the integer. May only be one of: [-1, 0 1]
+     * @param {Uint32Array|Int32Array|Array<number>} magnitude  An array of 32-bit integers containing the full
+     *        value of the BigInteger.
      */
-    static randomValue(numBits) {
-        var magnitude = randomBits(numBits);
-        magnitude = stripLeadingZeroBytes(magnitude, 0, magnitude.length);
-        var signum = 1;
-        if (magnitude.length === 0) signum = 0;
-        if (magnitude.length >= MAX_MAG_LENGTH) checkRange();
-        return new BigInteger(signum, magnitude);
+    constructor(signum, magnitude) {
+        if (signum < -1 || signum > 1) {
+            throw new NumberFormatException('Invalid signum value');
+        }
+        if (!(magnitude instanceof Uint32Array)) {
+            magnitude.forEach((item) => {
+                if (item > MAX_INT || item < MIN_INT) {
+                    throw new NumberFormatException('Magnitude array must be 32 bit integer values');
+                }
+            });
+            magnitude = Uint32Array.from(magnitude);
+        }
+
+        // A magnitude of zero is always given a signum of 0, as in Java.
+        this.#mag = stripLeadingZeroInts(magnitude, true);
+        if (this.#mag.length == 0) {
+            this.#signum = 0;
+        } else {
+            if (signum === 0) throw new NumberFormatException('signum-magnitude mismatch');
+            this.#signum = signum;
+        }
+        checkRange(this.#mag);
+        this.#bitCountPlusOne = 0;
+        this.#bitLengthPlusOne = 0;
+        this.#lowestSetBitPlusTwo = 0;
+        this.#firstNonzeroIntNumPlusTwo = 0;
+    }
+
+    /**
+     * Returns the magnitude as Java would hold it: an array of signed 32-bit ints, most significant
+     * int first. This is a view of the internal array rather than a copy, so it must not be modified.
+     * @returns {Int32Array} The magnitude array.
+     */
+    get mag() { return new Int32Array(this.#mag.buffer, this.#mag.byteOffset, this.#mag.length); }
+
+    static get ZERO() { return _ZERO; };
+    static get ONE() { return _ONE; };
+    static get TWO() { return _TWO; };
+    static get NEGATIVE_ONE() { return _NEGATIVE_ONE; };
+    static get TEN() { return _TEN; };
+
+    /**
+     * Returns the limits on the size of BigIntegers that are currently in force.
+     * @returns {{maxBitLength: number, maxDigits: number}} The current limits.
+     */
+    static get limits() { return limits; }
+
+    /**
+     * Sets the limits on the size of BigIntegers, to protect against oversized input. Every BigInteger
+     * that is created or returned by an operation must have a bit length no greater than maxBitLength,
+     * or an ArithmeticException is thrown. The intermediate values of an operation, such as the
+     * products that modPow reduces, are not limited. Operations that can tell that their result will
+     * be too large, such as shiftLeft, pow and multiply, throw before allocating space for it. Strings
+     * of more than maxDigits digits, including any leading zeros, are rejected with a
+     * NumberFormatException before they are parsed. The defaults are Java's maximum bit length of
+     * 2^31 - 1, and no limit on digits.
+     * @param {Object} newLimits  The limits to set. A limit that is not given keeps its current value.
+     * @param {number} newLimits.maxBitLength  The maximum bit length, up to 2^31 - 1.
+     * @param {number} newLimits.maxDigits  The maximum number of digits to parse, or Infinity.
+     * @returns {{maxBitLength: number, maxDigits: number}} The previous limits, which may be passed
+     *          back to this method to restore them.
+     * @throws {RangeError} if a limit is not a positive integer in range.
+     */
+    static setLimits({ maxBitLength = limits.maxBitLength, maxDigits = limits.maxDigits } = {}) {
+        checkLimit(maxBitLength, 'maxBitLength', DEFAULT_MAX_BIT_LENGTH);
+        checkLimit(maxDigits, 'maxDigits', Infinity);
+        const previous = limits;
+        limits = Object.freeze({ maxBitLength, maxDigits });
+        return previous;
+    }
+
+    /**
+     * Calls a function with different limits on the size of BigIntegers, restoring the previous
+     * limits when it returns or throws. The limits apply only while the function runs: they do not
+     * follow any asynchronous work that the function starts.
+     * @param {Object} newLimits  The limits to use, as for setLimits.
+     * @param {Function} fn  The function to call, with no arguments.
+     * @returns {*} The value returned by fn.
+     * @throws {RangeError} if a limit is not a positive integer in range.
+     */
+    static withLimits(newLimits, fn) {
+        const previous = BigInteger.setLimits(newLimits);
+        try {
+            return fn();
+        } finally {
+            limits = previous;
+        }
+    }
+
+    static fromSlice(signum, magnitude, offset, len) {
+        return new BigInteger(signum, magnitude.slice(offset, offset + len));
+    }
+
+    /**
+     * Translates a byte sub-array containing the two's-complement binary representation of a
+     * BigInteger into a BigInteger. The sub-array is specified via an offset into the array and a
+     * length, and is assumed to be in big-endian byte-order: the most significant byte is the element
+     * at index off. This is the inverse of toByteArray.
+     * @param {Uint8Array|Array<number>} val  The byte array. Elements of an Array may be signed, as Java
+     *        bytes are (-128 to 127), or unsigned (0 to 255).
+     * @param {number} off  The start offset of the binary representation. Defaults to 0.
+     * @param {number} len  The number of bytes to use. Defaults to the rest of the array.
+     * @returns {BigInteger} The value of the bytes.
+     * @throws {NumberFormatException} if len is zero.
+     * @throws {RangeError} if the sub-array is out of the bounds of val.
+     */
+    static fromByteArray(val, off = 0, len = val.length - off) {
+        checkFromIndexSize(off, len, val.length);
+        if (len === 0) throw new NumberFormatException("Zero length BigInteger");
+
+        if ((val[off] & 0x80) !== 0) return new BigInteger(-1, makePositiveBytes(val, off, len));
+        return new BigInteger(1, stripLeadingZeroBytes(val, off, len));
+    }
+
+    /**
+     * Translates the sign-magnitude representation of a BigInteger into a BigInteger. The sign is
+     * represented as an integer signum value: -1 for negative, 0 for zero, or 1 for positive. The
+     * magnitude is a sub-array of a byte array in big-endian byte-order. A zero-length magnitude is
+     * permitted, and will result in a BigInteger value of 0, whether signum is -1, 0 or 1.
+     * @param {number} signum  The signum of the number (-1 for negative, 0 for zero, 1 for positive).
+     * @param {Uint8Array|Array<number>} magnitude  The big-endian binary representation of the magnitude.
+     * @param {number} off  The start offset of the binary representation. Defaults to 0.
+     * @param {number} len  The number of bytes to use. Defaults to the rest of the array.
+     * @returns {BigInteger} The value of the signum and magnitude.
+     * @throws {NumberFormatException} if signum is not one of the three legal values, or signum is 0
+     *         and magnitude contains one or more non-zero bytes.
+     * @throws {RangeError} if the sub-array is out of the bounds of magnitude.
+     */
+    static fromMagnitudeBytes(signum, magnitude, off = 0, len = magnitude.length - off) {
+        if (signum < -1 || signum > 1) throw new NumberFormatException('Invalid signum value');
+        checkFromIndexSize(off, len, magnitude.length);
+        const mag = stripLeadingZeroBytes(magnitude, off, len);
+        return mag.length === 0 ? _ZERO : new BigInteger(signum, mag);
+    }
+
+    /**
+     * Translates the String representation of a BigInteger in the specified radix into a BigInteger.
+     * The String representation consists of an optional minus or plus sign followed by a sequence of
+     * one or more digits in the specified radix. The String may not contain any extraneous characters
+     * (whitespace, for example).
+     * Long strings are parsed by recursively splitting the digits at a power radix^(2^n) from the
+     * conversion cache, so that the time taken follows the cost of multiplication rather than being
+     * quadratic in the number of digits.
+     * @param {string} value  String representation of BigInteger.
+     * @param {number} radix  Radix to be used in interpreting value. Defaults to 10.
+     * @returns {BigInteger} The value represented by the string.
+     * @throws {NumberFormatException} if value is not a valid representation of a BigInteger in the
+     *         specified radix, or radix is outside the range from 2 to 36 inclusive.
+     */
+    static fromString(value, radix = 10) {
+        var cursor = 0;
+        const len = value.length;
+
+        if (radix < MIN_RADIX || radix > MAX_RADIX) throw new NumberFormatException("Radix out of range");
+        if (len == 0) throw new NumberFormatException("Zero length BigInteger");
+
+        // Check for at most one leading sign
+        var sign = 1;
+        var index1 = value.lastIndexOf('-');
+        var index2 = value.lastIndexOf('+');
+        if (index1 >= 0) {
+            if (index1 != 0 || index2 >= 0) {
+                throw new NumberFormatException("Illegal embedded sign character");
+            }
+            sign = -1;
+            cursor = 1;
+        } else if (index2 >= 0) {
+            if (index2 != 0) {
+                throw new NumberFormatException("Illegal embedded sign character");
+            }
+            cursor = 1;
+        }
+        if (cursor === len) throw new NumberFormatException("Zero length BigInteger");
+        if (len - cursor > limits.maxDigits) {
+            throw new NumberFormatException(`Input of ${len - cursor} digits exceeds the limit of ${limits.maxDigits} digits`);
+        }
+
+        // Skip leading zeros and compute number of digits in magnitude
+        while (cursor < len && digit(value.charCodeAt(cursor), radix) === 0) {
+            cursor++;
+        }
+
+        if (cursor === len) {
+            return _ZERO;
+        }
+
+        checkDigits(value, cursor, radix);
+        const numDigits = len - cursor;
+        // The leading digit is not zero, so the value is at least radix^(numDigits - 1). The margin
+        // of one bit allows for rounding in the logarithm.
+        checkBitLength((numDigits - 1) * Math.log2(radix));
+
+        if (numDigits > digitsPerInt[radix] * RECURSIVE_PARSE_THRESHOLD) {
+            const result = parseDigitsRecursive(value, cursor, len, radix);
+            return sign < 0 ? result.negate() : result;
+        }
+        return new BigInteger(sign, parseDigits(value, cursor, len, radix));
+    }
+
+    /**
+     * Reads an integer literal in the syntax of the Clojure reader. This is an optional sign followed
+     * by decimal digits, hexadecimal digits after 0x or 0X, octal digits after a leading 0, or a
+     * decimal radix from 2 to 36, then r or R, then the digits in that radix. The decimal, hexadecimal
+     * and octal forms may have an N suffix. As in Clojure, an N after radix digits is read as a digit.
+     * Only ASCII digits and letters are accepted.
+     * Examples: 123N, -0x1F, 017, 2r1011, 36rZZ.
+     * @param {string} value  The literal to read.
+     * @returns {BigInteger} The value of the literal.
+     * @throws {NumberFormatException} if value is not a valid integer literal.
+     */
+    static parseLiteral(value) {
+        const m = INTEGER_LITERAL.exec(value);
+        if (m === null) throw new NumberFormatException(`Invalid number: ${value}`);
+        if (m[2] !== undefined) return _ZERO;
+
+        var digits, radix;
+        if (m[3] !== undefined) {
+            [digits, radix] = [m[3], 10];
+        } else if (m[4] !== undefined) {
+            [digits, radix] = [m[4], 16];
+        } else if (m[5] !== undefined) {
+            [digits, radix] = [m[5], 8];
+        } else if (m[7] !== undefined) {
+            [digits, radix] = [m[7], Number(m[6])];
+            if (radix < MIN_RADIX || radix > MAX_RADIX) throw new NumberFormatException(`Radix out of range: ${value}`);
+        } else {
+            throw new NumberFormatException(`Invalid number: ${value}`);
+        }
+        const result = BigInteger.fromString(digits, radix);
+        return m[1] === '-' ? result.negate() : result;
+    }
+
+    /**
+     * Creates a randomly generated BigInteger, uniformly distributed over the range 0 to
+     * (2^numBits - 1), inclusive. Given the same sequence of values from rnd, the result is the same
+     * as Java's BigInteger(numBits, rnd).
+     * @param {number} numBits  The maximum bit length of the new BigInteger.
+     * @param {Object} rnd  The source of randomness, providing nextBytes(bytes), such as a Random.
+     *        Defaults to the platform's cryptographically strong generator.
+     * @returns {BigInteger} The new random BigInteger.
+     * @throws {RangeError} if numBits is negative.
+     */
+    static randomValue(numBits, rnd = defaultRandom) {
+        return BigInteger.#random(numBits, rnd);
+    }
+
+    /**
+     * Creates a random BigInteger, uniformly distributed over the range 0 (inclusive) to bound
+     * (exclusive). Values of the bit length of bound are drawn until one is less than bound, so on
+     * average fewer than two values are drawn.
+     * @param {BigInteger} bound  The upper bound. This must be positive.
+     * @param {Object} rnd  The source of randomness, providing nextBytes(bytes), such as a Random.
+     *        Defaults to the platform's cryptographically strong generator.
+     * @returns {BigInteger} The new random BigInteger.
+     * @throws {RangeError} if bound is not positive.
+     */
+    static randomBelow(bound, rnd = defaultRandom) {
+        bound = toBigInteger(bound);
+        if (bound.#signum <= 0) throw new RangeError('bound must be positive');
+        const numBits = bound.bitLength();
+        var result;
+        do {
+            result = BigInteger.#random(numBits, rnd);
+        } while (result.compareTo(bound) >= 0);
+        return result;
     }
 
+    /**
+     * Returns a BigInteger whose value is equal to that of the specified integer. Small values are
+     * shared constants.
+     * @param {number} n  The integer value, with a magnitude of no more than 2^53.
+     * @returns {BigInteger} A BigInteger with the specified value.
+     * @throws {RangeError} if n is not an integer, or its magnitude is greater than 2^53.
+     */
     static valueOf(n) {
-        if (n === 0) return ZERO;
+        if (!Number.isInteger(n) || Math.abs(n) > TWO_53) {
+            throw new RangeError(`Value ${n} is not an integer within 2^53`);
+        }
+        if (n === 0) return _ZERO;
         if (n > 0 && n <= MAX_CONSTANT) {
-            return posConst[val];
-        } else {
-            return negConst[-val];
+            return posConst[n];
+        } else if (n < 0 && n >= -MAX_CONSTANT) {
+            return negConst[-n];
         }
         var signum = 1;
         if (n < 0) {
             n = -n;
             signum = -1;
         }
-        return new BigInteger(signum, [n]);
+        return new BigInteger(signum, n <= INT_MASK ? Uint32Array.of(n) : Uint32Array.of(Math.floor(n / TWO_32), n >>> 0));
+    }
+
+    /**
+     * Returns a BigInteger whose value is equal to that of the specified native BigInt.
+     * @param {bigint} value  The BigInt value.
+     * @returns {BigInteger} A BigInteger with the specified value.
+     * @throws {TypeError} if value is not a BigInt.
+     */
+    static fromBigInt(value) {
+        if (typeof value !== 'bigint') throw new TypeError('Invalid argument type');
+        if (value === 0n) return _ZERO;
+
+        // Hexadecimal conversion is linear for native BigInts, and splits directly into ints
+        const hex = (value < 0n ? -value : value).toString(16);
+        const numInts = (hex.length + 7) >>> 3;
+        const mag = new Uint32Array(numInts);
+        for (var i = numInts - 1, end = hex.length; i >= 0; i--, end -= 8) {
+            mag[i] = parseInt(hex.substring(end - 8, end), 16);
+        }
+        return new BigInteger(value < 0n ? -1 : 1, mag);
     }
 
     /**
@@ -583,7 +1611,7 @@ class BigInteger {
             return new BigInteger(this.#signum, addMagnitudes(this.#mag, val.#mag));
         }
         var cmp = compareMagnitudes(this.#mag, val.#mag);
-        if (cmp === 0) return ZERO;
+        if (cmp === 0) return _ZERO;
         var resultMag = cmp > 0 ? subtractMagnitudes(this.#mag, val.#mag)
                                 : subtractMagnitudes(val.#mag, this.#mag);
         return new BigInteger(cmp * this.#signum, resultMag);
@@ -595,16 +1623,7 @@ class BigInteger {
      */
     #addInteger(val) {
         if (val === 0) return this;
-        if (this.#signum === 0) return BigInteger.valueOf(val);
-        if (this.#signum === val < 0 ? -1 : 1) {
-            return new BigInteger(this.#signum, addMagnitudes(this.#mag, [this.#signum * val]));
-        }
-        var cmp = compareMagnitudes(this.#mag, [val]);
-        if (cmp === 0) return _ZERO;
-        val = Math.abs(val)
-        var resultMag = cmp > 0 ? subtractMagnitudes(this.#mag, [val]) : subtractMagnitudes([val], this.#mag);
-        resultMag = stripLeadingZeroInts(resultMag, true);
-        return new BigInteger(cmp === this.#signum ? 1 : -1, resultMag);
+        return this.#addBigInteger(BigInteger.valueOf(val));
     }
 
     /**
@@ -619,7 +1638,7 @@ class BigInteger {
             return new BigInteger(this.#signum, addMagnitudes(this.#mag, val.#mag));
         }
         var cmp = compareMagnitudes(this.#mag, val.#mag);
-        if (cmp === 0) return ZERO;
+        if (cmp === 0) return _ZERO;
         var resultMag = cmp > 0 ? subtractMagnitudes(this.#mag, val.#mag)
                                 : subtractMagnitudes(val.#mag, this.#mag);
         return new BigInteger(cmp === this.#signum ? 1 : -1, resultMag);
@@ -631,10 +1650,7 @@ class BigInteger {
      */
     #subtractInteger(val) {
         if (val === 0) return this;
-        if (this.#signum === 0) return BigInteger.valueOf(val).negate();
-        var resultMag = subtractFromMagnitude(this.#mag, val);
-        if (resultMag.length >= MAX_MAG_LENGTH) checkRange();
-        return new BigInteger(this.#signum, resultMag);
+        return this.#subtractBigInteger(BigInteger.valueOf(val));
     }
 
     /**
@@ -666,24 +1682,622 @@ class BigInteger {
     }
     
     /**
-     * Returns a BigInteger whose value is -this.
-     * @returns {BigInteger} -this
+     * Private product operation between this and another BigInteger.
+     * @param {BigInteger} val The BigInteger to multiply this BigInteger by.
+     * @param {boolean} isRecursion Indicates a recursive call from Toom-Cook, where the overflow check has been done.
+     * @returns A new BigInteger whose value is the product of the two numbers.
      */
-    negate() {
-        if (this.#signum === 0) return this;
-        return new BigInteger(-this.#signum, this.#mag);
+    #multiplyBigInteger(val, isRecursion = false) {
+        if (val.#signum === 0 || this.#signum === 0) return _ZERO;
+
+        const xlen = this.#mag.length;
+        if (val === this && xlen > MULTIPLY_SQUARE_THRESHOLD) return this.#square(isRecursion);
+
+        const ylen = val.#mag.length;
+        // The product has at least one bit fewer than the sum of the bit lengths
+        if (!isRecursion) checkBitLength(bitLengthForMag(this.#mag, xlen) + bitLengthForMag(val.#mag, ylen) - 1);
+        if (xlen < KARATSUBA_THRESHOLD || ylen < KARATSUBA_THRESHOLD) {
+            const resultSign = this.#signum === val.#signum ? 1 : -1;
+            if (ylen === 1) return multiplyByInt(this.#mag, val.#mag[0], resultSign);
+            if (xlen === 1) return multiplyByInt(val.#mag, this.#mag[0], resultSign);
+            const result = multiplyToLen(this.#mag, xlen, val.#mag, ylen, null);
+            return new BigInteger(resultSign, stripLeadingZeroInts(result, true));
+        }
+        if (xlen < TOOM_COOK_THRESHOLD && ylen < TOOM_COOK_THRESHOLD) {
+            return BigInteger.#multiplyKaratsuba(this, val);
+        }
+        return BigInteger.#multiplyToomCook3(this, val);
     }
 
     /**
-     * Returns a BigInteger whose value is the absolute value of this.
-     * @returns {BigInteger} abs(this)
+     * Private product operation between this and an integer.
+     * @param {number} val The safe integer to multiply this BigInteger by.
      */
-    abs() {
-        return this.#signum < 0 ? this.negate() : this;
+    #multiplyInteger(val) {
+        if (!Number.isSafeInteger(val)) throw new RangeError(`Value ${val} is not a safe integer`);
+        if (val === 0 || this.#signum === 0) return _ZERO;
+        const resultSign = val > 0 ? this.#signum : -this.#signum;
+        val = Math.abs(val);
+        if (val <= INT_MASK) return multiplyByInt(this.#mag, val, resultSign);
+        const valMag = Uint32Array.of(Math.floor(val / TWO_32), val >>> 0);
+        const result = multiplyToLen(this.#mag, this.#mag.length, valMag, 2, null);
+        return new BigInteger(resultSign, stripLeadingZeroInts(result, true));
     }
 
     /**
-     * Returns the number of bits in the minimal two's-complement representation of this BigInteger,
+     * Multiplies two BigIntegers using the Karatsuba multiplication algorithm.
+     * This is a recursive divide-and-conquer algorithm which is more efficient for large numbers
+     * than what is commonly called the "grade-school" algorithm used in multiplyToLen.
+     * If the numbers to be multiplied have length n, the "grade-school" algorithm has an asymptotic
+     * complexity of O(n^2). In contrast, the Karatsuba algorithm has complexity of O(n^(log2(3))),
+     * or O(n^1.585). It achieves this increased performance by doing 3 multiplies instead of 4
+     * when evaluating the product. As it has some overhead, should be used when both numbers
+     * are larger than a certain threshold (found experimentally).
+     * See: http://en.wikipedia.org/wiki/Karatsuba_algorithm
+     * @param {BigInteger} x  The first BigInteger to multiply.
+     * @param {BigInteger} y  The second BigInteger to multiply.
+     * @returns {BigInteger} x * y
+     */
+    static #multiplyKaratsuba(x, y) {
+        const xlen = x.#mag.length;
+        const ylen = y.#mag.length;
+
+        // The number of ints in each half of the number.
+        const half = (Math.max(xlen, ylen) + 1) >>> 1;
+
+        // xl and yl are the lower halves of x and y respectively,
+        // xh and yh are the upper halves.
+        const xl = x.#getLower(half);
+        const xh = x.#getUpper(half);
+        const yl = y.#getLower(half);
+        const yh = y.#getUpper(half);
+
+        const p1 = xh.multiply(yh);  // p1 = xh*yh
+        const p2 = xl.multiply(yl);  // p2 = xl*yl
+
+        // p3=(xh+xl)*(yh+yl)
+        const p3 = xh.add(xl).multiply(yh.add(yl));
+
+        // result = p1 * 2^(32*2*half) + (p3 - p1 - p2) * 2^(32*half) + p2
+        const result = p1.shiftLeft(32 * half).add(p3.subtract(p1).subtract(p2)).shiftLeft(32 * half).add(p2);
+
+        return x.#signum !== y.#signum ? result.negate() : result;
+    }
+
+    /**
+     * Multiplies two BigIntegers using a 3-way Toom-Cook multiplication algorithm.
+     * This is a recursive divide-and-conquer algorithm which is more efficient for large numbers
+     * than what is commonly called the "grade-school" algorithm used in multiplyToLen.
+     * If the numbers to be multiplied have length n, the "grade-school" algorithm has an asymptotic
+     * complexity of O(n^2). In contrast, 3-way Toom-Cook has a complexity of about O(n^1.465).
+     * It achieves this increased asymptotic performance by breaking each number into three parts
+     * and by doing 5 multiplies instead of 9 when evaluating the product. Due to overhead
+     * (additions, shifts, and one division) in the Toom-Cook algorithm, it should only be used
+     * when both numbers are larger than a certain threshold (found experimentally). This threshold
+     * is generally larger than that for Karatsuba multiplication, so this algorithm is generally
+     * only used when numbers become significantly larger.
+     *
+     * The algorithm used is the "optimal" 3-way Toom-Cook algorithm outlined by Marco Bodrato.
+     * See: http://bodrato.it/toom-cook/
+     *      http://bodrato.it/papers/#WAIFI2007
+     * "Towards Optimal Toom-Cook Multiplication for Univariate and Multivariate Polynomials in
+     * Characteristic 2 and 0." by Marco BODRATO; In C.Carlet and B.Sunar, Eds., "WAIFI'07
+     * proceedings", p. 116-133, LNCS #4547. Springer, Madrid, Spain, June 21-22, 2007.
+     * @param {BigInteger} a  The first BigInteger to multiply.
+     * @param {BigInteger} b  The second BigInteger to multiply.
+     * @returns {BigInteger} a * b
+     */
+    static #multiplyToomCook3(a, b) {
+        const { k, operands } = BigInteger.#toomCook3Operands(a, b);
+        const products = operands.map(([x, y]) => x.#multiplyBigInteger(y, true));
+        const result = BigInteger.#toomCook3Interpolate(k, products);
+        return a.#signum !== b.#signum ? result.negate() : result;
+    }
+
+    /**
+     * Splits two BigIntegers into the pairs of operands for the five products of 3-way Toom-Cook
+     * multiplication. Each product is independent of the others, so they can be computed in any
+     * order, or in parallel. When a and b are the same object, both operands of each pair are the
+     * same object, so that the products are squares.
+     * @param {BigInteger} a  The first BigInteger to multiply.
+     * @param {BigInteger} b  The second BigInteger to multiply.
+     * @returns {{k: number, operands: Array<Array<BigInteger>>}} The size in ints of the lower-order slices,
+     *          and the pairs of operands for v0, vm1, v1, v2 and vinf, in that order.
+     */
+    static #toomCook3Operands(a, b) {
+        const alen = a.#mag.length;
+        const blen = b.#mag.length;
+
+        const largest = Math.max(alen, blen);
+
+        // k is the size (in ints) of the lower-order slices.
+        const k = Math.floor((largest + 2) / 3);   // Equal to ceil(largest/3)
+
+        // r is the size (in ints) of the highest-order slice.
+        const r = largest - 2 * k;
+
+        // Obtain slices of the numbers. a2 and b2 are the most significant
+        // bits of the numbers a and b, and a0 and b0 the least significant.
+        const slices = (x) => {
+            const x2 = x.#getToomSlice(k, r, 0, largest);
+            const x1 = x.#getToomSlice(k, r, 1, largest);
+            const x0 = x.#getToomSlice(k, r, 2, largest);
+            const dx1 = x2.add(x0);
+            const dx2 = dx1.add(x1);
+            return [x0, dx1.subtract(x1), dx2, dx2.add(x2).shiftLeft(1).subtract(x0), x2];
+        };
+        const as = slices(a);
+        const bs = a === b ? as : slices(b);
+        return { k, operands: as.map((x, i) => [x, bs[i]]) };
+    }
+
+    /**
+     * Combines the five products of 3-way Toom-Cook multiplication into the result.
+     * @param {number} k  The size in ints of the lower-order slices.
+     * @param {Array<BigInteger>} products  The products v0, vm1, v1, v2 and vinf, in that order.
+     * @returns {BigInteger} The product of the magnitudes of the numbers that were split.
+     */
+    static #toomCook3Interpolate(k, [v0, vm1, v1, v2, vinf]) {
+        var t1, t2, tm1;
+
+        // The algorithm requires two divisions by 2 and one by 3.
+        // All divisions are known to be exact, that is, they do not produce
+        // remainders, and all results are positive. The divisions by 2 are
+        // implemented as right shifts which are relatively efficient, leaving
+        // only an exact division by 3, which is done by a specialized
+        // linear-time algorithm.
+        t2 = v2.subtract(vm1).#exactDivideBy3();
+        tm1 = v1.subtract(vm1).shiftRight(1);
+        t1 = v1.subtract(v0);
+        t2 = t2.subtract(t1).shiftRight(1);
+        t1 = t1.subtract(tm1).subtract(vinf);
+        t2 = t2.subtract(vinf.shiftLeft(1));
+        tm1 = tm1.subtract(t2);
+
+        // Number of bits to shift left.
+        const ss = k * 32;
+
+        return vinf.shiftLeft(ss).add(t2).shiftLeft(ss).add(t1).shiftLeft(ss).add(tm1).shiftLeft(ss).add(v0);
+    }
+
+    /**
+     * Returns a slice of a BigInteger for use in Toom-Cook multiplication.
+     * @param {number} lowerSize  The size of the lower-order bit slices.
+     * @param {number} upperSize  The size of the higher-order bit slices.
+     * @param {number} slice  The index of which slice is requested, which must be a number from 0 to
+     *        size-1. Slice 0 is the highest-order bits, and slice size-1 are the lowest-order bits.
+     *        Slice 0 may be of different size than the other slices.
+     * @param {number} fullsize  The size of the larger integer array, used to align slices to the
+     *        appropriate position when multiplying different-sized numbers.
+     * @returns {BigInteger} A non-negative BigInteger holding the requested slice.
+     */
+    #getToomSlice(lowerSize, upperSize, slice, fullsize) {
+        var start, end;
+        const len = this.#mag.length;
+        const offset = fullsize - len;
+
+        if (slice === 0) {
+            start = 0 - offset;
+            end = upperSize - 1 - offset;
+        } else {
+            start = upperSize + (slice - 1) * lowerSize - offset;
+            end = start + lowerSize - 1;
+        }
+
+        if (start < 0) start = 0;
+        if (end < 0) return _ZERO;
+
+        const sliceSize = (end - start) + 1;
+        if (sliceSize <= 0) return _ZERO;
+
+        // While performing Toom-Cook, all slices are positive and
+        // the sign is adjusted when the final number is composed.
+        if (start === 0 && sliceSize >= len) return this.abs();
+
+        return new BigInteger(1, this.#mag.slice(start, start + sliceSize));
+    }
+
+    /**
+     * Does an exact division (that is, the remainder is known to be zero) of the specified number
+     * by 3. This is used in Toom-Cook multiplication. This is an efficient algorithm that runs in
+     * linear time. If the argument is not exactly divisible by 3, results are undefined. Note that
+     * this is expected to be called with positive arguments only.
+     * @returns {BigInteger} this / 3
+     */
+    #exactDivideBy3() {
+        const len = this.#mag.length;
+        const result = new Uint32Array(len);
+        var x, w, q, borrow = 0;
+        for (var i = len - 1; i >= 0; i--) {
+            x = this.#mag[i];
+            w = x - borrow;
+            // Did we make the number go negative?
+            borrow = borrow > x ? 1 : 0;
+
+            // 0xAAAAAAAB is the modular inverse of 3 (mod 2^32). Thus,
+            // the effect of this is to divide by 3 (mod 2^32).
+            // This is much faster than division on most architectures.
+            q = Math.imul(w, 0xAAAAAAAB) >>> 0;
+            result[i] = q;
+
+            // Now check the borrow. The second check can of course be
+            // eliminated if the first fails.
+            if (q >= 0x55555556) {
+                borrow++;
+                if (q >= 0xAAAAAAAB) borrow++;
+            }
+        }
+        return new BigInteger(this.#signum, result);
+    }
+
+    /**
+     * Returns a new BigInteger representing n lower ints of the number.
+     * This is used by Karatsuba multiplication and Karatsuba squaring.
+     * @param {number} n  The number of ints to take from the lower end of the magnitude.
+     * @returns {BigInteger} A non-negative BigInteger from the lower n ints.
+     */
+    #getLower(n) {
+        const len = this.#mag.length;
+        if (len <= n) return this.abs();
+        return new BigInteger(1, this.#mag.slice(len - n));
+    }
+
+    /**
+     * Returns a new BigInteger representing mag.length-n upper ints of the number.
+     * This is used by Karatsuba multiplication and Karatsuba squaring.
+     * @param {number} n  The number of lower ints to drop from the magnitude.
+     * @returns {BigInteger} A non-negative BigInteger from the remaining upper ints.
+     */
+    #getUpper(n) {
+        const len = this.#mag.length;
+        if (len <= n) return _ZERO;
+        return new BigInteger(1, this.#mag.slice(0, len - n));
+    }
+
+    /**
+     * Returns a BigInteger whose value is this * val.
+     * @param {Object} val  The BigInteger or integer to multiply this BigInteger by.
+     */
+    multiply(val) {
+        if (val instanceof BigInteger) {
+            return this.#multiplyBigInteger(val);
+        } else if (typeof val === 'number') {
+            return this.#multiplyInteger(val);
+        } else {
+            throw new TypeError('Invalid argument type');
+        }
+    }
+
+    /**
+     * Returns a BigInteger whose value is this * val, computing the products of large operands in
+     * parallel, as Java's parallelMultiply does. The independent sub-products of Toom-Cook
+     * multiplication are sent to a pool of workers: worker_threads in Node, or Web Workers in
+     * browsers. The result is identical to that of multiply. Operands too small for Toom-Cook are
+     * multiplied on this thread, as they are when workers are not available, which includes the
+     * Closure form of the library, and browsers running the CommonJS form.
+     * @param {Object} val  The BigInteger or integer to multiply this BigInteger by.
+     * @param {Object} options  The options for the multiplication.
+     * @param {number} options.workers  The largest number of workers to use. The default is the
+     *        number of processors, and 0 multiplies on this thread.
+     * @returns {Promise<BigInteger>} this * val
+     * @throws {RangeError} if workers is not a non-negative integer. As with the errors of multiply,
+     *         this rejects the Promise.
+     */
+    async parallelMultiply(val, { workers } = {}) {
+        if (workers !== undefined && !(Number.isSafeInteger(workers) && workers >= 0)) {
+            throw new RangeError(`Invalid number of workers: ${workers}`);
+        }
+        if (!(val instanceof BigInteger) || workers === 0 || !BigInteger.#usesToomCook(this, val)) {
+            return this.multiply(val);
+        }
+        // The product has at least one bit fewer than the sum of the bit lengths
+        checkBitLength(bitLengthForMag(this.#mag, this.#mag.length) + bitLengthForMag(val.#mag, val.#mag.length) - 1);
+        // The workers apply the limits in force when this was called
+        const taskLimits = limits;
+        multiplyPool ??= WorkerPool.open('multiplyworker');
+        const pool = await multiplyPool;
+        if (pool === null) return this.multiply(val);
+
+        const size = workers ?? pool.defaultSize;
+        // Split the operands until there is a product for every worker
+        var depth = 1;
+        for (var products = 5; products < size; products *= 5) depth++;
+        return BigInteger.#parallelProduct(this, val, pool, size, depth, taskLimits);
+    }
+
+    /**
+     * Tests if multiply uses 3-way Toom-Cook multiplication, or squaring, for two BigIntegers.
+     * @param {BigInteger} a  The first BigInteger to multiply.
+     * @param {BigInteger} b  The second BigInteger to multiply. When this is a, the product is a square.
+     * @returns {boolean} true if the product is computed with Toom-Cook.
+     */
+    static #usesToomCook(a, b) {
+        const alen = a.#mag.length;
+        const blen = b.#mag.length;
+        if (a === b) return alen >= TOOM_COOK_SQUARE_THRESHOLD;
+        return alen >= KARATSUBA_THRESHOLD && blen >= KARATSUBA_THRESHOLD &&
+               (alen >= TOOM_COOK_THRESHOLD || blen >= TOOM_COOK_THRESHOLD);
+    }
+
+    /**
+     * Multiplies two BigIntegers for parallelMultiply. Down to the given depth, operands large
+     * enough for Toom-Cook are split, and their products found recursively. Below that, each
+     * product is sent to a worker. If a worker fails, the product is computed on this thread.
+     * @param {BigInteger} a  The first BigInteger to multiply.
+     * @param {BigInteger} b  The second BigInteger to multiply. When this is a, the product is a square.
+     * @param {WorkerPool} pool  The pool of workers.
+     * @param {number} size  The largest number of workers to use.
+     * @param {number} depth  The number of levels of Toom-Cook to split the operands by.
+     * @param {{maxBitLength: number, maxDigits: number}} taskLimits  The limits for the workers to use.
+     * @returns {Promise<BigInteger>} a * b
+     */
+    static async #parallelProduct(a, b, pool, size, depth, taskLimits) {
+        if (a.#signum === 0 || b.#signum === 0) return _ZERO;
+        if (depth > 0 && BigInteger.#usesToomCook(a, b)) {
+            const { k, operands } = BigInteger.#toomCook3Operands(a, b);
+            const products = await Promise.all(operands.map(([x, y]) =>
+                BigInteger.#parallelProduct(x, y, pool, size, depth - 1, taskLimits)));
+            const result = BigInteger.#toomCook3Interpolate(k, products);
+            return a.#signum !== b.#signum ? result.negate() : result;
+        }
+        const task = {
+            x: { signum: a.#signum, mag: compactMagnitude(a.#mag) },
+            y: a === b ? null : { signum: b.#signum, mag: compactMagnitude(b.#mag) },
+            limits: taskLimits
+        };
+        try {
+            const { signum, mag } = await pool.run(task, size);
+            return new BigInteger(signum, mag);
+        } catch (e) {
+            return a.#multiplyBigInteger(b, true);
+        }
+    }
+
+    /**
+     * Returns a BigInteger whose value is this^2.
+     * @returns {BigInteger} this * this
+     */
+    square() {
+        return this.#square(false);
+    }
+
+    /**
+     * Private squaring operation, choosing the algorithm by the size of the magnitude.
+     * @param {boolean} isRecursion Indicates a recursive call from Toom-Cook, where the overflow check has been done.
+     * @returns {BigInteger} this * this
+     */
+    #square(isRecursion) {
+        if (this.#signum === 0) return _ZERO;
+        const len = this.#mag.length;
+        if (!isRecursion) checkBitLength(2 * bitLengthForMag(this.#mag, len) - 1);
+
+        if (len < KARATSUBA_SQUARE_THRESHOLD) {
+            return new BigInteger(1, stripLeadingZeroInts(squareToLen(this.#mag, len), true));
+        }
+        if (len < TOOM_COOK_SQUARE_THRESHOLD) return this.#squareKaratsuba();
+
+        return this.#squareToomCook3();
+    }
+
+    /**
+     * Squares a BigInteger using the Karatsuba squaring algorithm. It should be used when both
+     * numbers are larger than a certain threshold (found experimentally). It is a recursive
+     * divide-and-conquer algorithm that has better asymptotic performance than the algorithm
+     * used in squareToLen.
+     * @returns {BigInteger} this * this
+     */
+    #squareKaratsuba() {
+        const half = (this.#mag.length + 1) >>> 1;
+
+        const xl = this.#getLower(half);
+        const xh = this.#getUpper(half);
+
+        const xhs = xh.square();  // xhs = xh^2
+        const xls = xl.square();  // xls = xl^2
+
+        // xh^2 << 64  +  (((xl+xh)^2 - (xh^2 + xl^2)) << 32) + xl^2
+        return xhs.shiftLeft(half * 32).add(xl.add(xh).square().subtract(xhs.add(xls))).shiftLeft(half * 32).add(xls);
+    }
+
+    /**
+     * Squares a BigInteger using the 3-way Toom-Cook squaring algorithm. It should be used when
+     * both numbers are larger than a certain threshold (found experimentally). It is a recursive
+     * divide-and-conquer algorithm that has better asymptotic performance than the algorithm used
+     * in squareToLen or squareKaratsuba.
+     * @returns {BigInteger} this * this
+     */
+    #squareToomCook3() {
+        const { k, operands } = BigInteger.#toomCook3Operands(this, this);
+        return BigInteger.#toomCook3Interpolate(k, operands.map(([x]) => x.#square(true)));
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this << n). The shift distance, n, may be negative,
+     * in which case this method performs a right shift. (Computes floor(this * 2^n).)
+     * @param {number} n  The shift distance, in bits.
+     * @returns {BigInteger} this << n
+     */
+    shiftLeft(n) {
+        if (this.#signum === 0) return _ZERO;
+        if (n > 0) {
+            return new BigInteger(this.#signum, shiftLeftMagnitude(this.#mag, n));
+        } else if (n === 0) {
+            return this;
+        } else {
+            // Possible int overflow in (-n) is not a trouble,
+            // because shiftRightImpl considers its argument unsigned
+            return this.#shiftRightImpl(-n);
+        }
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this >> n). Sign extension is performed. The shift
+     * distance, n, may be negative, in which case this method performs a left shift.
+     * (Computes floor(this / 2^n).)
+     * @param {number} n  The shift distance, in bits.
+     * @returns {BigInteger} this >> n
+     */
+    shiftRight(n) {
+        if (this.#signum === 0) return _ZERO;
+        if (n > 0) {
+            return this.#shiftRightImpl(n);
+        } else if (n === 0) {
+            return this;
+        } else {
+            return new BigInteger(this.#signum, shiftLeftMagnitude(this.#mag, -n));
+        }
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this >> n). The shift distance, n, is considered unsigned.
+     * (Computes floor(this * 2^-n).)
+     * @param {number} n  The unsigned shift distance, in bits.
+     * @returns {BigInteger} this >> n
+     */
+    #shiftRightImpl(n) {
+        const nInts = n >>> 5;
+        const nBits = n & 0x1f;
+        const magLen = this.#mag.length;
+        var newMag;
+
+        // Special case: entire contents shifted off the end
+        if (nInts >= magLen) return this.#signum >= 0 ? _ZERO : negConst[1];
+
+        if (nBits === 0) {
+            newMag = this.#mag.slice(0, magLen - nInts);
+        } else {
+            var i = 0;
+            const highBits = this.#mag[0] >>> nBits;
+            if (highBits !== 0) {
+                newMag = newMagnitude(magLen - nInts);
+                newMag[i++] = highBits;
+            } else {
+                newMag = newMagnitude(magLen - nInts - 1);
+            }
+            const nBits2 = 32 - nBits;
+            for (var j = 0; i < newMag.length; j++) {
+                newMag[i++] = (this.#mag[j] << nBits2) | (this.#mag[j + 1] >>> nBits);
+            }
+        }
+
+        if (this.#signum < 0) {
+            // Find out whether any one-bits were shifted off the end.
+            var onesLost = false;
+            for (var i = magLen - 1, j = magLen - nInts; i >= j && !onesLost; i--) {
+                onesLost = this.#mag[i] !== 0;
+            }
+            if (!onesLost && nBits !== 0) onesLost = (this.#mag[magLen - nInts - 1] << (32 - nBits)) !== 0;
+
+            if (onesLost) newMag = javaIncrement(newMag);
+        }
+
+        return new BigInteger(this.#signum, newMag);
+    }
+
+    /**
+     * Returns the signum function of this BigInteger.
+     * @returns {number} -1, 0 or 1 as the value of this BigInteger is negative, zero or positive.
+     */
+    signum() {
+        return this.#signum;
+    }
+
+    /**
+     * Compares this BigInteger with the specified BigInteger.
+     * @param {Object} val  The BigInteger or integer to which this BigInteger is to be compared.
+     * @returns {number} -1, 0 or 1 as this BigInteger is numerically less than, equal to, or greater than val.
+     */
+    compareTo(val) {
+        val = toBigInteger(val);
+        if (this.#signum === val.#signum) {
+            switch (this.#signum) {
+                case 1: return compareMagnitudes(this.#mag, val.#mag);
+                case -1: return compareMagnitudes(val.#mag, this.#mag);
+                default: return 0;
+            }
+        }
+        return this.#signum > val.#signum ? 1 : -1;
+    }
+
+    /**
+     * Compares this BigInteger with the specified Object for equality.
+     * @param {Object} x  The object to which this BigInteger is to be compared.
+     * @returns {boolean} true if x is a BigInteger whose value is numerically equal to this BigInteger.
+     */
+    equals(x) {
+        if (x === this) return true;
+        if (!(x instanceof BigInteger) || x.#signum !== this.#signum) return false;
+        const m = this.#mag;
+        const xm = x.#mag;
+        if (m.length !== xm.length) return false;
+        for (let i = 0; i < m.length; i++) {
+            if (m[i] !== xm[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Returns the hash code for this BigInteger. This is the same value as Java computes, so hashes
+     * agree on both platforms.
+     * @returns {number} The 32-bit hash code for this BigInteger.
+     */
+    hashCode() {
+        let hashCode = 0;
+        for (let i = 0; i < this.#mag.length; i++) {
+            hashCode = (Math.imul(31, hashCode) + this.#mag[i]) | 0;
+        }
+        return Math.imul(hashCode, this.#signum);
+    }
+
+    /**
+     * Returns the minimum of this BigInteger and val.
+     * @param {Object} val  The BigInteger or integer with which the minimum is to be computed.
+     * @returns {BigInteger} The BigInteger whose value is the lesser of this BigInteger and val.
+     *          If they are equal, either may be returned.
+     */
+    min(val) {
+        val = toBigInteger(val);
+        return this.compareTo(val) < 0 ? this : val;
+    }
+
+    /**
+     * Returns the maximum of this BigInteger and val.
+     * @param {Object} val  The BigInteger or integer with which the maximum is to be computed.
+     * @returns {BigInteger} The BigInteger whose value is the greater of this BigInteger and val.
+     *          If they are equal, either may be returned.
+     */
+    max(val) {
+        val = toBigInteger(val);
+        return this.compareTo(val) > 0 ? this : val;
+    }
+
+    /**
+     * Returns a BigInteger whose value is -this.
+     * @returns {BigInteger} -this
+     */
+    negate() {
+        if (this.#signum === 0) return this;
+        return new BigInteger(-this.#signum, this.#mag);
+    }
+
+    /**
+     * Tests if this BigInteger has the value 1.
+     * @returns {boolean} true if this is one.
+     */
+    #isOne() {
+        return this.#signum === 1 && this.#mag.length === 1 && this.#mag[0] === 1;
+    }
+
+    /**
+     * Returns a BigInteger whose value is the absolute value of this.
+     * @returns {BigInteger} abs(this)
+     */
+    abs() {
+        return this.#signum < 0 ? this.negate() : this;
+    }
+
+    /**
+     * Returns the number of bits in the minimal two's-complement representation of this BigInteger,
      * excluding a sign bit. For positive BigIntegers, this is equivalent to the number of bits in
      * the ordinary binary representation. For zero this method returns 0.
      * @returns number of bits in the minimal two's-complement representation of this BigInteger,
@@ -698,7 +2312,7 @@ class BigInteger {
                 n = 0;  // offset by one to initialize
             } else {
                 var magBitLength = ((len - 1) << 5) + bitLengthForInt(m[0]);
-                if (signum < 0) {
+                if (this.#signum < 0) {
                     // Check if magnitude is a power of two
                     var pow2 = bitCount(m[0]) === 1;
                     for (var i = 1; i < len && pow2; i++) pow2 = m[i] === 0;
@@ -711,31 +2325,1460 @@ class BigInteger {
         }
         return n;
     }
-    
-    pow(n) {
 
+    /**
+     * Returns the number of bits in the two's complement representation of this BigInteger that
+     * differ from its sign bit. This method is useful when implementing bit-vector style sets atop
+     * BigIntegers.
+     * @returns {number} number of bits in the two's complement representation of this BigInteger
+     *          that differ from its sign bit.
+     */
+    bitCount() {
+        var bc = this.#bitCountPlusOne - 1;
+        if (bc === -1) {  // bitCount not initialized yet
+            bc = 0;      // offset by one to initialize
+            // Count the bits in the magnitude
+            for (var i = 0; i < this.#mag.length; i++) bc += bitCount(this.#mag[i]);
+            if (this.#signum < 0) {
+                // Count the trailing zeros in the magnitude
+                var magTrailingZeroCount = 0, j;
+                for (j = this.#mag.length - 1; this.#mag[j] === 0; j--) magTrailingZeroCount += 32;
+                magTrailingZeroCount += numberOfTrailingZeros(this.#mag[j]);
+                bc += magTrailingZeroCount - 1;
+            }
+            this.#bitCountPlusOne = bc + 1;
+        }
+        return bc;
+    }
+
+    /**
+     * Returns the length of the two's complement representation in ints, including space for at
+     * least one sign bit.
+     * @returns {number} The number of ints needed for the two's complement representation.
+     */
+    #intLength() {
+        return (this.bitLength() >>> 5) + 1;
     }
-    
-    #divideAndRemainderKnuth(val) {
-        var result = [ZERO, ZERO];
+
+    /**
+     * Returns the int that holds the sign extension of this number: -1 for negative numbers, else 0.
+     * @returns {number} The sign extension int.
+     */
+    #signInt() {
+        return this.#signum < 0 ? -1 : 0;
     }
 
-    divideAndRemainder(val) {
-        if (val.#mag.length < BURNIKEL_ZIEGLER_THRESHOLD ||
-            this.#mag.length - val.#mag.length < BURNIKEL_ZIEGLER_OFFSET) {
-            return this.divideAndRemainderKnuth(val);
-        } else {
-            return this.divideAndRemainderBurnikelZiegler(val);
+    /**
+     * Returns the specified int of the little-endian two's complement representation
+     * (int 0 is the least significant). The int number can be arbitrarily high (values
+     * are logically preceded by infinitely many sign ints).
+     * @param {number} n  The index of the int to get.
+     * @returns {number} The 32-bit int at index n.
+     */
+    #getInt(n) {
+        if (n < 0) return 0;
+        if (n >= this.#mag.length) return this.#signInt();
+
+        const magInt = this.#mag[this.#mag.length - n - 1] | 0;
+
+        return this.#signum >= 0 ? magInt : (n <= this.#firstNonzeroIntNum() ? -magInt | 0 : ~magInt);
+    }
+
+    /**
+     * Returns the index of the int that contains the first nonzero int in the little-endian binary
+     * representation of the magnitude (int 0 is the least significant). If the magnitude is zero,
+     * return value is undefined.
+     * @returns {number} The index of the lowest nonzero int of the magnitude.
+     */
+    #firstNonzeroIntNum() {
+        var fn = this.#firstNonzeroIntNumPlusTwo - 2;
+        if (fn === -2) {  // firstNonzeroIntNum not initialized yet
+            // Search for the first nonzero int
+            const mlen = this.#mag.length;
+            var i;
+            for (i = mlen - 1; i >= 0 && this.#mag[i] === 0; i--) ;
+            fn = mlen - i - 1;
+            this.#firstNonzeroIntNumPlusTwo = fn + 2;  // offset by two to initialize
+        }
+        return fn;
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this & val). (This method returns a negative BigInteger
+     * if and only if this and val are both negative.)
+     * @param {Object} val  The BigInteger or integer to be AND'ed with this BigInteger.
+     * @returns {BigInteger} this & val
+     */
+    and(val) {
+        val = toBigInteger(val);
+        const result = new Int32Array(Math.max(this.#intLength(), val.#intLength()));
+        for (var i = 0; i < result.length; i++) {
+            result[i] = this.#getInt(result.length - i - 1) & val.#getInt(result.length - i - 1);
+        }
+        return valueOfTwosComplement(result);
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this | val). (This method returns a negative BigInteger
+     * if and only if either this or val is negative.)
+     * @param {Object} val  The BigInteger or integer to be OR'ed with this BigInteger.
+     * @returns {BigInteger} this | val
+     */
+    or(val) {
+        val = toBigInteger(val);
+        const result = new Int32Array(Math.max(this.#intLength(), val.#intLength()));
+        for (var i = 0; i < result.length; i++) {
+            result[i] = this.#getInt(result.length - i - 1) | val.#getInt(result.length - i - 1);
+        }
+        return valueOfTwosComplement(result);
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this ^ val). (This method returns a negative BigInteger
+     * if and only if exactly one of this and val are negative.)
+     * @param {Object} val  The BigInteger or integer to be XOR'ed with this BigInteger.
+     * @returns {BigInteger} this ^ val
+     */
+    xor(val) {
+        val = toBigInteger(val);
+        const result = new Int32Array(Math.max(this.#intLength(), val.#intLength()));
+        for (var i = 0; i < result.length; i++) {
+            result[i] = this.#getInt(result.length - i - 1) ^ val.#getInt(result.length - i - 1);
+        }
+        return valueOfTwosComplement(result);
+    }
+
+    /**
+     * Returns a BigInteger whose value is (~this). (This method returns a negative value if and
+     * only if this BigInteger is non-negative.)
+     * @returns {BigInteger} ~this
+     */
+    not() {
+        const result = new Int32Array(this.#intLength());
+        for (var i = 0; i < result.length; i++) {
+            result[i] = ~this.#getInt(result.length - i - 1);
+        }
+        return valueOfTwosComplement(result);
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this & ~val). This method, which is equivalent to
+     * and(val.not()), is provided as a convenience for masking operations. (This method returns
+     * a negative BigInteger if and only if this is negative and val is positive.)
+     * @param {Object} val  The BigInteger or integer to be complemented and AND'ed with this BigInteger.
+     * @returns {BigInteger} this & ~val
+     */
+    andNot(val) {
+        val = toBigInteger(val);
+        const result = new Int32Array(Math.max(this.#intLength(), val.#intLength()));
+        for (var i = 0; i < result.length; i++) {
+            result[i] = this.#getInt(result.length - i - 1) & ~val.#getInt(result.length - i - 1);
+        }
+        return valueOfTwosComplement(result);
+    }
+
+    /**
+     * Returns true if and only if the designated bit is set. (Computes ((this & (1<<n)) != 0).)
+     * @param {number} n  The index of the bit to test.
+     * @returns {boolean} true if and only if the designated bit is set.
+     * @throws {ArithmeticException} if n is negative.
+     */
+    testBit(n) {
+        if (n < 0) throw new ArithmeticException("Negative bit address");
+        return (this.#getInt(n >>> 5) & (1 << (n & 31))) !== 0;
+    }
+
+    /**
+     * Returns a BigInteger whose value is equivalent to this BigInteger with the designated bit set.
+     * (Computes (this | (1<<n)).)
+     * @param {number} n  The index of the bit to set.
+     * @returns {BigInteger} this | (1<<n)
+     * @throws {ArithmeticException} if n is negative, or n is beyond the limit on bit length.
+     */
+    setBit(n) {
+        if (n < 0) throw new ArithmeticException("Negative bit address");
+        if (n >= this.bitLength()) checkBitLength(n + 1);
+        const intNum = n >>> 5;
+        const result = new Int32Array(Math.max(this.#intLength(), intNum + 2));
+
+        for (var i = 0; i < result.length; i++) result[result.length - i - 1] = this.#getInt(i);
+
+        result[result.length - intNum - 1] |= (1 << (n & 31));
+
+        return valueOfTwosComplement(result);
+    }
+
+    /**
+     * Returns a BigInteger whose value is equivalent to this BigInteger with the designated bit
+     * cleared. (Computes (this & ~(1<<n)).)
+     * @param {number} n  The index of the bit to clear.
+     * @returns {BigInteger} this & ~(1<<n)
+     * @throws {ArithmeticException} if n is negative, or n is beyond the limit on bit length.
+     */
+    clearBit(n) {
+        if (n < 0) throw new ArithmeticException("Negative bit address");
+        if (n >= this.bitLength()) checkBitLength(n + 1);
+        const intNum = n >>> 5;
+        const result = new Int32Array(Math.max(this.#intLength(), ((n + 1) >>> 5) + 1));
+
+        for (var i = 0; i < result.length; i++) result[result.length - i - 1] = this.#getInt(i);
+
+        result[result.length - intNum - 1] &= ~(1 << (n & 31));
+
+        return valueOfTwosComplement(result);
+    }
+
+    /**
+     * Returns a BigInteger whose value is equivalent to this BigInteger with the designated bit
+     * flipped. (Computes (this ^ (1<<n)).)
+     * @param {number} n  The index of the bit to flip.
+     * @returns {BigInteger} this ^ (1<<n)
+     * @throws {ArithmeticException} if n is negative, or n is beyond the limit on bit length.
+     */
+    flipBit(n) {
+        if (n < 0) throw new ArithmeticException("Negative bit address");
+        if (n >= this.bitLength()) checkBitLength(n + 1);
+        const intNum = n >>> 5;
+        const result = new Int32Array(Math.max(this.#intLength(), intNum + 2));
+
+        for (var i = 0; i < result.length; i++) result[result.length - i - 1] = this.#getInt(i);
+
+        result[result.length - intNum - 1] ^= (1 << (n & 31));
+
+        return valueOfTwosComplement(result);
+    }
+    
+    /**
+     * Returns the index of the rightmost (lowest-order) one bit in this BigInteger (the number of
+     * zero bits to the right of the rightmost one bit). Returns -1 if this BigInteger contains no
+     * one bits. (Computes (this == 0? -1 : log2(this & -this)).)
+     * @returns {number} index of the rightmost one bit in this BigInteger.
+     */
+    getLowestSetBit() {
+        var lsb = this.#lowestSetBitPlusTwo - 2;
+        if (lsb === -2) {  // lowestSetBit not initialized yet
+            lsb = 0;
+            if (this.#signum === 0) {
+                lsb -= 1;
+            } else {
+                // Search for lowest order nonzero int. Negation does not move the lowest set bit.
+                const len = this.#mag.length;
+                var i, b;
+                for (i = 0; (b = this.#mag[len - 1 - i]) === 0; i++) ;
+                lsb += (i << 5) + numberOfTrailingZeros(b);
+            }
+            this.#lowestSetBitPlusTwo = lsb + 2;
         }
+        return lsb;
     }
 
+    /**
+     * Returns a BigInteger whose value is (this^exponent). Note that exponent is an integer rather
+     * than a BigInteger.
+     * @param {number} exponent  The non-negative integer exponent to which this BigInteger is to be raised.
+     * @returns {BigInteger} this^exponent
+     * @throws {ArithmeticException} if exponent is negative, or the result would exceed the supported range.
+     */
+    pow(exponent) {
+        if (exponent < 0) throw new ArithmeticException("Negative exponent");
+        if (this.#signum === 0) return exponent === 0 ? _ONE : this;
+
+        var partToSquare = this.abs();
+        const negativeResult = this.#signum < 0 && (exponent & 1) === 1;
+
+        // Factor out powers of two from the base, as the exponentiation of
+        // these can be done by left shifts only.
+        // The remaining part can then be exponentiated faster. The
+        // powers of two will be multiplied back at the end.
+        const powersOfTwo = partToSquare.getLowestSetBit();
+        const bitsToShift = powersOfTwo * exponent;
+        checkBitLength(bitsToShift + 1);
+
+        // Factor the powers of two out quickly by shifting right, if needed.
+        if (powersOfTwo > 0) partToSquare = partToSquare.shiftRight(powersOfTwo);
+        if (partToSquare.bitLength() === 1) {  // Nothing left but +/- 1?
+            return (negativeResult ? _NEGATIVE_ONE : _ONE).shiftLeft(bitsToShift);
+        }
+
+        // The odd part is at least 2^(bitLength - 1), which bounds the size of the result from below
+        checkBitLength((partToSquare.bitLength() - 1) * exponent + 1 + bitsToShift);
+
+        // Perform exponentiation using repeated squaring trick, calling multiply() and square()
+        // which use more efficient algorithms for large numbers.
+        var answer = _ONE;
+        var workingExponent = exponent;
+        while (workingExponent !== 0) {
+            if ((workingExponent & 1) === 1) answer = answer.multiply(partToSquare);
+            if ((workingExponent >>>= 1) !== 0) partToSquare = partToSquare.square();
+        }
+
+        // Multiply back the (exponentiated) powers of two (quickly, by shifting left)
+        if (powersOfTwo > 0) answer = answer.shiftLeft(bitsToShift);
+        return negativeResult ? answer.negate() : answer;
+    }
+
+    /**
+     * Returns the integer square root of this BigInteger. The integer square root of the
+     * corresponding mathematical integer n is the largest mathematical integer s such that s*s <= n.
+     * It is equal to the value of floor(sqrt(n)).
+     * @returns {BigInteger} the integer square root of this.
+     * @throws {ArithmeticException} if this is negative.
+     */
+    sqrt() {
+        if (this.#signum < 0) throw new ArithmeticException("Negative BigInteger");
+        return this.#rootFloor(2);
+    }
+
+    /**
+     * Returns an array of two BigIntegers containing the integer square root s of this and its
+     * remainder this - s*s, respectively.
+     * @returns {Array<BigInteger>} An array of the square root s and the remainder (this - s*s).
+     * @throws {ArithmeticException} if this is negative.
+     */
+    sqrtAndRemainder() {
+        const s = this.sqrt();
+        return [s, this.subtract(s.square())];
+    }
+
+    /**
+     * Returns the integer k-th root of this BigInteger, which is the floor of the real k-th root.
+     * Odd roots of negative numbers are negative, and so are rounded towards negative infinity.
+     * @param {number} k  The positive integer degree of the root.
+     * @returns {BigInteger} floor(this^(1/k))
+     * @throws {ArithmeticException} if k is not positive, or k is even and this is negative.
+     */
+    nthRoot(k) {
+        if (!Number.isInteger(k) || k <= 0) throw new ArithmeticException("Non-positive root degree");
+        if (k === 1 || this.#signum === 0) return this;
+        if (this.#signum > 0) return this.#rootFloor(k);
+        if ((k & 1) === 0) throw new ArithmeticException("Even root of negative BigInteger");
+
+        // The root of the magnitude is rounded down, so round away from zero unless it is exact
+        const root = this.negate().#rootFloor(k);
+        return compareMagnitudes(root.pow(k).#mag, this.#mag) === 0 ? root.negate() : root.add(_ONE).negate();
+    }
+
+    /**
+     * Finds the floor of the k-th root of a non-negative number with Newton's iteration. The iteration
+     * starts above the root, with an estimate from the leading bits in double precision, and decreases
+     * until it stops at the floor of the root.
+     * @param {number} k  The degree of the root, at least 2.
+     * @returns {BigInteger} floor(this^(1/k))
+     */
+    #rootFloor(k) {
+        if (this.#signum === 0) return _ZERO;
+        const bitLength = this.bitLength();
+        if (bitLength <= k) return _ONE;  // 1 <= this < 2^k
+
+        // Shift by a multiple of k so that the leading part fits exactly in a double
+        const shift = bitLength > 53 ? Math.ceil((bitLength - 53) / k) * k : 0;
+        const topMag = this.shiftRight(shift).#mag;
+        var top = 0;
+        for (var i = 0; i < topMag.length; i++) top = top * TWO_32 + topMag[i];
+
+        // The root is at most (top + 1)^(1/k) * 2^(shift/k), so round the estimate of that further up
+        const estimate = Math.ceil(Math.pow(top + 1, 1 / k) * (1 + 1e-12)) + 1;
+        var xk = BigInteger.valueOf(estimate).shiftLeft(shift / k);
+
+        // Refine the estimate with xk1 = ((k - 1) * xk + this / xk^(k - 1)) / k. The powers of the
+        // estimates above the root can exceed the limit on bit length, though the root cannot.
+        return withoutLimits(() => {
+            do {
+                const xk1 = xk.multiply(k - 1).add(this.divide(xk.pow(k - 1))).divide(k);
+
+                // Terminate when non-decreasing.
+                if (compareMagnitudes(xk1.#mag, xk.#mag) >= 0) return xk;
+                xk = xk1;
+            } while (true);
+        });
+    }
+    
+    /**
+     * Divides this by val using Knuth's Algorithm D. The divisor must not be zero.
+     * @param {BigInteger} val  The BigInteger to divide this BigInteger by.
+     * @returns {Array<BigInteger>} An array of the quotient and remainder.
+     */
+    #divideAndRemainderKnuth(val) {
+        const cmp = compareMagnitudes(this.#mag, val.#mag);
+        if (this.#signum === 0 || cmp < 0) return [_ZERO, this];
+
+        const quotientSign = this.#signum === val.#signum ? 1 : -1;
+        if (cmp === 0) return [quotientSign > 0 ? _ONE : _NEGATIVE_ONE, _ZERO];
+
+        const quotient = new MutableBigInteger();
+        const rem = new MutableBigInteger(this.#mag).divideKnuth(new MutableBigInteger(val.#mag), quotient);
+        return [BigInteger.#fromMutable(quotient, quotientSign), BigInteger.#fromMutable(rem, this.#signum)];
+    }
+
+    /**
+     * Creates a BigInteger from the value of a MutableBigInteger.
+     * @param {MutableBigInteger} m  The magnitude of the new BigInteger.
+     * @param {number} sign  The sign of the new BigInteger, if it is not zero.
+     * @returns {BigInteger} The new BigInteger.
+     */
+    static #fromMutable(m, sign) {
+        return m.isZero() ? _ZERO : new BigInteger(sign, m.getMagnitudeArray());
+    }
+
+    /**
+     * Divides this by val using the recursive Burnikel-Ziegler algorithm, which is faster than
+     * Knuth's algorithm when both numbers are large and the dividend is significantly longer.
+     * See Christoph Burnikel and Joachim Ziegler, "Fast Recursive Division",
+     * Max-Planck-Institut fuer Informatik Research Report MPI-I-98-1-022,
+     * http://www.mpi-sb.mpg.de/~ziegler/TechRep.ps.gz
+     * @param {BigInteger} val  The BigInteger to divide this BigInteger by.
+     * @returns {Array<BigInteger>} An array of the quotient and remainder.
+     */
+    #divideAndRemainderBurnikelZiegler(val) {
+        const a = this.abs();
+        const b = val.abs();
+        const r = a.#mag.length;
+        const s = b.#mag.length;
+
+        if (r < s) return [_ZERO, this];
+
+        // step 1: let m = min{2^k | (2^k)*BURNIKEL_ZIEGLER_THRESHOLD > s}
+        const m = 1 << (32 - numberOfLeadingZeros(Math.floor(s / BURNIKEL_ZIEGLER_THRESHOLD)));
+
+        const j = Math.floor((s + m - 1) / m);   // step 2a: j = ceil(s/m)
+        const n = j * m;                         // step 2b: block length in 32-bit units
+        const n32 = 32 * n;                      // block length in bits
+        const sigma = Math.max(0, n32 - bitLengthForMag(b.#mag, s));   // step 3: sigma = max{T | (2^T)*B < beta^n}
+        const bShifted = b.shiftLeft(sigma);     // step 4a: shift b so its length is a multiple of n
+        const aShifted = a.shiftLeft(sigma);     // step 4b: shift a by the same amount
+
+        // step 5: t is the number of blocks needed to accommodate a plus one additional bit
+        var t = Math.floor((bitLengthForMag(aShifted.#mag, aShifted.#mag.length) + n32) / n32);
+        if (t < 2) t = 2;
+
+        // step 6: conceptually split a into blocks a[t-1], ..., a[0]
+        const a1 = aShifted.#getBlock(t - 1, t, n);   // the most significant block of a
+
+        // step 7: z[t-2] = [a[t-1], a[t-2]]
+        var z = aShifted.#getBlock(t - 2, t, n).add(a1.shiftLeft(n32));   // the second to most significant block
+
+        // do schoolbook division on blocks, dividing 2-block numbers by 1-block numbers
+        var quotient = _ZERO;
+        var qi, ri;
+        for (var i = t - 2; i > 0; i--) {
+            // step 8a: compute (qi,ri) such that z=b*qi+ri
+            [qi, ri] = z.#divide2n1n(bShifted);
+
+            // step 8b: z = [ri, a[i-1]]
+            z = aShifted.#getBlock(i - 1, t, n).add(ri.shiftLeft(n32));
+            quotient = quotient.add(qi.shiftLeft(i * n32));   // update q (part of step 9)
+        }
+        // final iteration of step 8: do the loop one more time for i=0 but leave z unchanged
+        [qi, ri] = z.#divide2n1n(bShifted);
+        quotient = quotient.add(qi);
+
+        const rem = ri.shiftRight(sigma);   // step 9: a and b were shifted, so shift back
+        return [this.#signum === val.#signum ? quotient : quotient.negate(),
+                this.#signum < 0 ? rem.negate() : rem];
+    }
+
+    /**
+     * This method implements algorithm 1 from pg. 4 of the Burnikel-Ziegler paper.
+     * It divides a 2n-digit number by a n-digit number. The parameter beta is 2^32 so all shifts
+     * are multiples of 32 bits. This must be a non-negative number such that this < beta^n * b.
+     * @param {BigInteger} b  A positive number such that b.bitLength() is even.
+     * @returns {Array<BigInteger>} An array of the quotient and remainder of this / b.
+     */
+    #divide2n1n(b) {
+        const n = b.#mag.length;
+
+        // step 1: base case
+        if (n % 2 !== 0 || n < BURNIKEL_ZIEGLER_THRESHOLD) return this.#divideAndRemainderKnuth(b);
+
+        // step 2: view this as [a1,a2,a3,a4] where each ai is n/2 ints or less
+        const half = n / 2;
+        const aUpper = this.shiftRight(32 * half);   // aUpper = [a1,a2,a3]
+        const a4 = this.#getLower(half);
+
+        // step 3: q1=aUpper/b, r1=aUpper%b
+        const [q1, r1] = aUpper.#divide3n2n(b);
+
+        // step 4: quotient=[r1,a4]/b, r2=[r1,a4]%b
+        const [q2, r2] = r1.shiftLeft(32 * half).add(a4).#divide3n2n(b);
+
+        // step 5: let quotient=[q1,q2] and return r2
+        return [q1.shiftLeft(32 * half).add(q2), r2];
+    }
+
+    /**
+     * This method implements algorithm 2 from pg. 5 of the Burnikel-Ziegler paper.
+     * It divides a 3n-digit number by a 2n-digit number. The parameter beta is 2^32 so all shifts
+     * are multiples of 32 bits. This must be a non-negative number such that 2*this.bitLength() <= 3*b.bitLength().
+     * @param {BigInteger} b  A positive number such that b.bitLength() is even.
+     * @returns {Array<BigInteger>} An array of the quotient and remainder of this / b.
+     */
+    #divide3n2n(b) {
+        const n = b.#mag.length / 2;   // half the length of b in ints
+
+        // step 1: view this as [a1,a2,a3] where each ai is n ints or less; let a12=[a1,a2]
+        const a12 = this.shiftRight(32 * n);
+
+        // step 2: view b as [b1,b2] where each bi is n ints or less
+        const b1 = b.shiftRight(32 * n);
+        const b2 = b.#getLower(n);
+
+        var quotient, r, d;
+        if (compareMagnitudes(this.#mag, b.shiftLeft(32 * n).#mag) < 0) {
+            // step 3a: if a1<b1, let quotient=a12/b1 and r=a12%b1
+            [quotient, r] = a12.#divide2n1n(b1);
+
+            // step 4: d=quotient*b2
+            d = quotient.multiply(b2);
+        } else {
+            // step 3b: if a1>=b1, let quotient=beta^n-1 and r=a12-b1*2^n+b1
+            quotient = _ONE.shiftLeft(32 * n).subtract(_ONE);
+            r = a12.add(b1).subtract(b1.shiftLeft(32 * n));
+
+            // step 4: d=quotient*b2=(b2 << 32*n) - b2
+            d = b2.shiftLeft(32 * n).subtract(b2);
+        }
+
+        // step 5: r = r*beta^n + a3 - d (paper says a4)
+        // However, don't subtract d until after the while loop so r doesn't become negative
+        r = r.shiftLeft(32 * n).add(this.#getLower(n));
+
+        // step 6: add b until r>=d
+        while (compareMagnitudes(r.#mag, d.#mag) < 0) {
+            r = r.add(b);
+            quotient = quotient.subtract(_ONE);
+        }
+        return [quotient, r.subtract(d)];
+    }
+
+    /**
+     * Returns a BigInteger containing blockLength ints from this number, starting at index*blockLength.
+     * Used by Burnikel-Ziegler division.
+     * @param {number} index  The block index, counting from the least significant block.
+     * @param {number} numBlocks  The total number of blocks in this number.
+     * @param {number} blockLength  The length of one block in units of 32 bits.
+     * @returns {BigInteger} A non-negative BigInteger holding the block.
+     */
+    #getBlock(index, numBlocks, blockLength) {
+        const len = this.#mag.length;
+        const blockStart = index * blockLength;
+        if (blockStart >= len) return _ZERO;
+
+        const blockEnd = index === numBlocks - 1 ? len : (index + 1) * blockLength;
+        if (blockEnd > len) return _ZERO;
+
+        return new BigInteger(1, this.#mag.slice(len - blockEnd, len - blockStart));
+    }
+
+    /**
+     * Returns an array of two BigIntegers containing (this / val) followed by (this % val).
+     * @param {Object} val  The BigInteger or integer by which this BigInteger is to be divided.
+     * @returns {Array<BigInteger>} An array of the quotient and remainder.
+     * @throws {ArithmeticException} if val is zero.
+     */
+    divideAndRemainder(val) {
+        val = toBigInteger(val);
+        if (val.#signum === 0) throw new ArithmeticException('BigInteger divide by zero');
+        if (val.#mag.length < BURNIKEL_ZIEGLER_THRESHOLD ||
+            this.#mag.length - val.#mag.length < BURNIKEL_ZIEGLER_OFFSET) {
+            return this.#divideAndRemainderKnuth(val);
+        } else {
+            // The blocks are shifted to a multiple of the block size, which can exceed the limit
+            return withoutLimits(() => this.#divideAndRemainderBurnikelZiegler(val));
+        }
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this / val). The quotient is rounded towards zero.
+     * @param {Object} val  The BigInteger or integer by which this BigInteger is to be divided.
+     * @returns {BigInteger} this / val
+     * @throws {ArithmeticException} if val is zero.
+     */
+    divide(val) {
+        return this.divideAndRemainder(val)[0];
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this % val). The remainder has the same sign as this.
+     * @param {Object} val  The BigInteger or integer by which this BigInteger is to be divided.
+     * @returns {BigInteger} this % val
+     * @throws {ArithmeticException} if val is zero.
+     */
+    remainder(val) {
+        return this.divideAndRemainder(val)[1];
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this mod m). This method differs from remainder
+     * in that it always returns a non-negative BigInteger.
+     * @param {Object} m  The positive BigInteger or integer modulus.
+     * @returns {BigInteger} this mod m
+     * @throws {ArithmeticException} if m is not positive.
+     */
+    mod(m) {
+        m = toBigInteger(m);
+        if (m.#signum <= 0) throw new ArithmeticException('BigInteger: modulus not positive');
+
+        const result = this.remainder(m);
+        return result.#signum >= 0 ? result : result.add(m);
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this^exponent mod m). (Unlike pow, this method permits
+     * negative exponents.)
+     * @param {Object} exponent  The BigInteger or integer exponent.
+     * @param {Object} m  The positive BigInteger or integer modulus.
+     * @returns {BigInteger} this^exponent mod m
+     * @throws {ArithmeticException} if m is not positive, or the exponent is negative and this
+     *         BigInteger is not relatively prime to m.
+     */
+    modPow(exponent, m) {
+        return withoutLimits(() => this.#modPowImpl(exponent, m));
+    }
+
+    /**
+     * The calculation of modPow, whose intermediate products are twice the size of the modulus.
+     * @param {Object} exponent  The BigInteger or integer exponent.
+     * @param {Object} m  The positive BigInteger or integer modulus.
+     * @returns {BigInteger} this^exponent mod m
+     */
+    #modPowImpl(exponent, m) {
+        exponent = toBigInteger(exponent);
+        m = toBigInteger(m);
+        if (m.#signum <= 0) throw new ArithmeticException("BigInteger: modulus not positive");
+
+        // Trivial cases
+        if (exponent.#signum === 0) return m.#isOne() ? _ZERO : _ONE;
+
+        if (this.#isOne()) return m.#isOne() ? _ZERO : _ONE;
+
+        if (this.#signum === 0 && exponent.#signum >= 0) return _ZERO;
+
+        if (this.#signum < 0 && this.negate().#isOne() && !exponent.testBit(0)) return m.#isOne() ? _ZERO : _ONE;
+
+        const invertResult = exponent.#signum < 0;
+        if (invertResult) exponent = exponent.negate();
+
+        const base = this.#signum < 0 || compareMagnitudes(this.#mag, m.#mag) >= 0 ? this.mod(m) : this;
+        var result;
+        if (m.testBit(0)) {  // odd modulus
+            result = base.#oddModPow(exponent, m);
+        } else {
+            // Even modulus. Tear it into an "odd part" (m1) and power of two (m2), exponentiate
+            // mod m1, manually exponentiate mod m2, and use Chinese Remainder Theorem to combine results.
+
+            // Tear m apart into odd part (m1) and power of 2 (m2)
+            const p = m.getLowestSetBit();    // Max pow of 2 that divides m
+
+            const m1 = m.shiftRight(p);       // m/2**p
+            const m2 = _ONE.shiftLeft(p);     // 2**p
+
+            // Calculate new base from m1
+            const base2 = this.#signum < 0 || compareMagnitudes(this.#mag, m1.#mag) >= 0 ? this.mod(m1) : this;
+
+            // Calculate (base ** exponent) mod m1.
+            const a1 = m1.#isOne() ? _ZERO : base2.#oddModPow(exponent, m1);
+
+            // Calculate (this ** exponent) mod m2
+            const a2 = base.#modPow2(exponent, p);
+
+            // Combine results using Chinese Remainder Theorem
+            const y1 = m2.modInverse(m1);
+            const y2 = m1.modInverse(m2);
+
+            result = a1.multiply(m2).multiply(y1).add(a2.multiply(m1).multiply(y2)).mod(m);
+        }
+
+        return invertResult ? result.modInverse(m) : result;
+    }
+
+    /**
+     * Returns a BigInteger whose value is x to the power of y mod z. Assumes: z is odd && x < z.
+     *
+     * The algorithm is adapted from Colin Plumb's C library. It uses a window of bits from the
+     * exponent, precomputing a table of odd powers of the base in Montgomery form, so that each
+     * window costs a single Montgomery multiplication. The window size depends on the size of the
+     * exponent, following bnExpModThreshTable.
+     * @param {BigInteger} y  The positive exponent.
+     * @param {BigInteger} z  The odd modulus.
+     * @returns {BigInteger} this^y mod z
+     */
+    #oddModPow(y, z) {
+        // Special case for exponent of one
+        if (y.#isOne()) return this;
+
+        // Special case for base of zero
+        if (this.#signum === 0) return _ZERO;
+
+        const base = this.#mag;
+        const exp = y.#mag;
+        const mod = z.#mag;
+        const modLen = mod.length;
+
+        // Select an appropriate window size
+        var wbits = 0;
+        var ebits = bitLengthForMag(exp, exp.length);
+        // if exponent is 65537 (0x10001), use minimum window size
+        if (ebits !== 17 || exp[0] !== 65537) {
+            while (ebits > bnExpModThreshTable[wbits]) wbits++;
+        }
+
+        // Calculate appropriate table size
+        const tblmask = 1 << wbits;
+
+        // Allocate table for precomputed odd powers of base in Montgomery form
+        const table = new Array(tblmask);
+
+        // Compute the negative of the modular inverse of the least significant digit of the modulus.
+        // Only the lowest word is needed, as Montgomery reduction works a word at a time.
+        const inv = -MutableBigInteger.inverseMod32(mod[modLen - 1]) | 0;
+
+        // Convert base to Montgomery form, padded with leading zeros so its length is modLen
+        const a = new BigInteger(1, shiftLeftMagnitude(base, modLen << 5)).mod(z).#mag;
+        table[0] = new Uint32Array(modLen);
+        table[0].set(a, modLen - a.length);
+
+        // Set b to the square of the base
+        var b = montgomerySquare(table[0], mod, modLen, inv);
+
+        // Set t to high half of b
+        const t = b.slice(0, modLen);
+
+        // Fill in the table with odd powers of the base
+        for (var i = 1; i < tblmask; i++) {
+            table[i] = montgomeryMultiply(t, table[i - 1], mod, modLen, inv);
+        }
+
+        // Pre load the window that slides over the exponent
+        var bitpos = 1 << ((ebits - 1) & (32 - 1));
+
+        var buf = 0;
+        var elen = exp.length;
+        var eIndex = 0;
+        for (var i = 0; i <= wbits; i++) {
+            buf = (buf << 1) | ((exp[eIndex] & bitpos) !== 0 ? 1 : 0);
+            bitpos >>>= 1;
+            if (bitpos === 0) {
+                eIndex++;
+                bitpos = 1 << (32 - 1);
+                elen--;
+            }
+        }
+
+        // The first iteration, which is hoisted out of the main loop
+        ebits--;
+        var isone = true;
+
+        var multpos = ebits - wbits;
+        while ((buf & 1) === 0) {
+            buf >>>= 1;
+            multpos++;
+        }
+
+        var mult = table[buf >>> 1];
+
+        buf = 0;
+        if (multpos === ebits) isone = false;
+
+        // The main loop
+        while (true) {
+            ebits--;
+            // Advance the window
+            buf <<= 1;
+
+            if (elen !== 0) {
+                buf |= (exp[eIndex] & bitpos) !== 0 ? 1 : 0;
+                bitpos >>>= 1;
+                if (bitpos === 0) {
+                    eIndex++;
+                    bitpos = 1 << (32 - 1);
+                    elen--;
+                }
+            }
+
+            // Examine the window for pending multiplies
+            if ((buf & tblmask) !== 0) {
+                multpos = ebits - wbits;
+                while ((buf & 1) === 0) {
+                    buf >>>= 1;
+                    multpos++;
+                }
+                mult = table[buf >>> 1];
+                buf = 0;
+            }
+
+            // Perform multiply
+            if (ebits === multpos) {
+                if (isone) {
+                    b = mult.slice();
+                    isone = false;
+                } else {
+                    b = montgomeryMultiply(b, mult, mod, modLen, inv);
+                }
+            }
+
+            // Check if done
+            if (ebits === 0) break;
+
+            // Square the input
+            if (!isone) b = montgomerySquare(b, mod, modLen, inv);
+        }
+
+        // Convert result out of Montgomery form and return
+        const t2 = new Uint32Array(2 * modLen);
+        t2.set(b.subarray(0, modLen), modLen);
+
+        b = montReduce(t2, mod, modLen, inv);
+
+        return new BigInteger(1, b.slice(0, modLen));
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this ** exponent) mod (2**p)
+     * @param {BigInteger} exponent  The non-negative exponent.
+     * @param {number} p  The power of two of the modulus.
+     * @returns {BigInteger} this^exponent mod 2^p
+     */
+    #modPow2(exponent, p) {
+        // Perform exponentiation using repeated squaring trick, chopping off
+        // high order bits as indicated by modulus.
+        var result = _ONE;
+        var baseToPow2 = this.#mod2(p);
+        var expOffset = 0;
+
+        var limit = exponent.bitLength();
+
+        if (this.testBit(0)) limit = (p - 1) < limit ? (p - 1) : limit;
+
+        while (expOffset < limit) {
+            if (exponent.testBit(expOffset)) result = result.multiply(baseToPow2).#mod2(p);
+            expOffset++;
+            if (expOffset < limit) baseToPow2 = baseToPow2.square().#mod2(p);
+        }
+
+        return result;
+    }
+
+    /**
+     * Returns a BigInteger whose value is this mod(2**p). Assumes that this BigInteger >= 0 and p > 0.
+     * @param {number} p  The power of two of the modulus.
+     * @returns {BigInteger} this mod 2^p
+     */
+    #mod2(p) {
+        if (this.bitLength() <= p) return this;
+
+        // Copy remaining ints of mag
+        const numInts = (p + 31) >>> 5;
+        const mag = this.#mag.slice(this.#mag.length - numInts);
+
+        // Mask out any excess bits
+        const excessBits = (numInts << 5) - p;
+        mag[0] &= -1 >>> excessBits;
+
+        return new BigInteger(1, mag);
+    }
+
+    /**
+     * Returns a BigInteger whose value is (this^-1 mod m).
+     * @param {Object} m  The positive BigInteger or integer modulus.
+     * @returns {BigInteger} this^-1 mod m.
+     * @throws {ArithmeticException} if m is not positive, or this BigInteger has no multiplicative
+     *         inverse mod m (that is, this BigInteger is not relatively prime to m).
+     */
+    modInverse(m) {
+        m = toBigInteger(m);
+        if (m.#signum !== 1) throw new ArithmeticException("BigInteger: modulus not positive");
+
+        if (m.#isOne()) return _ZERO;
+
+        // Calculate (this mod m)
+        var modVal = this;
+        if (this.#signum < 0 || compareMagnitudes(this.#mag, m.#mag) >= 0) modVal = this.mod(m);
+
+        if (modVal.#isOne()) return _ONE;
+
+        // Extended Euclidean algorithm, where a = x * modVal (mod m) for each remainder a. The
+        // coefficients alternate in sign, so only their magnitudes are kept, and each new one is
+        // |x0| + q * |x1|. The coefficient of the final remainder is negative after an even number of steps.
+        var a = new MutableBigInteger(m.#mag);
+        var b = new MutableBigInteger(modVal.#mag);
+        var x0 = new MutableBigInteger();
+        var x1 = new MutableBigInteger(1);
+        var product = new MutableBigInteger();
+        const q = new MutableBigInteger();
+        var steps = 0;
+        while (!b.isZero()) {
+            const r = a.divideKnuth(b, q);
+            a = b;
+            b = r;
+            q.multiply(x1, product);
+            product.add(x0);
+            [x0, x1, product] = [x1, product, x0];
+            steps++;
+        }
+        if (!a.isOne()) throw new ArithmeticException("BigInteger not invertible.");
+
+        const inverse = BigInteger.#fromMutable(x0, 1);
+        return (steps & 1) === 0 ? m.subtract(inverse) : inverse;
+    }
+
+    /**
+     * Returns a BigInteger whose value is the greatest common divisor of abs(this) and abs(val).
+     * Returns 0 if this == 0 && val == 0.
+     * @param {Object} val  The BigInteger or integer with which the GCD is to be computed.
+     * @returns {BigInteger} GCD(abs(this), abs(val))
+     */
+    gcd(val) {
+        val = toBigInteger(val);
+        if (val.#signum === 0) return this.abs();
+        if (this.#signum === 0) return val.abs();
+
+        const a = new MutableBigInteger(this.#mag.slice());
+        const b = new MutableBigInteger(val.#mag.slice());
+        return BigInteger.#fromMutable(a.hybridGcd(b), 1);
+    }
+
+    /**
+     * Creates a random BigInteger, uniformly distributed over the range 0 to (2^numBits - 1).
+     * @param {number} numBits  The maximum bit length of the new BigInteger.
+     * @param {Object} rnd  The source of randomness, providing nextBytes(bytes).
+     * @returns {BigInteger} The new random BigInteger.
+     */
+    static #random(numBits, rnd) {
+        const bytes = randomBits(numBits, rnd);
+        return new BigInteger(1, stripLeadingZeroBytes(bytes, 0, bytes.length));
+    }
+
+    /**
+     * Returns a positive BigInteger that is probably prime, with the specified bitLength. The
+     * probability that a BigInteger returned by this method is composite does not exceed 2^-100.
+     * Given the same sequence of values from rnd, the result is the same as in Java.
+     * @param {number} bitLength  The bitLength of the returned BigInteger.
+     * @param {Object} rnd  The source of random bits used to select candidates to be tested for
+     *        primality, providing nextInt() and nextBytes(bytes), such as a Random. Defaults
+     *        to the platform's cryptographically strong generator.
+     * @returns {BigInteger} A BigInteger of bitLength bits that is probably prime.
+     * @throws {ArithmeticException} bitLength < 2 or bitLength is too large.
+     */
+    static probablePrime(bitLength, rnd = defaultRandom) {
+        if (bitLength < 2) throw new ArithmeticException("bitLength < 2");
+        checkBitLength(bitLength);
+
+        return withoutLimits(() => bitLength < SMALL_PRIME_THRESHOLD ?
+                                   BigInteger.#smallPrime(bitLength, DEFAULT_PRIME_CERTAINTY, rnd) :
+                                   BigInteger.#largePrime(bitLength, DEFAULT_PRIME_CERTAINTY, rnd));
+    }
+
+    /**
+     * Find a random number of the specified bitLength that is probably prime. This method is used
+     * for smaller primes, its performance degrades on larger bitlengths.
+     * This method assumes bitLength > 1.
+     */
+    static #smallPrime(bitLength, certainty, rnd) {
+        const magLen = (bitLength + 31) >>> 5;
+        const temp = new Array(magLen);
+        const highBit = 1 << ((bitLength + 31) & 0x1f);  // High bit of high int
+        const highMask = (highBit << 1) - 1;  // Bits to keep in high int
+
+        while (true) {
+            // Construct a candidate
+            for (var i = 0; i < magLen; i++) temp[i] = rnd.nextInt() | 0;
+            temp[0] = (temp[0] & highMask) | highBit;  // Ensure exact length
+            if (bitLength > 2) temp[magLen - 1] |= 1;  // Make odd if bitlen > 2
+
+            const p = new BigInteger(1, temp);
+
+            // Do cheap "pre-test" if applicable
+            if (bitLength > 6 && p.#hasSmallPrimeFactor()) continue; // Candidate is composite; try another
+
+            // All candidates of bitLength 2 and 3 are prime by this point
+            if (bitLength < 4) return p;
+
+            // Do expensive test if we survive pre-test (or it's inapplicable)
+            if (p.#primeToCertainty(certainty, rnd)) return p;
+        }
+    }
+
+    /**
+     * Find a random number of the specified bitLength that is probably prime. This method is more
+     * appropriate for larger bitlengths since it uses a sieve to eliminate most composites before
+     * using a more expensive test.
+     */
+    static #largePrime(bitLength, certainty, rnd) {
+        var p = BigInteger.#random(bitLength, rnd).setBit(bitLength - 1).clearBit(0);
+
+        // Use a sieve length likely to contain the next prime number
+        const searchLen = BigInteger.#getPrimeSearchLen(bitLength);
+        const isPrime = (c) => c.#primeToCertainty(certainty, rnd);
+        var candidate = new BitSieve(p, searchLen).retrieve(p, isPrime);
+
+        while ((candidate === null) || (candidate.bitLength() !== bitLength)) {
+            p = p.add(BigInteger.valueOf(2 * searchLen));
+            if (p.bitLength() !== bitLength) p = BigInteger.#random(bitLength, rnd).setBit(bitLength - 1);
+            p = p.clearBit(0);
+            candidate = new BitSieve(p, searchLen).retrieve(p, isPrime);
+        }
+        return candidate;
+    }
+
+    /**
+     * Returns the length of the sieve used when searching for a prime of the given bit length.
+     */
+    static #getPrimeSearchLen(bitLength) {
+        if (bitLength > PRIME_SEARCH_BIT_LENGTH_LIMIT + 1) {
+            throw new ArithmeticException("Prime search implementation restriction on bitLength");
+        }
+        return Math.floor(bitLength / 20) * 64;
+    }
+
+    /**
+     * Tests this number against the primes from 3 to 41, using a single remainder operation.
+     * @returns {boolean} true if this number has one of those primes as a factor.
+     */
+    #hasSmallPrimeFactor() {
+        const rmag = this.remainder(_SMALL_PRIME_PRODUCT).#mag;
+        var r = 0;
+        for (var i = 0; i < rmag.length; i++) r = r * TWO_32 + rmag[i];
+        return (r % 3 === 0) || (r % 5 === 0) || (r % 7 === 0) || (r % 11 === 0) ||
+               (r % 13 === 0) || (r % 17 === 0) || (r % 19 === 0) || (r % 23 === 0) ||
+               (r % 29 === 0) || (r % 31 === 0) || (r % 37 === 0) || (r % 41 === 0);
+    }
+
+    /**
+     * Returns the first integer greater than this BigInteger that is probably prime. The
+     * probability that the number returned by this method is composite does not exceed 2^-100.
+     * This method will never skip over a prime when searching: if it returns p, there is no prime
+     * q such that this < q < p.
+     * @param {Object} rnd  The source of random bases for the primality tests, providing
+     *        nextBytes(bytes), such as a Random. Defaults to the platform's cryptographically
+     *        strong generator.
+     * @returns {BigInteger} The first integer greater than this BigInteger that is probably prime.
+     * @throws {ArithmeticException} this < 0 or this is too large.
+     */
+    nextProbablePrime(rnd = defaultRandom) {
+        if (this.#signum < 0) throw new ArithmeticException("start < 0: " + this);
+        return withoutLimits(() => this.#nextProbablePrimeImpl(rnd));
+    }
+
+    /**
+     * The search of nextProbablePrime, which tests each candidate with products of twice its size.
+     * @param {Object} rnd  The source of random bases for the primality tests.
+     * @returns {BigInteger} The first integer greater than this BigInteger that is probably prime.
+     */
+    #nextProbablePrimeImpl(rnd) {
+        // Handle trivial cases
+        if ((this.#signum === 0) || this.#isOne()) return _TWO;
+
+        var result = this.add(_ONE);
+
+        // Fastpath for small numbers
+        if (result.bitLength() < SMALL_PRIME_THRESHOLD) {
+
+            // Ensure an odd number
+            if (!result.testBit(0)) result = result.add(_ONE);
+
+            while (true) {
+                // Do cheap "pre-test" if applicable
+                if (result.bitLength() > 6 && result.#hasSmallPrimeFactor()) {
+                    result = result.add(_TWO);
+                    continue; // Candidate is composite; try another
+                }
+
+                // All candidates of bitLength 2 and 3 are prime by this point
+                if (result.bitLength() < 4) return result;
+
+                // The expensive test
+                if (result.#primeToCertainty(DEFAULT_PRIME_CERTAINTY, rnd)) return result;
+
+                result = result.add(_TWO);
+            }
+        }
+
+        // Start at previous even number
+        if (result.testBit(0)) result = result.subtract(_ONE);
+
+        // Looking for the next large prime
+        const searchLen = BigInteger.#getPrimeSearchLen(result.bitLength());
+        const isPrime = (c) => c.#primeToCertainty(DEFAULT_PRIME_CERTAINTY, rnd);
+
+        while (true) {
+            const candidate = new BitSieve(result, searchLen).retrieve(result, isPrime);
+            if (candidate !== null) return candidate;
+            result = result.add(BigInteger.valueOf(2 * searchLen));
+        }
+    }
+
+    /**
+     * Returns true if this BigInteger is probably prime, false if it's definitely composite. If
+     * certainty is ≤ 0, true is returned. Composite numbers pass with a probability that does not
+     * exceed 2^-certainty.
+     * @param {number} certainty  A measure of the uncertainty that the caller is willing to tolerate.
+     *        The execution time of this method is proportional to the value of this parameter.
+     * @param {Object} rnd  The source of random bases for the Miller-Rabin test, providing
+     *        nextBytes(bytes), such as a Random. Defaults to the platform's cryptographically
+     *        strong generator.
+     * @returns {boolean} true if this BigInteger is probably prime, false if it's definitely composite.
+     */
+    isProbablePrime(certainty, rnd = defaultRandom) {
+        if (certainty <= 0) return true;
+        const w = this.abs();
+        if (w.#mag.length === 1 && w.#mag[0] === 2) return true;
+        if (!w.testBit(0) || w.#isOne()) return false;
+
+        return withoutLimits(() => w.#primeToCertainty(certainty, rnd));
+    }
+
+    /**
+     * Returns true if this BigInteger is probably prime, using the Miller-Rabin test, followed by
+     * the Lucas-Lehmer test for numbers of 100 bits or more. The relationship between the certainty
+     * and the number of rounds performed is given in the draft standard ANSI X9.80, "PRIME NUMBER
+     * GENERATION, PRIMALITY TESTING, AND PRIMALITY CERTIFICATES". This is an odd number greater than 2.
+     * @param {number} certainty  The tolerated uncertainty, as for isProbablePrime.
+     * @param {Object} rnd  The source of random bases for the Miller-Rabin test.
+     * @returns {boolean} true if this BigInteger is probably prime.
+     */
+    #primeToCertainty(certainty, rnd) {
+        var rounds;
+        const n = Math.floor((Math.min(certainty, MAX_INT - 1) + 1) / 2);
+
+        const sizeInBits = this.bitLength();
+        if (sizeInBits < 100) {
+            rounds = 50;
+            rounds = n < rounds ? n : rounds;
+            return this.#passesMillerRabin(rounds, rnd);
+        }
+
+        if (sizeInBits < 256) {
+            rounds = 27;
+        } else if (sizeInBits < 512) {
+            rounds = 15;
+        } else if (sizeInBits < 768) {
+            rounds = 8;
+        } else if (sizeInBits < 1024) {
+            rounds = 4;
+        } else {
+            rounds = 2;
+        }
+        rounds = n < rounds ? n : rounds;
+
+        return this.#passesMillerRabin(rounds, rnd) && this.#passesLucasLehmer();
+    }
+
+    /**
+     * Returns true if this BigInteger is a Lucas-Lehmer probable prime. The following assumptions
+     * are made: this BigInteger is a positive, odd number.
+     */
+    #passesLucasLehmer() {
+        const thisPlusOne = this.add(_ONE);
+
+        // Step 1
+        var d = 5;
+        while (BigInteger.#jacobiSymbol(d, this) !== -1) {
+            // 5, -7, 9, -11, ...
+            d = (d < 0) ? Math.abs(d) + 2 : -(d + 2);
+        }
+
+        // Step 2
+        const u = BigInteger.#lucasLehmerSequence(d, thisPlusOne, this);
+
+        // Step 3
+        return u.mod(this).#signum === 0;
+    }
+
+    /**
+     * Computes Jacobi(p,n). Assumes n positive, odd, n>=3.
+     */
+    static #jacobiSymbol(p, n) {
+        if (p === 0) return 0;
+
+        // Algorithm and comments adapted from Colin Plumb's C library.
+        var j = 1;
+        var u = n.#mag[n.#mag.length - 1];
+
+        // Make p positive
+        if (p < 0) {
+            p = -p;
+            const n8 = u & 7;
+            if ((n8 === 3) || (n8 === 7)) j = -j; // 3 (011) or 7 (111) mod 8
+        }
+
+        // Get rid of factors of 2 in p
+        while ((p & 3) === 0) p >>= 2;
+        if ((p & 1) === 0) {
+            p >>= 1;
+            if (((u ^ (u >> 1)) & 2) !== 0) j = -j; // 3 (011) or 5 (101) mod 8
+        }
+        if (p === 1) return j;
+        // Then, apply quadratic reciprocity
+        if ((p & u & 2) !== 0) j = -j; // p = u = 3 (mod 4)?
+        // And reduce u mod p
+        const umag = n.mod(BigInteger.valueOf(p)).#mag;
+        u = umag.length === 0 ? 0 : umag[0];
+
+        // Now compute Jacobi(u,p), u < p
+        while (u !== 0) {
+            while ((u & 3) === 0) u >>= 2;
+            if ((u & 1) === 0) {
+                u >>= 1;
+                if (((p ^ (p >> 1)) & 2) !== 0) j = -j; // 3 (011) or 5 (101) mod 8
+            }
+            if (u === 1) return j;
+            // Now both u and p are odd, so use quadratic reciprocity
+            const t = u;
+            u = p;
+            p = t;
+            if ((u & p & 2) !== 0) j = -j; // u = p = 3 (mod 4)?
+            // Now u >= p, so it can be reduced
+            u %= p;
+        }
+        return 0;
+    }
+
+    /**
+     * Computes the Lucas sequence U(k) mod n, for the parameters P = 1 and Q = (1 - z) / 4.
+     */
+    static #lucasLehmerSequence(z, k, n) {
+        const d = BigInteger.valueOf(z);
+        var u = _ONE;
+        var u2;
+        var v = _ONE;
+        var v2;
+
+        for (var i = k.bitLength() - 2; i >= 0; i--) {
+            u2 = u.multiply(v).mod(n);
+
+            v2 = v.square().add(d.multiply(u.square())).mod(n);
+            if (v2.testBit(0)) v2 = v2.subtract(n);
+
+            v2 = v2.shiftRight(1);
+
+            u = u2;
+            v = v2;
+            if (k.testBit(i)) {
+                u2 = u.add(v).mod(n);
+                if (u2.testBit(0)) u2 = u2.subtract(n);
+
+                u2 = u2.shiftRight(1);
+                v2 = v.add(d.multiply(u)).mod(n);
+                if (v2.testBit(0)) v2 = v2.subtract(n);
+                v2 = v2.shiftRight(1);
+
+                u = u2;
+                v = v2;
+            }
+        }
+        return u;
+    }
+
+    /**
+     * Returns true if this BigInteger passes the specified number of Miller-Rabin tests. This test
+     * is taken from the DSA spec (NIST FIPS 186-2). The following assumptions are made: this
+     * BigInteger is a positive, odd number greater than 2, and iterations <= 50.
+     */
+    #passesMillerRabin(iterations, rnd) {
+        // Find a and m such that m is odd and this == 1 + 2**a * m
+        const thisMinusOne = this.subtract(_ONE);
+        var m = thisMinusOne;
+        const a = m.getLowestSetBit();
+        m = m.shiftRight(a);
+
+        // Do the tests
+        for (var i = 0; i < iterations; i++) {
+            // Generate a uniform random on (1, this)
+            var b;
+            do {
+                b = BigInteger.#random(this.bitLength(), rnd);
+            } while (b.#signum === 0 || b.#isOne() || compareMagnitudes(b.#mag, this.#mag) >= 0);
+
+            var j = 0;
+            var z = b.modPow(m, this);
+            while (!((j === 0 && z.#isOne()) || compareMagnitudes(z.#mag, thisMinusOne.#mag) === 0)) {
+                if (j > 0 && z.#isOne() || ++j === a) return false;
+                z = z.modPow(_TWO, this);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Returns a byte array containing the two's-complement representation of this BigInteger. The
+     * byte array will be in big-endian byte-order: the most significant byte is in the zeroth
+     * element. The array will contain the minimum number of bytes required to represent this
+     * BigInteger, including at least one sign bit, which is (ceil((this.bitLength() + 1)/8)).
+     * The bytes are the same as those returned by java.math.BigInteger.toByteArray, read as unsigned.
+     * @returns {Uint8Array} A byte array containing the two's-complement representation of this BigInteger.
+     */
+    toByteArray() {
+        const byteLen = Math.floor(this.bitLength() / 8) + 1;
+        const byteArray = new Uint8Array(byteLen);
+
+        for (var i = byteLen - 1, bytesCopied = 4, nextInt = 0, intIndex = 0; i >= 0; i--) {
+            if (bytesCopied === 4) {
+                nextInt = this.#getInt(intIndex++);
+                bytesCopied = 1;
+            } else {
+                nextInt >>>= 8;
+                bytesCopied++;
+            }
+            byteArray[i] = nextInt;
+        }
+        return byteArray;
+    }
+
+    /**
+     * Returns a byte array of a fixed length containing the unsigned binary representation of this
+     * BigInteger, padded with leading zero bytes. This is the form used for fixed-size values such as
+     * keys and coordinates in WebCrypto.
+     * @param {number} length  The number of bytes in the array. Defaults to the minimum number of
+     *        bytes required to hold the magnitude, which is (ceil(this.bitLength()/8)).
+     * @param {boolean} littleEndian  If true, the least significant byte is in the zeroth element.
+     *        Defaults to false, for big-endian byte-order.
+     * @returns {Uint8Array} A byte array containing the unsigned representation of this BigInteger.
+     * @throws {ArithmeticException} if this BigInteger is negative, or does not fit in length bytes.
+     */
+    toUnsignedByteArray(length = Math.floor((this.bitLength() + 7) / 8), littleEndian = false) {
+        if (this.#signum < 0) throw new ArithmeticException("Negative BigInteger has no unsigned representation");
+        if (this.bitLength() > length * 8) throw new ArithmeticException("BigInteger does not fit in " + length + " bytes");
+
+        const byteArray = new Uint8Array(length);
+        const mag = this.#mag;
+        const byteLen = Math.min(length, mag.length * 4);
+        // k counts bytes from the least significant
+        for (var k = 0; k < byteLen; k++) {
+            const b = mag[mag.length - 1 - (k >>> 2)] >>> ((k & 3) << 3);
+            byteArray[littleEndian ? k : length - 1 - k] = b;
+        }
+        return byteArray;
+    }
+
+    /**
+     * Returns a native BigInt whose value is equal to this BigInteger.
+     * @returns {bigint} This BigInteger as a BigInt.
+     */
+    toBigInt() {
+        if (this.#signum === 0) return 0n;
+        const hex = Array.from(this.#mag, (m) => m.toString(16).padStart(8, '0')).join('');
+        const value = BigInt('0x' + hex);
+        return this.#signum < 0 ? -value : value;
+    }
+
+    /**
+     * Converts this BigInteger to an int, as a Java narrowing primitive conversion: only the low-order
+     * 32 bits are returned. This may lose information about the magnitude of the value, and return a
+     * result with the opposite sign.
+     * @returns {number} This BigInteger converted to a 32-bit int.
+     */
+    intValue() {
+        return this.#getInt(0);
+    }
+
+    /**
+     * Converts this BigInteger to a long, as a Java narrowing primitive conversion: only the low-order
+     * 64 bits are returned. This may lose information about the magnitude of the value, and return a
+     * result with the opposite sign. The result is a BigInt, unless a Long class is provided.
+     * @param {Function} Long  Optional long class with a static fromBits(lowBits, highBits), such as
+     *        goog.math.Long, to construct the result with.
+     * @returns {bigint|Object} This BigInteger converted to a signed 64-bit BigInt, or an instance of Long.
+     */
+    longValue(Long) {
+        const low = this.#getInt(0);
+        const high = this.#getInt(1);
+        if (Long) return Long.fromBits(low, high);
+        return (BigInt(high) << 32n) | BigInt(low >>> 0);
+    }
+
+    /**
+     * Converts this BigInteger to an int, checking for lost information.
+     * @returns {number} This BigInteger converted to a 32-bit int.
+     * @throws {ArithmeticException} if the value of this will not exactly fit in an int.
+     */
+    intValueExact() {
+        if (this.#mag.length <= 1 && this.bitLength() <= 31) return this.intValue();
+        throw new ArithmeticException("BigInteger out of int range");
+    }
+
+    /**
+     * Converts this BigInteger to a long, checking for lost information.
+     * @param {Function} Long  Optional long class with a static fromBits(lowBits, highBits), as for longValue.
+     * @returns {bigint|Object} This BigInteger converted to a signed 64-bit BigInt, or an instance of Long.
+     * @throws {ArithmeticException} if the value of this will not exactly fit in a long.
+     */
+    longValueExact(Long) {
+        if (this.#mag.length <= 2 && this.bitLength() <= 63) return this.longValue(Long);
+        throw new ArithmeticException("BigInteger out of long range");
+    }
+
+    /**
+     * Converts this BigInteger to a short, checking for lost information.
+     * @returns {number} This BigInteger converted to a 16-bit short.
+     * @throws {ArithmeticException} if the value of this will not exactly fit in a short.
+     */
+    shortValueExact() {
+        if (this.#mag.length <= 1 && this.bitLength() <= 31) {
+            const value = this.intValue();
+            if (value >= -0x8000 && value <= 0x7fff) return value;
+        }
+        throw new ArithmeticException("BigInteger out of short range");
+    }
+
+    /**
+     * Converts this BigInteger to a double. If this BigInteger has too great a magnitude to represent
+     * as a double, it will be converted to Infinity or -Infinity as appropriate. Otherwise the value
+     * is rounded to the nearest double, with ties rounded to an even significand, as in Java.
+     * @returns {number} This BigInteger converted to a double.
+     */
+    doubleValue() {
+        return this.#roundToPrecision(53, 1023);
+    }
+
+    /**
+     * Converts this BigInteger to a float. If this BigInteger has too great a magnitude to represent
+     * as a float, it will be converted to Infinity or -Infinity as appropriate. Otherwise the value
+     * is rounded to the nearest float, with ties rounded to an even significand, as in Java.
+     * @returns {number} This BigInteger converted to a float, held in a number.
+     */
+    floatValue() {
+        return Math.fround(this.#roundToPrecision(24, 127));
+    }
+
+    /**
+     * Rounds this BigInteger to a binary floating point value, using round-half-even.
+     * @param {number} precision  The number of bits in the significand, including the implicit bit.
+     * @param {number} maxExponent  The maximum unbiased binary exponent of the floating point type.
+     * @returns {number} The rounded value, or an infinity if the value is too large.
+     */
+    #roundToPrecision(precision, maxExponent) {
+        if (this.#signum === 0) return 0;
+
+        const bitLength = bitLengthForMag(this.#mag, this.#mag.length);
+        if (bitLength - 1 > maxExponent) return this.#signum * Infinity;
+
+        // Values with no more bits than the significand are exact
+        const shift = bitLength > precision ? bitLength - precision : 0;
+        const abs = this.abs();
+        const significand = abs.shiftRight(shift).#mag.reduce((r, m) => r * TWO_32 + m, 0);
+        if (shift === 0) return this.#signum * significand;
+
+        // Round up above the half way point, or at half way when the significand is odd
+        const increment = abs.testBit(shift - 1) && ((significand & 1) !== 0 || this.getLowestSetBit() < shift - 1);
+        return this.#signum * (increment ? significand + 1 : significand) * 2 ** shift;
+    }
+
+    /**
+     * Returns the String representation of this BigInteger in the given radix. If the radix is outside
+     * the range from 2 to 36 inclusive, it will default to 10. A minus sign is prepended if appropriate,
+     * and digits above 9 are lowercase letters, as in Java.
+     * @param {number} radix  The radix of the String representation. Defaults to 10.
+     * @returns {string} The String representation of this BigInteger in the given radix.
+     */
     toString(radix = 10) {
-        if (signum === 0) return "0";
+        if (this.#signum === 0) return "0";
         if (radix < MIN_RADIX || radix > MAX_RADIX) radix = 10;
 
         var abs = this.abs();
-        return toString(abs, this.#signum < 0 ? "-" : "", radix, 0);  // TODO
+        return (this.#signum < 0 ? "-" : "") + toString(abs, radix, 0);
     }
 }
 
-exports = BigInteger;
+// The helpers after the exceptions are for the other modules of the library, and are not part of
+// its public interface.
+module.exports = { BigInteger, NumberFormatException, ArithmeticException, toBigInteger, withoutLimits, checkBitLength, multiplyCarryInt, unsignedLonger };
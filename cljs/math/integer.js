@@ -0,0 +1,290 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview The static methods of java.lang.Integer that work on the bits of an int, treat an
+ * int as unsigned, or convert between ints and strings. Arguments are converted to ints as the
+ * bitwise operators convert them, so an unsigned 32-bit value, such as an element of a Uint32Array,
+ * is treated as the int with the same bits. Results are ints, and so are signed.
+ */
+
+const { NumberFormatException, ArithmeticException, digit, forInputString, checkParse } = require('./lang.js');
+
+const MAX_VALUE = 0x7FFFFFFF;
+const MIN_VALUE = 0x80000000 | 0;
+const UNSIGNED_MAX_VALUE = 0xFFFFFFFF;
+const LONG_MAX_VALUE = (1n << 63n) - 1n;
+const MIN_RADIX = 2;
+const MAX_RADIX = 36;
+
+/**
+ * Returns the number of zero bits before the highest one bit of an int.
+ * @param {number} i  The int.
+ * @returns {number} The number of leading zeros, which is 32 if i is zero.
+ */
+function numberOfLeadingZeros(i) {
+    return Math.clz32(i);
+}
+
+/**
+ * Returns the number of zero bits after the lowest one bit of an int.
+ * @param {number} i  The int.
+ * @returns {number} The number of trailing zeros, which is 32 if i is zero.
+ */
+function numberOfTrailingZeros(i) {
+    i |= 0;
+    return i === 0 ? 32 : 31 - Math.clz32(i & -i);
+}
+
+/**
+ * Counts the number of one bits in an int.
+ * @param {number} i  The int.
+ * @returns {number} The number of bits set to 1, from 0 to 32.
+ */
+function bitCount(i) {
+    i = i - ((i >>> 1) & 0x55555555);
+    i = (i & 0x33333333) + ((i >>> 2) & 0x33333333);
+    i = (i + (i >>> 4)) & 0x0F0F0F0F;
+    i = i + (i >>> 8);
+    i = i + (i >>> 16);
+    return i & 0x3F;
+}
+
+/**
+ * Returns an int with only the highest one bit of another int.
+ * @param {number} i  The int.
+ * @returns {number} The highest one bit of i, or zero if i is zero.
+ */
+function highestOneBit(i) {
+    return i & (MIN_VALUE >>> Math.clz32(i));
+}
+
+/**
+ * Returns an int with only the lowest one bit of another int.
+ * @param {number} i  The int.
+ * @returns {number} The lowest one bit of i, or zero if i is zero.
+ */
+function lowestOneBit(i) {
+    return i & -i;
+}
+
+/**
+ * Returns an int with the bits of another int in reverse order.
+ * @param {number} i  The int.
+ * @returns {number} The int with the highest bit of i as its lowest, and so on.
+ */
+function reverse(i) {
+    i = (i & 0x55555555) << 1 | (i >>> 1) & 0x55555555;
+    i = (i & 0x33333333) << 2 | (i >>> 2) & 0x33333333;
+    i = (i & 0x0F0F0F0F) << 4 | (i >>> 4) & 0x0F0F0F0F;
+    return reverseBytes(i);
+}
+
+/**
+ * Returns an int with the bytes of another int in reverse order.
+ * @param {number} i  The int.
+ * @returns {number} The int with the highest byte of i as its lowest, and so on.
+ */
+function reverseBytes(i) {
+    return (i << 24) | ((i & 0xFF00) << 8) | ((i >>> 8) & 0xFF00) | (i >>> 24);
+}
+
+/**
+ * Rotates the bits of an int to the left. Bits shifted out of the high end come back in at the
+ * low end. As with Java's shifts, only the low five bits of the distance are used, so a negative
+ * distance rotates to the right.
+ * @param {number} i  The int to rotate.
+ * @param {number} distance  The number of bit positions to rotate by.
+ * @returns {number} The rotated int.
+ */
+function rotateLeft(i, distance) {
+    return (i << distance) | (i >>> -distance);
+}
+
+/**
+ * Rotates the bits of an int to the right. Bits shifted out of the low end come back in at the
+ * high end. Only the low five bits of the distance are used, so a negative distance rotates to the
+ * left.
+ * @param {number} i  The int to rotate.
+ * @param {number} distance  The number of bit positions to rotate by.
+ * @returns {number} The rotated int.
+ */
+function rotateRight(i, distance) {
+    return (i >>> distance) | (i << -distance);
+}
+
+/**
+ * Returns the signum function of an int.
+ * @param {number} i  The int.
+ * @returns {number} -1 if i is negative, 0 if it is zero, and 1 if it is positive.
+ */
+function signum(i) {
+    return (i >> 31) | (-i >>> 31);
+}
+
+/**
+ * Compares two ints as unsigned values.
+ * @param {number} x  The first int.
+ * @param {number} y  The second int.
+ * @returns {number} -1, 0 or 1 as the unsigned value of x is less than, equal to, or greater than
+ *          the unsigned value of y.
+ */
+function compareUnsigned(x, y) {
+    x >>>= 0;
+    y >>>= 0;
+    return x < y ? -1 : (x === y ? 0 : 1);
+}
+
+/**
+ * Checks that the divisor of an unsigned division is not zero.
+ * @param {number} divisor  The divisor, as an unsigned value.
+ * @returns {number} divisor
+ * @throws {ArithmeticException} if divisor is zero.
+ */
+function checkDivisor(divisor) {
+    if (divisor === 0) throw new ArithmeticException('/ by zero');
+    return divisor;
+}
+
+/**
+ * Divides two ints as unsigned values.
+ * @param {number} dividend  The int to divide.
+ * @param {number} divisor  The int to divide by.
+ * @returns {number} The unsigned quotient, as the int with the same bits.
+ * @throws {ArithmeticException} if divisor is zero.
+ */
+function divideUnsigned(dividend, divisor) {
+    // The quotient of two doubles below 2^32 is never rounded up to the next integer
+    return Math.floor((dividend >>> 0) / checkDivisor(divisor >>> 0)) | 0;
+}
+
+/**
+ * Returns the remainder of dividing two ints as unsigned values.
+ * @param {number} dividend  The int to divide.
+ * @param {number} divisor  The int to divide by.
+ * @returns {number} The unsigned remainder, as the int with the same bits.
+ * @throws {ArithmeticException} if divisor is zero.
+ */
+function remainderUnsigned(dividend, divisor) {
+    return ((dividend >>> 0) % checkDivisor(divisor >>> 0)) | 0;
+}
+
+/**
+ * Parses a string as a signed int, as Java's Integer.parseInt does. The string may start with a
+ * '-' or '+' sign, and all other characters must be digits in the radix, which includes any
+ * Unicode decimal digit.
+ * @param {string} s  The string to parse.
+ * @param {number} radix  The radix of the digits, from 2 to 36. Defaults to 10.
+ * @returns {number} The value of the string.
+ * @throws {NumberFormatException} if the string is not a number in the radix, or its value is
+ *         out of the range of an int.
+ */
+function parseInt(s, radix = 10) {
+    checkParse(s, radix);
+    const negative = s.charAt(0) === '-';
+    const start = negative || s.charAt(0) === '+' ? 1 : 0;
+    if (start === s.length) throw forInputString(s, radix);
+    // Accumulate the negative of the value, as Java does, so that MIN_VALUE is in range
+    const limit = negative ? MIN_VALUE : -MAX_VALUE;
+    var result = 0;
+    for (var i = start; i < s.length; i++) {
+        const d = digit(s.charCodeAt(i), radix);
+        if (d < 0) throw forInputString(s, radix);
+        result = result * radix - d;
+        if (result < limit) throw forInputString(s, radix);
+    }
+    return (negative ? result : -result) | 0;
+}
+
+/**
+ * Parses a string as an unsigned int, as Java's Integer.parseUnsignedInt does. Values from 2^31 to
+ * 2^32 - 1 are returned as the negative int with the same bits.
+ * @param {string} s  The string to parse, which may start with a '+' sign.
+ * @param {number} radix  The radix of the digits, from 2 to 36. Defaults to 10.
+ * @returns {number} The value of the string.
+ * @throws {NumberFormatException} if the string is not a number in the radix, starts with a '-'
+ *         sign, or its value is greater than 2^32 - 1.
+ */
+function parseUnsignedInt(s, radix = 10) {
+    if (s === null || s === undefined) throw new NumberFormatException(`Cannot parse null string: ${s}`);
+    if (s.length === 0) throw forInputString(s, radix);
+    if (s.charAt(0) === '-') throw new NumberFormatException(`Illegal leading minus sign on unsigned string ${s}.`);
+    checkParse(s, radix);
+    const start = s.charAt(0) === '+' ? 1 : 0;
+    if (start === s.length) throw forInputString(s, radix);
+    var result = 0;
+    var big = null;  // the value, once it is too large for an unsigned int
+    for (var i = start; i < s.length; i++) {
+        const d = digit(s.charCodeAt(i), radix);
+        if (d < 0) throw forInputString(s, radix);
+        if (big !== null) {
+            big = big * BigInt(radix) + BigInt(d);
+        } else if ((result = result * radix + d) > UNSIGNED_MAX_VALUE) {
+            big = BigInt(result);
+        }
+    }
+    if (big === null) return result | 0;
+    // Java parses long strings as a long, and reports values out of its range as bad input
+    if (big > LONG_MAX_VALUE) throw forInputString(s, radix);
+    throw new NumberFormatException(`String value ${s} exceeds range of unsigned int.`);
+}
+
+/**
+ * Returns the string representation of an int as an unsigned value.
+ * @param {number} i  The int.
+ * @param {number} radix  The radix of the digits. Defaults to 10, which is also used if the radix
+ *        is out of the range 2 to 36.
+ * @returns {string} The unsigned value of i, in lower case digits.
+ */
+function toUnsignedString(i, radix = 10) {
+    if (radix < MIN_RADIX || radix > MAX_RADIX) radix = 10;
+    return (i >>> 0).toString(radix);
+}
+
+/**
+ * Returns the string representation of an int as an unsigned value in base 16.
+ * @param {number} i  The int.
+ * @returns {string} The unsigned hexadecimal value of i, in lower case, without leading zeros.
+ */
+function toHexString(i) {
+    return (i >>> 0).toString(16);
+}
+
+/**
+ * Returns the string representation of an int as an unsigned value in base 8.
+ * @param {number} i  The int.
+ * @returns {string} The unsigned octal value of i, without leading zeros.
+ */
+function toOctalString(i) {
+    return (i >>> 0).toString(8);
+}
+
+/**
+ * Returns the string representation of an int as an unsigned value in base 2.
+ * @param {number} i  The int.
+ * @returns {string} The unsigned binary value of i, without leading zeros.
+ */
+function toBinaryString(i) {
+    return (i >>> 0).toString(2);
+}
+
+module.exports = { numberOfLeadingZeros, numberOfTrailingZeros, bitCount, highestOneBit, lowestOneBit, reverse, reverseBytes, rotateLeft, rotateRight, signum, compareUnsigned, divideUnsigned, remainderUnsigned, parseInt, parseUnsignedInt, toUnsignedString, toHexString, toOctalString, toBinaryString };
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview The parts of java.lang that the other modules share: the exceptions they throw,
+ * Character.digit, and the checks and messages of the methods that parse integers.
+ */
+
+const MIN_RADIX = 2;
+const MAX_RADIX = 36;
+
+class NumberFormatException extends Error {}
+
+class ArithmeticException extends Error {}
+
+/**
+ * Returns the value of a character as a digit in the given radix, in the same way that
+ * Java's Character.digit does. As well as the ASCII digits and letters, this accepts any Unicode
+ * decimal digit, and the fullwidth Latin letters.
+ * @param {number} ch  The UTF-16 code of the character.
+ * @param {number} radix  The radix of the digit.
+ * @returns {number} The value of the digit, or -1 if the character is not a digit in the radix.
+ */
+function digit(ch, radix) {
+    var d = -1;
+    if (ch >= 0x30 && ch <= 0x39) {             // '0'..'9'
+        d = ch - 0x30;
+    } else if (ch >= 0x61 && ch <= 0x7A) {      // 'a'..'z'
+        d = ch - 0x61 + 10;
+    } else if (ch >= 0x41 && ch <= 0x5A) {      // 'A'..'Z'
+        d = ch - 0x41 + 10;
+    } else if (ch >= 0x80) {
+        if (ch >= 0xFF41 && ch <= 0xFF5A) {     // fullwidth 'a'..'z'
+            d = ch - 0xFF41 + 10;
+        } else if (ch >= 0xFF21 && ch <= 0xFF3A) {  // fullwidth 'A'..'Z'
+            d = ch - 0xFF21 + 10;
+        } else {
+            d = unicodeDigit(ch);
+        }
+    }
+    return d < radix ? d : -1;
+}
+
+const DECIMAL_DIGIT = /\p{Nd}/u;
+
+/**
+ * Returns the value of a Unicode decimal digit (general category Nd). Unicode allocates these in
+ * runs of ten consecutive characters from zero to nine, with some runs placed back to back, so the
+ * value is the distance from the start of the run, modulo ten.
+ * @param {number} ch  The UTF-16 code of the character.
+ * @returns {number} The value of the digit, or -1 if the character is not a decimal digit.
+ */
+function unicodeDigit(ch) {
+    if (!DECIMAL_DIGIT.test(String.fromCharCode(ch))) return -1;
+    var zero = ch;
+    while (DECIMAL_DIGIT.test(String.fromCharCode(zero - 1))) zero--;
+    return (ch - zero) % 10;
+}
+
+/**
+ * Creates the exception that Java throws for a string that is not a number.
+ * @param {string} s  The string that could not be parsed.
+ * @param {number} radix  The radix it was parsed in.
+ * @returns {NumberFormatException} The exception to throw.
+ */
+function forInputString(s, radix) {
+    return new NumberFormatException(`For input string: "${s}"` + (radix === 10 ? '' : ` under radix ${radix}`));
+}
+
+/**
+ * Checks the arguments of a parse method, in the same order as Java.
+ * @param {string} s  The string to parse.
+ * @param {number} radix  The radix to parse in.
+ * @throws {NumberFormatException} if s is null, or radix is out of range.
+ */
+function checkParse(s, radix) {
+    if (s === null || s === undefined) throw new NumberFormatException(`Cannot parse null string: ${s}`);
+    if (radix < MIN_RADIX) throw new NumberFormatException(`radix ${radix} less than Character.MIN_RADIX`);
+    if (radix > MAX_RADIX) throw new NumberFormatException(`radix ${radix} greater than Character.MAX_RADIX`);
+}
+
+module.exports = { NumberFormatException, ArithmeticException, digit, forInputString, checkParse };
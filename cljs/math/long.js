@@ -0,0 +1,667 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Defines the Long class, a signed 64-bit integer with the behavior of Java's long
+ * and java.lang.Long: arithmetic wraps around on overflow, division truncates towards zero, and
+ * shifts use the low 6 bits of the distance. The value is held as two 32-bit ints.
+ */
+
+const { BigInteger, multiplyCarryInt, unsignedLonger } = require('./biginteger.js');
+const { NumberFormatException, ArithmeticException, digit, forInputString, checkParse } = require('./lang.js');
+const { numberOfLeadingZeros, numberOfTrailingZeros, bitCount } = require('./integer.js');
+
+const TWO_32 = 0x100000000;
+const TWO_53 = 0x20000000000000;
+const TWO_63 = 2 ** 63;
+const MIN_RADIX = 2;
+const MAX_RADIX = 36;
+
+// Constant values, which are assigned in the static initializer of Long.
+var _ZERO;
+var _ONE;
+var _NEGATIVE_ONE;
+var _MIN_VALUE;
+var _MAX_VALUE;
+
+/**
+ * For each radix, the largest power of the radix that fits in an unsigned int, and the number of
+ * digits in it. An unsigned long is converted to a string by dividing it once by this power.
+ */
+const chunkPowers = new Array(MAX_RADIX + 1);
+const chunkDigits = new Array(MAX_RADIX + 1);
+for (let radix = MIN_RADIX; radix <= MAX_RADIX; radix++) {
+    let power = radix;
+    let digits = 1;
+    while (power * radix < TWO_32) {
+        power *= radix;
+        digits++;
+    }
+    chunkPowers[radix] = power;
+    chunkDigits[radix] = digits;
+}
+
+/**
+ * Divides an unsigned 64-bit value, given as two 32-bit words, by an unsigned 32-bit divisor. The
+ * high word must be less than the divisor, so that the quotient fits in 32 bits. The division is
+ * done 16 bits at a time, so that every intermediate value is exact in a double.
+ * @param {number} high  The high word of the dividend. As an unsigned value, this must be less
+ *        than divisor.
+ * @param {number} low  The low word of the dividend.
+ * @param {number} divisor  The non-zero unsigned 32-bit divisor.
+ * @returns {Array<number>} The unsigned quotient and remainder.
+ */
+function divideWord(high, low, divisor) {
+    const n1 = unsignedLonger(high) * 0x10000 + (low >>> 16);
+    const q1 = Math.floor(n1 / divisor);
+    const n0 = (n1 - q1 * divisor) * 0x10000 + (low & 0xFFFF);
+    const q0 = Math.floor(n0 / divisor);
+    return [q1 * 0x10000 + q0, n0 - q0 * divisor];
+}
+
+/**
+ * Converts an argument to a Long.
+ * @param {Object} val  A Long, or a safe integer.
+ * @returns {Long} val as a Long.
+ * @throws {TypeError} if val is not a Long or a number.
+ */
+function toLong(val) {
+    if (val instanceof Long) return val;
+    if (typeof val === 'number') return Long.valueOf(val);
+    throw new TypeError('Invalid argument type');
+}
+
+/**
+ * An immutable signed 64-bit integer, which behaves as a Java long. Methods that take another
+ * operand accept a Long or a safe integer.
+ */
+class Long {
+    #high;
+    #low;
+
+    static {
+        _ZERO = new Long(0, 0);
+        _ONE = new Long(0, 1);
+        _NEGATIVE_ONE = new Long(-1, -1);
+        _MIN_VALUE = new Long(0x80000000, 0);
+        _MAX_VALUE = new Long(0x7FFFFFFF, -1);
+    }
+
+    /**
+     * Creates a Long from its two halves. Use Long.fromBits or Long.valueOf rather than calling this
+     * directly.
+     * @param {number} high  The high-order 32 bits.
+     * @param {number} low  The low-order 32 bits.
+     */
+    constructor(high, low) {
+        this.#high = high | 0;
+        this.#low = low | 0;
+    }
+
+    static get ZERO() { return _ZERO; }
+    static get ONE() { return _ONE; }
+    static get NEGATIVE_ONE() { return _NEGATIVE_ONE; }
+    static get MIN_VALUE() { return _MIN_VALUE; }
+    static get MAX_VALUE() { return _MAX_VALUE; }
+    static get SIZE() { return 64; }
+    static get BYTES() { return 8; }
+
+    /**
+     * Returns a Long made from two 32-bit ints. The argument order matches goog.math.Long, so that
+     * Long can be passed to BigInteger.longValue.
+     * @param {number} lowBits  The low-order 32 bits.
+     * @param {number} highBits  The high-order 32 bits.
+     * @returns {Long} The Long with those bits.
+     */
+    static fromBits(lowBits, highBits) {
+        return new Long(highBits, lowBits);
+    }
+
+    /**
+     * Returns a Long whose value is equal to that of the specified integer.
+     * @param {number} n  The integer value, with a magnitude of no more than 2^53.
+     * @returns {Long} A Long with the specified value.
+     * @throws {RangeError} if n is not an integer, or its magnitude is greater than 2^53.
+     */
+    static valueOf(n) {
+        if (!Number.isInteger(n) || Math.abs(n) > TWO_53) {
+            throw new RangeError(`Value ${n} is not an integer within 2^53`);
+        }
+        return new Long(Math.floor(n / TWO_32), n);
+    }
+
+    /**
+     * Converts a double to a Long, as a Java narrowing primitive conversion: the value is truncated
+     * towards zero, values beyond the range of a long become MIN_VALUE or MAX_VALUE, and NaN
+     * becomes zero.
+     * @param {number} d  The number to convert.
+     * @returns {Long} The Long value of d.
+     */
+    static fromNumber(d) {
+        if (Number.isNaN(d)) return _ZERO;
+        if (d >= TWO_63) return _MAX_VALUE;
+        if (d <= -TWO_63) return _MIN_VALUE;
+        d = Math.trunc(d);
+        return new Long(Math.floor(d / TWO_32), d);
+    }
+
+    /**
+     * Returns the Long with the low-order 64 bits of a native BigInt, as a Java narrowing
+     * conversion does. This may lose information about the magnitude of the value, and return a
+     * result with the opposite sign.
+     * @param {bigint} value  The BigInt value.
+     * @returns {Long} The low-order 64 bits of value.
+     * @throws {TypeError} if value is not a BigInt.
+     */
+    static fromBigInt(value) {
+        if (typeof value !== 'bigint') throw new TypeError('Invalid argument type');
+        return new Long(Number(BigInt.asIntN(32, value >> 32n)), Number(BigInt.asIntN(32, value)));
+    }
+
+    /**
+     * Returns the Long equal to a BigInteger.
+     * @param {BigInteger} value  The BigInteger to convert.
+     * @returns {Long} A Long with the same value.
+     * @throws {ArithmeticException} if value does not fit in a long.
+     */
+    static fromBigInteger(value) {
+        return value.longValueExact(Long);
+    }
+
+    /**
+     * Parses a string as a signed long, as Java's Long.parseLong does. The string may start with a
+     * '-' or '+' sign, and all other characters must be digits in the radix, which includes any
+     * Unicode decimal digit.
+     * @param {string} s  The string to parse.
+     * @param {number} radix  The radix of the digits, from 2 to 36. Defaults to 10.
+     * @returns {Long} The value of the string.
+     * @throws {NumberFormatException} if the string is not a number in the radix, or its value is
+     *         out of the range of a long.
+     */
+    static parseLong(s, radix = 10) {
+        checkParse(s, radix);
+        const negative = s.charAt(0) === '-';
+        const start = negative || s.charAt(0) === '+' ? 1 : 0;
+        if (start === s.length) throw forInputString(s, radix);
+        const magnitude = Long.#parseMagnitude(s, start, radix);
+        if (magnitude === null || magnitude.compareUnsigned(negative ? _MIN_VALUE : _MAX_VALUE) > 0) {
+            throw forInputString(s, radix);
+        }
+        return negative ? magnitude.negate() : magnitude;
+    }
+
+    /**
+     * Parses a string as an unsigned long, as Java's Long.parseUnsignedLong does. Values from 2^63 to
+     * 2^64 - 1 are returned as the negative Long with the same bits.
+     * @param {string} s  The string to parse, which may start with a '+' sign.
+     * @param {number} radix  The radix of the digits, from 2 to 36. Defaults to 10.
+     * @returns {Long} The value of the string.
+     * @throws {NumberFormatException} if the string is not a number in the radix, starts with a
+     *         '-' sign, or its value is greater than 2^64 - 1.
+     */
+    static parseUnsignedLong(s, radix = 10) {
+        checkParse(s, radix);
+        if (s.charAt(0) === '-') throw new NumberFormatException(`Illegal leading minus sign on unsigned string ${s}.`);
+        const start = s.charAt(0) === '+' ? 1 : 0;
+        if (start === s.length) throw forInputString(s, radix);
+        const magnitude = Long.#parseMagnitude(s, start, radix);
+        if (magnitude === null) throw new NumberFormatException(`String value ${s} exceeds range of unsigned long.`);
+        return magnitude;
+    }
+
+    /**
+     * Parses the digits of a string as an unsigned 64-bit value.
+     * @param {string} s  The string to parse.
+     * @param {number} start  The position of the first digit.
+     * @param {number} radix  The radix of the digits.
+     * @returns {Long} The unsigned value of the digits, or null if it does not fit in 64 bits.
+     * @throws {NumberFormatException} if a character is not a digit in the radix.
+     */
+    static #parseMagnitude(s, start, radix) {
+        var high = 0;
+        var low = 0;
+        var overflow = false;
+        for (var i = start; i < s.length; i++) {
+            const d = digit(s.charCodeAt(i), radix);
+            if (d < 0) throw forInputString(s, radix);
+            var carry;
+            [carry, low] = multiplyCarryInt(low, radix, d);
+            [carry, high] = multiplyCarryInt(high, radix, carry);
+            if (carry !== 0) overflow = true;
+        }
+        return overflow ? null : new Long(high, low);
+    }
+
+    /**
+     * Returns the low-order 32 bits of this Long.
+     * @returns {number} The low 32 bits, as a signed int.
+     */
+    getLowBits() {
+        return this.#low;
+    }
+
+    /**
+     * Returns the high-order 32 bits of this Long.
+     * @returns {number} The high 32 bits, as a signed int.
+     */
+    getHighBits() {
+        return this.#high;
+    }
+
+    /**
+     * Returns a Long whose value is this + val, wrapping around on overflow.
+     * @param {Object} val  The Long or integer to add to this Long.
+     * @returns {Long} this + val
+     */
+    add(val) {
+        val = toLong(val);
+        const low = unsignedLonger(this.#low) + unsignedLonger(val.#low);
+        return new Long(this.#high + val.#high + (low >= TWO_32 ? 1 : 0), low);
+    }
+
+    /**
+     * Returns a Long whose value is this - val, wrapping around on overflow.
+     * @param {Object} val  The Long or integer to subtract from this Long.
+     * @returns {Long} this - val
+     */
+    subtract(val) {
+        val = toLong(val);
+        const low = unsignedLonger(this.#low) - unsignedLonger(val.#low);
+        return new Long(this.#high - val.#high - (low < 0 ? 1 : 0), low);
+    }
+
+    /**
+     * Returns a Long whose value is this * val, wrapping around on overflow. Only the low-order
+     * 64 bits of the product are kept, so the cross products need only their low words.
+     * @param {Object} val  The Long or integer to multiply this Long by.
+     * @returns {Long} this * val
+     */
+    multiply(val) {
+        val = toLong(val);
+        const [carry, low] = multiplyCarryInt(this.#low, val.#low, 0);
+        return new Long(carry + Math.imul(this.#low, val.#high) + Math.imul(this.#high, val.#low), low);
+    }
+
+    /**
+     * Returns a Long whose value is this / val, truncated towards zero. MIN_VALUE / -1 wraps around
+     * to MIN_VALUE, as in Java.
+     * @param {Object} val  The Long or integer to divide this Long by.
+     * @returns {Long} this / val
+     * @throws {ArithmeticException} if val is zero.
+     */
+    divide(val) {
+        return this.divideAndRemainder(val)[0];
+    }
+
+    /**
+     * Returns a Long whose value is this % val. The result has the sign of this, as in Java.
+     * @param {Object} val  The Long or integer to divide this Long by.
+     * @returns {Long} this % val
+     * @throws {ArithmeticException} if val is zero.
+     */
+    remainder(val) {
+        return this.divideAndRemainder(val)[1];
+    }
+
+    /**
+     * Returns an array containing this / val followed by this % val.
+     * @param {Object} val  The Long or integer to divide this Long by.
+     * @returns {Array<Long>} An array of the quotient and the remainder.
+     * @throws {ArithmeticException} if val is zero.
+     */
+    divideAndRemainder(val) {
+        val = toLong(val);
+        // The magnitude of MIN_VALUE is itself, which is correct when treated as unsigned
+        const [q, r] = Long.#divideAndRemainderUnsigned(this.abs(), val.abs());
+        return [(this.#high ^ val.#high) < 0 ? q.negate() : q, this.#high < 0 ? r.negate() : r];
+    }
+
+    /**
+     * Returns a Long whose value is this / val, treating both as unsigned.
+     * @param {Object} val  The Long or integer to divide this Long by.
+     * @returns {Long} The unsigned quotient.
+     * @throws {ArithmeticException} if val is zero.
+     */
+    divideUnsigned(val) {
+        return Long.#divideAndRemainderUnsigned(this, toLong(val))[0];
+    }
+
+    /**
+     * Returns a Long whose value is this % val, treating both as unsigned.
+     * @param {Object} val  The Long or integer to divide this Long by.
+     * @returns {Long} The unsigned remainder.
+     * @throws {ArithmeticException} if val is zero.
+     */
+    remainderUnsigned(val) {
+        return Long.#divideAndRemainderUnsigned(this, toLong(val))[1];
+    }
+
+    /**
+     * Divides two unsigned 64-bit values. A divisor below 2^32 is handled a word at a time. A larger
+     * divisor gives a quotient that fits in an int, which is estimated from the leading 32 bits of
+     * the divisor and then corrected, as in divlu of Hacker's Delight, section 9-5.
+     * @param {Long} u  The dividend, as unsigned.
+     * @param {Long} v  The divisor, as unsigned.
+     * @returns {Array<Long>} The unsigned quotient and remainder.
+     * @throws {ArithmeticException} if v is zero.
+     */
+    static #divideAndRemainderUnsigned(u, v) {
+        if (v.#high === 0) {
+            const d = unsignedLonger(v.#low);
+            if (d === 0) throw new ArithmeticException('/ by zero');
+            const high = unsignedLonger(u.#high);
+            const qHigh = Math.floor(high / d);
+            const [qLow, r] = divideWord(high - qHigh * d, u.#low, d);
+            return [new Long(qHigh, qLow), new Long(0, r)];
+        }
+        if (u.compareUnsigned(v) < 0) return [_ZERO, u];
+
+        // Normalize the divisor so that its top bit is set, and halve the dividend so that the
+        // estimate does not overflow. The estimate is then at most one too small.
+        const n = numberOfLeadingZeros(v.#high);
+        const vTop = n === 0 ? v.#high : (v.#high << n) | (v.#low >>> (32 - n));
+        const [q1] = divideWord(u.#high >>> 1, (u.#high << 31) | (u.#low >>> 1), unsignedLonger(vTop));
+        var q = Math.floor(q1 / 2 ** (31 - n));
+        if (q !== 0) q--;
+        var r = u.subtract(v.multiply(new Long(0, q)));
+        if (r.compareUnsigned(v) >= 0) {
+            q++;
+            r = r.subtract(v);
+        }
+        return [new Long(0, q), r];
+    }
+
+    /**
+     * Returns a Long whose value is -this. The negation of MIN_VALUE is MIN_VALUE.
+     * @returns {Long} -this
+     */
+    negate() {
+        return this.#low === 0 ? new Long(-this.#high, 0) : new Long(~this.#high, -this.#low);
+    }
+
+    /**
+     * Returns a Long whose value is the absolute value of this. The absolute value of MIN_VALUE is
+     * MIN_VALUE, as in Java.
+     * @returns {Long} abs(this)
+     */
+    abs() {
+        return this.#high < 0 ? this.negate() : this;
+    }
+
+    /**
+     * Returns the signum function of this Long.
+     * @returns {number} -1, 0 or 1 as the value of this Long is negative, zero or positive.
+     */
+    signum() {
+        if (this.#high < 0) return -1;
+        return this.#high === 0 && this.#low === 0 ? 0 : 1;
+    }
+
+    /**
+     * Returns a Long whose value is this & val.
+     * @param {Object} val  The Long or integer to AND with this Long.
+     * @returns {Long} this & val
+     */
+    and(val) {
+        val = toLong(val);
+        return new Long(this.#high & val.#high, this.#low & val.#low);
+    }
+
+    /**
+     * Returns a Long whose value is this | val.
+     * @param {Object} val  The Long or integer to OR with this Long.
+     * @returns {Long} this | val
+     */
+    or(val) {
+        val = toLong(val);
+        return new Long(this.#high | val.#high, this.#low | val.#low);
+    }
+
+    /**
+     * Returns a Long whose value is this ^ val.
+     * @param {Object} val  The Long or integer to XOR with this Long.
+     * @returns {Long} this ^ val
+     */
+    xor(val) {
+        val = toLong(val);
+        return new Long(this.#high ^ val.#high, this.#low ^ val.#low);
+    }
+
+    /**
+     * Returns a Long whose value is ~this.
+     * @returns {Long} ~this
+     */
+    not() {
+        return new Long(~this.#high, ~this.#low);
+    }
+
+    /**
+     * Returns a Long whose value is this << n. As in Java, only the low 6 bits of n are used.
+     * @param {number} n  The shift distance, in bits.
+     * @returns {Long} this << n
+     */
+    shiftLeft(n) {
+        n &= 63;
+        if (n === 0) return this;
+        if (n < 32) return new Long((this.#high << n) | (this.#low >>> (32 - n)), this.#low << n);
+        return new Long(this.#low << (n - 32), 0);
+    }
+
+    /**
+     * Returns a Long whose value is this >> n, extending the sign. As in Java, only the low 6 bits
+     * of n are used.
+     * @param {number} n  The shift distance, in bits.
+     * @returns {Long} this >> n
+     */
+    shiftRight(n) {
+        n &= 63;
+        if (n === 0) return this;
+        if (n < 32) return new Long(this.#high >> n, (this.#low >>> n) | (this.#high << (32 - n)));
+        return new Long(this.#high >> 31, this.#high >> (n - 32));
+    }
+
+    /**
+     * Returns a Long whose value is this >>> n, shifting in zeros. As in Java, only the low 6 bits
+     * of n are used.
+     * @param {number} n  The shift distance, in bits.
+     * @returns {Long} this >>> n
+     */
+    shiftRightUnsigned(n) {
+        n &= 63;
+        if (n === 0) return this;
+        if (n < 32) return new Long(this.#high >>> n, (this.#low >>> n) | (this.#high << (32 - n)));
+        return new Long(0, this.#high >>> (n - 32));
+    }
+
+    /**
+     * Returns the value of this rotated left by n bits. As in Java, only the low 6 bits of n are used.
+     * @param {number} n  The rotation distance, in bits.
+     * @returns {Long} this rotated left by n bits.
+     */
+    rotateLeft(n) {
+        return this.shiftLeft(n).or(this.shiftRightUnsigned(-n));
+    }
+
+    /**
+     * Returns the value of this rotated right by n bits. As in Java, only the low 6 bits of n are used.
+     * @param {number} n  The rotation distance, in bits.
+     * @returns {Long} this rotated right by n bits.
+     */
+    rotateRight(n) {
+        return this.shiftRightUnsigned(n).or(this.shiftLeft(-n));
+    }
+
+    /**
+     * Returns the number of one-bits in the two's complement representation of this Long.
+     * @returns {number} The number of bits set, from 0 to 64.
+     */
+    bitCount() {
+        return bitCount(this.#high) + bitCount(this.#low);
+    }
+
+    /**
+     * Returns the number of zero bits before the highest-order one-bit of this Long.
+     * @returns {number} The number of leading zeros, which is 64 for zero.
+     */
+    numberOfLeadingZeros() {
+        return this.#high === 0 ? 32 + numberOfLeadingZeros(this.#low) : numberOfLeadingZeros(this.#high);
+    }
+
+    /**
+     * Returns the number of zero bits after the lowest-order one-bit of this Long.
+     * @returns {number} The number of trailing zeros, which is 64 for zero.
+     */
+    numberOfTrailingZeros() {
+        return this.#low === 0 ? 32 + numberOfTrailingZeros(this.#high) : numberOfTrailingZeros(this.#low);
+    }
+
+    /**
+     * Compares this Long with the specified Long.
+     * @param {Object} val  The Long or integer to which this Long is to be compared.
+     * @returns {number} -1, 0 or 1 as this Long is numerically less than, equal to, or greater than val.
+     */
+    compareTo(val) {
+        val = toLong(val);
+        if (this.#high !== val.#high) return this.#high < val.#high ? -1 : 1;
+        return this.#compareLow(val);
+    }
+
+    /**
+     * Compares this Long with the specified Long, treating both as unsigned.
+     * @param {Object} val  The Long or integer to which this Long is to be compared.
+     * @returns {number} -1, 0 or 1 as this Long is less than, equal to, or greater than val as unsigned values.
+     */
+    compareUnsigned(val) {
+        val = toLong(val);
+        if (this.#high !== val.#high) return unsignedLonger(this.#high) < unsignedLonger(val.#high) ? -1 : 1;
+        return this.#compareLow(val);
+    }
+
+    /**
+     * Compares the low-order ints of this Long and val as unsigned values.
+     * @param {Long} val  The Long to compare to.
+     * @returns {number} -1, 0 or 1 as the low int of this is less than, equal to, or greater than that of val.
+     */
+    #compareLow(val) {
+        if (this.#low === val.#low) return 0;
+        return unsignedLonger(this.#low) < unsignedLonger(val.#low) ? -1 : 1;
+    }
+
+    /**
+     * Compares two Longs, as Java's Long.compare does.
+     * @param {Object} x  The first Long or integer to compare.
+     * @param {Object} y  The second Long or integer to compare.
+     * @returns {number} -1, 0 or 1 as x is less than, equal to, or greater than y.
+     */
+    static compare(x, y) {
+        return toLong(x).compareTo(y);
+    }
+
+    /**
+     * Compares this Long with the specified Object for equality.
+     * @param {Object} x  The Object to which this Long is to be compared.
+     * @returns {boolean} true if x is a Long with the same value as this.
+     */
+    equals(x) {
+        return x instanceof Long && x.#high === this.#high && x.#low === this.#low;
+    }
+
+    /**
+     * Returns the hash code for this Long, which is the same as that of java.lang.Long.
+     * @returns {number} The 32-bit hash code: the XOR of the two halves of the value.
+     */
+    hashCode() {
+        return this.#high ^ this.#low;
+    }
+
+    /**
+     * Converts this Long to an int, as a Java narrowing primitive conversion: only the low-order
+     * 32 bits are returned.
+     * @returns {number} The low-order 32 bits, as a signed int.
+     */
+    intValue() {
+        return this.#low;
+    }
+
+    /**
+     * Converts this Long to a double, rounding to the nearest double as Java does.
+     * @returns {number} The value of this Long as a number.
+     */
+    doubleValue() {
+        // The high part is exact, so the sum is rounded once
+        return this.#high * TWO_32 + unsignedLonger(this.#low);
+    }
+
+    /**
+     * Returns a native BigInt whose value is equal to this Long.
+     * @returns {bigint} This Long as a BigInt.
+     */
+    toBigInt() {
+        return (BigInt(this.#high) << 32n) | BigInt(unsignedLonger(this.#low));
+    }
+
+    /**
+     * Returns a BigInteger whose value is equal to this Long.
+     * @returns {BigInteger} This Long as a BigInteger.
+     */
+    toBigInteger() {
+        const magnitude = this.abs();
+        return new BigInteger(this.signum(), [magnitude.#high, magnitude.#low]);
+    }
+
+    /**
+     * Returns a BigInteger whose value is this Long treated as unsigned.
+     * @returns {BigInteger} The unsigned value of this Long, from 0 to 2^64 - 1.
+     */
+    toUnsignedBigInteger() {
+        return new BigInteger(this.signum() === 0 ? 0 : 1, [this.#high, this.#low]);
+    }
+
+    /**
+     * Returns the String representation of this Long in the given radix, as Java's Long.toString
+     * does. Digits above 9 are lowercase letters, and negative values have a leading '-'.
+     * @param {number} radix  The radix, from 2 to 36. Any other radix is taken to be 10, as in Java.
+     * @returns {string} The value of this Long in the radix.
+     */
+    toString(radix = 10) {
+        if (this.#high >= 0) return this.toUnsignedString(radix);
+        // The negation of MIN_VALUE is its own magnitude when treated as unsigned
+        return '-' + this.negate().toUnsignedString(radix);
+    }
+
+    /**
+     * Returns the String representation of this Long treated as unsigned, in the given radix, as
+     * Java's Long.toUnsignedString does.
+     * @param {number} radix  The radix, from 2 to 36. Any other radix is taken to be 10, as in Java.
+     * @returns {string} The unsigned value of this Long in the radix.
+     */
+    toUnsignedString(radix = 10) {
+        if (radix < MIN_RADIX || radix > MAX_RADIX) radix = 10;
+        // Values below 2^53 are exact as numbers
+        if (this.#high >>> 21 === 0) return this.doubleValue().toString(radix);
+        // Otherwise the quotient by the largest power of radix in an int is below 2^53
+        const [q, r] = Long.#divideAndRemainderUnsigned(this, new Long(0, chunkPowers[radix]));
+        return q.doubleValue().toString(radix) + r.doubleValue().toString(radix).padStart(chunkDigits[radix], '0');
+    }
+}
+
+module.exports = { Long };
@@ -0,0 +1,497 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Functions of java.lang.Math that JavaScript's Math lacks: the exact integer
+ * operations, which throw an ArithmeticException on overflow, floor and ceiling division, and the
+ * IEEE 754 helpers for doubles. The integer functions follow Java's overloads: numbers are treated
+ * as ints, and if either argument is a Long, both are treated as longs and the result is a Long.
+ */
+
+const { BigInteger, ArithmeticException } = require('./biginteger.js');
+const { Long } = require('./long.js');
+
+const MAX_INT = 0x7FFFFFFF;
+const MIN_INT = 0x80000000 | 0;
+const TWO_32 = 0x100000000;
+const TWO_52 = 0x10000000000000;
+const MIN_EXPONENT = -1022;
+const MAX_EXPONENT = 1023;
+const SIGNIFICAND_WIDTH = 53;
+const MIN_VALUE = Number.MIN_VALUE;  // 2^-1074
+
+// Scratch space for reading and writing the bits of a double.
+const view = new DataView(new ArrayBuffer(8));
+
+/**
+ * Checks that an argument is a 32-bit int.
+ * @param {number} x  The argument to check.
+ * @returns {number} x
+ * @throws {RangeError} if x is not an integer in the range of an int.
+ */
+function checkInt(x) {
+    if (!Number.isInteger(x) || x > MAX_INT || x < MIN_INT) throw new RangeError(`Value ${x} is not a 32-bit int`);
+    return x;
+}
+
+/**
+ * Checks that a result is in the range of an int.
+ * @param {number} r  The exact result of an int operation.
+ * @returns {number} r, as an int.
+ * @throws {ArithmeticException} if r is out of the range of an int.
+ */
+function intResult(r) {
+    if (r > MAX_INT || r < MIN_INT) throw new ArithmeticException('integer overflow');
+    return r | 0;
+}
+
+/**
+ * Converts an argument to a Long.
+ * @param {Object} x  A Long, or a safe integer.
+ * @returns {Long} x as a Long.
+ */
+function toLong(x) {
+    return x instanceof Long ? x : Long.valueOf(x);
+}
+
+/**
+ * Tests if a pair of arguments should be treated as longs, and checks them if not.
+ * @param {Object} x  The first argument, a Long or an int.
+ * @param {Object} y  The second argument, a Long or an int.
+ * @returns {boolean} true if either argument is a Long.
+ * @throws {RangeError} if neither is a Long, and one is not an int.
+ */
+function isLongPair(x, y) {
+    if (x instanceof Long || y instanceof Long) return true;
+    checkInt(x);
+    checkInt(y);
+    return false;
+}
+
+/**
+ * Returns the sum of its arguments, throwing an exception if the result overflows.
+ * @param {Object} x  The first value, a Long or an int.
+ * @param {Object} y  The second value, a Long or an int.
+ * @returns {Object} x + y, as a Long if either argument is a Long, and otherwise as an int.
+ * @throws {ArithmeticException} if the result overflows an int, or a long.
+ */
+function addExact(x, y) {
+    if (!isLongPair(x, y)) return intResult(x + y);
+    const r = toLong(x).add(y);
+    // Overflow only if both arguments have the opposite sign of the result
+    if (r.xor(x).and(r.xor(y)).signum() < 0) throw new ArithmeticException('long overflow');
+    return r;
+}
+
+/**
+ * Returns the difference of its arguments, throwing an exception if the result overflows.
+ * @param {Object} x  The first value, a Long or an int.
+ * @param {Object} y  The second value to subtract from the first, a Long or an int.
+ * @returns {Object} x - y, as a Long if either argument is a Long, and otherwise as an int.
+ * @throws {ArithmeticException} if the result overflows an int, or a long.
+ */
+function subtractExact(x, y) {
+    if (!isLongPair(x, y)) return intResult(x - y);
+    const r = toLong(x).subtract(y);
+    // Overflow only if the arguments have different signs and the sign of the result differs from x
+    if (toLong(x).xor(y).and(r.xor(x)).signum() < 0) throw new ArithmeticException('long overflow');
+    return r;
+}
+
+/**
+ * Returns the product of the arguments, throwing an exception if the result overflows.
+ * @param {Object} x  The first value, a Long or an int.
+ * @param {Object} y  The second value, a Long or an int.
+ * @returns {Object} x * y, as a Long if either argument is a Long, and otherwise as an int.
+ * @throws {ArithmeticException} if the result overflows an int, or a long.
+ */
+function multiplyExact(x, y) {
+    // The product of two ints is rounded as a double only when it is far outside the range of an int
+    if (!isLongPair(x, y)) return intResult(x * y);
+    const r = toLong(x).multiply(y);
+    // The product fits if the high 64 bits of the full product are the sign of the low 64 bits
+    if (!multiplyHigh(x, y).equals(r.shiftRight(63))) throw new ArithmeticException('long overflow');
+    return r;
+}
+
+/**
+ * Returns the negation of the argument, throwing an exception if the result overflows.
+ * @param {Object} a  The value to negate, a Long or an int.
+ * @returns {Object} -a, as a Long if a is a Long, and otherwise as an int.
+ * @throws {ArithmeticException} if a is the minimum int, or the minimum long.
+ */
+function negateExact(a) {
+    if (!(a instanceof Long)) return intResult(-checkInt(a));
+    if (a.equals(Long.MIN_VALUE)) throw new ArithmeticException('long overflow');
+    return a.negate();
+}
+
+/**
+ * Returns the value of a long as an int, throwing an exception if the value overflows an int.
+ * @param {Object} value  The Long, or safe integer, to convert.
+ * @returns {number} The value as an int.
+ * @throws {ArithmeticException} if value is out of the range of an int.
+ * @throws {RangeError} if value is a number that is not a safe integer.
+ */
+function toIntExact(value) {
+    if (value instanceof Long) {
+        if (!Long.valueOf(value.intValue()).equals(value)) throw new ArithmeticException('integer overflow');
+        return value.intValue();
+    }
+    if (!Number.isSafeInteger(value)) throw new RangeError(`Value ${value} is not a safe integer`);
+    return intResult(value);
+}
+
+/**
+ * Divides two ints, truncating towards zero, as Java's / does. MIN_INT / -1 wraps around to MIN_INT.
+ * @param {number} x  The dividend.
+ * @param {number} y  The divisor.
+ * @returns {number} The truncated quotient.
+ * @throws {ArithmeticException} if y is zero.
+ */
+function intDivide(x, y) {
+    if (y === 0) throw new ArithmeticException('/ by zero');
+    // The quotient of two ints is never rounded across an integer as a double
+    return Math.trunc(x / y) | 0;
+}
+
+/**
+ * Returns the largest value that is less than or equal to the algebraic quotient. MIN_INT / -1,
+ * and the same for longs, wraps around to the minimum value, as in Java.
+ * @param {Object} x  The dividend, a Long or an int.
+ * @param {Object} y  The divisor, a Long or an int.
+ * @returns {Object} The floor of x / y, as a Long if either argument is a Long, and otherwise as an int.
+ * @throws {ArithmeticException} if y is zero.
+ */
+function floorDiv(x, y) {
+    if (!isLongPair(x, y)) {
+        const q = intDivide(x, y);
+        // If the signs are different and the division is inexact, round down
+        return (x ^ y) < 0 && Math.imul(q, y) !== x ? q - 1 : q;
+    }
+    const [q, r] = toLong(x).divideAndRemainder(y);
+    return r.signum() !== 0 && r.xor(y).signum() < 0 ? q.subtract(1) : q;
+}
+
+/**
+ * Returns the floor modulus of the arguments: x - floorDiv(x, y) * y. The result has the sign of
+ * the divisor.
+ * @param {Object} x  The dividend, a Long or an int.
+ * @param {Object} y  The divisor, a Long or an int.
+ * @returns {Object} The floor modulus, as a Long if either argument is a Long, and otherwise as an int.
+ * @throws {ArithmeticException} if y is zero.
+ */
+function floorMod(x, y) {
+    if (!isLongPair(x, y)) {
+        if (y === 0) throw new ArithmeticException('/ by zero');
+        const r = (x % y) | 0;
+        return (x ^ y) < 0 && r !== 0 ? r + y : r;
+    }
+    const r = toLong(x).remainder(y);
+    return r.signum() !== 0 && r.xor(y).signum() < 0 ? r.add(y) : r;
+}
+
+/**
+ * Returns the smallest value that is greater than or equal to the algebraic quotient. MIN_INT / -1,
+ * and the same for longs, wraps around to the minimum value, as in Java.
+ * @param {Object} x  The dividend, a Long or an int.
+ * @param {Object} y  The divisor, a Long or an int.
+ * @returns {Object} The ceiling of x / y, as a Long if either argument is a Long, and otherwise as an int.
+ * @throws {ArithmeticException} if y is zero.
+ */
+function ceilDiv(x, y) {
+    if (!isLongPair(x, y)) {
+        const q = intDivide(x, y);
+        // If the signs are the same and the division is inexact, round up. The product wraps
+        // around as an int, so that MIN_INT / -1 is exact.
+        return (x ^ y) >= 0 && Math.imul(q, y) !== x ? q + 1 : q;
+    }
+    const [q, r] = toLong(x).divideAndRemainder(y);
+    return r.signum() !== 0 && r.xor(y).signum() >= 0 ? q.add(1) : q;
+}
+
+/**
+ * Returns the most significant 64 bits of the 128-bit product of two 64-bit values.
+ * @param {Object} x  The first value, a Long or a safe integer.
+ * @param {Object} y  The second value, a Long or a safe integer.
+ * @returns {Long} The high 64 bits of x * y.
+ */
+function multiplyHigh(x, y) {
+    const product = toLong(x).toBigInteger().multiply(toLong(y).toBigInteger());
+    return product.shiftRight(64).longValue(Long);
+}
+
+/**
+ * Returns the sign bit of a double, including the sign of zero and of NaN.
+ * @param {number} d  The double.
+ * @returns {boolean} true if the sign bit is set.
+ */
+function signBit(d) {
+    view.setFloat64(0, d);
+    return view.getUint32(0) >>> 31 === 1;
+}
+
+/**
+ * Returns the exact value of a finite double as an integer significand and a power of two.
+ * @param {number} d  The double to decompose.
+ * @returns {Array} The BigInteger significand and the exponent of the power of two.
+ */
+function decompose(d) {
+    view.setFloat64(0, d);
+    const high = view.getUint32(0);
+    const biasedExponent = (high >>> 20) & 0x7ff;
+    // Subnormal values have no implicit bit, and the exponent of the smallest normal value
+    const significand = ((high & 0xfffff) + (biasedExponent === 0 ? 0 : 0x100000)) * TWO_32 + view.getUint32(4);
+    const exponent = (biasedExponent === 0 ? 1 : biasedExponent) - 1075;
+    return [BigInteger.valueOf(d < 0 ? -significand : significand), exponent];
+}
+
+/**
+ * Rounds value * 2^exponent to the nearest double, with ties to an even significand.
+ * @param {BigInteger} value  The non-zero integer to round.
+ * @param {number} exponent  The power of two that value is scaled by.
+ * @returns {number} The nearest double.
+ */
+function roundToDouble(value, exponent) {
+    const magnitude = value.abs();
+    // The lowest bit that can be kept, for 53 bits of precision, or the smallest subnormal
+    const lowestExponent = Math.max(exponent + magnitude.bitLength() - SIGNIFICAND_WIDTH, -1074);
+    const shift = lowestExponent - exponent;
+    var result;
+    if (shift <= 0) {
+        result = scalb(magnitude.doubleValue(), exponent);
+    } else {
+        var significand = magnitude.shiftRight(shift);
+        const cmp = magnitude.subtract(significand.shiftLeft(shift)).compareTo(BigInteger.ONE.shiftLeft(shift - 1));
+        if (cmp > 0 || (cmp === 0 && significand.testBit(0))) significand = significand.add(BigInteger.ONE);
+        result = scalb(significand.doubleValue(), lowestExponent);
+    }
+    return value.signum() < 0 ? -result : result;
+}
+
+/**
+ * Returns the fused multiply-add of the arguments: a * b + c computed exactly, and then rounded
+ * once to the nearest double. The exact value is computed with BigIntegers.
+ * @param {number} a  A value.
+ * @param {number} b  A value.
+ * @param {number} c  A value.
+ * @returns {number} a * b + c, rounded once.
+ */
+function fma(a, b, c) {
+    if (Number.isNaN(a) || Number.isNaN(b) || Number.isNaN(c)) return NaN;
+    const infiniteA = !Number.isFinite(a);
+    const infiniteB = !Number.isFinite(b);
+    if (infiniteA || infiniteB || !Number.isFinite(c)) {
+        if ((infiniteA && b === 0) || (infiniteB && a === 0)) return NaN;
+        const product = a * b;
+        // An intermediate overflow could give a spurious NaN when added to an infinite c
+        if (!Number.isFinite(product) && !infiniteA && !infiniteB) return c;
+        return product + c;
+    }
+    // An exact zero product gets the sign of the result from floating-point addition
+    if (a === 0 || b === 0) return a * b + c;
+
+    const [ma, ea] = decompose(a);
+    const [mb, eb] = decompose(b);
+    const [mc, ec] = decompose(c);
+    const product = ma.multiply(mb);
+    const ep = ea + eb;
+    const sum = ep < ec ? product.add(mc.shiftLeft(ec - ep)) : product.shiftLeft(ep - ec).add(mc);
+    if (sum.signum() === 0) return 0;
+    return roundToDouble(sum, Math.min(ep, ec));
+}
+
+/**
+ * Returns the unbiased exponent used in the representation of a double.
+ * @param {number} d  The double.
+ * @returns {number} The exponent, which is MAX_EXPONENT + 1 for NaN and infinities, and
+ *          MIN_EXPONENT - 1 for zero and subnormal values.
+ */
+function getExponent(d) {
+    view.setFloat64(0, d);
+    return ((view.getUint32(0) >>> 20) & 0x7ff) - MAX_EXPONENT;
+}
+
+/**
+ * Returns the size of an ulp of the argument: the distance from the argument to the next double
+ * of larger magnitude.
+ * @param {number} d  The double.
+ * @returns {number} The size of an ulp of d. This is NaN for NaN, and Infinity for infinities.
+ */
+function ulp(d) {
+    if (!Number.isFinite(d)) return Math.abs(d);
+    const exponent = getExponent(d);
+    if (exponent < MIN_EXPONENT) return MIN_VALUE;
+    // Powers of two down to 2^-1074 are exact
+    return 2 ** (exponent - (SIGNIFICAND_WIDTH - 1));
+}
+
+/**
+ * Returns the double next to a finite, non-negative double, by adding one to or subtracting one
+ * from its bits.
+ * @param {number} d  A non-negative double, or positive infinity when decrementing.
+ * @param {boolean} increment  true for the next larger double, and false for the next smaller.
+ * @returns {number} The adjacent double.
+ */
+function adjacentMagnitude(d, increment) {
+    view.setFloat64(0, d);
+    const high = view.getUint32(0);
+    const low = view.getUint32(4);
+    if (increment) {
+        view.setUint32(4, low + 1);
+        if (low === 0xFFFFFFFF) view.setUint32(0, high + 1);
+    } else {
+        view.setUint32(4, low - 1);
+        if (low === 0) view.setUint32(0, high - 1);
+    }
+    return view.getFloat64(0);
+}
+
+/**
+ * Returns the double adjacent to d in the direction of positive infinity.
+ * @param {number} d  The starting value.
+ * @returns {number} The adjacent double that is larger than d. NaN and Infinity are returned unchanged.
+ */
+function nextUp(d) {
+    if (Number.isNaN(d) || d === Infinity) return d;
+    // Adding zero turns -0 into +0
+    if (d >= 0) return adjacentMagnitude(d + 0, true);
+    return -adjacentMagnitude(-d, false);
+}
+
+/**
+ * Returns the double adjacent to d in the direction of negative infinity.
+ * @param {number} d  The starting value.
+ * @returns {number} The adjacent double that is smaller than d. NaN and -Infinity are returned unchanged.
+ */
+function nextDown(d) {
+    if (Number.isNaN(d) || d === -Infinity) return d;
+    if (d === 0) return -MIN_VALUE;
+    if (d > 0) return adjacentMagnitude(d, false);
+    return -adjacentMagnitude(-d, true);
+}
+
+/**
+ * Returns the double adjacent to the first argument in the direction of the second argument.
+ * @param {number} start  The starting value.
+ * @param {number} direction  The value to move towards.
+ * @returns {number} The double adjacent to start in the direction of direction. If the arguments
+ *          are equal, direction is returned, and if either is NaN, NaN is returned.
+ */
+function nextAfter(start, direction) {
+    if (start > direction) return nextDown(start);
+    if (start < direction) return nextUp(start);
+    if (start === direction) return direction;
+    return start + direction;
+}
+
+/**
+ * Returns d * 2^scaleFactor, rounded as if by a single multiplication. The multiplication is done
+ * by powers of two that are themselves doubles, in the same steps as Java, so the result is the same.
+ * @param {number} d  The value to scale.
+ * @param {number} scaleFactor  The integer power of two to scale by.
+ * @returns {number} d * 2^scaleFactor
+ * @throws {RangeError} if scaleFactor is not an integer.
+ */
+function scalb(d, scaleFactor) {
+    if (!Number.isInteger(scaleFactor)) throw new RangeError(`Scale factor ${scaleFactor} is not an integer`);
+    // Any larger scale takes every finite non-zero value to zero or infinity
+    const MAX_SCALE = MAX_EXPONENT - MIN_EXPONENT + SIGNIFICAND_WIDTH + 1;
+    var scaleIncrement;
+    var expDelta;
+    if (scaleFactor < 0) {
+        scaleFactor = Math.max(scaleFactor, -MAX_SCALE);
+        scaleIncrement = -512;
+        expDelta = 2 ** -512;
+    } else {
+        scaleFactor = Math.min(scaleFactor, MAX_SCALE);
+        scaleIncrement = 512;
+        expDelta = 2 ** 512;
+    }
+    const expAdjust = scaleFactor % 512;
+    d *= 2 ** expAdjust;
+    scaleFactor -= expAdjust;
+    while (scaleFactor !== 0) {
+        d *= expDelta;
+        scaleFactor -= scaleIncrement;
+    }
+    return d;
+}
+
+/**
+ * Returns the first argument with the sign of the second. The sign bit of a NaN is used, as it is
+ * by java.lang.Math.
+ * @param {number} magnitude  The value providing the magnitude of the result.
+ * @param {number} sign  The value providing the sign of the result.
+ * @returns {number} A value with the magnitude of magnitude and the sign of sign.
+ */
+function copySign(magnitude, sign) {
+    return signBit(sign) ? -Math.abs(magnitude) : Math.abs(magnitude);
+}
+
+/**
+ * Computes the remainder operation on two arguments as prescribed by IEEE 754: f1 - f2 * n, where n
+ * is the integer nearest to f1 / f2, choosing the even integer when two are equally near. This is
+ * the algorithm of fdlibm, which Java uses.
+ * @param {number} f1  The dividend.
+ * @param {number} f2  The divisor.
+ * @returns {number} The IEEE remainder. This is NaN if f2 is zero, f1 is infinite, or either is NaN.
+ */
+function IEEEremainder(f1, f2) {
+    if (f2 === 0 || !Number.isFinite(f1) || Number.isNaN(f2)) return NaN;
+    const negative = signBit(f1);
+    var x = Math.abs(f1);
+    const p = Math.abs(f2);
+    if (x === p) return negative ? -0 : 0;
+    // The fmod of % is exact, and makes x < 2p
+    if (p <= Number.MAX_VALUE / 2) x %= p + p;
+    if (p < 2 ** -1021) {
+        if (x + x > p) {
+            x -= p;
+            if (x + x >= p) x -= p;
+        }
+    } else {
+        const pHalf = 0.5 * p;
+        if (x > pHalf) {
+            x -= p;
+            if (x >= pHalf) x -= p;
+        }
+    }
+    return negative ? -x : x;
+}
+
+/**
+ * Returns the double that is closest to the argument and equal to an integer, choosing the even
+ * integer when two are equally close.
+ * @param {number} a  The value to round.
+ * @returns {number} The rounded value, with the sign of a. NaN, infinities and zeros are returned
+ *          unchanged.
+ */
+function rint(a) {
+    const sign = copySign(1, a);
+    a = Math.abs(a);
+    // Adding 2^52 leaves no bits for the fraction, so the addition rounds to an integer
+    if (a < TWO_52) a = (TWO_52 + a) - TWO_52;
+    return sign * a;
+}
+
+module.exports = { addExact, subtractExact, multiplyExact, negateExact, toIntExact, floorDiv, floorMod, ceilDiv, multiplyHigh, fma, getExponent, ulp, nextUp, nextDown, nextAfter, scalb, copySign, IEEEremainder, rint };
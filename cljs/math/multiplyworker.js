@@ -0,0 +1,74 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview The script run by the workers of BigInteger.parallelMultiply. Each message holds
+ * one or two BigIntegers as a signum and a Uint32Array magnitude, and the limits set on the calling
+ * thread, and the worker replies with their product, or the square of the first when there is no
+ * second, in the same form.
+ */
+
+const { BigInteger } = require('./biginteger.js');
+
+/**
+ * Converts a BigInteger to the form that is sent between threads. A magnitude that is part of a
+ * larger buffer is copied, since the whole buffer would otherwise be cloned with it.
+ * @param {BigInteger} value  The BigInteger to convert.
+ * @returns {{signum: number, mag: Uint32Array}} The sign and magnitude of value.
+ */
+function toMessage(value) {
+    const mag = value.mag;
+    const view = new Uint32Array(mag.buffer, mag.byteOffset, mag.length);
+    return { signum: value.signum(), mag: view.byteLength === mag.buffer.byteLength ? view : view.slice() };
+}
+
+/**
+ * Multiplies the BigIntegers in a message, under the limits of the message.
+ * @param {Object} task  The message.
+ * @param {{signum: number, mag: Uint32Array}} task.x  The first BigInteger.
+ * @param {{signum: number, mag: Uint32Array}} task.y  The second BigInteger, or null to square x.
+ * @param {{maxBitLength: number, maxDigits: number}} task.limits  The limits on the size of BigIntegers.
+ * @returns {{signum: number, mag: Uint32Array}} The product.
+ */
+function multiplyTask({ x, y, limits }) {
+    return BigInteger.withLimits(limits, () => {
+        const a = new BigInteger(x.signum, x.mag);
+        return toMessage(y === null ? a.square() : a.multiply(new BigInteger(y.signum, y.mag)));
+    });
+}
+
+/**
+ * Answers each message from the thread that started this worker. Nothing is done when this script
+ * is not running in a worker.
+ */
+async function serve() {
+    if (typeof globalThis.process?.versions?.node === 'string') {
+        const { parentPort } = await import('node:worker_threads');
+        if (parentPort !== null) parentPort.on('message', (task) => parentPort.postMessage(multiplyTask(task)));
+    } else if (typeof globalThis.WorkerGlobalScope === 'function') {
+        globalThis.addEventListener('message', (event) => globalThis.postMessage(multiplyTask(event.data)));
+    }
+}
+
+serve();
+
+module.exports = { multiplyTask };
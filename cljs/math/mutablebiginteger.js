@@ -0,0 +1,838 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ * Portions Copyright (c) 1996, 2021, Oracle and/or its affiliates.  All rights reserved.
+ *
+ */
+
+/**
+ * @fileoverview Defines the MutableBigInteger class, which holds the magnitude of a number in a
+ * Uint32Array that is modified in place. BigInteger uses it internally for division, GCD and modular
+ * inverse, where the intermediate values of a long calculation would otherwise each need a new
+ * array. This is an internal class: values are not checked, and the fields are used directly.
+ */
+
+const { numberOfLeadingZeros, numberOfTrailingZeros } = require('./integer.js');
+
+const TWO_32 = 0x100000000;
+
+/**
+ * Multiplies two unsigned 32-bit values and adds two more, storing the low word of the result in
+ * an array and returning the high word. Each product is split on 16 bits so that it stays exact in
+ * a double, and nothing is allocated.
+ * @param {Uint32Array} arr  The array to store the low word in.
+ * @param {number} index  The index in arr for the low word.
+ * @param {number} x  The first unsigned 32-bit value to multiply.
+ * @param {number} y  The second unsigned 32-bit value to multiply.
+ * @param {number} addend  An unsigned 32-bit value to add.
+ * @param {number} carry  An unsigned 32-bit value to add.
+ * @returns {number} The unsigned high word of x * y + addend + carry.
+ */
+function mulAddWord(arr, index, x, y, addend, carry) {
+    const yl = y & 0xFFFF;
+    const yh = y >>> 16;
+    const pl = x * yl + addend + carry;  // < 2^49
+    const ph = x * yh;                   // < 2^48
+    const phHigh = Math.floor(ph / 0x10000);
+    const t = (ph - phHigh * 0x10000) * 0x10000 + pl;
+    const tHigh = Math.floor(t / TWO_32);
+    arr[index] = t - tHigh * TWO_32;
+    return phHigh + tHigh;
+}
+
+/**
+ * Shifts the first len ints of an array, from an offset, left by n bits in place.
+ * @param {Uint32Array} a  The int array to shift.
+ * @param {number} offset  The index of the first int.
+ * @param {number} len  The number of ints to shift.
+ * @param {number} n  The number of bits to shift by, from 1 to 31.
+ */
+function shiftLeftInts(a, offset, len, n) {
+    const n2 = 32 - n;
+    for (var i = offset, c = a[i], m = i + len - 1; i < m; i++) {
+        const b = c;
+        c = a[i + 1];
+        a[i] = (b << n) | (c >>> n2);
+    }
+    a[offset + len - 1] <<= n;
+}
+
+/**
+ * Shifts the first len ints of an array, from an offset, right by n bits in place.
+ * @param {Uint32Array} a  The int array to shift.
+ * @param {number} offset  The index of the first int.
+ * @param {number} len  The number of ints to shift.
+ * @param {number} n  The number of bits to shift by, from 1 to 31.
+ */
+function shiftRightInts(a, offset, len, n) {
+    const n2 = 32 - n;
+    for (var i = offset + len - 1, c = a[i]; i > offset; i--) {
+        const b = c;
+        c = a[i - 1];
+        a[i] = (c << n2) | (b >>> n);
+    }
+    a[offset] >>>= n;
+}
+
+/**
+ * A mutable unsigned integer, held as the intLen ints of value starting at offset, most significant
+ * int first. The ints outside that range are ignored, so shifting right, dropping leading zeros and
+ * moving a result within the array do not need a new array. A value is normal if it has no leading
+ * zeros; a zero value is normal when intLen is 0.
+ */
+class MutableBigInteger {
+    /**
+     * Creates a MutableBigInteger.
+     * @param {Object} val  Either nothing, for a value of zero with space for one int; an unsigned
+     *        32-bit value to hold; a Uint32Array, which is used as the value directly without being
+     *        copied; or a MutableBigInteger to copy.
+     */
+    constructor(val) {
+        this.offset = 0;
+        if (val === undefined) {
+            this.value = new Uint32Array(1);
+            this.intLen = 0;
+        } else if (typeof val === 'number') {
+            this.value = Uint32Array.of(val);
+            this.intLen = val === 0 ? 0 : 1;
+        } else if (val instanceof MutableBigInteger) {
+            this.intLen = val.intLen;
+            this.value = val.value.slice(val.offset, val.offset + val.intLen);
+        } else {
+            this.value = val;
+            this.intLen = val.length;
+        }
+    }
+
+    /**
+     * Returns the multiplicative inverse of val modulo 2^32. Assumes val is odd.
+     * @param {number} val  An odd 32-bit int, signed or unsigned.
+     * @returns {number} The 32-bit int inverse, such that val * inverse = 1 (mod 2^32).
+     */
+    static inverseMod32(val) {
+        // Newton's iteration!
+        var t = val;
+        t = Math.imul(t, 2 - Math.imul(val, t));
+        t = Math.imul(t, 2 - Math.imul(val, t));
+        t = Math.imul(t, 2 - Math.imul(val, t));
+        t = Math.imul(t, 2 - Math.imul(val, t));
+        return t;
+    }
+
+    /**
+     * Calculates the GCD of two 32-bit ints, treated as unsigned, using the binary algorithm.
+     * @param {number} a  The first int.
+     * @param {number} b  The second int.
+     * @returns {number} The unsigned GCD of a and b.
+     */
+    static binaryGcd(a, b) {
+        a >>>= 0;
+        b >>>= 0;
+        if (b === 0) return a;
+        if (a === 0) return b;
+
+        // Right shift a & b till their last bits equal to 1.
+        const aZeros = numberOfTrailingZeros(a);
+        const bZeros = numberOfTrailingZeros(b);
+        a >>>= aZeros;
+        b >>>= bZeros;
+
+        const t = aZeros < bZeros ? aZeros : bZeros;
+
+        while (a !== b) {
+            if (a > b) {
+                a -= b;
+                a >>>= numberOfTrailingZeros(a);
+            } else {
+                b -= a;
+                b >>>= numberOfTrailingZeros(b);
+            }
+        }
+        return (a << t) >>> 0;
+    }
+
+    /**
+     * Returns the value as an int array with no leading zeros. This is the value array itself if it
+     * holds exactly the value, or a copy if not.
+     * @returns {Uint32Array} The magnitude array.
+     */
+    getMagnitudeArray() {
+        if (this.offset > 0 || this.value.length !== this.intLen) {
+            return this.value.slice(this.offset, this.offset + this.intLen);
+        }
+        return this.value;
+    }
+
+    /**
+     * Sets the value to the first length ints of an array. The array is used directly.
+     * @param {Uint32Array} val  The new value array.
+     * @param {number} length  The number of ints of val in the value.
+     */
+    setValue(val, length) {
+        this.value = val;
+        this.intLen = length;
+        this.offset = 0;
+    }
+
+    /**
+     * Sets the value to a copy of another MutableBigInteger, reusing the value array if it is long enough.
+     * @param {MutableBigInteger} src  The value to copy.
+     */
+    copyValue(src) {
+        const len = src.intLen;
+        if (this.value.length < len) this.value = new Uint32Array(len);
+        this.value.set(src.value.subarray(src.offset, src.offset + len));
+        this.intLen = len;
+        this.offset = 0;
+    }
+
+    /**
+     * Sets the value to zero, and clears the value array.
+     */
+    clear() {
+        this.offset = this.intLen = 0;
+        this.value.fill(0);
+    }
+
+    /**
+     * Sets the value to zero, without clearing the value array.
+     */
+    reset() {
+        this.offset = this.intLen = 0;
+    }
+
+    /**
+     * @returns {boolean} true if the value is zero.
+     */
+    isZero() {
+        return this.intLen === 0;
+    }
+
+    /**
+     * @returns {boolean} true if the value is one.
+     */
+    isOne() {
+        return this.intLen === 1 && this.value[this.offset] === 1;
+    }
+
+    /**
+     * @returns {boolean} true if the value is even.
+     */
+    isEven() {
+        return this.intLen === 0 || (this.value[this.offset + this.intLen - 1] & 1) === 0;
+    }
+
+    /**
+     * @returns {boolean} true if the value is odd.
+     */
+    isOdd() {
+        return this.intLen !== 0 && (this.value[this.offset + this.intLen - 1] & 1) === 1;
+    }
+
+    /**
+     * Compares the magnitude of this with another MutableBigInteger. Both must be normal.
+     * @param {MutableBigInteger} b  The value to compare with.
+     * @returns {number} -1, 0 or 1 as this is less than, equal to, or greater than b.
+     */
+    compare(b) {
+        const blen = b.intLen;
+        if (this.intLen < blen) return -1;
+        if (this.intLen > blen) return 1;
+
+        const bval = b.value;
+        for (var i = this.offset, j = b.offset, end = this.offset + this.intLen; i < end; i++, j++) {
+            const b1 = this.value[i];
+            const b2 = bval[j];
+            if (b1 < b2) return -1;
+            if (b1 > b2) return 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Returns the index of the lowest set bit, or -1 if the value is zero.
+     * @returns {number} The number of zero bits below the lowest one bit.
+     */
+    getLowestSetBit() {
+        if (this.intLen === 0) return -1;
+        var j;
+        for (j = this.intLen - 1; j > 0 && this.value[j + this.offset] === 0; j--) ;
+        const b = this.value[j + this.offset];
+        if (b === 0) return -1;
+        return ((this.intLen - 1 - j) << 5) + numberOfTrailingZeros(b);
+    }
+
+    /**
+     * Removes leading zeros, by moving the offset up past them.
+     */
+    normalize() {
+        if (this.intLen === 0) {
+            this.offset = 0;
+            return;
+        }
+
+        var index = this.offset;
+        if (this.value[index] !== 0) return;
+
+        const indexBound = index + this.intLen;
+        do {
+            index++;
+        } while (index < indexBound && this.value[index] === 0);
+
+        const numZeros = index - this.offset;
+        this.intLen -= numZeros;
+        this.offset = this.intLen === 0 ? 0 : this.offset + numZeros;
+    }
+
+    /**
+     * Shifts the value right by n bits, in place. The value must be normal.
+     * @param {number} n  The non-negative number of bits to shift by.
+     */
+    rightShift(n) {
+        if (this.intLen === 0) return;
+        const nInts = n >>> 5;
+        const nBits = n & 0x1F;
+        if (nInts >= this.intLen) {
+            this.reset();
+            return;
+        }
+        this.intLen -= nInts;
+        if (nBits === 0) return;
+        const bitsInHighWord = 32 - numberOfLeadingZeros(this.value[this.offset]);
+        if (nBits >= bitsInHighWord) {
+            // The high word empties, so shift left into the word below instead
+            this.primitiveLeftShift(32 - nBits);
+            this.intLen--;
+            this.normalize();
+        } else {
+            this.primitiveRightShift(nBits);
+        }
+    }
+
+    /**
+     * Shifts the value left by n bits, in place. The value array only grows if the value does not
+     * fit around its current position.
+     * @param {number} n  The non-negative number of bits to shift by.
+     */
+    leftShift(n) {
+        if (this.intLen === 0) return;
+        const nInts = n >>> 5;
+        const nBits = n & 0x1F;
+        const bitsInHighWord = 32 - numberOfLeadingZeros(this.value[this.offset]);
+
+        // If shift can be done without moving words, do so
+        if (n <= 32 - bitsInHighWord) {
+            this.primitiveLeftShift(nBits);
+            return;
+        }
+
+        var newLen = this.intLen + nInts + 1;
+        if (nBits <= 32 - bitsInHighWord) newLen--;
+        if (this.value.length < newLen) {
+            // The array must grow
+            const result = new Uint32Array(newLen);
+            result.set(this.value.subarray(this.offset, this.offset + this.intLen));
+            this.setValue(result, newLen);
+        } else if (this.value.length - this.offset >= newLen) {
+            // Use space on right
+            for (var i = 0; i < newLen - this.intLen; i++) this.value[this.offset + this.intLen + i] = 0;
+        } else {
+            // Must use space on left
+            for (var i = 0; i < this.intLen; i++) this.value[i] = this.value[this.offset + i];
+            for (var i = this.intLen; i < newLen; i++) this.value[i] = 0;
+            this.offset = 0;
+        }
+        this.intLen = newLen;
+        if (nBits === 0) return;
+        if (nBits <= 32 - bitsInHighWord) {
+            this.primitiveLeftShift(nBits);
+        } else {
+            this.primitiveRightShift(32 - nBits);
+        }
+    }
+
+    /**
+     * Shifts the value right by n bits, where n is from 1 to 31. Assumes the value is not zero.
+     * @param {number} n  The number of bits to shift by.
+     */
+    primitiveRightShift(n) {
+        shiftRightInts(this.value, this.offset, this.intLen, n);
+    }
+
+    /**
+     * Shifts the value left by n bits, where n is less than 32. Bits shifted out of the top are lost.
+     * @param {number} n  The number of bits to shift by.
+     */
+    primitiveLeftShift(n) {
+        if (n === 0) return;
+        shiftLeftInts(this.value, this.offset, this.intLen, n);
+    }
+
+    /**
+     * Adds the value of addend to this, in place. The value array only grows if the sum does not fit.
+     * @param {MutableBigInteger} addend  The value to add.
+     */
+    add(addend) {
+        var x = this.intLen;
+        var y = addend.intLen;
+        var resultLen = x > y ? x : y;
+        var result = this.value.length < resultLen ? new Uint32Array(resultLen) : this.value;
+
+        var rstart = result.length - 1;
+        var sum;
+        var carry = 0;
+
+        // Add common parts of both numbers
+        while (x > 0 && y > 0) {
+            x--;
+            y--;
+            sum = this.value[x + this.offset] + addend.value[y + addend.offset] + carry;
+            result[rstart--] = sum;
+            carry = sum >= TWO_32 ? 1 : 0;
+        }
+
+        // Add remainder of the longer number
+        while (x > 0) {
+            x--;
+            if (carry === 0 && result === this.value && rstart === x + this.offset) return;
+            sum = this.value[x + this.offset] + carry;
+            result[rstart--] = sum;
+            carry = sum >= TWO_32 ? 1 : 0;
+        }
+        while (y > 0) {
+            y--;
+            sum = addend.value[y + addend.offset] + carry;
+            result[rstart--] = sum;
+            carry = sum >= TWO_32 ? 1 : 0;
+        }
+
+        if (carry > 0) { // Result must grow in length
+            resultLen++;
+            if (result.length < resultLen) {
+                // Result one word longer from carry-out; copy low-order bits into new result.
+                const grown = new Uint32Array(resultLen);
+                grown.set(result, 1);
+                grown[0] = 1;
+                result = grown;
+            } else {
+                result[rstart--] = 1;
+            }
+        }
+
+        this.value = result;
+        this.intLen = resultLen;
+        this.offset = result.length - resultLen;
+    }
+
+    /**
+     * Subtracts the smaller of this and b from the larger, and places the result in this.
+     * @param {MutableBigInteger} b  The value to subtract from, or to subtract.
+     * @returns {number} 1 if this was larger, -1 if b was larger, or 0 if they were equal.
+     */
+    subtract(b) {
+        var a = this;
+        var result = this.value;
+        const sign = a.compare(b);
+
+        if (sign === 0) {
+            this.reset();
+            return 0;
+        }
+        if (sign < 0) [a, b] = [b, a];
+
+        const resultLen = a.intLen;
+        if (result.length < resultLen) result = new Uint32Array(resultLen);
+
+        var diff = 0;
+        var x = a.intLen;
+        var y = b.intLen;
+        var rstart = result.length - 1;
+
+        // Subtract common parts of both numbers
+        while (y > 0) {
+            x--;
+            y--;
+            diff = a.value[x + a.offset] - b.value[y + b.offset] - (diff < 0 ? 1 : 0);
+            result[rstart--] = diff;
+        }
+        // Subtract remainder of longer number
+        while (x > 0) {
+            x--;
+            diff = a.value[x + a.offset] - (diff < 0 ? 1 : 0);
+            result[rstart--] = diff;
+        }
+
+        this.value = result;
+        this.intLen = resultLen;
+        this.offset = this.value.length - resultLen;
+        this.normalize();
+        return sign;
+    }
+
+    /**
+     * Subtracts the smaller of this and b from the larger, and places the result in the larger.
+     * @param {MutableBigInteger} b  The other value.
+     * @returns {number} 1 if the difference is in this, -1 if it is in b, or 0 if they were equal
+     *          and nothing was changed.
+     */
+    difference(b) {
+        var a = this;
+        const sign = a.compare(b);
+        if (sign === 0) return 0;
+        if (sign < 0) [a, b] = [b, a];
+
+        var diff = 0;
+        var x = a.intLen;
+        var y = b.intLen;
+
+        // Subtract common parts of both numbers
+        while (y > 0) {
+            x--;
+            y--;
+            diff = a.value[a.offset + x] - b.value[b.offset + y] - (diff < 0 ? 1 : 0);
+            a.value[a.offset + x] = diff;
+        }
+        // Propagate any borrow through the remainder of the longer number
+        while (diff < 0 && x > 0) {
+            x--;
+            diff = a.value[a.offset + x] - 1;
+            a.value[a.offset + x] = diff;
+        }
+
+        a.normalize();
+        return sign;
+    }
+
+    /**
+     * Multiplies this by an int, placing the result in z. The value of this is not changed.
+     * @param {number} y  The unsigned 32-bit multiplier.
+     * @param {MutableBigInteger} z  The MutableBigInteger to hold the product.
+     */
+    mul(y, z) {
+        if (y === 1) {
+            z.copyValue(this);
+            return;
+        }
+        if (y === 0 || this.intLen === 0) {
+            z.reset();
+            return;
+        }
+
+        const zval = z.value.length < this.intLen + 1 ? new Uint32Array(this.intLen + 1) : z.value;
+        var carry = 0;
+        for (var i = this.intLen - 1; i >= 0; i--) {
+            carry = mulAddWord(zval, i + 1, this.value[i + this.offset], y, 0, carry);
+        }
+
+        if (carry === 0) {
+            z.offset = 1;
+            z.intLen = this.intLen;
+        } else {
+            z.offset = 0;
+            z.intLen = this.intLen + 1;
+            zval[0] = carry;
+        }
+        z.value = zval;
+    }
+
+    /**
+     * Multiplies this by y, placing the result in z, which must not be this or y.
+     * The values of this and y are not changed.
+     * @param {MutableBigInteger} y  The multiplier.
+     * @param {MutableBigInteger} z  The MutableBigInteger to hold the product.
+     */
+    multiply(y, z) {
+        const xLen = this.intLen;
+        const yLen = y.intLen;
+        if (xLen === 0 || yLen === 0) {
+            z.reset();
+            return;
+        }
+        const newLen = xLen + yLen;
+
+        if (z.value.length < newLen) z.value = new Uint32Array(newLen);
+        z.offset = 0;
+        z.intLen = newLen;
+        const zval = z.value;
+
+        // The first iteration is hoisted out of the loop to avoid an extra add
+        var carry = 0;
+        for (var j = yLen - 1, k = newLen - 1; j >= 0; j--, k--) {
+            carry = mulAddWord(zval, k, y.value[j + y.offset], this.value[xLen - 1 + this.offset], 0, carry);
+        }
+        zval[xLen - 1] = carry;
+
+        // Perform the multiplication word by word
+        for (var i = xLen - 2; i >= 0; i--) {
+            carry = 0;
+            for (var j = yLen - 1, k = yLen + i; j >= 0; j--, k--) {
+                carry = mulAddWord(zval, k, y.value[j + y.offset], this.value[i + this.offset], zval[k], carry);
+            }
+            zval[i] = carry;
+        }
+
+        z.normalize();
+    }
+
+    /**
+     * Divides this by an int, placing the quotient in quotient. The value of this is not changed.
+     * Each word is divided in two 16-bit steps, so that the partial dividends are exact in a double.
+     * @param {number} divisor  The non-zero 32-bit divisor, treated as unsigned.
+     * @param {MutableBigInteger} quotient  The MutableBigInteger to hold the quotient. This must not be this.
+     * @returns {number} The unsigned remainder.
+     */
+    divideOneWord(divisor, quotient) {
+        const d = divisor >>> 0;
+        const len = this.intLen;
+        if (quotient.value.length < len) quotient.value = new Uint32Array(len);
+        const qval = quotient.value;
+
+        var rem = 0;
+        for (var i = 0; i < len; i++) {
+            const w = this.value[this.offset + i];
+            const n1 = rem * 0x10000 + (w >>> 16);
+            const q1 = Math.floor(n1 / d);
+            const n0 = (n1 - q1 * d) * 0x10000 + (w & 0xFFFF);
+            const q0 = Math.floor(n0 / d);
+            rem = n0 - q0 * d;
+            qval[i] = q1 * 0x10000 + q0;
+        }
+        quotient.offset = 0;
+        quotient.intLen = len;
+        quotient.normalize();
+        return rem;
+    }
+
+    /**
+     * Divides this by b, using Algorithm D from Knuth, The Art of Computer Programming, Vol. 2,
+     * section 4.3.1. The quotient is placed in quotient, and the value of this is not changed.
+     * @param {MutableBigInteger} b  The non-zero, normal divisor.
+     * @param {MutableBigInteger} quotient  The MutableBigInteger to hold the quotient. This must
+     *        not be this or b.
+     * @returns {MutableBigInteger} A new MutableBigInteger holding the remainder.
+     */
+    divideKnuth(b, quotient) {
+        // Dividend is zero
+        if (this.intLen === 0) {
+            quotient.reset();
+            return new MutableBigInteger();
+        }
+
+        const cmp = this.compare(b);
+        // Dividend less than divisor
+        if (cmp < 0) {
+            quotient.reset();
+            return new MutableBigInteger(this);
+        }
+        // Dividend equal to divisor
+        if (cmp === 0) {
+            quotient.value[0] = quotient.intLen = 1;
+            quotient.offset = 0;
+            return new MutableBigInteger();
+        }
+
+        // Special case one word divisor
+        if (b.intLen === 1) {
+            const r = this.divideOneWord(b.value[b.offset], quotient);
+            return new MutableBigInteger(r);
+        }
+
+        return this.#divideMagnitude(b, quotient);
+    }
+
+    /**
+     * Divides this by a divisor of at least two ints that is less than this. The dividend is copied,
+     * with an extra high word, to a new array that is reduced in place to the remainder.
+     * @param {MutableBigInteger} div  The divisor.
+     * @param {MutableBigInteger} quotient  The MutableBigInteger to hold the quotient.
+     * @returns {MutableBigInteger} The remainder.
+     */
+    #divideMagnitude(div, quotient) {
+        const n = div.intLen;
+        const ulen = this.intLen;
+
+        // D1: normalize so that the high bit of the divisor is set. The dividend gets an extra high word.
+        const shift = numberOfLeadingZeros(div.value[div.offset]);
+        const vn = div.value.slice(div.offset, div.offset + n);
+        const un = new Uint32Array(ulen + 1);
+        un.set(this.value.subarray(this.offset, this.offset + ulen), 1);
+        if (shift > 0) {
+            shiftLeftInts(vn, 0, n, shift);
+            shiftLeftInts(un, 0, ulen + 1, shift);
+        }
+        const vh = vn[0];
+        const vl = vn[1];
+        const vlLow = vl & 0xFFFF;
+        const vlHigh = vl >>> 16;
+
+        const limit = ulen - n + 1;
+        if (quotient.value.length < limit) quotient.value = new Uint32Array(limit);
+        const q = quotient.value;
+
+        for (var j = 0; j < limit; j++) {
+            // D3: estimate qhat from the top two words of the remainder and the top word of the divisor
+            const uh = un[j];
+            const um = un[j + 1];
+            var qhat, rhat;
+            if (uh === vh) {
+                qhat = 0xFFFFFFFF;
+                rhat = uh + um;
+            } else {
+                const n1 = uh * 0x10000 + (um >>> 16);
+                const q1 = Math.floor(n1 / vh);
+                const n0 = (n1 - q1 * vh) * 0x10000 + (um & 0xFFFF);
+                const q0 = Math.floor(n0 / vh);
+                qhat = q1 * 0x10000 + q0;
+                rhat = n0 - q0 * vh;
+            }
+
+            // qhat can be at most 2 too large. Test qhat * vl > rhat * 2^32 + un[j + 2].
+            const ul = un[j + 2];
+            while (rhat < TWO_32) {
+                const ph = qhat * vlHigh;
+                const phHigh = Math.floor(ph / 0x10000);
+                const t = (ph - phHigh * 0x10000) * 0x10000 + qhat * vlLow;
+                const tHigh = Math.floor(t / TWO_32);
+                const high = phHigh + tHigh;
+                if (high < rhat || (high === rhat && t - tHigh * TWO_32 <= ul)) break;
+                qhat--;
+                rhat += vh;
+            }
+
+            // D4: multiply and subtract
+            var carry = 0;
+            var borrow = 0;
+            for (var i = n - 1; i >= 0; i--) {
+                const ph = qhat * (vn[i] >>> 16);
+                const phHigh = Math.floor(ph / 0x10000);
+                const t = (ph - phHigh * 0x10000) * 0x10000 + qhat * (vn[i] & 0xFFFF) + carry;
+                const tHigh = Math.floor(t / TWO_32);
+                carry = phHigh + tHigh;
+                const diff = un[j + 1 + i] - (t - tHigh * TWO_32) - borrow;
+                un[j + 1 + i] = diff;
+                borrow = diff < 0 ? 1 : 0;
+            }
+            const top = un[j] - carry - borrow;
+            un[j] = top;
+
+            // D5, D6: qhat was still one too large, so add the divisor back in
+            if (top < 0) {
+                qhat--;
+                var c = 0;
+                for (var i = n - 1; i >= 0; i--) {
+                    const sum = un[j + 1 + i] + vn[i] + c;
+                    un[j + 1 + i] = sum;
+                    c = sum >= TWO_32 ? 1 : 0;
+                }
+                un[j] += c;
+            }
+            q[j] = qhat;
+        }
+        quotient.offset = 0;
+        quotient.intLen = limit;
+        quotient.normalize();
+
+        // D8: unnormalize the remainder, which is the low n words of un
+        const rem = new MutableBigInteger(un);
+        rem.offset = ulen + 1 - n;
+        rem.intLen = n;
+        if (shift > 0) rem.primitiveRightShift(shift);
+        rem.normalize();
+        return rem;
+    }
+
+    /**
+     * Calculates the GCD of this and b. Both must be positive, and both are modified. Euclid's
+     * algorithm is used until the numbers are approximately the same length, and then the binary
+     * GCD algorithm finishes.
+     * @param {MutableBigInteger} b  The other value.
+     * @returns {MutableBigInteger} GCD(this, b). This may be this, b or a new value.
+     */
+    hybridGcd(b) {
+        var a = this;
+        const q = new MutableBigInteger();
+
+        while (b.intLen !== 0) {
+            if (Math.abs(a.intLen - b.intLen) < 2) return a.binaryGcd(b);
+
+            const r = a.divideKnuth(b, q);
+            a = b;
+            b = r;
+        }
+        return a;
+    }
+
+    /**
+     * Calculates the GCD of this and v, using Algorithm B from Knuth section 4.5.2. Both must be
+     * positive, and both are modified.
+     * @param {MutableBigInteger} v  The other value.
+     * @returns {MutableBigInteger} GCD(this, v). This may be this, v or a new value.
+     */
+    binaryGcd(v) {
+        // Algorithm B from Knuth section 4.5.2
+        var u = this;
+        const r = new MutableBigInteger();
+
+        // step B1
+        const s1 = u.getLowestSetBit();
+        const s2 = v.getLowestSetBit();
+        const k = s1 < s2 ? s1 : s2;
+        if (k !== 0) {
+            u.rightShift(k);
+            v.rightShift(k);
+        }
+
+        // step B2
+        const uOdd = k === s1;
+        var t = uOdd ? v : u;
+        var tsign = uOdd ? -1 : 1;
+
+        var lb;
+        while ((lb = t.getLowestSetBit()) >= 0) {
+            // steps B3 and B4
+            t.rightShift(lb);
+            // step B5
+            if (tsign > 0) {
+                u = t;
+            } else {
+                v = t;
+            }
+
+            // Special case one word numbers
+            if (u.intLen < 2 && v.intLen < 2) {
+                const x = MutableBigInteger.binaryGcd(u.value[u.offset], v.value[v.offset]);
+                r.value[0] = x;
+                r.intLen = 1;
+                r.offset = 0;
+                if (k > 0) r.leftShift(k);
+                return r;
+            }
+
+            // step B6
+            if ((tsign = u.difference(v)) === 0) break;
+            t = tsign >= 0 ? u : v;
+        }
+
+        if (k > 0) u.leftShift(k);
+        return u;
+    }
+}
+
+module.exports = { MutableBigInteger };
@@ -0,0 +1,442 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Number theory functions built on BigInteger, for the calculations that Java leaves
+ * to applications: factorials and binomial coefficients, the least common multiple, the Jacobi
+ * symbol, square roots modulo a prime, tests for perfect squares and powers, and the Chinese
+ * remainder theorem. Arguments may be BigIntegers or integers, and invalid values throw an
+ * ArithmeticException.
+ */
+
+const { BigInteger, ArithmeticException, toBigInteger, withoutLimits, checkBitLength } = require('./biginteger.js');
+const { numberOfLeadingZeros } = require('./integer.js');
+
+const TWO_53 = 2 ** 53;
+
+// Products of no more than this many factors are multiplied out in order, rather than split.
+const PRODUCT_THRESHOLD = 16;
+
+// binomial sieves for the primes up to n only if n is no larger than this. Above it, the product of
+// the top k factors of n! is divided by k!.
+const BINOMIAL_SIEVE_LIMIT = 1 << 24;
+
+/**
+ * Makes a table of the squares modulo m.
+ * @param {number} m  The modulus.
+ * @returns {Uint8Array} An array in which element i is 1 if i is a square modulo m, and 0 if not.
+ */
+function squaresModulo(m) {
+    const table = new Uint8Array(m);
+    for (var i = 0; i < m; i++) table[(i * i) % m] = 1;
+    return table;
+}
+
+const SQUARES_MOD_64 = squaresModulo(64);
+const SQUARES_MOD_63 = squaresModulo(63);
+const SQUARES_MOD_65 = squaresModulo(65);
+const SQUARES_MOD_11 = squaresModulo(11);
+
+/**
+ * Checks that an argument is a non-negative safe integer.
+ * @param {number} n  The argument to check.
+ * @returns {number} n
+ * @throws {RangeError} if n is not a safe integer.
+ * @throws {ArithmeticException} if n is negative.
+ */
+function checkNonNegative(n) {
+    if (!Number.isSafeInteger(n)) throw new RangeError(`Value ${n} is not a safe integer`);
+    if (n < 0) throw new ArithmeticException(`Negative argument: ${n}`);
+    return n;
+}
+
+/**
+ * Finds the odd primes up to a limit with the sieve of Eratosthenes.
+ * @param {number} n  The limit.
+ * @returns {Array<number>} The odd primes that are no greater than n, in ascending order.
+ */
+function oddPrimesUpTo(n) {
+    const primes = [];
+    // Element i is set when 2i + 1 is composite
+    const composite = new Uint8Array(Math.floor((n + 1) / 2));
+    for (var i = 1; i < composite.length; i++) {
+        if (composite[i] !== 0) continue;
+        const p = 2 * i + 1;
+        primes.push(p);
+        for (var j = (p * p - 1) / 2; j < composite.length; j += p) composite[j] = 1;
+    }
+    return primes;
+}
+
+/**
+ * Finds the exponent of a prime in the factorization of n!, with Legendre's formula.
+ * @param {number} n  The argument of the factorial.
+ * @param {number} p  The prime.
+ * @returns {number} The sum of floor(n / p^i) for i >= 1.
+ */
+function factorialExponent(n, p) {
+    var e = 0;
+    while (n >= p) {
+        n = Math.floor(n / p);
+        e += n;
+    }
+    return e;
+}
+
+/**
+ * Finds the exponent of a prime in the factorization of the binomial coefficient (n k). By
+ * Kummer's theorem, this is the number of borrows when k is subtracted from n in base p.
+ * @param {number} n  The size of the set.
+ * @param {number} k  The size of the subsets, no greater than n.
+ * @param {number} p  The prime.
+ * @returns {number} The exponent of p in n! / (k! (n - k)!).
+ */
+function binomialExponent(n, k, p) {
+    var m = n - k, e = 0;
+    while (n >= p) {
+        n = Math.floor(n / p);
+        k = Math.floor(k / p);
+        m = Math.floor(m / p);
+        e += n - k - m;
+    }
+    return e;
+}
+
+/**
+ * Estimates log2(n!) with Stirling's series.
+ * @param {number} n  The non-negative argument of the factorial.
+ * @returns {number} An estimate of log2(n!), to well within one bit.
+ */
+function log2Factorial(n) {
+    if (n < 2) return 0;
+    return ((n + 0.5) * Math.log(n) - n + 0.5 * Math.log(2 * Math.PI) + 1 / (12 * n)) / Math.LN2;
+}
+
+/**
+ * Estimates log2 of a binomial coefficient with Stirling's series. The logarithms of the three
+ * factorials are arranged so that their large terms do not cancel.
+ * @param {number} n  The size of the set.
+ * @param {number} k  The size of the subsets, from 1 to n / 2.
+ * @returns {number} An estimate of log2(n! / (k! (n - k)!)), to well within one bit.
+ */
+function log2Binomial(n, k) {
+    const m = n - k;
+    return (k * Math.log(n / k) - m * Math.log1p(-k / n) + 0.5 * Math.log(n / (2 * Math.PI * k * m)) +
+            1 / (12 * n) - 1 / (12 * k) - 1 / (12 * m)) / Math.LN2;
+}
+
+/**
+ * Checks a result against the limit on bit length from an estimate of its logarithm, before it is
+ * calculated. The estimate is reduced a little, so that a result within the limit is not rejected.
+ * @param {number} log2  An estimate of log2 of the result.
+ * @throws {ArithmeticException} if the result would exceed the limit on bit length.
+ */
+function checkEstimate(log2) {
+    checkBitLength(Math.floor(log2 * (1 - 1e-12) - 1e-3) + 1);
+}
+
+/**
+ * Multiplies a range of an array of integers by binary splitting, so that the multiplications at
+ * the top of the tree are between operands of similar size.
+ * @param {Array<number>} values  The integers, each no greater than 2^53.
+ * @param {number} from  The index of the first factor.
+ * @param {number} to  The index after the last factor.
+ * @returns {BigInteger} The product of values[from] to values[to - 1].
+ */
+function product(values, from, to) {
+    if (to - from <= PRODUCT_THRESHOLD) {
+        // Small factors are gathered into a double while the product is still exact
+        var result = BigInteger.ONE, acc = 1;
+        for (var i = from; i < to; i++) {
+            if (acc * values[i] > TWO_53) {
+                result = result.multiply(acc);
+                acc = 1;
+            }
+            acc *= values[i];
+        }
+        return result.multiply(acc);
+    }
+    const mid = (from + to) >>> 1;
+    return product(values, from, mid).multiply(product(values, mid, to));
+}
+
+/**
+ * Multiplies out a factorization. For each bit of the exponents, from the highest, the result so
+ * far is squared and multiplied by the primes whose exponent has that bit set.
+ * @param {Array<number>} primes  The primes.
+ * @param {Array<number>} exponents  The exponent of each prime.
+ * @returns {BigInteger} The product of primes[i]^exponents[i].
+ */
+function multiplyPowers(primes, exponents) {
+    var maxExponent = 0;
+    for (const e of exponents) maxExponent = Math.max(maxExponent, e);
+    var result = BigInteger.ONE;
+    for (var bit = 31 - numberOfLeadingZeros(maxExponent); bit >= 0; bit--) {
+        const factors = primes.filter((p, i) => ((exponents[i] >>> bit) & 1) !== 0);
+        result = result.square().multiply(product(factors, 0, factors.length));
+    }
+    return result;
+}
+
+/**
+ * Returns n!, the product of the integers from 1 to n. This is calculated from the factorization
+ * of n!, which has far fewer factors, and needs far fewer large multiplications, than the
+ * product itself.
+ * @param {number} n  The non-negative integer.
+ * @returns {BigInteger} n!
+ * @throws {ArithmeticException} if n is negative, or n! would exceed the limit on bit length.
+ */
+function factorial(n) {
+    checkNonNegative(n);
+    checkEstimate(log2Factorial(n));
+    const primes = oddPrimesUpTo(n);
+    return multiplyPowers(primes, primes.map(p => factorialExponent(n, p))).shiftLeft(factorialExponent(n, 2));
+}
+
+/**
+ * Returns the binomial coefficient (n k), which is the number of ways to choose k elements from a
+ * set of n.
+ * @param {number} n  The non-negative size of the set.
+ * @param {number} k  The size of the subsets, from 0 to n.
+ * @returns {BigInteger} n! / (k! (n - k)!)
+ * @throws {ArithmeticException} if n or k is negative, k is greater than n, or the result would
+ *         exceed the limit on bit length.
+ */
+function binomial(n, k) {
+    checkNonNegative(n);
+    checkNonNegative(k);
+    if (k > n) throw new ArithmeticException(`k (${k}) > n (${n})`);
+    k = Math.min(k, n - k);
+    if (k === 0) return BigInteger.ONE;
+    checkEstimate(log2Binomial(n, k));
+    if (n > BINOMIAL_SIEVE_LIMIT) {
+        // The product of the factors is larger than the result, which has been checked
+        const factors = [];
+        for (var i = n - k + 1; i <= n; i++) factors.push(i);
+        return withoutLimits(() => product(factors, 0, k).divide(factorial(k)));
+    }
+    const primes = oddPrimesUpTo(n);
+    return multiplyPowers(primes, primes.map(p => binomialExponent(n, k, p))).shiftLeft(binomialExponent(n, k, 2));
+}
+
+/**
+ * Returns the least common multiple of the absolute values of two numbers. This is 0 if either of
+ * them is 0.
+ * @param {Object} a  The first BigInteger or integer.
+ * @param {Object} b  The second BigInteger or integer.
+ * @returns {BigInteger} LCM(abs(a), abs(b))
+ */
+function lcm(a, b) {
+    a = toBigInteger(a);
+    b = toBigInteger(b);
+    if (a.signum() === 0 || b.signum() === 0) return BigInteger.ZERO;
+    return a.divide(a.gcd(b)).multiply(b).abs();
+}
+
+/**
+ * Returns the Jacobi symbol (a/n). When n is prime this is the Legendre symbol: 1 if a is a
+ * non-zero square modulo n, -1 if it is not a square, and 0 if n divides a.
+ * @param {Object} a  The BigInteger or integer.
+ * @param {Object} n  The positive odd BigInteger or integer.
+ * @returns {number} The Jacobi symbol, which is -1, 0 or 1.
+ * @throws {ArithmeticException} if n is not positive and odd.
+ */
+function jacobi(a, n) {
+    a = toBigInteger(a);
+    n = toBigInteger(n);
+    if (n.signum() <= 0 || !n.testBit(0)) throw new ArithmeticException('Jacobi symbol of an even or non-positive modulus');
+    a = a.mod(n);
+    var j = 1;
+    while (a.signum() !== 0) {
+        const zeros = a.getLowestSetBit();
+        a = a.shiftRight(zeros);
+        const n8 = n.intValue() & 7;
+        if ((zeros & 1) !== 0 && (n8 === 3 || n8 === 5)) j = -j;  // (2/n) = -1 for n = 3 or 5 (mod 8)
+
+        // Quadratic reciprocity, which negates the symbol if a = n = 3 (mod 4)
+        if ((a.intValue() & n8 & 3) === 3) j = -j;
+        [a, n] = [n.mod(a), a];
+    }
+    return n.equals(BigInteger.ONE) ? j : 0;
+}
+
+/**
+ * Finds a square root modulo p with the Tonelli-Shanks algorithm.
+ * @param {BigInteger} a  A non-zero square modulo p, less than p.
+ * @param {BigInteger} p  The odd prime modulus.
+ * @param {number} s  The number of trailing zero bits in p - 1.
+ * @returns {BigInteger} A square root of a modulo p.
+ * @throws {ArithmeticException} if a has no square root, which means that p is not prime.
+ */
+function tonelliShanks(a, p, s) {
+    const q = p.shiftRight(s);  // p - 1 = q * 2^s, with q odd
+    var z = BigInteger.TWO;
+    while (jacobi(z, p) !== -1) z = z.add(BigInteger.ONE);
+
+    var m = s;
+    var c = z.modPow(q, p);
+    var t = a.modPow(q, p);
+    var r = a.modPow(q.add(BigInteger.ONE).shiftRight(1), p);
+    while (!t.equals(BigInteger.ONE)) {
+        // Find the least i such that t^(2^i) = 1
+        var i = 0;
+        for (var t2 = t; !t2.equals(BigInteger.ONE); t2 = t2.square().mod(p)) {
+            if (++i === m) throw new ArithmeticException('Modulus is not prime');
+        }
+        var b = c;
+        for (var j = m - i - 1; j > 0; j--) b = b.square().mod(p);
+        m = i;
+        c = b.square().mod(p);
+        t = t.multiply(c).mod(p);
+        r = r.multiply(b).mod(p);
+    }
+    return r;
+}
+
+/**
+ * Finds a square root modulo p with Cipolla's algorithm. This finds a t for which t^2 - a is not a
+ * square, and raises t + w to the power (p + 1) / 2 in the field extended by w = sqrt(t^2 - a).
+ * @param {BigInteger} a  A non-zero square modulo p, less than p.
+ * @param {BigInteger} p  The odd prime modulus.
+ * @returns {BigInteger} A square root of a modulo p, if p is prime.
+ */
+function cipolla(a, p) {
+    var t = BigInteger.ONE, w2;
+    while (jacobi(w2 = t.square().subtract(a), p) !== -1) t = t.add(BigInteger.ONE);
+    w2 = w2.mod(p);
+
+    // The power is x0 + x1 * w, calculated from the highest bit of the exponent
+    const e = p.add(BigInteger.ONE).shiftRight(1);
+    var x0 = BigInteger.ONE, x1 = BigInteger.ZERO;
+    for (var i = e.bitLength() - 1; i >= 0; i--) {
+        [x0, x1] = [x0.square().add(x1.square().multiply(w2)).mod(p), x0.multiply(x1).shiftLeft(1).mod(p)];
+        if (e.testBit(i)) {
+            [x0, x1] = [x0.multiply(t).add(x1.multiply(w2)).mod(p), x0.add(x1.multiply(t)).mod(p)];
+        }
+    }
+    return x0;
+}
+
+/**
+ * Returns a square root of a modulo a prime p: the smaller of the two numbers from 0 to p - 1 whose
+ * square is a (mod p). This uses the Tonelli-Shanks algorithm, unless p - 1 is divisible by a large
+ * power of 2, which makes Tonelli-Shanks slow, and then it uses Cipolla's algorithm.
+ * @param {Object} a  The BigInteger or integer.
+ * @param {Object} p  The prime BigInteger or integer modulus.
+ * @returns {BigInteger} x, such that x^2 = a (mod p).
+ * @throws {ArithmeticException} if p is not positive, a is not a square modulo p, or p is found
+ *         not to be prime.
+ */
+function modSqrt(a, p) {
+    a = toBigInteger(a);
+    p = toBigInteger(p);
+    if (p.signum() <= 0) throw new ArithmeticException('BigInteger: modulus not positive');
+    a = a.mod(p);
+    if (a.signum() === 0 || p.equals(BigInteger.TWO)) return a;
+    if (!p.testBit(0)) throw new ArithmeticException('Modulus is not prime');
+    const symbol = jacobi(a, p);
+    if (symbol === 0) throw new ArithmeticException('Modulus is not prime');
+    if (symbol < 0) throw new ArithmeticException('Not a quadratic residue');
+    // The search for a non-square would not end for a square modulus
+    if (isPerfectSquare(p)) throw new ArithmeticException('Modulus is not prime');
+
+    // The products are reduced modulo p, so only they can exceed the limit on bit length
+    return withoutLimits(() => {
+        var root;
+        const s = p.subtract(BigInteger.ONE).getLowestSetBit();
+        if (s === 1) {
+            root = a.modPow(p.add(BigInteger.ONE).shiftRight(2), p);
+        } else if (s * s <= 8 * p.bitLength()) {
+            root = tonelliShanks(a, p, s);
+        } else {
+            root = cipolla(a, p);
+        }
+        if (!root.square().mod(p).equals(a)) throw new ArithmeticException('Modulus is not prime');
+        return root.min(p.subtract(root));
+    });
+}
+
+/**
+ * Tests if a number is the square of an integer.
+ * @param {Object} n  The BigInteger or integer.
+ * @returns {boolean} true if n = m^2 for some integer m.
+ */
+function isPerfectSquare(n) {
+    n = toBigInteger(n);
+    if (n.signum() < 0) return false;
+    // Most numbers that are not squares are not squares modulo 64, 63, 65 or 11
+    if (SQUARES_MOD_64[n.intValue() & 63] === 0) return false;
+    const r = n.remainder(63 * 65 * 11).intValue();
+    if (SQUARES_MOD_63[r % 63] === 0 || SQUARES_MOD_65[r % 65] === 0 || SQUARES_MOD_11[r % 11] === 0) return false;
+    return n.sqrtAndRemainder()[1].signum() === 0;
+}
+
+/**
+ * Tests if a number is a perfect power, which is the power of an integer with an exponent of 2 or
+ * more. This includes 0 and 1, and negative numbers that are odd powers, such as -8 = (-2)^3.
+ * @param {Object} n  The BigInteger or integer.
+ * @returns {boolean} true if n = m^k for some integers m and k >= 2.
+ */
+function isPerfectPower(n) {
+    n = toBigInteger(n);
+    const abs = n.abs();
+    if (abs.compareTo(BigInteger.ONE) <= 0) return true;
+    if (n.signum() > 0 && isPerfectSquare(n)) return true;
+
+    // If n = m^k then n is the q-th power of m^(k/q) for each prime q dividing k, and q is less
+    // than the bit length of n. Negative numbers can only be odd powers.
+    for (const q of oddPrimesUpTo(abs.bitLength())) {
+        if (abs.nthRoot(q).pow(q).equals(abs)) return true;
+    }
+    return false;
+}
+
+/**
+ * Solves a system of congruences x = residues[i] (mod moduli[i]) with the Chinese remainder
+ * theorem. The moduli need not be pairwise coprime, but then the residues must agree modulo the
+ * common factors.
+ * @param {Array<Object>} residues  The BigInteger or integer residues.
+ * @param {Array<Object>} moduli  The positive BigInteger or integer moduli, one for each residue.
+ * @returns {BigInteger} The solution from 0 to one less than the least common multiple of the moduli.
+ * @throws {ArithmeticException} if the arrays differ in length, a modulus is not positive, or the
+ *         congruences have no solution.
+ */
+function crt(residues, moduli) {
+    if (residues.length !== moduli.length) throw new ArithmeticException('Residues and moduli differ in length');
+    var x = BigInteger.ZERO, m = BigInteger.ONE;
+    for (var i = 0; i < moduli.length; i++) {
+        const mi = toBigInteger(moduli[i]);
+        if (mi.signum() <= 0) throw new ArithmeticException('BigInteger: modulus not positive');
+        const g = m.gcd(mi);
+        const [q, r] = toBigInteger(residues[i]).subtract(x).divideAndRemainder(g);
+        if (r.signum() !== 0) throw new ArithmeticException('Congruences have no solution');
+
+        // x + m * k solves both congruences when k = q * (m / g)^-1 (mod mi / g)
+        const step = mi.divide(g);
+        const k = withoutLimits(() => q.multiply(m.divide(g).modInverse(step)).mod(step));
+        x = x.add(m.multiply(k));
+        m = m.multiply(step);
+    }
+    return x;
+}
+
+module.exports = { factorial, binomial, lcm, jacobi, modSqrt, isPerfectSquare, isPerfectPower, crt };
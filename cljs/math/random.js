@@ -0,0 +1,214 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Defines the Random class, a seedable generator that produces the same stream of
+ * values as java.util.Random, and the SecureRandom class, which draws from the platform's
+ * cryptographically strong generator. BigInteger accepts any object that provides nextInt() and
+ * nextBytes(bytes) as a source of randomness, so either class can be used, as can any other
+ * implementation of those two methods.
+ */
+
+const MULTIPLIER_HI = 0x5DE;       // 0x5DEECE66D split into 24-bit halves
+const MULTIPLIER_LO = 0xECE66D;
+const ADDEND = 0xB;
+const TWO_24 = 0x1000000;
+const DOUBLE_UNIT = 2 ** -53;
+const FLOAT_UNIT = 2 ** -24;
+
+/**
+ * Fills an array with bytes from the platform's cryptographically strong generator.
+ * @param {Uint8Array} bytes  The array to fill.
+ */
+function platformBytes(bytes) {
+    // getRandomValues is limited to 65536 bytes per call
+    for (var i = 0; i < bytes.length; i += 65536) {
+        globalThis.crypto.getRandomValues(bytes.subarray(i, i + 65536));
+    }
+}
+
+/**
+ * A generator of pseudorandom numbers, using the same 48-bit linear congruential formula as
+ * java.util.Random. A Random created with a given seed produces the same sequence of values as a
+ * java.util.Random created with that seed. The 48-bit seed is held as two 24-bit halves, so that
+ * every step of the formula is exact in double arithmetic.
+ */
+class Random {
+    #hi;
+    #lo;
+
+    /**
+     * Creates a new random number generator.
+     * @param {number|bigint} seed  The initial seed, as a Java long. If omitted, the seed is chosen
+     *        by the platform's cryptographically strong generator.
+     */
+    constructor(seed) {
+        if (seed === undefined) {
+            const bytes = new Uint8Array(6);
+            platformBytes(bytes);
+            seed = bytes.reduce((s, b) => (s << 8n) | BigInt(b), 0n);
+        }
+        this.setSeed(seed);
+    }
+
+    /**
+     * Sets the seed of this generator, as java.util.Random does.
+     * @param {number|bigint} seed  The seed, as a Java long. A number must be a safe integer.
+     * @throws {RangeError} if seed is a number that is not a safe integer.
+     */
+    setSeed(seed) {
+        if (typeof seed !== 'bigint') {
+            if (!Number.isSafeInteger(seed)) throw new RangeError(`Seed ${seed} is not a safe integer`);
+            seed = BigInt(seed);
+        }
+        const scrambled = Number(BigInt.asUintN(48, seed ^ 0x5DEECE66Dn));
+        this.#hi = Math.floor(scrambled / TWO_24);
+        this.#lo = scrambled % TWO_24;
+    }
+
+    /**
+     * Generates the next pseudorandom number, advancing the seed.
+     * @param {number} bits  The number of random bits, from 1 to 32.
+     * @returns {number} An int holding the requested number of random bits. When bits is 32 this
+     *          may be negative.
+     */
+    next(bits) {
+        const lo = this.#lo * MULTIPLIER_LO + ADDEND;
+        const hi = this.#hi * MULTIPLIER_LO + this.#lo * MULTIPLIER_HI + Math.floor(lo / TWO_24);
+        this.#lo = lo % TWO_24;
+        this.#hi = hi % TWO_24;
+        return Math.floor((this.#hi * TWO_24 + this.#lo) / 2 ** (48 - bits)) | 0;
+    }
+
+    /**
+     * Returns the next pseudorandom int. With no bound, all 2^32 int values are possible. With a
+     * bound, the value is uniformly distributed from 0 (inclusive) to bound (exclusive).
+     * @param {number} bound  The optional upper bound, which must be a positive int.
+     * @returns {number} The next pseudorandom int.
+     * @throws {RangeError} if bound is not a positive int.
+     */
+    nextInt(bound) {
+        if (bound === undefined) return this.next(32);
+        if (!Number.isInteger(bound) || bound <= 0 || bound > 0x7FFFFFFF) {
+            throw new RangeError('bound must be positive');
+        }
+        var r = this.next(31);
+        const m = bound - 1;
+        if ((bound & m) === 0) {
+            // bound is a power of 2, so take the high bits
+            return Math.floor(bound * r / 0x80000000);
+        }
+        // Reject values from the final, partial range, where (u - r + m) overflows an int
+        for (var u = r; u - (r = u % bound) + m > 0x7FFFFFFF; u = this.next(31)) ;
+        return r;
+    }
+
+    /**
+     * Returns the next pseudorandom long.
+     * @returns {bigint} The next pseudorandom long, as a signed 64-bit BigInt.
+     */
+    nextLong() {
+        const hi = BigInt(this.next(32));
+        const lo = BigInt(this.next(32));
+        return BigInt.asIntN(64, (hi << 32n) + lo);
+    }
+
+    /**
+     * Returns the next pseudorandom boolean.
+     * @returns {boolean} The next pseudorandom boolean.
+     */
+    nextBoolean() {
+        return this.next(1) !== 0;
+    }
+
+    /**
+     * Returns the next pseudorandom double, uniformly distributed from 0.0 (inclusive) to 1.0 (exclusive).
+     * @returns {number} The next pseudorandom double.
+     */
+    nextDouble() {
+        return (this.next(26) * 0x8000000 + this.next(27)) * DOUBLE_UNIT;
+    }
+
+    /**
+     * Returns the next pseudorandom float, uniformly distributed from 0.0 (inclusive) to 1.0 (exclusive).
+     * @returns {number} The next pseudorandom float.
+     */
+    nextFloat() {
+        return this.next(24) * FLOAT_UNIT;
+    }
+
+    /**
+     * Fills an array with random bytes. Each int from nextInt() fills four bytes, least significant
+     * byte first, as in java.util.Random.
+     * @param {Uint8Array} bytes  The array to fill.
+     */
+    nextBytes(bytes) {
+        const len = bytes.length;
+        for (var i = 0; i < len; ) {
+            for (var rnd = this.nextInt(), n = Math.min(len - i, 4); n-- > 0; rnd >>= 8) {
+                bytes[i++] = rnd;
+            }
+        }
+    }
+}
+
+/**
+ * A generator of random numbers from the platform's cryptographically strong generator, using
+ * crypto.getRandomValues. As with java.security.SecureRandom, the derived methods of Random are
+ * all built on next(bits) and nextBytes(bytes), and a seed cannot make the output repeatable.
+ */
+class SecureRandom extends Random {
+    /**
+     * Creates a new generator.
+     */
+    constructor() {
+        super(0);
+    }
+
+    /**
+     * Ignored, since the platform generator is self-seeding.
+     * @param {number|bigint} seed  The seed.
+     */
+    setSeed(seed) {
+    }
+
+    /**
+     * Generates the next random number.
+     * @param {number} bits  The number of random bits, from 1 to 32.
+     * @returns {number} An int holding the requested number of random bits.
+     */
+    next(bits) {
+        const value = new Int32Array(1);
+        globalThis.crypto.getRandomValues(value);
+        return bits === 32 ? value[0] : value[0] >>> (32 - bits);
+    }
+
+    /**
+     * Fills an array with random bytes.
+     * @param {Uint8Array} bytes  The array to fill.
+     */
+    nextBytes(bytes) {
+        platformBytes(bytes);
+    }
+}
+
+module.exports = { Random, SecureRandom };
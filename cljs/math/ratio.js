@@ -0,0 +1,328 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Defines a Ratio class for representing exact rational numbers, following
+ * clojure.lang.Ratio. A Ratio is a numerator and a positive denominator, both BigIntegers, in
+ * lowest terms. As in Clojure, arithmetic that produces a whole number returns a BigInteger.
+ */
+
+const { BigInteger, NumberFormatException, ArithmeticException } = require('./biginteger.js');
+const { BigDecimal, MathContext } = require('./bigdecimal.js');
+
+const MAX_INT = 0x7FFFFFFF;
+const MIN_INT = 0x80000000 | 0;
+
+/**
+ * Converts an argument that may be a BigInteger or an integer into a BigInteger.
+ * @param {Object} val  The BigInteger or integer to convert.
+ * @returns {BigInteger} val as a BigInteger.
+ * @throws {TypeError} if val is not a BigInteger or a number.
+ */
+function toBigInteger(val) {
+    if (val instanceof BigInteger) return val;
+    if (typeof val === 'number') return BigInteger.valueOf(val);
+    throw new TypeError('Invalid argument type');
+}
+
+/**
+ * Converts an argument that may be a Ratio, a BigInteger or an integer into a numerator and denominator.
+ * @param {Object} val  The Ratio, BigInteger or integer to convert.
+ * @returns {Array<BigInteger>} The numerator and denominator of val.
+ * @throws {TypeError} if val is not a Ratio, BigInteger or number.
+ */
+function toFraction(val) {
+    if (val instanceof Ratio) return [val.numerator, val.denominator];
+    return [toBigInteger(val), BigInteger.ONE];
+}
+
+/**
+ * Returns the exact value of a finite double as a fraction.
+ * @param {number} d  The double to convert.
+ * @returns {Array<BigInteger>} A numerator and a power of two denominator, whose quotient is d.
+ */
+function exactFraction(d) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, d);
+    const high = view.getUint32(0);
+    const low = view.getUint32(4);
+    const biasedExponent = (high >>> 20) & 0x7ff;
+
+    // Subnormal values have no implicit bit, and the exponent of the smallest normal value
+    const significand = ((high & 0xfffff) + (biasedExponent === 0 ? 0 : 0x100000)) * 0x100000000 + low;
+    const exponent = (biasedExponent === 0 ? 1 : biasedExponent) - 1075;
+    const numerator = BigInteger.valueOf(d < 0 ? -significand : significand);
+    if (exponent >= 0) return [numerator.shiftLeft(exponent), BigInteger.ONE];
+    return [numerator, BigInteger.ONE.shiftLeft(-exponent)];
+}
+
+/**
+ * An exact rational number, held as a BigInteger numerator and denominator in lowest terms.
+ */
+class Ratio {
+    #numerator;
+    #denominator;
+
+    /**
+     * Creates a Ratio of numerator/denominator, reduced to lowest terms with a positive denominator.
+     * @param {Object} numerator  The BigInteger or integer numerator.
+     * @param {Object} denominator  The non-zero BigInteger or integer denominator.
+     * @throws {ArithmeticException} if the denominator is zero.
+     */
+    constructor(numerator, denominator) {
+        numerator = toBigInteger(numerator);
+        denominator = toBigInteger(denominator);
+        if (denominator.signum() === 0) throw new ArithmeticException("Divide by zero");
+
+        const gcd = numerator.gcd(denominator);
+        if (denominator.signum() < 0) {
+            this.#numerator = numerator.divide(gcd).negate();
+            this.#denominator = denominator.divide(gcd).negate();
+        } else {
+            this.#numerator = numerator.divide(gcd);
+            this.#denominator = denominator.divide(gcd);
+        }
+    }
+
+    /**
+     * @returns {BigInteger} The numerator, which carries the sign of this Ratio.
+     */
+    get numerator() { return this.#numerator; }
+
+    /**
+     * @returns {BigInteger} The denominator, which is always positive.
+     */
+    get denominator() { return this.#denominator; }
+
+    /**
+     * Divides n by d, with the normalization of Clojure's division: the quotient is returned as a
+     * BigInteger when it is a whole number, or as a Ratio in lowest terms otherwise.
+     * @param {Object} n  The BigInteger or integer dividend.
+     * @param {Object} d  The non-zero BigInteger or integer divisor.
+     * @returns {BigInteger|Ratio} n/d
+     * @throws {ArithmeticException} if d is zero.
+     */
+    static divide(n, d) {
+        n = toBigInteger(n);
+        d = toBigInteger(d);
+        if (d.signum() === 0) throw new ArithmeticException("Divide by zero");
+
+        const [q, r] = n.divideAndRemainder(d);
+        return r.signum() === 0 ? q : new Ratio(n, d);
+    }
+
+    /**
+     * Finds the best rational approximation of a double with a bounded denominator. The continued
+     * fraction expansion of the exact value of the double is followed until the next convergent
+     * would exceed the bound, and the closest of the last convergent and the largest admissible
+     * semiconvergent is returned. No fraction with a denominator of maxDenominator or less is closer.
+     * @param {number} value  The double to approximate.
+     * @param {Object} maxDenominator  The largest permitted denominator, as a positive BigInteger or integer.
+     * @returns {BigInteger|Ratio} The closest fraction, as a BigInteger if it is a whole number.
+     * @throws {NumberFormatException} if value is infinite or NaN.
+     * @throws {RangeError} if maxDenominator is not positive.
+     */
+    static approximate(value, maxDenominator) {
+        if (!Number.isFinite(value)) throw new NumberFormatException("Infinite or NaN");
+        maxDenominator = toBigInteger(maxDenominator);
+        if (maxDenominator.signum() <= 0) throw new RangeError("maxDenominator must be positive");
+
+        // h/k are the convergents of p/q, where each term a is the floor of the remaining fraction
+        const [p, q] = exactFraction(value);
+        var [a, r] = p.divideAndRemainder(q);
+        if (r.signum() < 0) {
+            a = a.subtract(BigInteger.ONE);
+            r = r.add(q);
+        }
+        var hPrev = BigInteger.ONE;
+        var kPrev = BigInteger.ZERO;
+        var h = a;
+        var k = BigInteger.ONE;
+        var num = q;
+        var den = r;
+        while (den.signum() !== 0) {
+            [a, r] = num.divideAndRemainder(den);
+            const kNext = a.multiply(k).add(kPrev);
+            if (kNext.compareTo(maxDenominator) > 0) {
+                // Take the largest semiconvergent within the bound, if it is closer than h/k
+                const s = maxDenominator.subtract(kPrev).divide(k);
+                const hSemi = s.multiply(h).add(hPrev);
+                const kSemi = s.multiply(k).add(kPrev);
+                // |p/q - h/k| compared with |p/q - hSemi/kSemi|, both multiplied by q·k·kSemi
+                const convergentError = p.multiply(k).subtract(h.multiply(q)).abs().multiply(kSemi);
+                const semiError = p.multiply(kSemi).subtract(hSemi.multiply(q)).abs().multiply(k);
+                if (semiError.compareTo(convergentError) < 0) return Ratio.divide(hSemi, kSemi);
+                break;
+            }
+            [hPrev, h] = [h, a.multiply(h).add(hPrev)];
+            [kPrev, k] = [k, kNext];
+            [num, den] = [den, r];
+        }
+        return Ratio.divide(h, k);
+    }
+
+    /**
+     * Returns the sum of this Ratio and val.
+     * @param {Object} val  The Ratio, BigInteger or integer to add.
+     * @returns {BigInteger|Ratio} this + val
+     */
+    add(val) {
+        const [n, d] = toFraction(val);
+        return Ratio.divide(n.multiply(this.#denominator).add(this.#numerator.multiply(d)),
+                            d.multiply(this.#denominator));
+    }
+
+    /**
+     * Returns the difference of this Ratio and val.
+     * @param {Object} val  The Ratio, BigInteger or integer to subtract.
+     * @returns {BigInteger|Ratio} this - val
+     */
+    subtract(val) {
+        const [n, d] = toFraction(val);
+        return Ratio.divide(this.#numerator.multiply(d).subtract(n.multiply(this.#denominator)),
+                            d.multiply(this.#denominator));
+    }
+
+    /**
+     * Returns the product of this Ratio and val.
+     * @param {Object} val  The Ratio, BigInteger or integer to multiply by.
+     * @returns {BigInteger|Ratio} this × val
+     */
+    multiply(val) {
+        const [n, d] = toFraction(val);
+        return Ratio.divide(n.multiply(this.#numerator), d.multiply(this.#denominator));
+    }
+
+    /**
+     * Returns the quotient of this Ratio and val.
+     * @param {Object} val  The non-zero Ratio, BigInteger or integer to divide by.
+     * @returns {BigInteger|Ratio} this / val
+     * @throws {ArithmeticException} if val is zero.
+     */
+    divide(val) {
+        const [n, d] = toFraction(val);
+        return Ratio.divide(d.multiply(this.#numerator), n.multiply(this.#denominator));
+    }
+
+    /**
+     * @returns {Ratio} -this
+     */
+    negate() {
+        return new Ratio(this.#numerator.negate(), this.#denominator);
+    }
+
+    /**
+     * @returns {Ratio} The absolute value of this Ratio.
+     */
+    abs() {
+        return this.#numerator.signum() < 0 ? this.negate() : this;
+    }
+
+    /**
+     * @returns {number} -1, 0 or 1 as this Ratio is negative, zero or positive.
+     */
+    signum() {
+        return this.#numerator.signum();
+    }
+
+    /**
+     * Compares this Ratio numerically with a Ratio, BigInteger or integer.
+     * @param {Object} val  The value to compare with.
+     * @returns {number} -1, 0 or 1 as this Ratio is less than, equal to, or greater than val.
+     */
+    compareTo(val) {
+        const [n, d] = toFraction(val);
+        return this.#numerator.multiply(d).compareTo(n.multiply(this.#denominator));
+    }
+
+    /**
+     * Compares this Ratio with an Object for equality. Only another Ratio with the same numerator
+     * and denominator is equal, so a Ratio is never equal to a BigInteger.
+     * @param {Object} x  The object to compare with.
+     * @returns {boolean} true if x is an equal Ratio.
+     */
+    equals(x) {
+        return x instanceof Ratio &&
+               x.#numerator.compareTo(this.#numerator) === 0 && x.#denominator.compareTo(this.#denominator) === 0;
+    }
+
+    /**
+     * Returns the value of this Ratio as a BigDecimal, rounded according to the context settings.
+     * @param {MathContext} mc  The context to use. Defaults to unlimited precision.
+     * @returns {BigDecimal} The value of this Ratio.
+     * @throws {ArithmeticException} if the precision is unlimited and the decimal expansion does
+     *         not terminate, or the rounding mode is UNNECESSARY and the result is inexact.
+     */
+    decimalValue(mc = MathContext.UNLIMITED) {
+        return new BigDecimal(this.#numerator).divide(new BigDecimal(this.#denominator), mc);
+    }
+
+    /**
+     * Returns the value of this Ratio as a double, by way of a DECIMAL64 BigDecimal, as Clojure does.
+     * @returns {number} The value of this Ratio.
+     */
+    doubleValue() {
+        return this.decimalValue(MathContext.DECIMAL64).doubleValue();
+    }
+
+    /**
+     * @returns {number} The value of this Ratio as a float, held in a number.
+     */
+    floatValue() {
+        return Math.fround(this.doubleValue());
+    }
+
+    /**
+     * Returns the value of this Ratio as an int, truncating the double value as a Java cast does.
+     * @returns {number} The value of this Ratio as a 32-bit int.
+     */
+    intValue() {
+        const d = this.doubleValue();
+        return d >= MAX_INT ? MAX_INT : d <= MIN_INT ? MIN_INT : Math.trunc(d);
+    }
+
+    /**
+     * Returns the value of this Ratio as a long, truncating towards zero.
+     * @param {Function} Long  Optional long class with a static fromBits(lowBits, highBits), as for
+     *        BigInteger.longValue.
+     * @returns {bigint|Object} The value of this Ratio as a signed 64-bit BigInt, or an instance of Long.
+     */
+    longValue(Long) {
+        return this.bigIntegerValue().longValue(Long);
+    }
+
+    /**
+     * @returns {BigInteger} The value of this Ratio, truncated towards zero.
+     */
+    bigIntegerValue() {
+        return this.#numerator.divide(this.#denominator);
+    }
+
+    /**
+     * @returns {string} This Ratio in the form "numerator/denominator", such as "-1/3".
+     */
+    toString() {
+        return this.#numerator.toString() + "/" + this.#denominator.toString();
+    }
+}
+
+module.exports = { Ratio };
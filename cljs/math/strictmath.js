@@ -0,0 +1,1673 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ * Portions Copyright (C) 1993 by Sun Microsystems, Inc. All rights reserved.
+ * Developed at SunSoft, a Sun Microsystems, Inc. business. Permission to use, copy, modify, and
+ * distribute this software is freely granted, provided that this notice is preserved.
+ *
+ */
+
+/**
+ * @fileoverview The transcendental functions of java.lang.StrictMath. These are ports of fdlibm
+ * 5.3, the library that Java specifies for StrictMath, so they give the same results as Java, bit
+ * for bit, on any JavaScript engine. JavaScript's Math does not promise which algorithm it uses,
+ * and its results can differ in the last bit between engines and versions.
+ *
+ * The code follows the C source closely, including its names, so that it can be checked against
+ * fdlibm. Like fdlibm, it reads and writes the high and low 32-bit words of doubles, and does its
+ * integer arithmetic on the high word as a signed int.
+ */
+
+const { scalb } = require('./math.js');
+
+// Scratch space for reading and writing the words of a double.
+const view = new DataView(new ArrayBuffer(8));
+
+/**
+ * Returns the high word of a double: the sign, the exponent and the top 20 bits of the significand.
+ * @param {number} x  The double.
+ * @returns {number} The high word, as a signed int.
+ */
+function highWord(x) {
+    view.setFloat64(0, x);
+    return view.getInt32(0);
+}
+
+/**
+ * Returns the low word of a double: the bottom 32 bits of the significand.
+ * @param {number} x  The double.
+ * @returns {number} The low word, as an unsigned int.
+ */
+function lowWord(x) {
+    view.setFloat64(0, x);
+    return view.getUint32(4);
+}
+
+/**
+ * Returns a double with the given high word, and the low word of another double.
+ * @param {number} x  The double that provides the low word.
+ * @param {number} high  The new high word.
+ * @returns {number} The double with the new high word.
+ */
+function withHighWord(x, high) {
+    view.setFloat64(0, x);
+    view.setInt32(0, high);
+    return view.getFloat64(0);
+}
+
+/**
+ * Returns a double with the given low word, and the high word of another double.
+ * @param {number} x  The double that provides the high word.
+ * @param {number} low  The new low word.
+ * @returns {number} The double with the new low word.
+ */
+function withLowWord(x, low) {
+    view.setFloat64(0, x);
+    view.setInt32(4, low);
+    return view.getFloat64(0);
+}
+
+/**
+ * Returns the double with the given words.
+ * @param {number} high  The high word.
+ * @param {number} low  The low word.
+ * @returns {number} The double.
+ */
+function fromWords(high, low) {
+    view.setInt32(0, high);
+    view.setInt32(4, low);
+    return view.getFloat64(0);
+}
+
+const one = 1.0;
+const half = 0.5;
+const huge = 1.0e300;
+const tiny = 1.0e-300;
+const two24 = 1.67772160000000000000e+07;  // 0x41700000, 0x00000000
+const twon24 = 5.96046447753906250000e-08;  // 0x3E700000, 0x00000000
+const two54 = 1.80143985094819840000e+16;  // 0x43500000, 0x00000000
+const ln2_hi = 6.93147180369123816490e-01;  // 0x3FE62E42, 0xFEE00000
+const ln2_lo = 1.90821492927058770002e-10;  // 0x3DEA39EF, 0x35793C76
+const invln2 = 1.44269504088896338700e+00;  // 0x3FF71547, 0x652B82FE
+const pio2_hi = 1.57079632679489655800e+00;  // 0x3FF921FB, 0x54442D18
+const pio2_lo = 6.12323399573676603587e-17;  // 0x3C91A626, 0x33145C07
+
+// Trigonometric functions
+
+// The bits of 2/pi, 24 at a time, for the reduction of large arguments.
+const two_over_pi = [
+    0xA2F983, 0x6E4E44, 0x1529FC, 0x2757D1, 0xF534DD, 0xC0DB62,
+    0x95993C, 0x439041, 0xFE5163, 0xABDEBB, 0xC561B7, 0x246E3A,
+    0x424DD2, 0xE00649, 0x2EEA09, 0xD1921C, 0xFE1DEB, 0x1CB129,
+    0xA73EE8, 0x8235F5, 0x2EBB44, 0x84E99C, 0x7026B4, 0x5F7E41,
+    0x3991D6, 0x398353, 0x39F49C, 0x845F8B, 0xBDF928, 0x3B1FF8,
+    0x97FFDE, 0x05980F, 0xEF2F11, 0x8B5A0A, 0x6D1F6D, 0x367ECF,
+    0x27CB09, 0xB74F46, 0x3F669E, 0x5FEA2D, 0x7527BA, 0xC7EBE5,
+    0xF17B3D, 0x0739F7, 0x8A5292, 0xEA6BFB, 0x5FB11F, 0x8D5D08,
+    0x560330, 0x46FC7B, 0x6BABF0, 0xCFBC20, 0x9AF436, 0x1DA9E3,
+    0x91615E, 0xE61B08, 0x659985, 0x5F14A0, 0x68408D, 0xFFD880,
+    0x4D7327, 0x310606, 0x1556CA, 0x73A8C9, 0x60E27B, 0xC08C6B
+];
+
+// The high words of n * pi/2 for n from 1 to 32, to detect cancellation in the reduction.
+const npio2_hw = [
+    0x3FF921FB, 0x400921FB, 0x4012D97C, 0x401921FB, 0x401F6A7A, 0x4022D97C,
+    0x4025FDBB, 0x402921FB, 0x402C463A, 0x402F6A7A, 0x4031475C, 0x4032D97C,
+    0x40346B9C, 0x4035FDBB, 0x40378FDB, 0x403921FB, 0x403AB41B, 0x403C463A,
+    0x403DD85A, 0x403F6A7A, 0x40407E4C, 0x4041475C, 0x4042106C, 0x4042D97C,
+    0x4043A28C, 0x40446B9C, 0x404534AC, 0x4045FDBB, 0x4046C6CB, 0x40478FDB,
+    0x404858EB, 0x404921FB
+];
+
+// pi/2 split into pieces of 24 bits, for __kernel_rem_pio2.
+const PIo2 = [
+    1.57079625129699707031e+00,  // 0x3FF921FB, 0x40000000
+    7.54978941586159635335e-08,  // 0x3E74442D, 0x00000000
+    5.39030252995776476554e-15,  // 0x3CF84698, 0x80000000
+    3.28200341580791294123e-22,  // 0x3B78CC51, 0x60000000
+    1.27065575308067607349e-29,  // 0x39F01B83, 0x80000000
+    1.22933308981111328932e-36,  // 0x387A2520, 0x40000000
+    2.73370053816464559624e-44,  // 0x36E38222, 0x80000000
+    2.16741683877804819444e-51   // 0x3569F31D, 0x00000000
+];
+
+const invpio2 = 6.36619772367581382433e-01;  // 0x3FE45F30, 0x6DC9C883
+const pio2_1 = 1.57079632673412561417e+00;  // 0x3FF921FB, 0x54400000
+const pio2_1t = 6.07710050650619224932e-11;  // 0x3DD0B461, 0x1A626331
+const pio2_2 = 6.07710050630396597660e-11;  // 0x3DD0B461, 0x1A600000
+const pio2_2t = 2.02226624879595063154e-21;  // 0x3BA3198A, 0x2E037073
+const pio2_3 = 2.02226624871116645580e-21;  // 0x3BA3198A, 0x2E000000
+const pio2_3t = 8.47842766036889956997e-32;  // 0x397B839A, 0x252049C1
+
+/**
+ * Reduces a large argument by a multiple of pi/2, using as many bits of 2/pi as it needs. This is
+ * __kernel_rem_pio2 of fdlibm, for the double-double precision that __ieee754_rem_pio2 uses.
+ * @param {Array<number>} x  The argument, split into 24-bit pieces that have been scaled down by
+ *        2^e0.
+ * @param {Array<number>} y  Receives the reduced argument, as a sum of two doubles.
+ * @param {number} e0  The exponent of x[0], less 23. This must be at least -20.
+ * @param {number} nx  The number of pieces in x.
+ * @returns {number} The last three bits of the multiple of pi/2.
+ */
+function __kernel_rem_pio2(x, y, e0, nx) {
+    const jk = 4;  // init_jk[prec] for prec = 2
+    const jp = jk;
+    const iq = new Array(20);
+    const f = new Array(20);
+    const fq = new Array(20);
+    const q = new Array(20);
+    var jz, carry, n, i, j, k, m, ih, z, fw;
+
+    // determine jx, jv and q0, where q0 < 3
+    const jx = nx - 1;
+    var jv = ((e0 - 3) / 24) | 0;
+    if (jv < 0) jv = 0;
+    var q0 = e0 - 24 * (jv + 1);
+
+    // set up f[0] to f[jx + jk], where f[jx + jk] = two_over_pi[jv + jk]
+    j = jv - jx;
+    m = jx + jk;
+    for (i = 0; i <= m; i++, j++) f[i] = j < 0 ? 0.0 : two_over_pi[j];
+
+    // compute q[0], q[1], ... q[jk]
+    for (i = 0; i <= jk; i++) {
+        for (j = 0, fw = 0.0; j <= jx; j++) fw += x[j] * f[jx + i - j];
+        q[i] = fw;
+    }
+
+    jz = jk;
+    for (;;) {
+        // distill q[] into iq[] reversingly
+        for (i = 0, j = jz, z = q[jz]; j > 0; i++, j--) {
+            fw = (twon24 * z) | 0;
+            iq[i] = (z - two24 * fw) | 0;
+            z = q[j - 1] + fw;
+        }
+
+        // compute n
+        z = scalb(z, q0);  // actual value of z
+        z -= 8.0 * Math.floor(z * 0.125);  // trim off integer >= 8
+        n = z | 0;
+        z -= n;
+        ih = 0;
+        if (q0 > 0) {  // need iq[jz - 1] to determine n
+            i = iq[jz - 1] >> (24 - q0);
+            n += i;
+            iq[jz - 1] -= i << (24 - q0);
+            ih = iq[jz - 1] >> (23 - q0);
+        } else if (q0 === 0) {
+            ih = iq[jz - 1] >> 23;
+        } else if (z >= 0.5) {
+            ih = 2;
+        }
+
+        if (ih > 0) {  // q > 0.5
+            n += 1;
+            carry = 0;
+            for (i = 0; i < jz; i++) {  // compute 1 - q
+                j = iq[i];
+                if (carry === 0) {
+                    if (j !== 0) {
+                        carry = 1;
+                        iq[i] = 0x1000000 - j;
+                    }
+                } else {
+                    iq[i] = 0xffffff - j;
+                }
+            }
+            if (q0 > 0) {  // rare case: chance is 1 in 12
+                switch (q0) {
+                    case 1:
+                        iq[jz - 1] &= 0x7fffff;
+                        break;
+                    case 2:
+                        iq[jz - 1] &= 0x3fffff;
+                        break;
+                }
+            }
+            if (ih === 2) {
+                z = one - z;
+                if (carry !== 0) z -= scalb(one, q0);
+            }
+        }
+
+        // check if recomputation is needed
+        if (z === 0.0) {
+            j = 0;
+            for (i = jz - 1; i >= jk; i--) j |= iq[i];
+            if (j === 0) {  // need recomputation
+                for (k = 1; iq[jk - k] === 0; k++);  // k = no. of terms needed
+
+                for (i = jz + 1; i <= jz + k; i++) {  // add q[jz + 1] to q[jz + k]
+                    f[jx + i] = two_over_pi[jv + i];
+                    for (j = 0, fw = 0.0; j <= jx; j++) fw += x[j] * f[jx + i - j];
+                    q[i] = fw;
+                }
+                jz += k;
+                continue;
+            }
+        }
+        break;
+    }
+
+    // chop off zero terms
+    if (z === 0.0) {
+        jz -= 1;
+        q0 -= 24;
+        while (iq[jz] === 0) {
+            jz--;
+            q0 -= 24;
+        }
+    } else {  // break z into 24-bit if necessary
+        z = scalb(z, -q0);
+        if (z >= two24) {
+            fw = (twon24 * z) | 0;
+            iq[jz] = (z - two24 * fw) | 0;
+            jz += 1;
+            q0 += 24;
+            iq[jz] = fw;
+        } else {
+            iq[jz] = z | 0;
+        }
+    }
+
+    // convert integer "bit" chunk to floating-point value
+    fw = scalb(one, q0);
+    for (i = jz; i >= 0; i--) {
+        q[i] = fw * iq[i];
+        fw *= twon24;
+    }
+
+    // compute PIo2[0, ..., jp] * q[jz, ..., 0]
+    for (i = jz; i >= 0; i--) {
+        for (fw = 0.0, k = 0; k <= jp && k <= jz - i; k++) fw += PIo2[k] * q[i + k];
+        fq[jz - i] = fw;
+    }
+
+    // compress fq[] into y[]
+    fw = 0.0;
+    for (i = jz; i >= 0; i--) fw += fq[i];
+    y[0] = ih === 0 ? fw : -fw;
+    fw = fq[0] - fw;
+    for (i = 1; i <= jz; i++) fw += fq[i];
+    y[1] = ih === 0 ? fw : -fw;
+    return n & 7;
+}
+
+/**
+ * Reduces an argument by a multiple of pi/2, to a value in [-pi/4, pi/4]. This is
+ * __ieee754_rem_pio2 of fdlibm.
+ * @param {number} x  The argument.
+ * @param {Array<number>} y  Receives the reduced argument, as a sum of two doubles.
+ * @returns {number} The multiple of pi/2, which only needs to be correct in its last three bits.
+ */
+function __ieee754_rem_pio2(x, y) {
+    var z, w, t, r, fn, i, j, n;
+    const hx = highWord(x);
+    const ix = hx & 0x7fffffff;
+    if (ix <= 0x3fe921fb) {  // |x| ~<= pi/4, no need for reduction
+        y[0] = x;
+        y[1] = 0;
+        return 0;
+    }
+    if (ix < 0x4002d97c) {  // |x| < 3pi/4, special case with n = +-1
+        if (hx > 0) {
+            z = x - pio2_1;
+            if (ix !== 0x3ff921fb) {  // 33+53 bit pi is good enough
+                y[0] = z - pio2_1t;
+                y[1] = (z - y[0]) - pio2_1t;
+            } else {  // near pi/2, use 33+33+53 bit pi
+                z -= pio2_2;
+                y[0] = z - pio2_2t;
+                y[1] = (z - y[0]) - pio2_2t;
+            }
+            return 1;
+        } else {  // negative x
+            z = x + pio2_1;
+            if (ix !== 0x3ff921fb) {  // 33+53 bit pi is good enough
+                y[0] = z + pio2_1t;
+                y[1] = (z - y[0]) + pio2_1t;
+            } else {  // near pi/2, use 33+33+53 bit pi
+                z += pio2_2;
+                y[0] = z + pio2_2t;
+                y[1] = (z - y[0]) + pio2_2t;
+            }
+            return -1;
+        }
+    }
+    if (ix <= 0x413921fb) {  // |x| ~<= 2^19 * (pi/2), medium size
+        t = Math.abs(x);
+        n = (t * invpio2 + half) | 0;
+        fn = n;
+        r = t - fn * pio2_1;
+        w = fn * pio2_1t;  // 1st round good to 85 bit
+        if (n < 32 && ix !== npio2_hw[n - 1]) {
+            y[0] = r - w;  // quick check no cancellation
+        } else {
+            j = ix >> 20;
+            y[0] = r - w;
+            i = j - ((highWord(y[0]) >> 20) & 0x7ff);
+            if (i > 16) {  // 2nd iteration needed, good to 118
+                t = r;
+                w = fn * pio2_2;
+                r = t - w;
+                w = fn * pio2_2t - ((t - r) - w);
+                y[0] = r - w;
+                i = j - ((highWord(y[0]) >> 20) & 0x7ff);
+                if (i > 49) {  // 3rd iteration needed, 151 bits acc
+                    t = r;  // will cover all possible cases
+                    w = fn * pio2_3;
+                    r = t - w;
+                    w = fn * pio2_3t - ((t - r) - w);
+                    y[0] = r - w;
+                }
+            }
+        }
+        y[1] = (r - y[0]) - w;
+        if (hx < 0) {
+            y[0] = -y[0];
+            y[1] = -y[1];
+            return -n;
+        }
+        return n;
+    }
+
+    // all other (large) arguments
+    if (ix >= 0x7ff00000) {  // x is inf or NaN
+        y[0] = y[1] = x - x;
+        return 0;
+    }
+    // set z = scalbn(|x|, ilogb(x) - 23)
+    const e0 = (ix >> 20) - 1046;  // e0 = ilogb(z) - 23
+    z = fromWords(ix - (e0 << 20), lowWord(x));
+    const tx = new Array(3);
+    for (i = 0; i < 2; i++) {
+        tx[i] = z | 0;
+        z = (z - tx[i]) * two24;
+    }
+    tx[2] = z;
+    var nx = 3;
+    while (tx[nx - 1] === 0.0) nx--;  // skip zero term
+    n = __kernel_rem_pio2(tx, y, e0, nx);
+    if (hx < 0) {
+        y[0] = -y[0];
+        y[1] = -y[1];
+        return -n;
+    }
+    return n;
+}
+
+const S1 = -1.66666666666666324348e-01;  // 0xBFC55555, 0x55555549
+const S2 = 8.33333333332248946124e-03;  // 0x3F811111, 0x1110F8A6
+const S3 = -1.98412698298579493134e-04;  // 0xBF2A01A0, 0x19C161D5
+const S4 = 2.75573137070700676789e-06;  // 0x3EC71DE3, 0x57B1FE7D
+const S5 = -2.50507602534068634195e-08;  // 0xBE5AE5E6, 0x8A2B9CEB
+const S6 = 1.58969099521155010221e-10;  // 0x3DE5D93A, 0x5ACFD57C
+
+/**
+ * The sine of a reduced argument. This is __kernel_sin of fdlibm.
+ * @param {number} x  The high part of the argument, in [-pi/4, pi/4].
+ * @param {number} y  The low part of the argument.
+ * @param {number} iy  0 if y is known to be zero, and 1 otherwise.
+ * @returns {number} sin(x + y)
+ */
+function __kernel_sin(x, y, iy) {
+    const ix = highWord(x) & 0x7fffffff;  // high word of x
+    if (ix < 0x3e400000) {  // |x| < 2^-27
+        if ((x | 0) === 0) return x;  // generate inexact
+    }
+    const z = x * x;
+    const v = z * x;
+    const r = S2 + z * (S3 + z * (S4 + z * (S5 + z * S6)));
+    if (iy === 0) return x + v * (S1 + z * r);
+    return x - ((z * (half * y - v * r) - y) - v * S1);
+}
+
+const C1 = 4.16666666666666019037e-02;  // 0x3FA55555, 0x5555554C
+const C2 = -1.38888888888741095749e-03;  // 0xBF56C16C, 0x16C15177
+const C3 = 2.48015872894767294178e-05;  // 0x3EFA01A0, 0x19CB1590
+const C4 = -2.75573143513906633035e-07;  // 0xBE927E4F, 0x809C52AD
+const C5 = 2.08757232129817482790e-09;  // 0x3E21EE9E, 0xBDB4B1C4
+const C6 = -1.13596475577881948265e-11;  // 0xBDA8FAE9, 0xBE8838D4
+
+/**
+ * The cosine of a reduced argument. This is __kernel_cos of fdlibm.
+ * @param {number} x  The high part of the argument, in [-pi/4, pi/4].
+ * @param {number} y  The low part of the argument.
+ * @returns {number} cos(x + y)
+ */
+function __kernel_cos(x, y) {
+    const ix = highWord(x) & 0x7fffffff;  // ix = |x|'s high word
+    if (ix < 0x3e400000) {  // if |x| < 2^-27
+        if ((x | 0) === 0) return one;  // generate inexact
+    }
+    const z = x * x;
+    const r = z * (C1 + z * (C2 + z * (C3 + z * (C4 + z * (C5 + z * C6)))));
+    if (ix < 0x3FD33333) {  // if |x| < 0.3
+        return one - (0.5 * z - (z * r - x * y));
+    }
+    var qx;
+    if (ix > 0x3fe90000) {  // x > 0.78125
+        qx = 0.28125;
+    } else {
+        qx = fromWords(ix - 0x00200000, 0);  // x/4
+    }
+    const hz = 0.5 * z - qx;
+    const a = one - qx;
+    return a - (hz - (z * r - x * y));
+}
+
+const T = [
+    3.33333333333334091986e-01,  // 3FD55555, 55555563
+    1.33333333333201242699e-01,  // 3FC11111, 1110FE7A
+    5.39682539762260521377e-02,  // 3FABA1BA, 1BB341FE
+    2.18694882948595424599e-02,  // 3F9664F4, 8406D637
+    8.86323982359930005737e-03,  // 3F8226E3, E96E8493
+    3.59207910759131235356e-03,  // 3F6D6D22, C9560328
+    1.45620945432529025516e-03,  // 3F57DBC8, FEE08315
+    5.88041240820264096874e-04,  // 3F4344D8, F2F26501
+    2.46463134818469906812e-04,  // 3F3026F7, 1A8D1068
+    7.81794442939557092300e-05,  // 3F147E88, A03792A6
+    7.14072491382608190305e-05,  // 3F12B80F, 32F0A7E9
+    -1.85586374855275456654e-05,  // BEF375CB, DB605373
+    2.59073051863633712884e-05  // 3EFB2A70, 74BF7AD4
+];
+const pio4 = 7.85398163397448278999e-01;  // 3FE921FB, 54442D18
+const pio4lo = 3.06161699786838301793e-17;  // 3C81A626, 33145C07
+
+/**
+ * The tangent of a reduced argument, or minus its reciprocal. This is __kernel_tan of fdlibm.
+ * @param {number} x  The high part of the argument, in [-pi/4, pi/4].
+ * @param {number} y  The low part of the argument.
+ * @param {number} iy  1 to return tan(x + y), and -1 to return -1/tan(x + y).
+ * @returns {number} tan(x + y), or -1/tan(x + y).
+ */
+function __kernel_tan(x, y, iy) {
+    var z, r, v, w, s, a, t;
+    const hx = highWord(x);  // high word of x
+    const ix = hx & 0x7fffffff;  // high word of |x|
+    if (ix < 0x3e300000) {  // x < 2^-28
+        if ((x | 0) === 0) {  // generate inexact
+            if (((ix | lowWord(x)) | (iy + 1)) === 0) return one / Math.abs(x);
+            if (iy === 1) return x;
+            // compute -1 / (x + y) carefully
+            z = w = x + y;
+            z = withLowWord(z, 0);
+            v = y - (z - x);
+            t = a = -one / w;
+            t = withLowWord(t, 0);
+            s = one + t * z;
+            return t + a * (s + t * v);
+        }
+    }
+    if (ix >= 0x3FE59428) {  // |x| >= 0.6744
+        if (hx < 0) {
+            x = -x;
+            y = -y;
+        }
+        z = pio4 - x;
+        w = pio4lo - y;
+        x = z + w;
+        y = 0.0;
+    }
+    z = x * x;
+    w = z * z;
+    // Break x^5 * (T[1] + x^2 * T[2] + ...) into
+    // x^5 * (T[1] + x^4 * T[3] + ... + x^20 * T[11]) +
+    // x^5 * (x^2 * (T[2] + x^4 * T[4] + ... + x^22 * T[12]))
+    r = T[1] + w * (T[3] + w * (T[5] + w * (T[7] + w * (T[9] + w * T[11]))));
+    v = z * (T[2] + w * (T[4] + w * (T[6] + w * (T[8] + w * (T[10] + w * T[12])))));
+    s = z * x;
+    r = y + z * (s * (r + v) + y);
+    r += T[0] * s;
+    w = x + r;
+    if (ix >= 0x3FE59428) {
+        v = iy;
+        return (1 - ((hx >> 30) & 2)) * (v - 2.0 * (x - (w * w / (w + v) - r)));
+    }
+    if (iy === 1) return w;
+    // compute -1.0 / (x + r) accurately
+    z = withLowWord(w, 0);
+    v = r - (z - x);  // z + v = r + x
+    t = a = -1.0 / w;  // a = -1.0 / w
+    t = withLowWord(t, 0);
+    s = 1.0 + t * z;
+    return t + a * (s + t * v);
+}
+
+/**
+ * Returns the trigonometric sine of an angle.
+ * @param {number} x  An angle, in radians.
+ * @returns {number} The sine of x.
+ */
+function sin(x) {
+    const ix = highWord(x) & 0x7fffffff;
+    if (ix <= 0x3fe921fb) return __kernel_sin(x, 0.0, 0);  // |x| ~< pi/4
+    if (ix >= 0x7ff00000) return x - x;  // sin(Inf or NaN) is NaN
+    const y = [0, 0];
+    const n = __ieee754_rem_pio2(x, y);
+    switch (n & 3) {
+        case 0: return __kernel_sin(y[0], y[1], 1);
+        case 1: return __kernel_cos(y[0], y[1]);
+        case 2: return -__kernel_sin(y[0], y[1], 1);
+        default: return -__kernel_cos(y[0], y[1]);
+    }
+}
+
+/**
+ * Returns the trigonometric cosine of an angle.
+ * @param {number} x  An angle, in radians.
+ * @returns {number} The cosine of x.
+ */
+function cos(x) {
+    const ix = highWord(x) & 0x7fffffff;
+    if (ix <= 0x3fe921fb) return __kernel_cos(x, 0.0);  // |x| ~< pi/4
+    if (ix >= 0x7ff00000) return x - x;  // cos(Inf or NaN) is NaN
+    const y = [0, 0];
+    const n = __ieee754_rem_pio2(x, y);
+    switch (n & 3) {
+        case 0: return __kernel_cos(y[0], y[1]);
+        case 1: return -__kernel_sin(y[0], y[1], 1);
+        case 2: return -__kernel_cos(y[0], y[1]);
+        default: return __kernel_sin(y[0], y[1], 1);
+    }
+}
+
+/**
+ * Returns the trigonometric tangent of an angle.
+ * @param {number} x  An angle, in radians.
+ * @returns {number} The tangent of x.
+ */
+function tan(x) {
+    const ix = highWord(x) & 0x7fffffff;
+    if (ix <= 0x3fe921fb) return __kernel_tan(x, 0.0, 1);  // |x| ~< pi/4
+    if (ix >= 0x7ff00000) return x - x;  // tan(Inf or NaN) is NaN
+    const y = [0, 0];
+    const n = __ieee754_rem_pio2(x, y);
+    return __kernel_tan(y[0], y[1], 1 - ((n & 1) << 1));  // 1 if n is even, -1 if n is odd
+}
+
+// Inverse trigonometric functions
+
+const pS0 = 1.66666666666666657415e-01;  // 0x3FC55555, 0x55555555
+const pS1 = -3.25565818622400915405e-01;  // 0xBFD4D612, 0x03EB6F7D
+const pS2 = 2.01212532134862925881e-01;  // 0x3FC9C155, 0x0E884455
+const pS3 = -4.00555345006794114027e-02;  // 0xBFA48228, 0xB5688F3B
+const pS4 = 7.91534994289814532176e-04;  // 0x3F49EFE0, 0x7501B288
+const pS5 = 3.47933107596021167570e-05;  // 0x3F023DE1, 0x0DFDF709
+const qS1 = -2.40339491173441421878e+00;  // 0xC0033A27, 0x1C8A2D4B
+const qS2 = 2.02094576023350569471e+00;  // 0x40002AE5, 0x9C598AC8
+const qS3 = -6.88283971605453293030e-01;  // 0xBFE6066C, 0x1B8D0159
+const qS4 = 7.70381505559019352791e-02;  // 0x3FB3B8C5, 0xB12E9282
+const pio4_hi = 7.85398163397448278999e-01;  // 0x3FE921FB, 0x54442D18
+const pi = 3.14159265358979311600e+00;  // 0x400921FB, 0x54442D18
+
+/**
+ * Returns the arc sine of a value.
+ * @param {number} x  The value whose arc sine is returned.
+ * @returns {number} The arc sine of x, in the range [-pi/2, pi/2]. This is NaN if |x| > 1.
+ */
+function asin(x) {
+    var t, w, p, q, c, r, s;
+    const hx = highWord(x);
+    const ix = hx & 0x7fffffff;
+    if (ix >= 0x3ff00000) {  // |x| >= 1
+        if (((ix - 0x3ff00000) | lowWord(x)) === 0) {
+            // asin(1) = +-pi/2 with inexact
+            return x * pio2_hi + x * pio2_lo;
+        }
+        return (x - x) / (x - x);  // asin(|x| > 1) is NaN
+    } else if (ix < 0x3fe00000) {  // |x| < 0.5
+        if (ix < 0x3e400000) {  // if |x| < 2^-27
+            if (huge + x > one) return x;  // return x with inexact if x != 0
+        }
+        t = x * x;
+        p = t * (pS0 + t * (pS1 + t * (pS2 + t * (pS3 + t * (pS4 + t * pS5)))));
+        q = one + t * (qS1 + t * (qS2 + t * (qS3 + t * qS4)));
+        w = p / q;
+        return x + x * w;
+    }
+    // 1 > |x| >= 0.5
+    w = one - Math.abs(x);
+    t = w * 0.5;
+    p = t * (pS0 + t * (pS1 + t * (pS2 + t * (pS3 + t * (pS4 + t * pS5)))));
+    q = one + t * (qS1 + t * (qS2 + t * (qS3 + t * qS4)));
+    s = Math.sqrt(t);
+    if (ix >= 0x3FEF3333) {  // if |x| > 0.975
+        w = p / q;
+        t = pio2_hi - (2.0 * (s + s * w) - pio2_lo);
+    } else {
+        w = withLowWord(s, 0);
+        c = (t - w * w) / (s + w);
+        r = p / q;
+        p = 2.0 * s * r - (pio2_lo - 2.0 * c);
+        q = pio4_hi - 2.0 * w;
+        t = pio4_hi - (p - q);
+    }
+    return hx > 0 ? t : -t;
+}
+
+/**
+ * Returns the arc cosine of a value.
+ * @param {number} x  The value whose arc cosine is returned.
+ * @returns {number} The arc cosine of x, in the range [0, pi]. This is NaN if |x| > 1.
+ */
+function acos(x) {
+    var z, p, q, r, w, s, c, df;
+    const hx = highWord(x);
+    const ix = hx & 0x7fffffff;
+    if (ix >= 0x3ff00000) {  // |x| >= 1
+        if (((ix - 0x3ff00000) | lowWord(x)) === 0) {  // |x| == 1
+            if (hx > 0) return 0.0;  // acos(1) = 0
+            return pi + 2.0 * pio2_lo;  // acos(-1) = pi
+        }
+        return (x - x) / (x - x);  // acos(|x| > 1) is NaN
+    }
+    if (ix < 0x3fe00000) {  // |x| < 0.5
+        if (ix <= 0x3c600000) return pio2_hi + pio2_lo;  // if |x| < 2^-57
+        z = x * x;
+        p = z * (pS0 + z * (pS1 + z * (pS2 + z * (pS3 + z * (pS4 + z * pS5)))));
+        q = one + z * (qS1 + z * (qS2 + z * (qS3 + z * qS4)));
+        r = p / q;
+        return pio2_hi - (x - (pio2_lo - x * r));
+    } else if (hx < 0) {  // x < -0.5
+        z = (one + x) * 0.5;
+        p = z * (pS0 + z * (pS1 + z * (pS2 + z * (pS3 + z * (pS4 + z * pS5)))));
+        q = one + z * (qS1 + z * (qS2 + z * (qS3 + z * qS4)));
+        s = Math.sqrt(z);
+        r = p / q;
+        w = r * s - pio2_lo;
+        return pi - 2.0 * (s + w);
+    } else {  // x > 0.5
+        z = (one - x) * 0.5;
+        s = Math.sqrt(z);
+        df = withLowWord(s, 0);
+        c = (z - df * df) / (s + df);
+        p = z * (pS0 + z * (pS1 + z * (pS2 + z * (pS3 + z * (pS4 + z * pS5)))));
+        q = one + z * (qS1 + z * (qS2 + z * (qS3 + z * qS4)));
+        r = p / q;
+        w = r * s + c;
+        return 2.0 * (df + w);
+    }
+}
+
+const atanhi = [
+    4.63647609000806093515e-01,  // atan(0.5)hi 0x3FDDAC67, 0x0561BB4F
+    7.85398163397448278999e-01,  // atan(1.0)hi 0x3FE921FB, 0x54442D18
+    9.82793723247329054082e-01,  // atan(1.5)hi 0x3FEF730B, 0xD281F69B
+    1.57079632679489655800e+00  // atan(inf)hi 0x3FF921FB, 0x54442D18
+];
+const atanlo = [
+    2.26987774529616870924e-17,  // atan(0.5)lo 0x3C7A2B7F, 0x222F65E2
+    3.06161699786838301793e-17,  // atan(1.0)lo 0x3C81A626, 0x33145C07
+    1.39033110312309984516e-17,  // atan(1.5)lo 0x3C700788, 0x7AF0CBBD
+    6.12323399573676603587e-17  // atan(inf)lo 0x3C91A626, 0x33145C07
+];
+const aT = [
+    3.33333333333329318027e-01,  // 0x3FD55555, 0x5555550D
+    -1.99999999998764832476e-01,  // 0xBFC99999, 0x9998EBC4
+    1.42857142725034663711e-01,  // 0x3FC24924, 0x920083FF
+    -1.11111104054623557880e-01,  // 0xBFBC71C6, 0xFE231671
+    9.09088713343650656196e-02,  // 0x3FB745CD, 0xC54C206E
+    -7.69187620504482999495e-02,  // 0xBFB3B0F2, 0xAF749A6D
+    6.66107313738753120669e-02,  // 0x3FB10D66, 0xA0D03D51
+    -5.83357013379057348645e-02,  // 0xBFADDE2D, 0x52DEFD9A
+    4.97687799461593236017e-02,  // 0x3FA97B4B, 0x24760DEB
+    -3.65315727442169155270e-02,  // 0xBFA2B444, 0x2C6A6C2F
+    1.62858201153657823623e-02  // 0x3F90AD3A, 0xE322DA11
+];
+
+/**
+ * Returns the arc tangent of a value.
+ * @param {number} x  The value whose arc tangent is returned.
+ * @returns {number} The arc tangent of x, in the range [-pi/2, pi/2].
+ */
+function atan(x) {
+    var id;
+    const hx = highWord(x);
+    const ix = hx & 0x7fffffff;
+    if (ix >= 0x44100000) {  // if |x| >= 2^66
+        if (ix > 0x7ff00000 || (ix === 0x7ff00000 && lowWord(x) !== 0)) return x + x;  // NaN
+        if (hx > 0) return atanhi[3] + atanlo[3];
+        return -atanhi[3] - atanlo[3];
+    }
+    if (ix < 0x3fdc0000) {  // |x| < 0.4375
+        if (ix < 0x3e200000) {  // |x| < 2^-29
+            if (huge + x > one) return x;  // raise inexact
+        }
+        id = -1;
+    } else {
+        x = Math.abs(x);
+        if (ix < 0x3ff30000) {  // |x| < 1.1875
+            if (ix < 0x3fe60000) {  // 7/16 <= |x| < 11/16
+                id = 0;
+                x = (2.0 * x - one) / (2.0 + x);
+            } else {  // 11/16 <= |x| < 19/16
+                id = 1;
+                x = (x - one) / (x + one);
+            }
+        } else {
+            if (ix < 0x40038000) {  // |x| < 2.4375
+                id = 2;
+                x = (x - 1.5) / (one + 1.5 * x);
+            } else {  // 2.4375 <= |x| < 2^66
+                id = 3;
+                x = -1.0 / x;
+            }
+        }
+    }
+    // end of argument reduction
+    var z = x * x;
+    const w = z * z;
+    // break sum from i = 0 to 10 aT[i] * z^(i + 1) into odd and even poly
+    const s1 = z * (aT[0] + w * (aT[2] + w * (aT[4] + w * (aT[6] + w * (aT[8] + w * aT[10])))));
+    const s2 = w * (aT[1] + w * (aT[3] + w * (aT[5] + w * (aT[7] + w * aT[9]))));
+    if (id < 0) return x - x * (s1 + s2);
+    z = atanhi[id] - ((x * (s1 + s2) - atanlo[id]) - x);
+    return hx < 0 ? -z : z;
+}
+
+const pi_o_4 = 7.8539816339744827900E-01;  // 0x3FE921FB, 0x54442D18
+const pi_o_2 = 1.5707963267948965580E+00;  // 0x3FF921FB, 0x54442D18
+const pi_lo = 1.2246467991473531772E-16;  // 0x3CA1A626, 0x33145C07
+
+/**
+ * Returns the angle theta from the conversion of rectangular coordinates (x, y) to polar
+ * coordinates (r, theta).
+ * @param {number} y  The ordinate coordinate.
+ * @param {number} x  The abscissa coordinate.
+ * @returns {number} The angle of the point (x, y), in the range [-pi, pi].
+ */
+function atan2(y, x) {
+    var z;
+    const hx = highWord(x);
+    const ix = hx & 0x7fffffff;
+    const lx = lowWord(x);
+    const hy = highWord(y);
+    const iy = hy & 0x7fffffff;
+    const ly = lowWord(y);
+    if ((ix | ((lx | -lx) >>> 31)) > 0x7ff00000 || (iy | ((ly | -ly) >>> 31)) > 0x7ff00000) {
+        return x + y;  // x or y is NaN
+    }
+    if (((hx - 0x3ff00000) | lx) === 0) return atan(y);  // x = 1.0
+    const m = ((hy >> 31) & 1) | ((hx >> 30) & 2);  // 2 * sign(x) + sign(y)
+
+    // when y = 0
+    if ((iy | ly) === 0) {
+        switch (m) {
+            case 0:
+            case 1: return y;  // atan(+-0, +anything) = +-0
+            case 2: return pi + tiny;  // atan(+0, -anything) = pi
+            case 3: return -pi - tiny;  // atan(-0, -anything) = -pi
+        }
+    }
+    // when x = 0
+    if ((ix | lx) === 0) return hy < 0 ? -pi_o_2 - tiny : pi_o_2 + tiny;
+
+    // when x is INF
+    if (ix === 0x7ff00000) {
+        if (iy === 0x7ff00000) {
+            switch (m) {
+                case 0: return pi_o_4 + tiny;  // atan(+INF, +INF)
+                case 1: return -pi_o_4 - tiny;  // atan(-INF, +INF)
+                case 2: return 3.0 * pi_o_4 + tiny;  // atan(+INF, -INF)
+                case 3: return -3.0 * pi_o_4 - tiny;  // atan(-INF, -INF)
+            }
+        } else {
+            switch (m) {
+                case 0: return 0.0;  // atan(+..., +INF)
+                case 1: return -0.0;  // atan(-..., +INF)
+                case 2: return pi + tiny;  // atan(+..., -INF)
+                case 3: return -pi - tiny;  // atan(-..., -INF)
+            }
+        }
+    }
+    // when y is INF
+    if (iy === 0x7ff00000) return hy < 0 ? -pi_o_2 - tiny : pi_o_2 + tiny;
+
+    // compute y/x
+    const k = (iy - ix) >> 20;
+    if (k > 60) {
+        z = pi_o_2 + 0.5 * pi_lo;  // |y/x| > 2^60
+    } else if (hx < 0 && k < -60) {
+        z = 0.0;  // |y|/x < -2^60
+    } else {
+        z = atan(Math.abs(y / x));  // safe to do y/x
+    }
+    switch (m) {
+        case 0: return z;  // atan(+, +)
+        case 1: return -z;  // atan(-, +)
+        case 2: return pi - (z - pi_lo);  // atan(+, -)
+        default: return (z - pi_lo) - pi;  // atan(-, -)
+    }
+}
+
+// Exponential and logarithmic functions
+
+const halF = [0.5, -0.5];
+const twom1000 = 9.33263618503218878990e-302;  // 2^-1000 = 0x01700000, 0
+const o_threshold = 7.09782712893383973096e+02;  // 0x40862E42, 0xFEFA39EF
+const u_threshold = -7.45133219101941108420e+02;  // 0xc0874910, 0xD52D3051
+const ln2HI = [6.93147180369123816490e-01, -6.93147180369123816490e-01];  // 0x3fe62e42, 0xfee00000
+const ln2LO = [1.90821492927058770002e-10, -1.90821492927058770002e-10];  // 0x3dea39ef, 0x35793c76
+const P1 = 1.66666666666666019037e-01;  // 0x3FC55555, 0x5555553E
+const P2 = -2.77777777770155933842e-03;  // 0xBF66C16C, 0x16BEBD93
+const P3 = 6.61375632143793436117e-05;  // 0x3F11566A, 0xAF25DE2C
+const P4 = -1.65339022054652515390e-06;  // 0xBEBBBD41, 0xC5D26BF1
+const P5 = 4.13813679705723846039e-08;  // 0x3E663769, 0x72BEA4D0
+
+/**
+ * Returns Euler's number e raised to the power of a value.
+ * @param {number} x  The exponent.
+ * @returns {number} e^x
+ */
+function exp(x) {
+    var y, hi, lo, c, t, k;
+    var hx = highWord(x);  // high word of x
+    const xsb = (hx >> 31) & 1;  // sign bit of x
+    hx &= 0x7fffffff;  // high word of |x|
+
+    // filter out non-finite argument
+    if (hx >= 0x40862E42) {  // if |x| >= 709.78...
+        if (hx >= 0x7ff00000) {
+            if (((hx & 0xfffff) | lowWord(x)) !== 0) return x + x;  // NaN
+            return xsb === 0 ? x : 0.0;  // exp(+-inf) = {inf, 0}
+        }
+        if (x > o_threshold) return huge * huge;  // overflow
+        if (x < u_threshold) return twom1000 * twom1000;  // underflow
+    }
+
+    // argument reduction
+    if (hx > 0x3fd62e42) {  // if |x| > 0.5 ln2
+        if (hx < 0x3FF0A2B2) {  // and |x| < 1.5 ln2
+            hi = x - ln2HI[xsb];
+            lo = ln2LO[xsb];
+            k = 1 - xsb - xsb;
+        } else {
+            k = (invln2 * x + halF[xsb]) | 0;
+            t = k;
+            hi = x - t * ln2HI[0];  // t * ln2HI is exact here
+            lo = t * ln2LO[0];
+        }
+        x = hi - lo;
+    } else if (hx < 0x3e300000) {  // when |x| < 2^-28
+        if (huge + x > one) return one + x;  // trigger inexact
+    } else {
+        k = 0;
+    }
+
+    // x is now in primary range
+    t = x * x;
+    c = x - t * (P1 + t * (P2 + t * (P3 + t * (P4 + t * P5))));
+    if (k === 0) return one - ((x * c) / (c - 2.0) - x);
+    y = one - ((lo - (x * c) / (2.0 - c)) - hi);
+    if (k >= -1021) {
+        return withHighWord(y, highWord(y) + (k << 20));  // add k to y's exponent
+    }
+    y = withHighWord(y, highWord(y) + ((k + 1000) << 20));  // add k to y's exponent
+    return y * twom1000;
+}
+
+const Q1 = -3.33333333333331316428e-02;  // BFA11111 111110F4
+const Q2 = 1.58730158725481460165e-03;  // 3F5A01A0 19FE5585
+const Q3 = -7.93650757867487942473e-05;  // BF14CE19 9EAADBB7
+const Q4 = 4.00821782732936239552e-06;  // 3ED0CFCA 86E65239
+const Q5 = -2.01099218183624371326e-07;  // BE8AFDB7 6E09C32D
+
+/**
+ * Returns e^x - 1. For values of x near zero, this is much more accurate than exp(x) - 1.
+ * @param {number} x  The exponent.
+ * @returns {number} e^x - 1
+ */
+function expm1(x) {
+    var y, hi, lo, c, t, e, hxs, hfx, r1, k;
+    var hx = highWord(x);  // high word of x
+    const xsb = hx & 0x80000000;  // sign bit of x
+    hx &= 0x7fffffff;  // high word of |x|
+
+    // filter out huge and non-finite argument
+    if (hx >= 0x4043687A) {  // if |x| >= 56 * ln2
+        if (hx >= 0x40862E42) {  // if |x| >= 709.78...
+            if (hx >= 0x7ff00000) {
+                if (((hx & 0xfffff) | lowWord(x)) !== 0) return x + x;  // NaN
+                return xsb === 0 ? x : -1.0;  // exp(+-inf) = {inf, -1}
+            }
+            if (x > o_threshold) return huge * huge;  // overflow
+        }
+        if (xsb !== 0) {  // x < -56 * ln2, return -1.0 with inexact
+            if (x + tiny < 0.0) return tiny - one;  // raise inexact, return -1
+        }
+    }
+
+    // argument reduction
+    if (hx > 0x3fd62e42) {  // if |x| > 0.5 ln2
+        if (hx < 0x3FF0A2B2) {  // and |x| < 1.5 ln2
+            if (xsb === 0) {
+                hi = x - ln2_hi;
+                lo = ln2_lo;
+                k = 1;
+            } else {
+                hi = x + ln2_hi;
+                lo = -ln2_lo;
+                k = -1;
+            }
+        } else {
+            k = (invln2 * x + (xsb === 0 ? 0.5 : -0.5)) | 0;
+            t = k;
+            hi = x - t * ln2_hi;  // t * ln2_hi is exact here
+            lo = t * ln2_lo;
+        }
+        x = hi - lo;
+        c = (hi - x) - lo;
+    } else if (hx < 0x3c900000) {  // when |x| < 2^-54, return x
+        t = huge + x;  // return x with inexact flags when x != 0
+        return x - (t - (huge + x));
+    } else {
+        k = 0;
+    }
+
+    // x is now in primary range
+    hfx = 0.5 * x;
+    hxs = x * hfx;
+    r1 = one + hxs * (Q1 + hxs * (Q2 + hxs * (Q3 + hxs * (Q4 + hxs * Q5))));
+    t = 3.0 - r1 * hfx;
+    e = hxs * ((r1 - t) / (6.0 - x * t));
+    if (k === 0) return x - (x * e - hxs);  // c is 0
+    e = (x * (e - c) - c);
+    e -= hxs;
+    if (k === -1) return 0.5 * (x - e) - 0.5;
+    if (k === 1) {
+        if (x < -0.25) return -2.0 * (e - (x + 0.5));
+        return one + 2.0 * (x - e);
+    }
+    if (k <= -2 || k > 56) {  // suffice to return exp(x) - 1
+        y = one - (e - x);
+        y = withHighWord(y, highWord(y) + (k << 20));  // add k to y's exponent
+        return y - one;
+    }
+    if (k < 20) {
+        t = fromWords(0x3ff00000 - (0x200000 >> k), 0);  // t = 1 - 2^-k
+        y = t - (e - x);
+    } else {
+        t = fromWords((0x3ff - k) << 20, 0);  // 2^-k
+        y = x - (e + t);
+        y += one;
+    }
+    return withHighWord(y, highWord(y) + (k << 20));  // add k to y's exponent
+}
+
+const Lg1 = 6.666666666666735130e-01;  // 3FE55555 55555593
+const Lg2 = 3.999999999940941908e-01;  // 3FD99999 9997FA04
+const Lg3 = 2.857142874366239149e-01;  // 3FD24924 94229359
+const Lg4 = 2.222219843214978396e-01;  // 3FCC71C5 1D8E78AF
+const Lg5 = 1.818357216161805012e-01;  // 3FC74664 96CB03DE
+const Lg6 = 1.531383769920937332e-01;  // 3FC39A09 D078C69F
+const Lg7 = 1.479819860511658591e-01;  // 3FC2F112 DF3E5244
+
+/**
+ * Returns the natural logarithm of a value.
+ * @param {number} x  The value.
+ * @returns {number} The base e logarithm of x. This is NaN if x is negative, and -Infinity if x is
+ *          zero.
+ */
+function log(x) {
+    var hfsq, f, s, z, R, w, t1, t2, dk, i, j;
+    var hx = highWord(x);  // high word of x
+    const lx = lowWord(x);  // low word of x
+
+    var k = 0;
+    if (hx < 0x00100000) {  // x < 2^-1022
+        if (((hx & 0x7fffffff) | lx) === 0) return -two54 / 0.0;  // log(+-0) = -inf
+        if (hx < 0) return (x - x) / 0.0;  // log(-#) = NaN
+        k -= 54;
+        x *= two54;  // subnormal number, scale up x
+        hx = highWord(x);  // high word of x
+    }
+    if (hx >= 0x7ff00000) return x + x;
+    k += (hx >> 20) - 1023;
+    hx &= 0x000fffff;
+    i = (hx + 0x95f64) & 0x100000;
+    x = withHighWord(x, hx | (i ^ 0x3ff00000));  // normalize x or x/2
+    k += (i >> 20);
+    f = x - 1.0;
+    if ((0x000fffff & (2 + hx)) < 3) {  // |f| < 2^-20
+        if (f === 0.0) {
+            if (k === 0) return 0.0;
+            dk = k;
+            return dk * ln2_hi + dk * ln2_lo;
+        }
+        R = f * f * (0.5 - 0.33333333333333333 * f);
+        if (k === 0) return f - R;
+        dk = k;
+        return dk * ln2_hi - ((R - dk * ln2_lo) - f);
+    }
+    s = f / (2.0 + f);
+    dk = k;
+    z = s * s;
+    i = hx - 0x6147a;
+    w = z * z;
+    j = 0x6b851 - hx;
+    t1 = w * (Lg2 + w * (Lg4 + w * Lg6));
+    t2 = z * (Lg1 + w * (Lg3 + w * (Lg5 + w * Lg7)));
+    i |= j;
+    R = t2 + t1;
+    if (i > 0) {
+        hfsq = 0.5 * f * f;
+        if (k === 0) return f - (hfsq - s * (hfsq + R));
+        return dk * ln2_hi - ((hfsq - (s * (hfsq + R) + dk * ln2_lo)) - f);
+    }
+    if (k === 0) return f - s * (f - R);
+    return dk * ln2_hi - ((s * (f - R) - dk * ln2_lo) - f);
+}
+
+const ivln10 = 4.34294481903251816668e-01;  // 0x3FDBCB7B, 0x1526E50E
+const log10_2hi = 3.01029995663611771306e-01;  // 0x3FD34413, 0x509F6000
+const log10_2lo = 3.69423907715893078616e-13;  // 0x3D59FEF3, 0x11F12B36
+
+/**
+ * Returns the base 10 logarithm of a value. If x is 10^n for an integer n, the result is n.
+ * @param {number} x  The value.
+ * @returns {number} The base 10 logarithm of x. This is NaN if x is negative, and -Infinity if x
+ *          is zero.
+ */
+function log10(x) {
+    var hx = highWord(x);  // high word of x
+    const lx = lowWord(x);  // low word of x
+
+    var k = 0;
+    if (hx < 0x00100000) {  // x < 2^-1022
+        if (((hx & 0x7fffffff) | lx) === 0) return -two54 / 0.0;  // log(+-0) = -inf
+        if (hx < 0) return (x - x) / 0.0;  // log(-#) = NaN
+        k -= 54;
+        x *= two54;  // subnormal number, scale up x
+        hx = highWord(x);  // high word of x
+    }
+    if (hx >= 0x7ff00000) return x + x;
+    k += (hx >> 20) - 1023;
+    const i = k >>> 31;
+    hx = (hx & 0x000fffff) | ((0x3ff - i) << 20);
+    const y = k + i;
+    x = withHighWord(x, hx);
+    const z = y * log10_2lo + ivln10 * log(x);
+    return z + y * log10_2hi;
+}
+
+const Lp1 = 6.666666666666735130e-01;  // 3FE55555 55555593
+const Lp2 = 3.999999999940941908e-01;  // 3FD99999 9997FA04
+const Lp3 = 2.857142874366239149e-01;  // 3FD24924 94229359
+const Lp4 = 2.222219843214978396e-01;  // 3FCC71C5 1D8E78AF
+const Lp5 = 1.818357216161805012e-01;  // 3FC74664 96CB03DE
+const Lp6 = 1.531383769920937332e-01;  // 3FC39A09 D078C69F
+const Lp7 = 1.479819860511658591e-01;  // 3FC2F112 DF3E5244
+
+/**
+ * Returns the natural logarithm of the sum of a value and 1. For small values of x, this is much
+ * more accurate than log(1 + x).
+ * @param {number} x  The value.
+ * @returns {number} The natural logarithm of x + 1. This is NaN if x < -1, and -Infinity if x is -1.
+ */
+function log1p(x) {
+    var hfsq, f, c, s, z, R, u, hu;
+    const hx = highWord(x);  // high word of x
+    const ax = hx & 0x7fffffff;
+
+    var k = 1;
+    if (hx < 0x3FDA827A) {  // x < 0.41422
+        if (ax >= 0x3ff00000) {  // x <= -1.0
+            if (x === -1.0) return -two54 / 0.0;  // log1p(-1) = -inf
+            return (x - x) / (x - x);  // log1p(x < -1) = NaN
+        }
+        if (ax < 0x3e200000) {  // |x| < 2^-29
+            if (two54 + x > 0.0 && ax < 0x3c900000) {  // raise inexact, |x| < 2^-54
+                return x;
+            }
+            return x - x * x * 0.5;
+        }
+        if (hx > 0 || hx <= (0xbfd2bec3 | 0)) {  // -0.2929 < x < 0.41422
+            k = 0;
+            f = x;
+            hu = 1;
+        }
+    }
+    if (hx >= 0x7ff00000) return x + x;
+    if (k !== 0) {
+        if (hx < 0x43400000) {
+            u = 1.0 + x;
+            hu = highWord(u);  // high word of u
+            k = (hu >> 20) - 1023;
+            c = k > 0 ? 1.0 - (u - x) : x - (u - 1.0);  // correction term
+            c /= u;
+        } else {
+            u = x;
+            hu = highWord(u);  // high word of u
+            k = (hu >> 20) - 1023;
+            c = 0;
+        }
+        hu &= 0x000fffff;
+        if (hu < 0x6a09e) {
+            u = withHighWord(u, hu | 0x3ff00000);  // normalize u
+        } else {
+            k += 1;
+            u = withHighWord(u, hu | 0x3fe00000);  // normalize u/2
+            hu = (0x00100000 - hu) >> 2;
+        }
+        f = u - 1.0;
+    }
+    hfsq = 0.5 * f * f;
+    if (hu === 0) {  // |f| < 2^-20
+        if (f === 0.0) {
+            if (k === 0) return 0.0;
+            c += k * ln2_lo;
+            return k * ln2_hi + c;
+        }
+        R = hfsq * (1.0 - 0.66666666666666666 * f);
+        if (k === 0) return f - R;
+        return k * ln2_hi - ((R - (k * ln2_lo + c)) - f);
+    }
+    s = f / (2.0 + f);
+    z = s * s;
+    R = z * (Lp1 + z * (Lp2 + z * (Lp3 + z * (Lp4 + z * (Lp5 + z * (Lp6 + z * Lp7))))));
+    if (k === 0) return f - (hfsq - s * (hfsq + R));
+    return k * ln2_hi - ((hfsq - (s * (hfsq + R) + (k * ln2_lo + c))) - f);
+}
+
+// Hyperbolic functions
+
+const shuge = 1.0e307;
+
+/**
+ * Returns the hyperbolic sine of a value.
+ * @param {number} x  The value.
+ * @returns {number} The hyperbolic sine of x.
+ */
+function sinh(x) {
+    var t, w;
+    // High word of |x|.
+    const jx = highWord(x);
+    const ix = jx & 0x7fffffff;
+
+    // x is INF or NaN
+    if (ix >= 0x7ff00000) return x + x;
+
+    const h = jx < 0 ? -0.5 : 0.5;
+    // |x| in [0, 22], return sign(x) * 0.5 * (E + E/(E + 1))
+    if (ix < 0x40360000) {  // |x| < 22
+        if (ix < 0x3e300000) {  // |x| < 2^-28
+            if (shuge + x > one) return x;  // sinh(tiny) = tiny with inexact
+        }
+        t = expm1(Math.abs(x));
+        if (ix < 0x3ff00000) return h * (2.0 * t - t * t / (t + one));
+        return h * (t + t / (t + one));
+    }
+
+    // |x| in [22, log(maxdouble)] return 0.5 * exp(|x|)
+    if (ix < 0x40862E42) return h * exp(Math.abs(x));
+
+    // |x| in [log(maxdouble), overflowthreshold]
+    const lx = lowWord(x);
+    if (ix < 0x408633CE || (ix === 0x408633ce && lx <= 0x8fb9f87d)) {
+        w = exp(0.5 * Math.abs(x));
+        t = h * w;
+        return t * w;
+    }
+
+    // |x| > overflowthreshold, sinh(x) overflow
+    return x * shuge;
+}
+
+/**
+ * Returns the hyperbolic cosine of a value.
+ * @param {number} x  The value.
+ * @returns {number} The hyperbolic cosine of x.
+ */
+function cosh(x) {
+    var t, w;
+    // High word of |x|.
+    const ix = highWord(x) & 0x7fffffff;
+
+    // x is INF or NaN
+    if (ix >= 0x7ff00000) return x * x;
+
+    // |x| in [0, 0.5 * ln2], return 1 + expm1(|x|)^2 / (2 * exp(|x|))
+    if (ix < 0x3fd62e43) {
+        t = expm1(Math.abs(x));
+        w = one + t;
+        if (ix < 0x3c800000) return w;  // cosh(tiny) = 1
+        return one + (t * t) / (w + w);
+    }
+
+    // |x| in [0.5 * ln2, 22], return (exp(|x|) + 1/exp(|x|)) / 2
+    if (ix < 0x40360000) {
+        t = exp(Math.abs(x));
+        return half * t + half / t;
+    }
+
+    // |x| in [22, log(maxdouble)] return half * exp(|x|)
+    if (ix < 0x40862E42) return half * exp(Math.abs(x));
+
+    // |x| in [log(maxdouble), overflowthreshold]
+    const lx = lowWord(x);
+    if (ix < 0x408633CE || (ix === 0x408633ce && lx <= 0x8fb9f87d)) {
+        w = exp(half * Math.abs(x));
+        t = half * w;
+        return t * w;
+    }
+
+    // |x| > overflowthreshold, cosh(x) overflow
+    return huge * huge;
+}
+
+/**
+ * Returns the hyperbolic tangent of a value.
+ * @param {number} x  The value.
+ * @returns {number} The hyperbolic tangent of x, in the range [-1, 1].
+ */
+function tanh(x) {
+    var t, z;
+    // High word of |x|.
+    const jx = highWord(x);
+    const ix = jx & 0x7fffffff;
+
+    // x is INF or NaN
+    if (ix >= 0x7ff00000) {
+        if (jx >= 0) return one / x + one;  // tanh(+-inf) = +-1
+        return one / x - one;  // tanh(NaN) = NaN
+    }
+
+    if (ix < 0x40360000) {  // |x| < 22
+        if (ix < 0x3c800000) return x * (one + x);  // |x| < 2^-55, tanh(small) = small
+        if (ix >= 0x3ff00000) {  // |x| >= 1
+            t = expm1(2.0 * Math.abs(x));
+            z = one - 2.0 / (t + 2.0);
+        } else {
+            t = expm1(-2.0 * Math.abs(x));
+            z = -t / (t + 2.0);
+        }
+    } else {  // |x| >= 22, return +-1
+        z = one - tiny;  // raised inexact flag
+    }
+    return jx >= 0 ? z : -z;
+}
+
+// Other algebraic functions
+
+/**
+ * Returns sqrt(x^2 + y^2) without intermediate overflow or underflow.
+ * @param {number} x  A value.
+ * @param {number} y  A value.
+ * @returns {number} sqrt(x^2 + y^2). This is Infinity if either argument is infinite, even if the
+ *          other is NaN.
+ */
+function hypot(x, y) {
+    var a, b, t1, t2, y1, y2, w, j;
+    var ha = highWord(x) & 0x7fffffff;  // high word of x
+    var hb = highWord(y) & 0x7fffffff;  // high word of y
+    if (hb > ha) {
+        a = y;
+        b = x;
+        j = ha;
+        ha = hb;
+        hb = j;
+    } else {
+        a = x;
+        b = y;
+    }
+    a = withHighWord(a, ha);  // a <- |a|
+    b = withHighWord(b, hb);  // b <- |b|
+    if ((ha - hb) > 0x3c00000) return a + b;  // x/y > 2^60
+    var k = 0;
+    if (ha > 0x5f300000) {  // a > 2^500
+        if (ha >= 0x7ff00000) {  // Inf or NaN
+            w = a + b;  // for sNaN
+            if (((ha & 0xfffff) | lowWord(a)) === 0) w = a;
+            if (((hb ^ 0x7ff00000) | lowWord(b)) === 0) w = b;
+            return w;
+        }
+        // scale a and b by 2^-600
+        ha -= 0x25800000;
+        hb -= 0x25800000;
+        k += 600;
+        a = withHighWord(a, ha);
+        b = withHighWord(b, hb);
+    }
+    if (hb < 0x20b00000) {  // b < 2^-500
+        if (hb <= 0x000fffff) {  // subnormal b or 0
+            if ((hb | lowWord(b)) === 0) return a;
+            t1 = fromWords(0x7fd00000, 0);  // t1 = 2^1022
+            b *= t1;
+            a *= t1;
+            k -= 1022;
+        } else {  // scale a and b by 2^600
+            ha += 0x25800000;  // a *= 2^600
+            hb += 0x25800000;  // b *= 2^600
+            k -= 600;
+            a = withHighWord(a, ha);
+            b = withHighWord(b, hb);
+        }
+    }
+    // medium size a and b
+    w = a - b;
+    if (w > b) {
+        t1 = fromWords(ha, 0);
+        t2 = a - t1;
+        w = Math.sqrt(t1 * t1 - (b * (-b) - t2 * (a + t1)));
+    } else {
+        a = a + a;
+        y1 = fromWords(hb, 0);
+        y2 = b - y1;
+        t1 = fromWords(ha + 0x00100000, 0);
+        t2 = a - t1;
+        w = Math.sqrt(t1 * y1 - (w * (-w) - (t1 * y2 + t2 * b)));
+    }
+    if (k !== 0) {
+        t1 = withHighWord(1.0, highWord(1.0) + (k << 20));
+        return t1 * w;
+    }
+    return w;
+}
+
+const B1 = 715094163;  // B1 = (682 - 0.03306235651) * 2^20
+const B2 = 696219795;  // B2 = (664 - 0.03306235651) * 2^20
+const C = 5.42857142857142815906e-01;  // 19/35 = 0x3FE15F15, 0xF15F15F1
+const D = -7.05306122448979611050e-01;  // -864/1225 = 0xBFE691DE, 0x2532C834
+const E = 1.41428571428571436819e+00;  // 99/70 = 0x3FF6A0EA, 0x0EA0EA0F
+const F = 1.60714285714285720630e+00;  // 45/28 = 0x3FF9B6DB, 0x6DB6DB6E
+const G = 3.57142857142857150787e-01;  // 5/14 = 0x3FD6DB6D, 0xB6DB6DB7
+
+/**
+ * Returns the cube root of a value. The cube root of a negative value is the negative of the cube
+ * root of its magnitude.
+ * @param {number} x  The value.
+ * @returns {number} The cube root of x.
+ */
+function cbrt(x) {
+    var r, s, t = 0.0, w;
+    var hx = highWord(x);  // high word of x
+    const sign = hx & 0x80000000;  // sign = sign(x)
+    hx ^= sign;
+    if (hx >= 0x7ff00000) return x + x;  // cbrt(NaN, INF) is itself
+    if ((hx | lowWord(x)) === 0) return x;  // cbrt(0) is itself
+
+    x = withHighWord(x, hx);  // x <- |x|
+    // rough cbrt to 5 bits
+    if (hx < 0x00100000) {  // subnormal number
+        t = fromWords(0x43500000, 0);  // set t = 2^54
+        t *= x;
+        t = withHighWord(t, ((highWord(t) / 3) | 0) + B2);
+    } else {
+        t = fromWords(((hx / 3) | 0) + B1, 0);
+    }
+
+    // new cbrt to 23 bits, may be implemented in single precision
+    r = t * t / x;
+    s = C + r * t;
+    t *= G + F / (s + E + D / s);
+
+    // chopped to 20 bits and make it larger than cbrt(x)
+    t = fromWords(highWord(t) + 0x00000001, 0);
+
+    // one step newton iteration to 53 bits with error less than 0.667 ulps
+    s = t * t;  // t * t is exact
+    r = x / s;
+    w = t + t;
+    r = (r - t) / (w + r);  // r - s is exact
+    t = t + t * r;
+
+    // restore the sign bit
+    return withHighWord(t, highWord(t) | sign);
+}
+
+const bp = [1.0, 1.5];
+const dp_h = [0.0, 5.84962487220764160156e-01];  // 0x3FE2B803, 0x40000000
+const dp_l = [0.0, 1.35003920212974897128e-08];  // 0x3E4CFDEB, 0x43CFD006
+const two53 = 9007199254740992.0;  // 0x43400000, 0x00000000
+// poly coefs for (3/2) * (log(x) - 2s - 2/3 * s^3)
+const L1 = 5.99999999999994648725e-01;  // 0x3FE33333, 0x33333303
+const L2 = 4.28571428578550184252e-01;  // 0x3FDB6DB6, 0xDB6FABFF
+const L3 = 3.33333329818377432918e-01;  // 0x3FD55555, 0x518F264D
+const L4 = 2.72728123808534006489e-01;  // 0x3FD17460, 0xA91D4101
+const L5 = 2.30660745775561754067e-01;  // 0x3FCD864A, 0x93C9DB65
+const L6 = 2.06975017800338417784e-01;  // 0x3FCA7E28, 0x4A454EEF
+const lg2 = 6.93147180559945286227e-01;  // 0x3FE62E42, 0xFEFA39EF
+const lg2_h = 6.93147182464599609375e-01;  // 0x3FE62E43, 0x00000000
+const lg2_l = -1.90465429995776804525e-09;  // 0xBE205C61, 0x0CA86C39
+const ovt = 8.0085662595372944372e-17;  // -(1024 - log2(ovfl + .5ulp))
+const cp = 9.61796693925975554329e-01;  // 0x3FEEC709, 0xDC3A03FD = 2/(3ln2)
+const cp_h = 9.61796700954437255859e-01;  // 0x3FEEC709, 0xE0000000 = (float)cp
+const cp_l = -7.02846165095275826516e-09;  // 0xBE3E2FE0, 0x145B01F5 = tail of cp_h
+const ivln2 = 1.44269504088896338700e+00;  // 0x3FF71547, 0x652B82FE = 1/ln2
+const ivln2_h = 1.44269502162933349609e+00;  // 0x3FF71547, 0x60000000 = 24b 1/ln2
+const ivln2_l = 1.92596299112661746887e-08;  // 0x3E54AE0B, 0xF85DDF44 = 1/ln2 tail
+
+/**
+ * Returns the value of the first argument raised to the power of the second argument.
+ * @param {number} x  The base.
+ * @param {number} y  The exponent.
+ * @returns {number} x^y. The special cases are those of java.lang.StrictMath.pow: for example,
+ *          x^0 is 1 for any x, even NaN, and 1^Infinity is NaN.
+ */
+function pow(x, y) {
+    var z, ax, z_h, z_l, p_h, p_l;
+    var y1, t1, t2, r, s, t, u, v, w;
+    var i, j, k, n;
+
+    const hx = highWord(x);
+    const lx = lowWord(x);
+    const hy = highWord(y);
+    const ly = lowWord(y);
+    var ix = hx & 0x7fffffff;
+    const iy = hy & 0x7fffffff;
+
+    // y == zero: x^0 = 1
+    if ((iy | ly) === 0) return one;
+
+    // +-NaN return x + y
+    if (ix > 0x7ff00000 || (ix === 0x7ff00000 && lx !== 0) || iy > 0x7ff00000 || (iy === 0x7ff00000 && ly !== 0)) {
+        return x + y;
+    }
+
+    // determine if y is an odd int when x < 0
+    // yisint = 0 ... y is not an integer
+    // yisint = 1 ... y is an odd int
+    // yisint = 2 ... y is an even int
+    var yisint = 0;
+    if (hx < 0) {
+        if (iy >= 0x43400000) {
+            yisint = 2;  // even integer y
+        } else if (iy >= 0x3ff00000) {
+            k = (iy >> 20) - 0x3ff;  // exponent
+            if (k > 20) {
+                j = ly >>> (52 - k);
+                if (((j << (52 - k)) >>> 0) === ly) yisint = 2 - (j & 1);
+            } else if (ly === 0) {
+                j = iy >> (20 - k);
+                if ((j << (20 - k)) === iy) yisint = 2 - (j & 1);
+            }
+        }
+    }
+
+    // special value of y
+    if (ly === 0) {
+        if (iy === 0x7ff00000) {  // y is +-inf
+            if (((ix - 0x3ff00000) | lx) === 0) {
+                return y - y;  // inf^+-1 is NaN
+            } else if (ix >= 0x3ff00000) {  // (|x| > 1)^+-inf = inf, 0
+                return hy >= 0 ? y : 0.0;
+            } else {  // (|x| < 1)^-,+inf = inf, 0
+                return hy < 0 ? -y : 0.0;
+            }
+        }
+        if (iy === 0x3ff00000) {  // y is +-1
+            return hy < 0 ? one / x : x;
+        }
+        if (hy === 0x40000000) return x * x;  // y is 2
+        if (hy === 0x3fe00000) {  // y is 0.5
+            if (hx >= 0) return Math.sqrt(x);  // x >= +0
+        }
+    }
+
+    ax = Math.abs(x);
+    // special value of x
+    if (lx === 0) {
+        if (ix === 0x7ff00000 || ix === 0 || ix === 0x3ff00000) {
+            z = ax;  // x is +-0, +-inf, +-1
+            if (hy < 0) z = one / z;  // z = (1/|x|)
+            if (hx < 0) {
+                if (((ix - 0x3ff00000) | yisint) === 0) {
+                    z = (z - z) / (z - z);  // (-1)^non-int is NaN
+                } else if (yisint === 1) {
+                    z = -z;  // (x < 0)^odd = -(|x|^odd)
+                }
+            }
+            return z;
+        }
+    }
+
+    n = (hx >> 31) + 1;
+
+    // (x < 0)^(non-int) is NaN
+    if ((n | yisint) === 0) return (x - x) / (x - x);
+
+    s = one;  // s (sign of result -ve^odd) = -1 else = 1
+    if ((n | (yisint - 1)) === 0) s = -one;  // (-ve)^(odd int)
+
+    // |y| is huge
+    if (iy > 0x41e00000) {  // if |y| > 2^31
+        if (iy > 0x43f00000) {  // if |y| > 2^64, must o/uflow
+            if (ix <= 0x3fefffff) return hy < 0 ? huge * huge : tiny * tiny;
+            if (ix >= 0x3ff00000) return hy > 0 ? huge * huge : tiny * tiny;
+        }
+        // over/underflow if x is not close to one
+        if (ix < 0x3fefffff) return hy < 0 ? s * huge * huge : s * tiny * tiny;
+        if (ix > 0x3ff00000) return hy > 0 ? s * huge * huge : s * tiny * tiny;
+        // now |1 - x| is tiny <= 2^-20, suffice to compute
+        // log(x) by x - x^2/2 + x^3/3 - x^4/4
+        t = ax - one;  // t has 20 trailing zeros
+        w = (t * t) * (0.5 - t * (0.3333333333333333333333 - t * 0.25));
+        u = ivln2_h * t;  // ivln2_h has 21 sig. bits
+        v = t * ivln2_l - w * ivln2;
+        t1 = withLowWord(u + v, 0);
+        t2 = v - (t1 - u);
+    } else {
+        var ss, s2, s_h, s_l, t_h, t_l;
+        n = 0;
+        // take care subnormal number
+        if (ix < 0x00100000) {
+            ax *= two53;
+            n -= 53;
+            ix = highWord(ax);
+        }
+        n += (ix >> 20) - 0x3ff;
+        j = ix & 0x000fffff;
+        // determine interval
+        ix = j | 0x3ff00000;  // normalize ix
+        if (j <= 0x3988E) {
+            k = 0;  // |x| < sqrt(3/2)
+        } else if (j < 0xBB67A) {
+            k = 1;  // |x| < sqrt(3)
+        } else {
+            k = 0;
+            n += 1;
+            ix -= 0x00100000;
+        }
+        ax = withHighWord(ax, ix);
+
+        // compute ss = s_h + s_l = (x - 1)/(x + 1) or (x - 1.5)/(x + 1.5)
+        u = ax - bp[k];  // bp[0] = 1.0, bp[1] = 1.5
+        v = one / (ax + bp[k]);
+        ss = u * v;
+        s_h = withLowWord(ss, 0);
+        // t_h = ax + bp[k] High
+        t_h = fromWords(((ix >> 1) | 0x20000000) + 0x00080000 + (k << 18), 0);
+        t_l = ax - (t_h - bp[k]);
+        s_l = v * ((u - s_h * t_h) - s_h * t_l);
+        // compute log(ax)
+        s2 = ss * ss;
+        r = s2 * s2 * (L1 + s2 * (L2 + s2 * (L3 + s2 * (L4 + s2 * (L5 + s2 * L6)))));
+        r += s_l * (s_h + ss);
+        s2 = s_h * s_h;
+        t_h = withLowWord(3.0 + s2 + r, 0);
+        t_l = r - ((t_h - 3.0) - s2);
+        // u + v = ss * (1 + ...)
+        u = s_h * t_h;
+        v = s_l * t_h + t_l * ss;
+        // 2/(3log2) * (ss + ...)
+        p_h = withLowWord(u + v, 0);
+        p_l = v - (p_h - u);
+        z_h = cp_h * p_h;  // cp_h + cp_l = 2/(3 * log2)
+        z_l = cp_l * p_h + p_l * cp + dp_l[k];
+        // log2(ax) = (ss + ...) * 2/(3 * log2) = n + dp_h + z_h + z_l
+        t = n;
+        t1 = withLowWord(((z_h + z_l) + dp_h[k]) + t, 0);
+        t2 = z_l - (((t1 - t) - dp_h[k]) - z_h);
+    }
+
+    // split up y into y1 + y2 and compute (y1 + y2) * (t1 + t2)
+    y1 = withLowWord(y, 0);
+    p_l = (y - y1) * t1 + y * t2;
+    p_h = y1 * t1;
+    z = p_l + p_h;
+    j = highWord(z);
+    i = lowWord(z);
+    if (j >= 0x40900000) {  // z >= 1024
+        if (((j - 0x40900000) | i) !== 0) {  // if z > 1024
+            return s * huge * huge;  // overflow
+        } else if (p_l + ovt > z - p_h) {
+            return s * huge * huge;  // overflow
+        }
+    } else if ((j & 0x7fffffff) >= 0x4090cc00) {  // z <= -1075
+        if (((j - (0xc090cc00 | 0)) | i) !== 0) {  // z < -1075
+            return s * tiny * tiny;  // underflow
+        } else if (p_l <= z - p_h) {
+            return s * tiny * tiny;  // underflow
+        }
+    }
+    // compute 2^(p_h + p_l)
+    i = j & 0x7fffffff;
+    k = (i >> 20) - 0x3ff;
+    n = 0;
+    if (i > 0x3fe00000) {  // if |z| > 0.5, set n = [z + 0.5]
+        n = j + (0x00100000 >> (k + 1));
+        k = ((n & 0x7fffffff) >> 20) - 0x3ff;  // new k for n
+        t = fromWords(n & ~(0x000fffff >> k), 0);
+        n = ((n & 0x000fffff) | 0x00100000) >> (20 - k);
+        if (j < 0) n = -n;
+        p_h -= t;
+    }
+    t = withLowWord(p_l + p_h, 0);
+    u = t * lg2_h;
+    v = (p_l - (t - p_h)) * lg2 + t * lg2_l;
+    z = u + v;
+    w = v - (z - u);
+    t = z * z;
+    t1 = z - t * (P1 + t * (P2 + t * (P3 + t * (P4 + t * P5))));
+    r = (z * t1) / (t1 - 2.0) - (w + z * w);
+    z = one - (r - z);
+    j = highWord(z);
+    j += (n << 20);
+    if ((j >> 20) <= 0) {
+        z = scalb(z, n);  // subnormal output
+    } else {
+        z = withHighWord(z, highWord(z) + (n << 20));
+    }
+    return s * z;
+}
+
+module.exports = { sin, cos, tan, asin, acos, atan, atan2, exp, expm1, log, log10, log1p, sinh, cosh, tanh, hypot, cbrt, pow };
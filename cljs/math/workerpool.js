@@ -0,0 +1,194 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Defines the WorkerPool class, a pool of workers that each run the same script from
+ * this directory. Workers are worker_threads in Node, and Web Workers in browsers. A pool starts
+ * workers as they are needed, up to the number asked for, and keeps them for later calls. In Node,
+ * idle workers do not keep the process alive.
+ */
+
+// The location of this module, which the worker scripts are found relative to: the path of this
+// file in the CommonJS form, and null where a bundler does not provide it. scripts/build.js replaces
+// this line with import.meta.url in the ES module form, and with null in the Closure form, where
+// there is no script for a worker to load. The path is only converted to a URL when a pool is
+// opened, so that loading this module needs nothing from Node.
+const MODULE_LOCATION = typeof __filename === 'string' ? __filename : null;
+
+/**
+ * Tests if this is running in Node.
+ * @returns {boolean} true in Node, and false elsewhere.
+ */
+function isNode() {
+    return typeof globalThis.process?.versions?.node === 'string';
+}
+
+/**
+ * Adds a listener to a worker, in the way that the worker supports. A worker_threads Worker passes
+ * data straight to its listeners, while a Web Worker passes an event.
+ * @param {Object} worker  The worker to listen to.
+ * @param {string} type  The name of the event.
+ * @param {Function} listener  The function to call with the event, or the data of a message.
+ */
+function listen(worker, type, listener) {
+    if (typeof worker.on === 'function') {
+        worker.on(type, listener);
+    } else {
+        worker.addEventListener(type, (event) => listener(type === 'message' ? event.data : event));
+    }
+}
+
+/**
+ * A pool of workers running one script. Messages passed to run() are queued until a worker is
+ * free, and each worker handles one message at a time, replying with one message.
+ */
+class WorkerPool {
+    #Worker;
+    #url;
+    #options;
+    #limit = 0;
+    #workers = new Set();
+    #idle = [];
+    #queue = [];
+    #tasks = new Map();
+    #defaultSize;
+
+    /**
+     * Creates a pool. Use WorkerPool.open, which finds the Worker class for the platform.
+     * @param {Function} Worker  The Worker class of the platform.
+     * @param {URL} url  The URL of the script for the workers to run.
+     * @param {Object} options  The options to create each worker with.
+     * @param {number} defaultSize  The number of workers to use when none is given.
+     */
+    constructor(Worker, url, options, defaultSize) {
+        this.#Worker = Worker;
+        this.#url = url;
+        this.#options = options;
+        this.#defaultSize = defaultSize;
+    }
+
+    /**
+     * Returns the number of workers to use when none is given: the number of processors of the host.
+     * @returns {number} The default number of workers.
+     */
+    get defaultSize() { return this.#defaultSize; }
+
+    /**
+     * Opens a pool of workers that run a script from this directory.
+     * @param {string} script  The name of the script, without an extension. The script has the same
+     *        extension as this module, so that the CommonJS and ES module forms each use their own.
+     * @returns {Promise<WorkerPool>} The pool, or null if this platform cannot run the script in a
+     *          worker.
+     */
+    static async open(script) {
+        if (MODULE_LOCATION === null) return null;
+        // Only the ES module form has the extension .mjs, and a URL for its location
+        const extension = MODULE_LOCATION.endsWith('.mjs') ? '.mjs' : '.js';
+        if (isNode()) {
+            try {
+                const { Worker } = await import('node:worker_threads');
+                const os = await import('node:os');
+                const { pathToFileURL } = await import('node:url');
+                const base = extension === '.mjs' ? MODULE_LOCATION : pathToFileURL(MODULE_LOCATION);
+                // availableParallelism is new in Node 18.14
+                const size = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+                return new WorkerPool(Worker, new URL(script + extension, base), {}, Math.max(size, 1));
+            } catch (e) {
+                return null;
+            }
+        }
+        // A Web Worker can only load the ES module form, as it has no require()
+        if (typeof globalThis.Worker !== 'function' || extension !== '.mjs') return null;
+        return new WorkerPool(globalThis.Worker, new URL(script + extension, MODULE_LOCATION),
+                              { type: 'module' }, globalThis.navigator?.hardwareConcurrency || 1);
+    }
+
+    /**
+     * Sends a message to a worker, starting a new worker if none is free and fewer than maxWorkers
+     * have been started. Otherwise the message waits for a worker to become free.
+     * @param {*} message  The message to send. It is copied to the worker by structured clone.
+     * @param {number} maxWorkers  The largest number of workers to run at once.
+     * @returns {Promise<*>} The reply from the worker. This rejects if the worker fails, and the
+     *          worker is then discarded.
+     */
+    run(message, maxWorkers) {
+        this.#limit = maxWorkers;
+        return new Promise((resolve, reject) => {
+            this.#queue.push({ message, resolve, reject });
+            this.#dispatch();
+        });
+    }
+
+    /**
+     * Gives queued messages to free workers, starting workers up to the limit.
+     */
+    #dispatch() {
+        while (this.#queue.length > 0) {
+            var worker = this.#idle.pop();
+            if (worker === undefined) {
+                if (this.#workers.size >= this.#limit) return;
+                try {
+                    worker = this.#start();
+                } catch (e) {
+                    this.#queue.shift().reject(e);
+                    continue;
+                }
+            }
+            const task = this.#queue.shift();
+            this.#tasks.set(worker, task);
+            if (typeof worker.ref === 'function') worker.ref();
+            worker.postMessage(task.message);
+        }
+    }
+
+    /**
+     * Starts a worker and listens for its replies and failures.
+     * @returns {Object} The new worker.
+     */
+    #start() {
+        const worker = new this.#Worker(this.#url, this.#options);
+        this.#workers.add(worker);
+        listen(worker, 'message', (reply) => {
+            const task = this.#tasks.get(worker);
+            this.#tasks.delete(worker);
+            if (typeof worker.unref === 'function') worker.unref();
+            this.#idle.push(worker);
+            task.resolve(reply);
+            this.#dispatch();
+        });
+        const fail = (error) => {
+            if (!this.#workers.delete(worker)) return;
+            this.#idle = this.#idle.filter((w) => w !== worker);
+            const task = this.#tasks.get(worker);
+            this.#tasks.delete(worker);
+            worker.terminate();
+            if (task !== undefined) task.reject(error instanceof Error ? error : new Error(error.message));
+            this.#dispatch();
+        };
+        listen(worker, 'error', fail);
+        listen(worker, 'messageerror', fail);
+        listen(worker, 'exit', () => fail(new Error('Worker stopped')));
+        return worker;
+    }
+}
+
+module.exports = { WorkerPool };
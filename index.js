@@ -23,4 +23,34 @@
  *
  */
 
-global.cljs = {};
+/**
+ * @fileoverview The CommonJS entry point for the library. The ES module entry point and the
+ * Closure modules are generated from the same sources by scripts/build.js.
+ */
+
+const { Random, SecureRandom } = require('./cljs/math/random.js');
+const { BigInteger, NumberFormatException, ArithmeticException } = require('./cljs/math/biginteger.js');
+const { BigDecimal, MathContext, RoundingMode } = require('./cljs/math/bigdecimal.js');
+const { Ratio } = require('./cljs/math/ratio.js');
+const { Long } = require('./cljs/math/long.js');
+const Integer = require('./cljs/math/integer.js');
+const JavaMath = require('./cljs/math/math.js');
+const StrictMath = require('./cljs/math/strictmath.js');
+const NumberTheory = require('./cljs/math/numbertheory.js');
+
+module.exports = {
+  BigInteger,
+  NumberFormatException,
+  ArithmeticException,
+  BigDecimal,
+  MathContext,
+  RoundingMode,
+  Ratio,
+  Long,
+  Integer,
+  JavaMath,
+  StrictMath,
+  NumberTheory,
+  Random,
+  SecureRandom
+};
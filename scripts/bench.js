@@ -0,0 +1,83 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Times the core BigInteger operations on operands from 1,000 to 100,000 bits, and
+ * prints the mean time of each in microseconds. The operands are generated from a fixed seed, so
+ * runs are comparable. To compare two versions of the library, pass the path of the other
+ * biginteger.js as an argument, and run the script once with it and once without.
+ *
+ * Usage: node scripts/bench.js [path/to/biginteger.js]
+ */
+
+const path = require('path');
+const { Random } = require('../cljs/math/random.js');
+
+const LIBRARY = path.resolve(process.argv[2] || path.join(__dirname, '..', 'cljs', 'math', 'biginteger.js'));
+const { BigInteger } = require(LIBRARY);
+
+const SIZES = [1000, 10000, 100000];
+
+// Each operation is repeated until it has run for at least this long.
+const MIN_TIME_MS = 250;
+
+/**
+ * Runs a function repeatedly, after a warm up, and returns the mean time of one call.
+ * @param {Function} fn  The function to time.
+ * @returns {number} The mean time of a call, in microseconds.
+ */
+function time(fn) {
+    for (var i = 0; i < 3; i++) fn();
+    var calls = 0;
+    const start = process.hrtime.bigint();
+    var elapsed;
+    do {
+        fn();
+        calls++;
+        elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    } while (elapsed < MIN_TIME_MS);
+    return elapsed * 1000 / calls;
+}
+
+const rnd = new Random(42);
+const rows = [];
+for (const bits of SIZES) {
+    // x is longer than y, so that subtraction and division have their usual shape
+    const x = BigInteger.randomValue(bits, rnd).setBit(bits - 1);
+    const y = BigInteger.randomValue(bits - 64, rnd).setBit(bits - 65);
+    const half = BigInteger.randomValue(bits >>> 1, rnd).setBit((bits >>> 1) - 1);
+    const operations = {
+        'add': () => x.add(y),
+        'subtract': () => x.subtract(y),
+        'compareTo': () => x.compareTo(y),
+        'multiply': () => x.multiply(y),
+        'square': () => x.square(),
+        'divide': () => x.divide(half),
+        'toString': () => x.toString()
+    };
+    for (const [name, fn] of Object.entries(operations)) {
+        rows.push({ operation: name, bits, 'time (µs)': Number(time(fn).toPrecision(4)) });
+    }
+}
+
+console.log(`Benchmarking ${path.relative(process.cwd(), LIBRARY)}`);
+console.table(rows);
@@ -0,0 +1,210 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Generates the ES module and Closure goog.module forms of the library from the
+ * CommonJS sources in cljs/math. The sources stay the single copy of the code: each one
+ * imports its dependencies with a destructuring require() and ends with a single
+ * module.exports object literal, and only those two statements differ between the forms. The one
+ * exception is a module that declares MODULE_LOCATION, its own location, which is
+ * import.meta.url in the ES module form and null in the Closure form. Without a location, workers
+ * cannot be started, so the Closure form does not import Node's modules for them either.
+ *
+ * Output:
+ *   dist/esm/index.mjs and dist/esm/cljs/math/*.mjs
+ *   dist/closure/cljs/math/*.js, each a goog.module with a legacy namespace, so that it can be
+ *   used from goog.provide code and from ClojureScript via the :libs compiler option.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'cljs', 'math');
+const ESM_DIR = path.join(ROOT, 'dist', 'esm');
+const CLOSURE_DIR = path.join(ROOT, 'dist', 'closure');
+
+/**
+ * The modules of the library, in dependency order, with their Closure namespaces. Internal modules
+ * are not exported from the ES module index, and a module that lists its exports has only those
+ * exported from the index. A module of functions is exported from the index as a namespace object,
+ * under the name given by as. A worker script has no Closure form, because a worker has to load it
+ * from its own file, which a compiled Closure program does not have.
+ */
+const MODULES = [
+  { file: 'random.js', namespace: 'cljs.math.Random' },
+  { file: 'lang.js', namespace: 'cljs.math.Lang', internal: true },
+  { file: 'integer.js', namespace: 'cljs.math.Integer', as: 'Integer' },
+  { file: 'mutablebiginteger.js', namespace: 'cljs.math.MutableBigInteger', internal: true },
+  { file: 'workerpool.js', namespace: 'cljs.math.WorkerPool', internal: true },
+  { file: 'biginteger.js', namespace: 'cljs.math.BigInteger',
+    exports: ['BigInteger', 'NumberFormatException', 'ArithmeticException'] },
+  { file: 'multiplyworker.js', namespace: 'cljs.math.MultiplyWorker', internal: true, closure: false },
+  { file: 'long.js', namespace: 'cljs.math.Long' },
+  { file: 'math.js', namespace: 'cljs.math.Math', as: 'JavaMath' },
+  { file: 'strictmath.js', namespace: 'cljs.math.StrictMath', as: 'StrictMath' },
+  { file: 'numbertheory.js', namespace: 'cljs.math.NumberTheory', as: 'NumberTheory' },
+  { file: 'bigdecimal.js', namespace: 'cljs.math.BigDecimal' },
+  { file: 'ratio.js', namespace: 'cljs.math.Ratio' }
+];
+
+const REQUIRE_PATTERN = /^const (\{[^}]*\}) = require\('\.\/([\w]+\.js)'\);$/gm;
+const EXPORTS_PATTERN = /^module\.exports = (\{[^}]*\});$/m;
+const MODULE_LOCATION_PATTERN = /^const MODULE_LOCATION = .*;$/m;
+const NODE_IMPORT_PATTERN = /import\('node:[\w/]+'\)/g;
+const PRIVATE_DECLARATION_PATTERN = /^(\s*(?:static\s+)?(?:async\s+)?(?:get\s+|set\s+)?\*?)#([A-Za-z_$][\w$]*)/gm;
+const PRIVATE_ACCESS_PATTERN = /\.#([A-Za-z_$][\w$]*)/g;
+const CLASS_PATTERN = /^class [^\n]*\{\n[\s\S]*?^\}\n/gm;
+const FIELD_PATTERN = /^    (static )?([A-Za-z_$][\w$]*) *(?:= (.*))?;\n/gm;
+const CONSTRUCTOR_PATTERN = /^    constructor\(.*\) \{\n/m;
+const STATIC_BLOCK_PATTERN = /^    static \{\n([\s\S]*?)^    \}\n/gm;
+
+/**
+ * Finds the Closure namespace for a module file.
+ * @param {string} file The file name of the module, relative to cljs/math.
+ * @return {string} The namespace of the module.
+ */
+function namespaceOf(file) {
+  const module = MODULES.find(m => m.file === file);
+  if (module === undefined) {
+    throw new Error(`Unknown module: ${file}`);
+  }
+  return module.namespace;
+}
+
+/**
+ * Converts a module to an ES module.
+ * @param {string} source The CommonJS source of the module.
+ * @return {string} The ES module source.
+ */
+function toEsm(source) {
+  return source
+    .replace(REQUIRE_PATTERN, (_, names, file) => `import ${names} from './${file.replace(/\.js$/, '.mjs')}';`)
+    .replace(EXPORTS_PATTERN, 'export $1;')
+    .replace(MODULE_LOCATION_PATTERN, 'const MODULE_LOCATION = import.meta.url;');
+}
+
+/**
+ * Lowers #private class members to properties with Closure's trailing underscore, since Closure
+ * Compiler does not accept private elements. The class bodies are indented, so a member
+ * declaration is a # name at the start of a line, and every other use follows a dot. The field
+ * declarations and static blocks are then lowered too.
+ * @param {string} source The source of the module.
+ * @return {string} The source with each #name replaced by name_.
+ */
+function lowerPrivateMembers(source) {
+  return source
+    .replace(PRIVATE_DECLARATION_PATTERN, '$1$2_')
+    .replace(PRIVATE_ACCESS_PATTERN, '.$1_')
+    .replace(CLASS_PATTERN, lowerClass);
+}
+
+/**
+ * Removes the field declarations and static blocks from a class, which Closure Compiler does not
+ * accept either. The instance fields become assignments at the start of the constructor. None of
+ * the classes with fields has a superclass, so they are set before the rest of the constructor
+ * runs, as they would be for a field. The static fields are all assigned by static blocks, which
+ * do not use this, and become functions that are called directly after the class is defined.
+ * @param {string} source The source of the class, ending with its closing brace and a newline.
+ * @return {string} The class without field declarations or static blocks.
+ */
+function lowerClass(source) {
+  const staticBlocks = [];
+  const members = source.replace(STATIC_BLOCK_PATTERN, (_, block) => {
+    staticBlocks.push(`\n(() => {\n${block.replace(/^    /gm, '')}})();\n`);
+    return '';
+  });
+  // Close up the blank lines left where the members were
+  return lowerFields(members).replace(/\n{3,}/g, '\n\n').replace(/\{\n\n/, '{\n') + staticBlocks.join('');
+}
+
+/**
+ * Moves the instance fields of a class into its constructor, and removes the static fields.
+ * @param {string} source The source of the class.
+ * @return {string} The class without field declarations.
+ */
+function lowerFields(source) {
+  const assignments = [];
+  const body = source.replace(FIELD_PATTERN, (_, isStatic, name, value = 'undefined') => {
+    if (isStatic === undefined) {
+      assignments.push(`        this.${name} = ${value};\n`);
+    }
+    return '';
+  });
+  if (assignments.length === 0) {
+    return body;
+  }
+  if (!CONSTRUCTOR_PATTERN.test(body)) {
+    throw new Error(`A class with fields needs a constructor: ${source.split('\n')[0]}`);
+  }
+  return body.replace(CONSTRUCTOR_PATTERN, constructor => constructor + assignments.join(''));
+}
+
+/**
+ * Converts a module to a Closure goog.module. The goog.module declaration has to be the first
+ * statement, so it goes directly after the file overview.
+ * @param {string} source The CommonJS source of the module.
+ * @param {string} namespace The namespace to declare.
+ * @return {string} The goog.module source.
+ */
+function toClosure(source, namespace) {
+  const overview = source.indexOf('@fileoverview');
+  const start = source.indexOf('*/', overview) + 3;
+  const body = lowerPrivateMembers(source.substring(start))
+    .replace(REQUIRE_PATTERN, (_, names, file) => `const ${names} = goog.require('${namespaceOf(file)}');`)
+    .replace(EXPORTS_PATTERN, 'exports = $1;')
+    .replace(MODULE_LOCATION_PATTERN, 'const MODULE_LOCATION = null;')
+    .replace(NODE_IMPORT_PATTERN, "Promise.reject(new Error('No Node modules in the Closure form'))");
+  return source.substring(0, start) +
+    `\ngoog.module('${namespace}');\ngoog.module.declareLegacyNamespace();\n` +
+    body;
+}
+
+/**
+ * Writes a file, creating its directory if needed.
+ * @param {string} file The path of the file.
+ * @param {string} content The text to write.
+ */
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+function build() {
+  fs.rmSync(path.join(ROOT, 'dist'), { recursive: true, force: true });
+  for (const { file, namespace, closure } of MODULES) {
+    const source = fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8');
+    if (!EXPORTS_PATTERN.test(source) || source.indexOf('@fileoverview') < 0) {
+      throw new Error(`${file} needs a @fileoverview comment and a module.exports object literal`);
+    }
+    write(path.join(ESM_DIR, 'cljs', 'math', file.replace(/\.js$/, '.mjs')), toEsm(source));
+    if (closure !== false) {
+      write(path.join(CLOSURE_DIR, 'cljs', 'math', file), toClosure(source, namespace));
+    }
+  }
+  const index = MODULES.filter(({ internal }) => !internal)
+    .map(({ file, exports, as }) => `export ${exports ? `{ ${exports.join(', ')} }` : as ? `* as ${as}` : '*'} ` +
+                                    `from './cljs/math/${file.replace(/\.js$/, '.mjs')}';\n`);
+  write(path.join(ESM_DIR, 'index.mjs'), index.join(''));
+}
+
+build();
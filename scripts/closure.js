@@ -0,0 +1,76 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Compiles the Closure form of the library in dist/closure with Closure Compiler's
+ * advanced optimizations, together with scripts/closure/check.js, and runs the result. Build the
+ * library first, with npm run build.
+ *
+ * Errors fail the check, and so do type annotations that Closure cannot parse. The other type
+ * warnings are only counted, as the annotations are written for readers, and are looser than
+ * Closure's type checker.
+ *
+ * Usage: node scripts/closure.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const COMPILER = path.join(ROOT, 'node_modules', '.bin', 'google-closure-compiler');
+const BASE = require.resolve('google-closure-library/closure/goog/base.js');
+
+const FATAL_PATTERN = /^.*(?:ERROR - |\[JSC_TYPE_PARSE_ERROR\]).*$/gm;
+const WARNING_PATTERN = /^.*WARNING - .*$/gm;
+
+const output = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cljs-math-')), 'check.js');
+try {
+    const compiled = spawnSync(COMPILER, [
+        '--compilation_level', 'ADVANCED',
+        '--language_out', 'ECMASCRIPT_2020',
+        '--dependency_mode', 'PRUNE',
+        '--entry_point', 'goog:cljs.math.ClosureCheck',
+        '--js', BASE,
+        '--js', path.join(ROOT, 'dist', 'closure', '**.js'),
+        '--js', path.join(__dirname, 'closure', 'check.js'),
+        '--js_output_file', output
+    ], { encoding: 'utf8' });
+    const messages = (compiled.stdout || '') + (compiled.stderr || '') + (compiled.error ? compiled.error.message : '');
+    const fatal = messages.match(FATAL_PATTERN) || [];
+    const warnings = (messages.match(WARNING_PATTERN) || []).length;
+    if (compiled.status !== 0 || fatal.length > 0) {
+        console.error(fatal.length > 0 ? fatal.join('\n') : messages);
+        process.exitCode = 1;
+    } else {
+        console.log(`Compiled with ${warnings} type warnings`);
+        const run = spawnSync(process.execPath, [output], { stdio: 'inherit' });
+        if (run.status === 0) {
+            console.log('The compiled check ran successfully');
+        } else {
+            process.exitCode = 1;
+        }
+    }
+} finally {
+    fs.rmSync(path.dirname(output), { recursive: true, force: true });
+}
@@ -0,0 +1,78 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview A program that uses each Closure namespace of the library, for scripts/closure.js
+ * to compile with advanced optimizations and run. Advanced compilation renames and removes
+ * properties, so this checks that the compiled library still gives Java's results.
+ */
+
+goog.module('cljs.math.ClosureCheck');
+
+const { BigInteger, ArithmeticException } = goog.require('cljs.math.BigInteger');
+const { BigDecimal, RoundingMode } = goog.require('cljs.math.BigDecimal');
+const { Ratio } = goog.require('cljs.math.Ratio');
+const { Long } = goog.require('cljs.math.Long');
+const { Random } = goog.require('cljs.math.Random');
+const Integer = goog.require('cljs.math.Integer');
+const JavaMath = goog.require('cljs.math.Math');
+const StrictMath = goog.require('cljs.math.StrictMath');
+const NumberTheory = goog.require('cljs.math.NumberTheory');
+
+/**
+ * Throws if a result is not the expected one.
+ * @param {string} name  The name of the check.
+ * @param {*} actual  The result.
+ * @param {*} expected  The expected result.
+ */
+function check(name, actual, expected) {
+    if (actual !== expected) throw new Error(`${name}: expected ${expected}, got ${actual}`);
+}
+
+const mersenne = BigInteger.ONE.shiftLeft(127).subtract(BigInteger.ONE);
+check('BigInteger.pow', BigInteger.valueOf(2).pow(100).toString(), '1267650600228229401496703205376');
+check('BigInteger.multiply',
+      BigInteger.fromString('-123456789012345678901234567890')
+          .multiply(BigInteger.fromString('987654321098765432109876543210')).toString(),
+      '-121932631137021795226185032733622923332237463801111263526900');
+check('BigInteger.modPow', BigInteger.valueOf(3).modPow(BigInteger.valueOf(1000), mersenne).toString(),
+      '154345368912201178109425541818297590387');
+check('BigInteger.isProbablePrime', mersenne.isProbablePrime(50), true);
+check('BigInteger.toString(16)', BigInteger.valueOf(-255).toString(16), '-ff');
+var limited = false;
+try {
+    BigInteger.withLimits({ maxBitLength: 64 }, () => BigInteger.ONE.shiftLeft(100));
+} catch (e) {
+    limited = e instanceof ArithmeticException;
+}
+check('BigInteger.withLimits', limited, true);
+
+check('BigDecimal.divide', BigDecimal.fromString('1').divide(BigDecimal.fromString('3'), 10, RoundingMode.HALF_UP)
+                                     .toString(), '0.3333333333');
+check('BigDecimal.toString', BigDecimal.fromString('-1.23E-10').toString(), '-1.23E-10');
+check('Ratio.divide', Ratio.divide(BigInteger.valueOf(6), BigInteger.valueOf(-4)).toString(), '-3/2');
+check('Long.add', Long.MAX_VALUE.add(Long.ONE).toString(), '-9223372036854775808');
+check('Random.nextInt', new Random(42).nextInt(), -1170105035);
+check('Integer.toHexString', Integer.toHexString(-1), 'ffffffff');
+check('Math.floorDiv', JavaMath.floorDiv(-7, 2), -4);
+check('StrictMath.sin', StrictMath.sin(1), 0.8414709848078965);
+check('NumberTheory.factorial', NumberTheory.factorial(25).toString(), '15511210043330985984000000');
@@ -0,0 +1,227 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests BigDecimal against the results of java.math.BigDecimal: its string forms,
+ * division and scaling under each RoundingMode, and the translation of numbers with valueOf.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BigDecimal, MathContext, RoundingMode, ArithmeticException, NumberFormatException } = require('../index.js');
+
+/**
+ * Creates a BigDecimal from an unscaled value and a scale.
+ * @param {number} unscaled  The unscaled value.
+ * @param {number} scale  The scale.
+ * @returns {BigDecimal} unscaled × 10^-scale
+ */
+function decimal(unscaled, scale) {
+    return new BigDecimal(unscaled, scale);
+}
+
+test('toString uses scientific notation for negative scales and small adjusted exponents', () => {
+    // The examples in the documentation of BigDecimal.toString
+    assert.strictEqual(decimal(123, 0).toString(), '123');
+    assert.strictEqual(decimal(-123, 0).toString(), '-123');
+    assert.strictEqual(decimal(123, -1).toString(), '1.23E+3');
+    assert.strictEqual(decimal(123, -3).toString(), '1.23E+5');
+    assert.strictEqual(decimal(123, 1).toString(), '12.3');
+    assert.strictEqual(decimal(123, 5).toString(), '0.00123');
+    assert.strictEqual(decimal(123, 10).toString(), '1.23E-8');
+    assert.strictEqual(decimal(-123, 12).toString(), '-1.23E-10');
+    assert.strictEqual(decimal(0, 0).toString(), '0');
+    assert.strictEqual(decimal(0, 2).toString(), '0.00');
+    assert.strictEqual(decimal(0, -2).toString(), '0E+2');
+    assert.strictEqual(decimal(1, 7).toString(), '1E-7');
+    assert.strictEqual(decimal(1, 6).toString(), '0.000001');
+});
+
+test('fromString keeps the scale of the string, and toString gives it back', () => {
+    const cases = [
+        ['0', '0', 0], ['0.00', '0.00', 2], ['-0', '0', 0], ['+1.5', '1.5', 1],
+        ['1.23E3', '1.23E+3', -1], ['1.23E+3', '1.23E+3', -1], ['12.3E+7', '1.23E+8', -6],
+        ['12.0', '12.0', 1], ['-1.23E-12', '-1.23E-12', 14], ['1234.5E-4', '0.12345', 5],
+        ['0E+7', '0E+7', -7], ['.5', '0.5', 1], ['5.', '5', 0]
+    ];
+    for (const [string, expected, scale] of cases) {
+        const value = BigDecimal.fromString(string);
+        assert.strictEqual(value.toString(), expected, string);
+        assert.strictEqual(value.scale(), scale, string);
+    }
+    for (const string of ['', '-', '.', '1.2.3', '1e', '1e+', '1x', 'e5', '1E2147483648']) {
+        assert.throws(() => BigDecimal.fromString(string), NumberFormatException, string);
+    }
+});
+
+test('toEngineeringString uses exponents that are multiples of three', () => {
+    assert.strictEqual(decimal(123, -6).toEngineeringString(), '123E+6');
+    assert.strictEqual(decimal(123, 10).toEngineeringString(), '12.3E-9');
+    assert.strictEqual(decimal(1, -4).toEngineeringString(), '10E+3');
+    assert.strictEqual(decimal(1, -5).toEngineeringString(), '100E+3');
+    assert.strictEqual(decimal(-5, 9).toEngineeringString(), '-5E-9');
+    assert.strictEqual(decimal(123, 2).toEngineeringString(), '1.23');
+    // A zero gets trailing zeros to bring its exponent to a multiple of three
+    assert.strictEqual(decimal(0, -4).toEngineeringString(), '0.00E+6');
+    assert.strictEqual(decimal(0, -5).toEngineeringString(), '0.0E+6');
+    assert.strictEqual(decimal(0, -6).toEngineeringString(), '0E+6');
+});
+
+test('toPlainString never uses an exponent', () => {
+    assert.strictEqual(decimal(1, -3).toPlainString(), '1000');
+    assert.strictEqual(decimal(-15, -1).toPlainString(), '-150');
+    assert.strictEqual(decimal(123, 10).toPlainString(), '0.0000000123');
+    assert.strictEqual(decimal(-123, 2).toPlainString(), '-1.23');
+    assert.strictEqual(decimal(0, 2).toPlainString(), '0.00');
+    assert.strictEqual(decimal(0, -2).toPlainString(), '0');
+});
+
+/** The exception for a rounding mode of UNNECESSARY when rounding is needed. */
+const ROUNDING_NECESSARY = { constructor: ArithmeticException, message: 'Rounding necessary' };
+
+/**
+ * The examples in the documentation of RoundingMode: each of the values rounded to one digit.
+ */
+const ROUNDING_INPUTS = [5.5, 2.5, 1.6, 1.1, 1.0, -1.0, -1.1, -1.6, -2.5, -5.5];
+const ROUNDING_RESULTS = {
+    UP: [6, 3, 2, 2, 1, -1, -2, -2, -3, -6],
+    DOWN: [5, 2, 1, 1, 1, -1, -1, -1, -2, -5],
+    CEILING: [6, 3, 2, 2, 1, -1, -1, -1, -2, -5],
+    FLOOR: [5, 2, 1, 1, 1, -1, -2, -2, -3, -6],
+    HALF_UP: [6, 3, 2, 1, 1, -1, -1, -2, -3, -6],
+    HALF_DOWN: [5, 2, 2, 1, 1, -1, -1, -2, -2, -5],
+    HALF_EVEN: [6, 2, 2, 1, 1, -1, -1, -2, -2, -6],
+    UNNECESSARY: [null, null, null, null, 1, -1, null, null, null, null]
+};
+
+test('divide to a scale rounds with each RoundingMode', () => {
+    for (const mode of RoundingMode.values()) {
+        ROUNDING_INPUTS.forEach((input, i) => {
+            const dividend = BigDecimal.valueOf(Math.round(input * 10), 0);
+            const expected = ROUNDING_RESULTS[mode.name()][i];
+            const quotient = () => dividend.divide(BigDecimal.TEN, 0, mode);
+            if (expected === null) {
+                assert.throws(quotient, ROUNDING_NECESSARY, `${input} ${mode}`);
+            } else {
+                assert.strictEqual(quotient().toString(), String(expected), `${input} ${mode}`);
+            }
+        });
+    }
+});
+
+test('setScale rounds with each RoundingMode, and pads without rounding', () => {
+    for (const mode of RoundingMode.values()) {
+        ROUNDING_INPUTS.forEach((input, i) => {
+            const value = BigDecimal.valueOf(input);
+            const expected = ROUNDING_RESULTS[mode.name()][i];
+            if (expected === null) {
+                assert.throws(() => value.setScale(0, mode), ArithmeticException, `${input} ${mode}`);
+            } else {
+                assert.strictEqual(value.setScale(0, mode).toString(), String(expected), `${input} ${mode}`);
+            }
+        });
+    }
+    assert.strictEqual(BigDecimal.fromString('1.5').setScale(3).toString(), '1.500');
+    assert.strictEqual(BigDecimal.fromString('1.25').setScale(1, RoundingMode.HALF_EVEN).toString(), '1.2');
+    assert.strictEqual(BigDecimal.fromString('1.35').setScale(1, RoundingMode.HALF_EVEN).toString(), '1.4');
+    assert.strictEqual(BigDecimal.fromString('0.00').setScale(-2).toString(), '0E+2');
+    assert.strictEqual(BigDecimal.fromString('12345').setScale(-2, RoundingMode.HALF_UP).toString(), '1.23E+4');
+    assert.throws(() => BigDecimal.fromString('1.25').setScale(1), ROUNDING_NECESSARY);
+});
+
+test('divide without a context is exact, with the preferred scale where it can be', () => {
+    const divide = (x, y) => BigDecimal.fromString(x).divide(BigDecimal.fromString(y)).toString();
+    assert.strictEqual(divide('1', '8'), '0.125');
+    assert.strictEqual(divide('1', '32'), '0.03125');
+    assert.strictEqual(divide('6.0', '2'), '3.0');
+    assert.strictEqual(divide('6', '2.0'), '3');
+    assert.strictEqual(divide('1.00', '4'), '0.25');
+    assert.strictEqual(divide('-7', '0.2'), '-35');
+    assert.strictEqual(divide('1E+3', '5'), '2E+2');
+    assert.throws(() => divide('1', '3'),
+        { constructor: ArithmeticException,
+          message: 'Non-terminating decimal expansion; no exact representable decimal result.' });
+    assert.throws(() => divide('1', '0'), { constructor: ArithmeticException, message: 'Division by zero' });
+    assert.throws(() => divide('0', '0.0'), { constructor: ArithmeticException, message: 'Division undefined' });
+});
+
+test('divide with a MathContext rounds to its precision', () => {
+    const one = BigDecimal.ONE;
+    const three = BigDecimal.valueOf(3, 0);
+    assert.strictEqual(one.divide(three, MathContext.DECIMAL32).toString(), '0.3333333');
+    assert.strictEqual(one.divide(three, MathContext.DECIMAL64).toString(), '0.3333333333333333');
+    assert.strictEqual(BigDecimal.valueOf(2, 0).divide(three, MathContext.DECIMAL32).toString(), '0.6666667');
+    assert.strictEqual(BigDecimal.valueOf(2, 0).divide(three, new MathContext(3, RoundingMode.DOWN)).toString(),
+        '0.666');
+    assert.strictEqual(BigDecimal.valueOf(1000, 0).divide(three, new MathContext(2)).toString(), '3.3E+2');
+    assert.strictEqual(BigDecimal.valueOf(10, 0).divide(BigDecimal.valueOf(4, 0), MathContext.DECIMAL32).toString(),
+        '2.5');
+    assert.throws(() => one.divide(three, new MathContext(5, RoundingMode.UNNECESSARY)), ArithmeticException);
+    assert.strictEqual(one.divide(three, RoundingMode.HALF_UP).toString(), '0');
+    assert.strictEqual(BigDecimal.fromString('2.00').divide(three, RoundingMode.UP).toString(), '0.67');
+});
+
+test('stripTrailingZeros removes zeros from the unscaled value, and gives ZERO for a zero', () => {
+    assert.strictEqual(BigDecimal.fromString('1.500').stripTrailingZeros().toString(), '1.5');
+    assert.strictEqual(BigDecimal.fromString('100').stripTrailingZeros().toString(), '1E+2');
+    assert.strictEqual(BigDecimal.fromString('1200.0').stripTrailingZeros().toString(), '1.2E+3');
+    assert.strictEqual(BigDecimal.fromString('-0.0500').stripTrailingZeros().toString(), '-0.05');
+    assert.strictEqual(BigDecimal.fromString('7').stripTrailingZeros().toString(), '7');
+    assert.strictEqual(BigDecimal.fromString('0.000').stripTrailingZeros(), BigDecimal.ZERO);
+    assert.strictEqual(BigDecimal.fromString('0E+5').stripTrailingZeros().toString(), '0');
+});
+
+test('equals compares scales, and compareTo compares only values', () => {
+    const two = BigDecimal.fromString('2.0');
+    const twoHundredths = BigDecimal.fromString('2.00');
+    assert.strictEqual(two.equals(twoHundredths), false);
+    assert.strictEqual(two.compareTo(twoHundredths), 0);
+    assert.strictEqual(two.compareTo(BigDecimal.fromString('2.01')), -1);
+    assert.strictEqual(BigDecimal.fromString('-1E+3').compareTo(BigDecimal.fromString('-999.9')), -1);
+});
+
+test('valueOf translates a number as Java translates a double', () => {
+    const cases = [
+        [100, '100.0', 1], [1e20, '1.0E+20', -19], [0, '0.0', 1], [-0, '0.0', 1], [0.1, '0.1', 1],
+        [-2.5, '-2.5', 1], [1e7, '1.0E+7', -6], [9999999, '9999999.0', 1], [0.001, '0.001', 3],
+        [9.99e-4, '0.000999', 6], [5e-324, '4.9E-324', 325], [2 ** 53 + 2, '9007199254740994', 0],
+        [Number.MAX_VALUE, '1.7976931348623157E+308', -292]
+    ];
+    for (const [number, expected, scale] of cases) {
+        const value = BigDecimal.valueOf(number);
+        assert.strictEqual(value.toString(), expected, String(number));
+        assert.strictEqual(value.scale(), scale, String(number));
+    }
+    assert.throws(() => BigDecimal.valueOf(NaN),
+        { constructor: NumberFormatException, message: 'Infinite or NaN' });
+    assert.throws(() => BigDecimal.valueOf(-Infinity), NumberFormatException);
+});
+
+test('valueOf with a scale translates a number as Java translates a long', () => {
+    assert.strictEqual(BigDecimal.valueOf(100, 0).toString(), '100');
+    assert.strictEqual(BigDecimal.valueOf(1, 0), BigDecimal.ONE);
+    assert.strictEqual(BigDecimal.valueOf(12345, 3).toString(), '12.345');
+    assert.strictEqual(BigDecimal.valueOf(-5, -3).toString(), '-5E+3');
+    assert.strictEqual(BigDecimal.valueOf(Number.MAX_SAFE_INTEGER, 0).toString(), '9007199254740991');
+    assert.throws(() => BigDecimal.valueOf(1.5, 0), RangeError);
+    assert.throws(() => BigDecimal.valueOf(2 ** 53, 0), RangeError);
+});
@@ -0,0 +1,576 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests the arithmetic of BigInteger against native BigInts, with operands on both
+ * sides of the thresholds at which the algorithms change.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BigInteger, Long, Random, ArithmeticException, NumberFormatException } = require('../index.js');
+
+/**
+ * Sizes in ints around the Karatsuba and Toom-Cook thresholds for multiplying and squaring.
+ */
+const MULTIPLY_SIZES = [1, 2, 3, 19, 21, 79, 80, 81, 127, 129, 215, 217, 239, 240, 241, 400];
+
+/**
+ * Creates a random BigInteger with exactly the given number of ints, and a random sign.
+ * @param {number} ints  The number of ints in the magnitude.
+ * @param {Random} rnd  The source of randomness.
+ * @returns {BigInteger} The random value.
+ */
+function randomInts(ints, rnd) {
+    const value = BigInteger.randomValue(32 * ints, rnd).setBit(32 * ints - 1);
+    return rnd.nextBoolean() ? value.negate() : value;
+}
+
+test('multiply and square agree with BigInt for every algorithm', () => {
+    const rnd = new Random(1);
+    for (const xInts of MULTIPLY_SIZES) {
+        for (const yInts of [1, 40, 80, 240, xInts]) {
+            const x = randomInts(xInts, rnd);
+            const y = randomInts(yInts, rnd);
+            assert.strictEqual(x.multiply(y).toBigInt(), x.toBigInt() * y.toBigInt(), `${xInts} × ${yInts} ints`);
+        }
+        const x = randomInts(xInts, rnd);
+        assert.strictEqual(x.square().toBigInt(), x.toBigInt() ** 2n, `${xInts} ints squared`);
+        assert.strictEqual(x.multiply(x).toBigInt(), x.toBigInt() ** 2n, `${xInts} ints times itself`);
+    }
+});
+
+test('multiply handles zeros, signs and runs of ones and zeros in the operands', () => {
+    const ones = BigInteger.ONE.shiftLeft(32 * 300).subtract(BigInteger.ONE);
+    const sparse = BigInteger.ONE.shiftLeft(32 * 250).add(BigInteger.ONE);
+    for (const [x, y] of [[ones, ones], [ones, sparse], [sparse, sparse.negate()], [ones.negate(), ones]]) {
+        assert.strictEqual(x.multiply(y).toBigInt(), x.toBigInt() * y.toBigInt());
+    }
+    assert.strictEqual(ones.multiply(BigInteger.ZERO), BigInteger.ZERO);
+    assert.strictEqual(BigInteger.ZERO.multiply(ones), BigInteger.ZERO);
+    assert.strictEqual(ones.multiply(-1).toBigInt(), -ones.toBigInt());
+    assert.strictEqual(BigInteger.valueOf(-3).multiply(7).toString(), '-21');
+});
+
+/**
+ * Asserts that divideAndRemainder, divide, remainder and mod agree with BigInt for two values.
+ * @param {BigInteger} x  The dividend.
+ * @param {BigInteger} y  The non-zero divisor.
+ * @param {string} message  The description of the case.
+ */
+function checkDivision(x, y, message) {
+    const [a, b] = [x.toBigInt(), y.toBigInt()];
+    const [q, r] = x.divideAndRemainder(y);
+    assert.strictEqual(q.toBigInt(), a / b, message);
+    assert.strictEqual(r.toBigInt(), a % b, message);
+    assert.strictEqual(x.divide(y).toBigInt(), a / b, message);
+    assert.strictEqual(x.remainder(y).toBigInt(), a % b, message);
+    if (b > 0n) assert.strictEqual(x.mod(y).toBigInt(), ((a % b) + b) % b, message);
+}
+
+test('division agrees with BigInt for Knuth and Burnikel-Ziegler divisions', () => {
+    const rnd = new Random(2);
+    // Burnikel-Ziegler is used from a divisor of 80 ints and a quotient of 40 ints
+    for (const yInts of [1, 2, 3, 50, 79, 80, 81, 150]) {
+        for (const extraInts of [0, 1, 39, 40, 41, 200]) {
+            const x = randomInts(yInts + extraInts, rnd);
+            const y = randomInts(yInts, rnd);
+            checkDivision(x, y, `${yInts + extraInts} / ${yInts} ints`);
+            checkDivision(x.multiply(y), y, `${yInts + extraInts} × ${yInts} ints / ${yInts} ints`);
+        }
+    }
+});
+
+test('division handles the quotient digit estimates that need correcting', () => {
+    const one = BigInteger.ONE;
+    for (const ints of [2, 5, 90, 200]) {
+        const allOnes = one.shiftLeft(32 * ints).subtract(one);
+        const topBit = one.shiftLeft(32 * Math.ceil(ints / 2) - 1);
+        checkDivision(allOnes, topBit.add(one), `all ones / 2^k + 1, ${ints} ints`);
+        checkDivision(allOnes, topBit.subtract(one), `all ones / 2^k - 1, ${ints} ints`);
+        checkDivision(allOnes.shiftLeft(32 * ints), allOnes, `(b^n - 1) b^n / (b^n - 1), ${ints} ints`);
+        checkDivision(one.shiftLeft(64 * ints), allOnes.negate(), `b^2n / -(b^n - 1), ${ints} ints`);
+    }
+    checkDivision(BigInteger.valueOf(-7), BigInteger.valueOf(2), '-7 / 2');
+    checkDivision(BigInteger.valueOf(7), BigInteger.valueOf(-2), '7 / -2');
+    checkDivision(BigInteger.valueOf(3), BigInteger.ONE.shiftLeft(100), '3 / 2^100');
+    assert.strictEqual(BigInteger.valueOf(-7).mod(BigInteger.valueOf(3)).toString(), '2');
+    assert.throws(() => BigInteger.ONE.divide(BigInteger.ZERO),
+        { constructor: ArithmeticException, message: 'BigInteger divide by zero' });
+    assert.throws(() => BigInteger.ONE.mod(BigInteger.valueOf(-3)),
+        { constructor: ArithmeticException, message: 'BigInteger: modulus not positive' });
+});
+
+test('toString agrees with BigInt in every radix, including the recursive conversion', () => {
+    const rnd = new Random(3);
+    // The conversion is recursive from 20 ints
+    for (const ints of [1, 2, 19, 20, 21, 64, 300]) {
+        const x = randomInts(ints, rnd);
+        for (var radix = 2; radix <= 36; radix++) {
+            assert.strictEqual(x.toString(radix), x.toBigInt().toString(radix), `${ints} ints in radix ${radix}`);
+        }
+    }
+    // Powers of the radix have runs of zeros in every chunk of the conversion
+    for (const radix of [2, 7, 10, 16, 36]) {
+        const power = BigInteger.valueOf(radix).pow(1000);
+        assert.strictEqual(power.toString(radix), '1' + '0'.repeat(1000));
+        assert.strictEqual(power.add(BigInteger.ONE).toString(radix), '1' + '0'.repeat(999) + '1');
+        const maxDigit = (radix - 1).toString(radix);
+        assert.strictEqual(power.subtract(BigInteger.ONE).negate().toString(radix), '-' + maxDigit.repeat(1000));
+    }
+    assert.strictEqual(BigInteger.ZERO.toString(2), '0');
+    assert.strictEqual(BigInteger.valueOf(-255).toString(16), '-ff');
+    assert.strictEqual(BigInteger.valueOf(255).toString(37), '255');
+    assert.strictEqual(BigInteger.valueOf(255).toString(1), '255');
+});
+
+test('fromString agrees with BigInt, including the recursive parse of long strings', () => {
+    const rnd = new Random(4);
+    // The parse is recursive above 40 ints of digits, which is 360 decimal digits
+    for (const digits of [1, 9, 10, 18, 19, 359, 360, 361, 5000]) {
+        var s = '';
+        while (s.length < digits) s += rnd.nextInt(1000000000).toString().padStart(9, '0');
+        s = String(1 + rnd.nextInt(9)) + s.slice(1, digits);
+        for (const signed of [s, '-' + s, '+' + s, '000' + s, '-00' + s]) {
+            assert.strictEqual(BigInteger.fromString(signed).toBigInt(), BigInt(signed.replace(/^\+/, '')), signed);
+        }
+    }
+    for (const radix of [2, 3, 16, 36]) {
+        const x = randomInts(100, rnd);
+        assert.ok(BigInteger.fromString(x.toString(radix), radix).equals(x), `radix ${radix}`);
+        assert.ok(BigInteger.fromString(x.toString(radix).toUpperCase(), radix).equals(x), `radix ${radix}`);
+    }
+    assert.strictEqual(BigInteger.fromString('-0').toString(), '0');
+    assert.strictEqual(BigInteger.fromString('0000').signum(), 0);
+    // Any Unicode decimal digit is accepted, as by Character.digit
+    assert.strictEqual(BigInteger.fromString('١٢３').toString(), '123');
+});
+
+test('fromString rejects strings with the messages of Java', () => {
+    const rejects = (args, message) => assert.throws(() => BigInteger.fromString(...args),
+        { constructor: NumberFormatException, message }, String(args[0]));
+    rejects([''], 'Zero length BigInteger');
+    rejects(['-'], 'Zero length BigInteger');
+    rejects(['+-1'], 'Illegal embedded sign character');
+    rejects(['1-1'], 'Illegal embedded sign character');
+    rejects(['--1'], 'Illegal embedded sign character');
+    rejects(['1', 1], 'Radix out of range');
+    rejects(['1', 37], 'Radix out of range');
+    // The digits are reported by group, as Java's Integer.parseInt reports them
+    rejects(['12a45'], 'For input string: "12a45"');
+    rejects(['1234567890a23456789'], 'For input string: "a23456789"');
+    rejects(['00x1'], 'For input string: "x1"');
+    rejects([' 1'], 'For input string: " 1"');
+    rejects(['12', 2], 'For input string: "12" under radix 2');
+});
+
+/**
+ * Asserts that r is the floor of the k-th root of x, by checking r^k <= x < (r + 1)^k.
+ * @param {BigInteger} x  The value.
+ * @param {number} k  The degree of the root.
+ * @param {BigInteger} r  The root to check.
+ */
+function checkFloorRoot(x, k, r) {
+    const [a, b, n] = [x.toBigInt(), r.toBigInt(), BigInt(k)];
+    assert.ok(b ** n <= a && a < (b + 1n) ** n, `root ${k} of ${x} is ${r}`);
+}
+
+test('pow agrees with BigInt, including powers of two and of one', () => {
+    const rnd = new Random(5);
+    for (const ints of [1, 2, 10]) {
+        const x = randomInts(ints, rnd);
+        for (const exponent of [0, 1, 2, 3, 7, 30]) {
+            assert.strictEqual(x.pow(exponent).toBigInt(), x.toBigInt() ** BigInt(exponent),
+                `${ints} ints ^ ${exponent}`);
+        }
+    }
+    assert.strictEqual(BigInteger.valueOf(-12).pow(101).toBigInt(), (-12n) ** 101n);
+    assert.strictEqual(BigInteger.valueOf(-1).pow(1000001).toString(), '-1');
+    assert.strictEqual(BigInteger.ONE.pow(2 ** 31 - 1).toString(), '1');
+    assert.strictEqual(BigInteger.ZERO.pow(0).toString(), '1');
+    assert.strictEqual(BigInteger.valueOf(-2).pow(99).toBigInt(), -(2n ** 99n));
+    assert.throws(() => BigInteger.TWO.pow(-1), { constructor: ArithmeticException, message: 'Negative exponent' });
+});
+
+test('sqrt, sqrtAndRemainder and nthRoot give the floor of the root', () => {
+    const rnd = new Random(6);
+    for (const ints of [1, 2, 3, 33, 100]) {
+        const x = randomInts(ints, rnd).abs();
+        const [s, r] = x.sqrtAndRemainder();
+        checkFloorRoot(x, 2, s);
+        assert.ok(x.sqrt().equals(s));
+        assert.strictEqual(r.toBigInt(), x.toBigInt() - s.toBigInt() ** 2n);
+        for (const k of [1, 3, 4, 5, 17, 100]) checkFloorRoot(x, k, x.nthRoot(k));
+        for (const k of [3, 5, 17]) checkFloorRoot(x.negate(), k, x.negate().nthRoot(k));
+        // Exact powers and their neighbours
+        for (const k of [2, 3, 7]) {
+            const power = x.pow(k);
+            assert.ok(power.nthRoot(k).equals(x));
+            assert.ok(power.subtract(BigInteger.ONE).nthRoot(k).equals(x.subtract(BigInteger.ONE)));
+            if (k % 2 === 1) assert.ok(power.negate().nthRoot(k).equals(x.negate()));
+        }
+        assert.ok(x.square().sqrt().equals(x));
+        assert.ok(x.square().subtract(BigInteger.ONE).sqrt().equals(x.subtract(BigInteger.ONE)));
+    }
+    assert.strictEqual(BigInteger.valueOf(-8).nthRoot(3).toString(), '-2');
+    assert.strictEqual(BigInteger.valueOf(-9).nthRoot(3).toString(), '-3');
+    assert.strictEqual(BigInteger.ZERO.sqrt().toString(), '0');
+    assert.throws(() => BigInteger.valueOf(-1).sqrt(),
+        { constructor: ArithmeticException, message: 'Negative BigInteger' });
+    assert.throws(() => BigInteger.valueOf(-1).nthRoot(2),
+        { constructor: ArithmeticException, message: 'Even root of negative BigInteger' });
+    assert.throws(() => BigInteger.TEN.nthRoot(0),
+        { constructor: ArithmeticException, message: 'Non-positive root degree' });
+});
+
+/**
+ * Counts the one bits of a non-negative BigInt.
+ * @param {bigint} n  The value.
+ * @returns {number} The number of one bits in n.
+ */
+function popCount(n) {
+    let count = 0;
+    for (const digit of n.toString(2)) if (digit === '1') count++;
+    return count;
+}
+
+test('bit operations treat negative values as infinite two\'s complement', () => {
+    const rnd = new Random(7);
+    const values = [BigInteger.ZERO, BigInteger.ONE, BigInteger.valueOf(-1), BigInteger.valueOf(-(2 ** 32)),
+        BigInteger.ONE.shiftLeft(64).negate()];
+    for (const ints of [1, 2, 3, 9]) for (let i = 0; i < 3; i++) values.push(randomInts(ints, rnd));
+    for (const x of values) {
+        const a = x.toBigInt();
+        const ones = a < 0n ? ~a : a;
+        assert.strictEqual(x.not().toBigInt(), ~a);
+        assert.strictEqual(x.bitLength(), ones === 0n ? 0 : ones.toString(2).length, `bitLength of ${x}`);
+        assert.strictEqual(x.bitCount(), popCount(ones), `bitCount of ${x}`);
+        assert.strictEqual(x.getLowestSetBit(), a === 0n ? -1 : popCount((a & -a) - 1n), `lowest set bit of ${x}`);
+        for (const y of values) {
+            const b = y.toBigInt();
+            assert.strictEqual(x.and(y).toBigInt(), a & b, `${x} & ${y}`);
+            assert.strictEqual(x.or(y).toBigInt(), a | b, `${x} | ${y}`);
+            assert.strictEqual(x.xor(y).toBigInt(), a ^ b, `${x} ^ ${y}`);
+            assert.strictEqual(x.andNot(y).toBigInt(), a & ~b, `${x} & ~${y}`);
+        }
+        for (const n of [0, 1, 31, 32, 33, 63, 64, 65, 300]) {
+            assert.strictEqual(x.shiftLeft(n).toBigInt(), a << BigInt(n), `${x} << ${n}`);
+            assert.strictEqual(x.shiftRight(n).toBigInt(), a >> BigInt(n), `${x} >> ${n}`);
+            assert.ok(x.shiftLeft(-n).equals(x.shiftRight(n)));
+            assert.ok(x.shiftRight(-n).equals(x.shiftLeft(n)));
+            const bit = 1n << BigInt(n);
+            assert.strictEqual(x.testBit(n), (a & bit) !== 0n, `bit ${n} of ${x}`);
+            assert.strictEqual(x.setBit(n).toBigInt(), a | bit, `set bit ${n} of ${x}`);
+            assert.strictEqual(x.clearBit(n).toBigInt(), a & ~bit, `clear bit ${n} of ${x}`);
+            assert.strictEqual(x.flipBit(n).toBigInt(), a ^ bit, `flip bit ${n} of ${x}`);
+        }
+    }
+    // Shifting a negative value right rounds towards negative infinity
+    assert.strictEqual(BigInteger.valueOf(-1).shiftRight(1000).toString(), '-1');
+    assert.strictEqual(BigInteger.valueOf(-5).shiftRight(1).toString(), '-3');
+    for (const op of ['testBit', 'setBit', 'clearBit', 'flipBit']) {
+        assert.throws(() => BigInteger.TEN[op](-1),
+            { constructor: ArithmeticException, message: 'Negative bit address' });
+    }
+});
+
+/**
+ * Calculates base^exponent mod m for BigInts, with a non-negative exponent and positive modulus.
+ * @param {bigint} base  The base.
+ * @param {bigint} exponent  The exponent.
+ * @param {bigint} m  The modulus.
+ * @returns {bigint} base^exponent mod m, in the range [0, m).
+ */
+function bigIntModPow(base, exponent, m) {
+    let result = 1n % m;
+    base = ((base % m) + m) % m;
+    for (; exponent > 0n; exponent >>= 1n) {
+        if (exponent & 1n) result = result * base % m;
+        base = base * base % m;
+    }
+    return result;
+}
+
+/**
+ * Calculates the greatest common divisor of two BigInts.
+ * @param {bigint} a  The first value.
+ * @param {bigint} b  The second value.
+ * @returns {bigint} The non-negative gcd of a and b.
+ */
+function bigIntGcd(a, b) {
+    if (a < 0n) a = -a;
+    if (b < 0n) b = -b;
+    while (b !== 0n) [a, b] = [b, a % b];
+    return a;
+}
+
+test('modPow agrees with BigInt for odd and even moduli', () => {
+    const rnd = new Random(8);
+    // The largest modulus is beyond the Montgomery intrinsic threshold
+    for (const [modInts, expInts] of [[1, 1], [2, 2], [3, 3], [17, 4], [40, 2], [520, 1]]) {
+        const odd = randomInts(modInts, rnd).abs().setBit(0);
+        for (const m of [odd, odd.shiftLeft(37)]) {
+            const base = randomInts(modInts + 1, rnd);
+            const exponent = randomInts(expInts, rnd).abs();
+            const expected = bigIntModPow(base.toBigInt(), exponent.toBigInt(), m.toBigInt());
+            assert.strictEqual(base.modPow(exponent, m).toBigInt(), expected, `${base} ^ ${exponent} mod ${m}`);
+        }
+    }
+    // Powers of two, and moduli with an odd part of one
+    for (const p of [1, 5, 32, 33, 100]) {
+        const m = BigInteger.ONE.shiftLeft(p);
+        const base = BigInteger.valueOf(-12345679);
+        const expected = bigIntModPow(-12345679n, 1001n, 1n << BigInt(p));
+        assert.strictEqual(base.modPow(BigInteger.valueOf(1001), m).toBigInt(), expected, `modulus 2^${p}`);
+    }
+    assert.strictEqual(BigInteger.TEN.modPow(BigInteger.ZERO, BigInteger.ONE).toString(), '0');
+    assert.strictEqual(BigInteger.ZERO.modPow(BigInteger.ZERO, BigInteger.TEN).toString(), '1');
+    assert.strictEqual(BigInteger.valueOf(-1).modPow(BigInteger.TWO, BigInteger.TEN).toString(), '1');
+    // A negative exponent uses the inverse: 3^-1 mod 7 = 5, and 5^2 mod 7 = 4
+    assert.strictEqual(BigInteger.valueOf(3).modPow(BigInteger.valueOf(-2), BigInteger.valueOf(7)).toString(), '4');
+    assert.throws(() => BigInteger.TWO.modPow(BigInteger.valueOf(-1), BigInteger.TEN),
+        { constructor: ArithmeticException, message: 'BigInteger not invertible.' });
+    for (const m of [BigInteger.ZERO, BigInteger.valueOf(-7)]) {
+        assert.throws(() => BigInteger.TWO.modPow(BigInteger.ONE, m),
+            { constructor: ArithmeticException, message: 'BigInteger: modulus not positive' });
+    }
+});
+
+test('modInverse and gcd agree with BigInt', () => {
+    const rnd = new Random(9);
+    for (const ints of [1, 2, 3, 10, 50]) {
+        for (let i = 0; i < 4; i++) {
+            const x = randomInts(ints, rnd);
+            const y = randomInts(ints + (i & 1), rnd).multiply(BigInteger.valueOf(i + 1));
+            const g = x.gcd(y);
+            assert.strictEqual(g.toBigInt(), bigIntGcd(x.toBigInt(), y.toBigInt()), `gcd(${x}, ${y})`);
+            assert.ok(x.multiply(y).gcd(y).equals(y.abs()));
+            const m = y.abs();
+            if (g.equals(BigInteger.ONE) && !m.equals(BigInteger.ONE)) {
+                const inverse = x.modInverse(m);
+                assert.ok(inverse.signum() >= 0 && inverse.compareTo(m) < 0);
+                const product = x.toBigInt() * inverse.toBigInt() % m.toBigInt();
+                assert.ok(product === 1n || product === 1n - m.toBigInt(), `inverse of ${x} mod ${m}`);
+            }
+        }
+    }
+    assert.strictEqual(BigInteger.ZERO.gcd(BigInteger.ZERO).toString(), '0');
+    assert.strictEqual(BigInteger.ZERO.gcd(BigInteger.valueOf(-6)).toString(), '6');
+    assert.strictEqual(BigInteger.valueOf(-4).gcd(BigInteger.valueOf(6)).toString(), '2');
+    assert.strictEqual(BigInteger.valueOf(-3).modInverse(BigInteger.valueOf(7)).toString(), '2');
+    assert.strictEqual(BigInteger.TEN.modInverse(BigInteger.ONE).toString(), '0');
+    assert.throws(() => BigInteger.valueOf(6).modInverse(BigInteger.valueOf(9)),
+        { constructor: ArithmeticException, message: 'BigInteger not invertible.' });
+    assert.throws(() => BigInteger.TWO.modInverse(BigInteger.ZERO),
+        { constructor: ArithmeticException, message: 'BigInteger: modulus not positive' });
+});
+
+/**
+ * Tests a small number for primality by trial division.
+ * @param {number} n  The number to test.
+ * @returns {boolean} true if n is prime.
+ */
+function isPrime(n) {
+    if (n < 2) return false;
+    for (let d = 2; d * d <= n; d++) if (n % d === 0) return false;
+    return true;
+}
+
+test('isProbablePrime separates primes from composites and pseudoprimes', () => {
+    const rnd = new Random(10);
+    for (let n = -100; n < 3000; n++) {
+        assert.strictEqual(BigInteger.valueOf(n).isProbablePrime(50, rnd), isPrime(Math.abs(n)), `${n}`);
+    }
+    // Mersenne primes, checked with the Lucas-Lehmer test above 100 bits
+    for (const p of [31, 61, 89, 107, 127, 521, 607]) {
+        assert.ok(BigInteger.ONE.shiftLeft(p).subtract(BigInteger.ONE).isProbablePrime(100, rnd), `2^${p} - 1`);
+    }
+    // Carmichael numbers, strong pseudoprimes to small bases, Lucas pseudoprimes and 2^67 - 1
+    const composites = ['561', '41041', '3215031751', '3825123056546413051', '5459', '5777', '147573952589676412927',
+        '318665857834031151167461'];
+    for (const s of composites) assert.ok(!BigInteger.fromString(s).isProbablePrime(100, rnd), s);
+    assert.ok(BigInteger.valueOf(15).isProbablePrime(0, rnd));
+});
+
+test('nextProbablePrime never skips a prime, and probablePrime has the requested length', () => {
+    const rnd = new Random(11);
+    for (let n = 0; n < 2000; n++) {
+        let expected = n + 1;
+        while (!isPrime(expected)) expected++;
+        assert.strictEqual(BigInteger.valueOf(n).nextProbablePrime(rnd).toString(), String(expected), `after ${n}`);
+    }
+    // The first primes above powers of two, from below and above the sieve threshold
+    for (const [bits, offset] of [[64, 13], [100, 277], [128, 51], [200, 235]]) {
+        const power = BigInteger.ONE.shiftLeft(bits);
+        const prime = power.add(BigInteger.valueOf(offset));
+        assert.ok(power.nextProbablePrime(rnd).equals(prime), `after 2^${bits}`);
+        assert.ok(power.subtract(BigInteger.ONE).nextProbablePrime(rnd).equals(prime), `after 2^${bits} - 1`);
+    }
+    for (const bitLength of [2, 3, 10, 32, 94, 95, 96, 256]) {
+        const p = BigInteger.probablePrime(bitLength, rnd);
+        assert.strictEqual(p.bitLength(), bitLength);
+        assert.ok(p.isProbablePrime(100, rnd), `${p}`);
+        if (bitLength <= 32) assert.ok(isPrime(p.intValue() >>> 0), `${p}`);
+    }
+    assert.throws(() => BigInteger.valueOf(-1).nextProbablePrime(rnd),
+        { constructor: ArithmeticException, message: 'start < 0: -1' });
+    assert.throws(() => BigInteger.probablePrime(1, rnd),
+        { constructor: ArithmeticException, message: 'bitLength < 2' });
+});
+
+/**
+ * Rounds a BigInt to the nearest float, with ties to even, without first rounding it to a double.
+ * @param {bigint} n  The value.
+ * @returns {number} The float nearest to n.
+ */
+function bigIntToFloat(n) {
+    const magnitude = n < 0n ? -n : n;
+    const shift = BigInt(Math.max(magnitude.toString(2).length - 24, 0));
+    let q = magnitude >> shift;
+    if (shift > 0n) {
+        const remainder = magnitude - (q << shift);
+        const half = 1n << (shift - 1n);
+        if (remainder > half || (remainder === half && (q & 1n))) q++;
+    }
+    // q * 2^shift is exact as a double, so fround only overflows it to Infinity
+    const value = Math.fround(Number(q) * 2 ** Number(shift));
+    return n < 0n ? -value : value;
+}
+
+test('conversions to BigInt and to numbers agree with BigInt', () => {
+    const rnd = new Random(12);
+    const values = [0n, 1n, -1n, 0x7fffn, 0x8000n, -0x8000n, -0x8001n, 2n ** 31n - 1n, 2n ** 31n, -(2n ** 31n),
+        -(2n ** 31n) - 1n, 2n ** 32n, 2n ** 63n - 1n, 2n ** 63n, -(2n ** 63n), -(2n ** 63n) - 1n, 2n ** 64n + 5n];
+    for (const ints of [1, 2, 3, 4, 33, 34]) for (let i = 0; i < 5; i++) values.push(randomInts(ints, rnd).toBigInt());
+    // Halfway cases for doubles and floats, and their neighbours
+    const halfways = [2n ** 53n + 1n, 2n ** 53n + 3n, 2n ** 24n + 1n, 2n ** 24n + 3n, 2n ** 53n + 2n ** 29n + 1n];
+    for (const shift of [0n, 1n, 11n, 40n, 900n]) {
+        for (const base of halfways) {
+            for (const delta of [-1n, 0n, 1n]) values.push((base << shift) + delta, -(base << shift) - delta);
+        }
+    }
+    const maxHalfway = 2n ** 1024n - 2n ** 970n;
+    const maxFloatHalfway = 2n ** 128n - 2n ** 103n;
+    values.push(2n ** 1024n, maxHalfway, maxHalfway - 1n, -maxHalfway, maxFloatHalfway, maxFloatHalfway - 1n);
+    for (const n of values) {
+        const x = BigInteger.fromBigInt(n);
+        assert.strictEqual(x.toString(), n.toString());
+        assert.strictEqual(x.toBigInt(), n);
+        assert.strictEqual(x.intValue(), Number(BigInt.asIntN(32, n)), `intValue of ${n}`);
+        assert.strictEqual(x.longValue(), BigInt.asIntN(64, n), `longValue of ${n}`);
+        assert.strictEqual(x.longValue(Long).toString(), BigInt.asIntN(64, n).toString());
+        assert.ok(Object.is(x.doubleValue(), Number(n)), `doubleValue of ${n}`);
+        assert.ok(Object.is(x.floatValue(), bigIntToFloat(n)), `floatValue of ${n}`);
+        for (const [method, bits, message] of [['shortValueExact', 16, 'short'], ['intValueExact', 32, 'int'],
+            ['longValueExact', 64, 'long']]) {
+            if (BigInt.asIntN(bits, n) === n) {
+                assert.strictEqual(BigInt(x[method]()), n, `${method} of ${n}`);
+            } else {
+                assert.throws(() => x[method](),
+                    { constructor: ArithmeticException, message: `BigInteger out of ${message} range` });
+            }
+        }
+    }
+    // The double rounding of 2^53 + 2^29 + 1 through a double to a float would give 2^53
+    assert.strictEqual(BigInteger.fromBigInt(2n ** 53n + 2n ** 29n + 1n).floatValue(), 2 ** 53 + 2 ** 30);
+    assert.strictEqual(BigInteger.valueOf(2 ** 53).toBigInt(), 2n ** 53n);
+    assert.strictEqual(BigInteger.valueOf(-(2 ** 53)).toString(), '-9007199254740992');
+    assert.strictEqual(BigInteger.valueOf(-(2 ** 32) - 1).toBigInt(), -(2n ** 32n) - 1n);
+    assert.throws(() => BigInteger.valueOf(2 ** 53 + 2), RangeError);
+    assert.throws(() => BigInteger.valueOf(0.5), RangeError);
+    assert.throws(() => BigInteger.fromBigInt(1), TypeError);
+});
+
+/**
+ * Calculates Java's BigInteger.hashCode for a BigInt: 31 * h + mag[i] over the magnitude ints, times the signum.
+ * @param {bigint} n  The value.
+ * @returns {number} The hash code of n.
+ */
+function javaHashCode(n) {
+    const magnitude = n < 0n ? -n : n;
+    let hash = 0;
+    for (let shift = BigInt(Math.floor((magnitude.toString(2).length - 1) / 32) * 32); shift >= 0n; shift -= 32n) {
+        hash = (Math.imul(31, hash) + Number(BigInt.asIntN(32, magnitude >> shift))) | 0;
+    }
+    return n < 0n ? -hash | 0 : hash;
+}
+
+test('equals, hashCode, compareTo, min and max agree with Java and BigInt', () => {
+    const rnd = new Random(13);
+    const values = [0n, 1n, -1n, 2n ** 32n, -(2n ** 32n), 2n ** 63n - 1n, -(2n ** 31n)];
+    for (const ints of [1, 2, 3, 20]) for (let i = 0; i < 3; i++) values.push(randomInts(ints, rnd).toBigInt());
+    for (const a of values) {
+        const x = BigInteger.fromBigInt(a);
+        assert.strictEqual(x.hashCode(), javaHashCode(a), `hashCode of ${a}`);
+        assert.strictEqual(x.signum(), a === 0n ? 0 : (a < 0n ? -1 : 1));
+        for (const b of values) {
+            // A distinct instance, so that equals compares the values
+            const y = BigInteger.fromString(b.toString());
+            assert.strictEqual(x.equals(y), a === b);
+            assert.strictEqual(x.compareTo(y), a < b ? -1 : (a > b ? 1 : 0), `compare ${a} to ${b}`);
+            assert.strictEqual(x.min(y).toBigInt(), a < b ? a : b);
+            assert.strictEqual(x.max(y).toBigInt(), a > b ? a : b);
+            if (a === b) assert.strictEqual(x.hashCode(), y.hashCode());
+        }
+    }
+    assert.strictEqual(BigInteger.valueOf(-1).hashCode(), -1);
+    assert.strictEqual(BigInteger.ONE.shiftLeft(32).hashCode(), 31);
+    assert.ok(!BigInteger.ONE.equals(1));
+    assert.ok(!BigInteger.ONE.equals(null));
+    assert.strictEqual(BigInteger.TEN.compareTo(11), -1);
+});
+
+test('parallelMultiply gives the products of multiply', async () => {
+    const rnd = new Random(14);
+    for (const [aInts, bInts, workers] of [[300, 300, 2], [2000, 1500, 7], [250, 90, 3], [100, 100, 2]]) {
+        const a = randomInts(aInts, rnd);
+        const b = randomInts(bInts, rnd);
+        const product = await a.parallelMultiply(b, { workers });
+        assert.ok(product.equals(a.multiply(b)), `${aInts} by ${bInts} ints with ${workers} workers`);
+        assert.ok((await a.parallelMultiply(a, { workers })).equals(a.square()), `${aInts} ints squared`);
+    }
+    const a = randomInts(300, rnd);
+    assert.ok((await a.parallelMultiply(a.negate(), { workers: 0 })).equals(a.square().negate()));
+    assert.ok((await a.parallelMultiply(BigInteger.ZERO)).equals(BigInteger.ZERO));
+    assert.strictEqual((await a.parallelMultiply(3)).toBigInt(), a.toBigInt() * 3n);
+    await assert.rejects(a.parallelMultiply(a, { workers: -1 }),
+        { constructor: RangeError, message: 'Invalid number of workers: -1' });
+    await assert.rejects(BigInteger.withLimits({ maxBitLength: 4096 }, () => a.parallelMultiply(a, { workers: 2 })),
+        { constructor: ArithmeticException, message: 'BigInteger would exceed the limit of 4096 bits' });
+});
+
+test('magnitudes are typed arrays that results do not share', () => {
+    assert.deepStrictEqual(BigInteger.ZERO.mag, new Int32Array(0));
+    assert.deepStrictEqual(BigInteger.valueOf(0xffffffff).mag, Int32Array.of(-1));
+    assert.deepStrictEqual(BigInteger.valueOf(-(2 ** 32)).mag, Int32Array.of(1, 0));
+    assert.deepStrictEqual(BigInteger.fromString('-80000000ffffffff', 16).mag, Int32Array.of(-0x80000000, -1));
+    // Enough small results to fill several pools of magnitudes, all checked after the last is made
+    const rnd = new Random(19);
+    const results = [];
+    for (let i = 0; i < 3000; i++) {
+        const x = randomInts(1 + (i % 12), rnd);
+        const y = randomInts(1 + (i % 7), rnd);
+        results.push([x.add(y), x.toBigInt() + y.toBigInt()], [x.subtract(y), x.toBigInt() - y.toBigInt()],
+            [x.multiply(y), x.toBigInt() * y.toBigInt()], [x.shiftLeft(i % 70), x.toBigInt() << BigInt(i % 70)]);
+    }
+    for (const [result, expected] of results) assert.strictEqual(result.toBigInt(), expected);
+});
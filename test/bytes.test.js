@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests the byte array forms of BigInteger: the two's-complement bytes of
+ * toByteArray and fromByteArray, and the unsigned bytes of toUnsignedByteArray and
+ * fromMagnitudeBytes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BigInteger, Random, ArithmeticException, NumberFormatException } = require('../index.js');
+
+/**
+ * Returns the bytes of a BigInteger from toByteArray, as an Array of unsigned bytes.
+ * @param {BigInteger} value  The BigInteger.
+ * @returns {Array<number>} The bytes of value.
+ */
+function bytes(value) {
+    return Array.from(value.toByteArray());
+}
+
+test('toByteArray gives the fewest bytes that hold the value and a sign bit, as Java does', () => {
+    assert.deepStrictEqual(bytes(BigInteger.ZERO), [0]);
+    assert.deepStrictEqual(bytes(BigInteger.valueOf(-1)), [0xFF]);
+    assert.deepStrictEqual(bytes(BigInteger.valueOf(127)), [0x7F]);
+    assert.deepStrictEqual(bytes(BigInteger.valueOf(128)), [0, 0x80]);
+    assert.deepStrictEqual(bytes(BigInteger.valueOf(-128)), [0x80]);
+    assert.deepStrictEqual(bytes(BigInteger.valueOf(-129)), [0xFF, 0x7F]);
+    assert.deepStrictEqual(bytes(BigInteger.valueOf(256)), [1, 0]);
+    assert.deepStrictEqual(bytes(BigInteger.valueOf(2 ** 31)), [0, 0x80, 0, 0, 0]);
+    assert.deepStrictEqual(bytes(BigInteger.valueOf(-(2 ** 31))), [0x80, 0, 0, 0]);
+    assert.deepStrictEqual(bytes(BigInteger.valueOf(-(2 ** 32))), [0xFF, 0, 0, 0, 0]);
+    const maxUnsignedLong = BigInteger.ONE.shiftLeft(64).subtract(BigInteger.ONE);
+    assert.deepStrictEqual(bytes(maxUnsignedLong), [0, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+});
+
+test('fromByteArray reads two\'s-complement bytes, signed or unsigned, from a sub-array', () => {
+    assert.strictEqual(BigInteger.fromByteArray([0, 0, 1]).toString(), '1');
+    assert.strictEqual(BigInteger.fromByteArray([0xFF, 0xFF]).toString(), '-1');
+    assert.strictEqual(BigInteger.fromByteArray([-1, -1]).toString(), '-1');
+    assert.strictEqual(BigInteger.fromByteArray([-1, 0]).toString(), '-256');
+    assert.strictEqual(BigInteger.fromByteArray(new Uint8Array([0xFF, 0, 0])).toString(), '-65536');
+    assert.strictEqual(BigInteger.fromByteArray([0x80, 0, 0, 0, 0]).toString(), '-549755813888');
+    assert.strictEqual(BigInteger.fromByteArray([9, 9, 0xFF, 0x7F, 9], 2, 2).toString(), '-129');
+    assert.throws(() => BigInteger.fromByteArray([]),
+        { constructor: NumberFormatException, message: 'Zero length BigInteger' });
+    assert.throws(() => BigInteger.fromByteArray([1, 2], 1, 2), RangeError);
+    assert.throws(() => BigInteger.fromByteArray([1, 2], -1, 1), RangeError);
+});
+
+test('fromMagnitudeBytes reads a sign and unsigned bytes', () => {
+    assert.strictEqual(BigInteger.fromMagnitudeBytes(-1, [0xFF, 0xFF]).toString(), '-65535');
+    assert.strictEqual(BigInteger.fromMagnitudeBytes(1, [0, 0, 0x80]).toString(), '128');
+    assert.strictEqual(BigInteger.fromMagnitudeBytes(1, [7, 1, 0, 7], 1, 2).toString(), '256');
+    assert.strictEqual(BigInteger.fromMagnitudeBytes(-1, []), BigInteger.ZERO);
+    assert.strictEqual(BigInteger.fromMagnitudeBytes(0, [0, 0]), BigInteger.ZERO);
+    assert.throws(() => BigInteger.fromMagnitudeBytes(0, [1]),
+        { constructor: NumberFormatException, message: 'signum-magnitude mismatch' });
+    assert.throws(() => BigInteger.fromMagnitudeBytes(2, [1]),
+        { constructor: NumberFormatException, message: 'Invalid signum value' });
+});
+
+test('toUnsignedByteArray pads to a length, in either byte order', () => {
+    const value = BigInteger.valueOf(0x01020304);
+    assert.deepStrictEqual(Array.from(value.toUnsignedByteArray()), [1, 2, 3, 4]);
+    assert.deepStrictEqual(Array.from(value.toUnsignedByteArray(6)), [0, 0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(Array.from(value.toUnsignedByteArray(6, true)), [4, 3, 2, 1, 0, 0]);
+    assert.deepStrictEqual(Array.from(BigInteger.valueOf(255).toUnsignedByteArray()), [0xFF]);
+    assert.deepStrictEqual(Array.from(BigInteger.ZERO.toUnsignedByteArray()), []);
+    assert.throws(() => BigInteger.valueOf(0x10000).toUnsignedByteArray(2), ArithmeticException);
+    assert.throws(() => BigInteger.valueOf(-1).toUnsignedByteArray(), ArithmeticException);
+});
+
+test('random values survive round trips through both byte forms', () => {
+    const rnd = new Random(20220101);
+    for (var i = 0; i < 500; i++) {
+        const bits = rnd.nextInt(300);
+        var value = BigInteger.randomValue(bits, rnd);
+        if (rnd.nextBoolean()) value = value.negate();
+        const twos = value.toByteArray();
+        assert.strictEqual(twos.length, Math.floor(value.bitLength() / 8) + 1);
+        assert.ok(BigInteger.fromByteArray(twos).equals(value), value.toString());
+        const unsigned = value.abs().toUnsignedByteArray(40, i % 2 === 0);
+        if (i % 2 === 0) unsigned.reverse();
+        assert.ok(BigInteger.fromMagnitudeBytes(value.signum(), unsigned).equals(value), value.toString());
+    }
+});
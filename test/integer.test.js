@@ -0,0 +1,158 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests Integer against the results and exceptions of java.lang.Integer, and the bit
+ * lengths that BigInteger takes from Integer.numberOfLeadingZeros.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Integer, BigInteger, NumberFormatException, ArithmeticException } = require('../index.js');
+
+test('numberOfLeadingZeros counts the zeros of an int, and none for negatives', () => {
+    assert.strictEqual(Integer.numberOfLeadingZeros(0), 32);
+    assert.strictEqual(Integer.numberOfLeadingZeros(1), 31);
+    assert.strictEqual(Integer.numberOfLeadingZeros(0x7FFFFFFF), 1);
+    assert.strictEqual(Integer.numberOfLeadingZeros(-1), 0);
+    assert.strictEqual(Integer.numberOfLeadingZeros(-2147483648), 0);
+});
+
+test('bitLength is exact at the boundaries of the top int of the magnitude', () => {
+    assert.strictEqual(BigInteger.valueOf(1).bitLength(), 1);
+    assert.strictEqual(BigInteger.valueOf(0x7FFFFFFF).bitLength(), 31);
+    assert.strictEqual(BigInteger.valueOf(0x80000000).bitLength(), 32);
+    assert.strictEqual(BigInteger.valueOf(0x100000000).bitLength(), 33);
+    assert.strictEqual(BigInteger.ONE.shiftLeft(95).bitLength(), 96);
+    assert.strictEqual(BigInteger.ONE.shiftLeft(96).bitLength(), 97);
+    assert.strictEqual(BigInteger.valueOf(-0x80000000).bitLength(), 31);
+    assert.strictEqual(BigInteger.ONE.shiftLeft(64).negate().bitLength(), 64);
+});
+
+/**
+ * Returns the 32 bits of an int as a string of binary digits, for the reference bit operations.
+ * @param {number} i  The int.
+ * @returns {string} The bits of i, highest first.
+ */
+function bits(i) {
+    return (i >>> 0).toString(2).padStart(32, '0');
+}
+
+const INTS = [0, 1, -1, 2, 0x7fffffff, -0x80000000, 0x12345678, -0x12345678, 0x0f0f0f0f, 0x55555555 | 0];
+
+test('reverse, rotateLeft and rotateRight move the bits of an int', () => {
+    for (const i of INTS) {
+        assert.strictEqual(Integer.reverse(i), parseInt([...bits(i)].reverse().join(''), 2) | 0, `reverse ${i}`);
+        for (const distance of [0, 1, 4, 31, 32, 33, 64, 100, -1, -4, -31, -32, -33, 2147483647, -2147483648]) {
+            // Java uses only the low five bits of the distance
+            const d = distance & 31;
+            const left = parseInt(bits(i).slice(d) + bits(i).slice(0, d), 2) | 0;
+            assert.strictEqual(Integer.rotateLeft(i, distance), left, `rotate ${i} left by ${distance}`);
+            assert.strictEqual(Integer.rotateRight(i, -distance), left, `rotate ${i} right by ${-distance}`);
+        }
+    }
+    assert.strictEqual(Integer.reverse(1), -0x80000000);
+    assert.strictEqual(Integer.rotateLeft(0x12345678, 4), 0x23456781);
+    assert.strictEqual(Integer.rotateLeft(0x12345678, -4), -0x7edcba99);
+    assert.strictEqual(Integer.rotateRight(1, 33), -0x80000000);
+});
+
+test('divideUnsigned, remainderUnsigned and toUnsignedString treat ints as unsigned', () => {
+    for (const x of INTS) {
+        for (const y of INTS.filter((y) => y !== 0)) {
+            const [a, b] = [BigInt(x >>> 0), BigInt(y >>> 0)];
+            assert.strictEqual(Integer.divideUnsigned(x, y), Number(BigInt.asIntN(32, a / b)), `${x} / ${y}`);
+            assert.strictEqual(Integer.remainderUnsigned(x, y), Number(BigInt.asIntN(32, a % b)), `${x} % ${y}`);
+        }
+        for (const radix of [2, 8, 10, 16, 36]) {
+            assert.strictEqual(Integer.toUnsignedString(x, radix), (x >>> 0).toString(radix));
+        }
+    }
+    assert.strictEqual(Integer.divideUnsigned(-1, 1), -1);
+    assert.strictEqual(Integer.divideUnsigned(-1, -1), 1);
+    assert.strictEqual(Integer.divideUnsigned(-2, -1), 0);
+    assert.strictEqual(Integer.divideUnsigned(-1, 2), 0x7fffffff);
+    assert.strictEqual(Integer.remainderUnsigned(-1, 10), 5);
+    assert.strictEqual(Integer.toUnsignedString(-1), '4294967295');
+    assert.strictEqual(Integer.toUnsignedString(-0x80000000, 16), '80000000');
+    // An invalid radix gives decimal, as in Java
+    assert.strictEqual(Integer.toUnsignedString(255, 1), '255');
+    assert.strictEqual(Integer.toUnsignedString(255, 37), '255');
+    for (const op of ['divideUnsigned', 'remainderUnsigned']) {
+        assert.throws(() => Integer[op](7, 0), { constructor: ArithmeticException, message: '/ by zero' });
+    }
+});
+
+test('parseInt and parseUnsignedInt accept the strings that Java accepts', () => {
+    const accepted = [
+        ['0', 10, 0], ['-0', 10, 0], ['+7', 10, 7], ['2147483647', 10, 2147483647], ['-2147483648', 10, -2147483648],
+        ['-80000000', 16, -0x80000000], ['7fffffff', 16, 0x7fffffff], ['zik0zj', 36, 2147483647], ['-1010', 2, -10],
+        ['000000000000000000000012', 10, 12], ['FF', 16, 255], ['\u0661\u0662\u0663', 10, 123],
+        ['\uff11\uff12\uff13', 10, 123], ['\uff46\uff26', 16, 255]];
+    for (const [s, radix, expected] of accepted) {
+        assert.strictEqual(Integer.parseInt(s, radix), expected, `parseInt("${s}", ${radix})`);
+        if (expected >= 0 && s[0] !== '-') {
+            assert.strictEqual(Integer.parseUnsignedInt(s, radix), expected, `parseUnsignedInt("${s}", ${radix})`);
+        }
+    }
+    const unsigned = [
+        ['4294967295', 10, -1], ['+4294967295', 10, -1], ['2147483648', 10, -0x80000000], ['ffffffff', 16, -1],
+        ['00000000004294967295', 10, -1], ['1z141z3', 36, -1], ['11111111111111111111111111111111', 2, -1]];
+    for (const [s, radix, expected] of unsigned) {
+        assert.strictEqual(Integer.parseUnsignedInt(s, radix), expected, `parseUnsignedInt("${s}", ${radix})`);
+    }
+    assert.strictEqual(Integer.parseInt('123'), 123);
+    assert.strictEqual(Integer.parseUnsignedInt('123'), 123);
+});
+
+test('parseInt and parseUnsignedInt reject strings with the messages of Java', () => {
+    const forInput = (s, radix) => `For input string: "${s}"` + (radix === 10 ? '' : ` under radix ${radix}`);
+    const rejected = [['', 10], ['', 16], ['+', 10], ['-', 10], ['2147483648', 10], ['-2147483649', 10],
+        ['80000000', 16], ['12a', 10], ['12a', 8], [' 1', 10], ['1 ', 10], ['1_000', 10], ['0x10', 16], ['++1', 10],
+        ['1.0', 10], ['2', 2], ['99999999999', 10]];
+    for (const [s, radix] of rejected) {
+        assert.throws(() => Integer.parseInt(s, radix),
+            { constructor: NumberFormatException, message: forInput(s, radix) }, `parseInt("${s}", ${radix})`);
+    }
+    for (const [s, radix] of [['', 10], ['+', 10], ['12a', 10], ['ffffffffg', 16], ['9223372036854775808', 10],
+        ['99999999999999999999', 10], ['+1 ', 10]]) {
+        assert.throws(() => Integer.parseUnsignedInt(s, radix),
+            { constructor: NumberFormatException, message: forInput(s, radix) }, `parseUnsignedInt("${s}", ${radix})`);
+    }
+    // Values that Java parses as a long, but which are too large for an unsigned int
+    for (const s of ['4294967296', '9223372036854775807', '+10000000000']) {
+        assert.throws(() => Integer.parseUnsignedInt(s),
+            { constructor: NumberFormatException, message: `String value ${s} exceeds range of unsigned int.` });
+    }
+    for (const s of ['-1', '-0', '-']) {
+        assert.throws(() => Integer.parseUnsignedInt(s),
+            { constructor: NumberFormatException, message: `Illegal leading minus sign on unsigned string ${s}.` });
+    }
+    for (const parse of [Integer.parseInt, Integer.parseUnsignedInt]) {
+        assert.throws(() => parse(null),
+            { constructor: NumberFormatException, message: 'Cannot parse null string: null' });
+        assert.throws(() => parse('1', 1),
+            { constructor: NumberFormatException, message: 'radix 1 less than Character.MIN_RADIX' });
+        assert.throws(() => parse('1', 37),
+            { constructor: NumberFormatException, message: 'radix 37 greater than Character.MAX_RADIX' });
+    }
+});
@@ -0,0 +1,116 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests that the limits set with BigInteger.setLimits apply to the arguments and
+ * results of operations, and not to the larger intermediate values that some operations make, and
+ * that results over the limit are rejected before the work of calculating them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BigInteger, ArithmeticException, NumberTheory, Random } = require('../index.js');
+
+const OPERAND_BITS = 1000;
+const LIMIT = { maxBitLength: 1024 };
+
+/**
+ * Makes the operands for a test: a prime modulus, and a base and an exponent of the same size.
+ * @param {number} seed  The seed of the random values.
+ * @returns {{p: BigInteger, x: BigInteger, e: BigInteger, rnd: Random}} The operands, and the
+ *          source of random bits that made them.
+ */
+function operands(seed) {
+    const rnd = new Random(seed);
+    return {
+        p: BigInteger.probablePrime(OPERAND_BITS, rnd),
+        x: BigInteger.randomValue(OPERAND_BITS, rnd),
+        e: BigInteger.randomValue(OPERAND_BITS, rnd),
+        rnd
+    };
+}
+
+test('modPow is not limited by the size of its products', () => {
+    const { p, x, e } = operands(1);
+    const expected = [x.modPow(e, p), x.modPow(e, p.add(BigInteger.ONE)), x.modPow(e.negate(), p)];
+    BigInteger.withLimits(LIMIT, () => {
+        assert.ok(x.modPow(e, p).equals(expected[0]));
+        assert.ok(x.modPow(e, p.add(BigInteger.ONE)).equals(expected[1]));
+        assert.ok(x.modPow(e.negate(), p).equals(expected[2]));
+    });
+});
+
+test('primality tests and prime searches are not limited by the size of their products', () => {
+    const { p, x, rnd } = operands(2);
+    const next = x.nextProbablePrime(new Random(3));
+    BigInteger.withLimits(LIMIT, () => {
+        assert.strictEqual(p.isProbablePrime(100, rnd), true);
+        assert.strictEqual(p.add(BigInteger.TWO).multiply(3).isProbablePrime(100, rnd), false);
+        assert.ok(x.nextProbablePrime(new Random(3)).equals(next));
+        assert.strictEqual(BigInteger.probablePrime(OPERAND_BITS, rnd).bitLength(), OPERAND_BITS);
+    });
+});
+
+test('modSqrt is not limited by the size of its products', () => {
+    const { p, x } = operands(4);
+    const square = x.modPow(2, p);
+    const root = BigInteger.withLimits(LIMIT, () => NumberTheory.modSqrt(square, p));
+    assert.ok(root.modPow(2, p).equals(square));
+});
+
+test('results over the limit are rejected', () => {
+    const { x, rnd } = operands(5);
+    BigInteger.withLimits(LIMIT, () => {
+        assert.throws(() => x.multiply(x), ArithmeticException);
+        assert.throws(() => x.shiftLeft(100), ArithmeticException);
+        assert.throws(() => BigInteger.probablePrime(1100, rnd), ArithmeticException);
+        assert.throws(() => NumberTheory.crt([x, x], [x.nextProbablePrime(rnd), x.add(BigInteger.ONE)]),
+                      ArithmeticException);
+    });
+});
+
+test('roots are not limited by the powers of their estimates', () => {
+    const x = BigInteger.ONE.shiftLeft(4095).add(BigInteger.ONE);
+    const cube = BigInteger.valueOf(3).pow(2583);
+    BigInteger.withLimits({ maxBitLength: 4096 }, () => {
+        assert.strictEqual(x.nthRoot(4093).toString(), '2');
+        assert.strictEqual(x.negate().nthRoot(4093).toString(), '-3');
+        assert.strictEqual(x.sqrt().bitLength(), 2048);
+        assert.strictEqual(NumberTheory.isPerfectPower(x), false);
+        assert.strictEqual(NumberTheory.isPerfectPower(cube), true);
+    });
+});
+
+test('factorials and binomial coefficients over the limit are rejected before they are calculated', () => {
+    BigInteger.withLimits({ maxBitLength: 4096 }, () => {
+        assert.throws(() => NumberTheory.binomial(3e7, 1.5e7), ArithmeticException);
+        assert.throws(() => NumberTheory.binomial(2 ** 40, 200), ArithmeticException);
+        assert.throws(() => NumberTheory.factorial(1e6), ArithmeticException);
+        // The largest results that fit: 4102 choose 2051 has 4096 bits, and 536! has 4092
+        assert.strictEqual(NumberTheory.binomial(4102, 2051).bitLength(), 4096);
+        assert.throws(() => NumberTheory.binomial(4104, 2052), ArithmeticException);
+        assert.strictEqual(NumberTheory.factorial(536).bitLength(), 4092);
+        assert.throws(() => NumberTheory.factorial(537), ArithmeticException);
+    });
+    assert.throws(() => NumberTheory.factorial(1e9), ArithmeticException);
+    assert.throws(() => NumberTheory.factorial(1e12), ArithmeticException);
+});
@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests BigInteger.parseLiteral against the integer syntax of the Clojure reader.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BigInteger, NumberFormatException } = require('../index.js');
+
+test('parseLiteral reads decimal, hexadecimal, octal and radix literals', () => {
+    const cases = [
+        ['123', '123'], ['123N', '123'], ['+7', '7'], ['-42N', '-42'],
+        ['0', '0'], ['-0', '0'], ['0N', '0'], ['00', '0'],
+        ['0x1F', '31'], ['-0x1F', '-31'], ['0X1fN', '31'], ['+0xff', '255'],
+        ['017', '15'], ['-017N', '-15'], ['0777', '511'],
+        ['2r1011', '11'], ['2R11', '3'], ['-8r777', '-511'], ['36rZZ', '1295'], ['36rzz', '1295'],
+        // Radix digits take a trailing N as a digit, as the Clojure reader does
+        ['36rZZN', '46643'],
+        ['0x' + 'f'.repeat(40), BigInteger.ONE.shiftLeft(160).subtract(BigInteger.ONE).toString()],
+        ['9'.repeat(50) + 'N', '9'.repeat(50)]
+    ];
+    for (const [literal, expected] of cases) {
+        assert.strictEqual(BigInteger.parseLiteral(literal).toString(), expected, literal);
+    }
+});
+
+test('parseLiteral rejects anything else with the message of the Clojure reader', () => {
+    const invalid = ['', '-', 'N', '08', '099N', '0x', '0xN', '1.5', '1e3', '1/2', ' 1', '1 ', '+-1', '--1',
+        '1_000', 'r1', '10r', '0b101', '١٢', '１'];
+    for (const literal of invalid) {
+        assert.throws(() => BigInteger.parseLiteral(literal),
+            { constructor: NumberFormatException, message: `Invalid number: ${literal}` }, literal);
+    }
+    for (const literal of ['1r0', '37r1', '99r1']) {
+        assert.throws(() => BigInteger.parseLiteral(literal),
+            { constructor: NumberFormatException, message: `Radix out of range: ${literal}` }, literal);
+    }
+    // Digits outside the radix are rejected by the BigInteger constructor, as in Clojure
+    assert.throws(() => BigInteger.parseLiteral('2r102'), NumberFormatException);
+    assert.throws(() => BigInteger.parseLiteral('16rFFN'), NumberFormatException);
+});
@@ -0,0 +1,165 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests that Long has the semantics of Java's long: wraparound on overflow,
+ * truncating division, shifts that use the low 6 bits of their distance, and unsigned operations.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Long, BigInteger, ArithmeticException, NumberFormatException } = require('../index.js');
+
+const MIN = Long.MIN_VALUE;
+const MAX = Long.MAX_VALUE;
+
+/**
+ * Parses a decimal string as a Long.
+ * @param {string} s  The string.
+ * @returns {Long} The value of s.
+ */
+function long(s) {
+    return Long.parseLong(s);
+}
+
+test('arithmetic wraps around on overflow', () => {
+    assert.strictEqual(MAX.add(1).toString(), '-9223372036854775808');
+    assert.ok(MAX.add(1).equals(MIN));
+    assert.ok(MIN.subtract(1).equals(MAX));
+    assert.strictEqual(MAX.multiply(2).toString(), '-2');
+    assert.strictEqual(long('3037000500').multiply(long('3037000500')).toString(), '-9223372036709301616');
+    assert.strictEqual(long('-4294967296').multiply(long('4294967296')).toString(), '0');
+    assert.ok(MIN.negate().equals(MIN));
+    assert.ok(MIN.abs().equals(MIN));
+    assert.strictEqual(long('123456789012').multiply(-1000).toString(), '-123456789012000');
+});
+
+test('division truncates towards zero, and the remainder has the sign of the dividend', () => {
+    assert.strictEqual(long('-7').divide(2).toString(), '-3');
+    assert.strictEqual(long('-7').remainder(2).toString(), '-1');
+    assert.strictEqual(long('7').remainder(-2).toString(), '1');
+    assert.strictEqual(MAX.divide(long('-4294967296')).toString(), '-2147483647');
+    assert.ok(MIN.divide(-1).equals(MIN));
+    assert.strictEqual(MIN.remainder(-1).toString(), '0');
+    assert.strictEqual(MIN.divide(long('3000000000')).toString(), '-3074457345');
+    assert.strictEqual(MIN.remainder(long('3000000000')).toString(), '-1854775808');
+    assert.throws(() => Long.ONE.divide(0), ArithmeticException);
+});
+
+test('shifts use the low 6 bits of the distance, and the unsigned shift fills with zeros', () => {
+    const minusOne = Long.NEGATIVE_ONE;
+    assert.ok(minusOne.shiftRightUnsigned(1).equals(MAX));
+    assert.strictEqual(minusOne.shiftRightUnsigned(63).toString(), '1');
+    assert.strictEqual(minusOne.shiftRightUnsigned(32).toString(), '4294967295');
+    assert.strictEqual(minusOne.shiftRightUnsigned(64).toString(), '-1');
+    assert.strictEqual(long('-16').shiftRight(2).toString(), '-4');
+    assert.strictEqual(long('-16').shiftRight(100).toString(), '-1');
+    assert.strictEqual(long('-16').shiftRightUnsigned(60).toString(), '15');
+    assert.strictEqual(MIN.shiftRight(63).toString(), '-1');
+    assert.strictEqual(Long.ONE.shiftLeft(64).toString(), '1');
+    assert.strictEqual(Long.ONE.shiftLeft(65).toString(), '2');
+    assert.ok(Long.ONE.shiftLeft(-1).equals(MIN));
+    assert.strictEqual(Long.ONE.shiftLeft(40).toString(), '1099511627776');
+    assert.ok(Long.ONE.rotateLeft(-1).equals(MIN));
+    assert.ok(Long.ONE.rotateRight(1).equals(MIN));
+    assert.strictEqual(MIN.rotateLeft(1).toString(), '1');
+    assert.strictEqual(Long.parseLong('12345678', 16).rotateLeft(36).toString(16), '2345678000000001');
+    assert.strictEqual(Long.parseLong('12345678', 16).rotateRight(-36).toString(16), '2345678000000001');
+});
+
+test('bit operations count and locate bits across both halves', () => {
+    assert.strictEqual(Long.NEGATIVE_ONE.bitCount(), 64);
+    assert.strictEqual(MIN.bitCount(), 1);
+    assert.strictEqual(Long.ONE.numberOfLeadingZeros(), 63);
+    assert.strictEqual(Long.ZERO.numberOfLeadingZeros(), 64);
+    assert.strictEqual(Long.ZERO.numberOfTrailingZeros(), 64);
+    assert.strictEqual(MIN.numberOfTrailingZeros(), 63);
+    assert.strictEqual(long('4294967296').numberOfTrailingZeros(), 32);
+    assert.strictEqual(long('-6').and(long('4294967295')).toString(), '4294967290');
+    assert.strictEqual(long('5').or(MIN).toString(), '-9223372036854775803');
+    assert.strictEqual(long('-1').xor(MAX).toString(), '-9223372036854775808');
+    assert.strictEqual(Long.ZERO.not().toString(), '-1');
+});
+
+test('unsigned operations treat the bits as a value from 0 to 2^64 - 1', () => {
+    const minusOne = Long.NEGATIVE_ONE;
+    assert.strictEqual(minusOne.toUnsignedString(), '18446744073709551615');
+    assert.strictEqual(minusOne.toUnsignedString(16), 'ffffffffffffffff');
+    assert.strictEqual(MIN.toUnsignedString(2), '1' + '0'.repeat(63));
+    assert.strictEqual(minusOne.divideUnsigned(10).toString(), '1844674407370955161');
+    assert.strictEqual(minusOne.remainderUnsigned(10).toString(), '5');
+    assert.strictEqual(minusOne.divideUnsigned(long('4294967296')).toString(), '4294967295');
+    assert.strictEqual(minusOne.divideUnsigned(MIN).toString(), '1');
+    assert.strictEqual(minusOne.remainderUnsigned(MIN).toString(), '9223372036854775807');
+    assert.strictEqual(long('5').divideUnsigned(minusOne).toString(), '0');
+    assert.strictEqual(long('-2').divideUnsigned(long('-3')).toString(), '1');
+    assert.strictEqual(minusOne.compareUnsigned(Long.ONE), 1);
+    assert.strictEqual(minusOne.compareTo(Long.ONE), -1);
+    assert.strictEqual(MIN.toUnsignedBigInteger().toString(), '9223372036854775808');
+    assert.throws(() => minusOne.divideUnsigned(0), ArithmeticException);
+});
+
+test('parseLong and parseUnsignedLong accept and reject the strings Java does', () => {
+    assert.ok(long('-9223372036854775808').equals(MIN));
+    assert.ok(long('+9223372036854775807').equals(MAX));
+    assert.strictEqual(Long.parseLong('-ff', 16).toString(), '-255');
+    assert.strictEqual(Long.parseLong('zz', 36).toString(), '1295');
+    assert.strictEqual(Long.parseUnsignedLong('18446744073709551615').toString(), '-1');
+    assert.strictEqual(Long.parseUnsignedLong('+8000000000000000', 16).toString(), '-9223372036854775808');
+    const rejects = (fn, message) => assert.throws(fn, { constructor: NumberFormatException, message });
+    rejects(() => long('9223372036854775808'), 'For input string: "9223372036854775808"');
+    rejects(() => long('-9223372036854775809'), 'For input string: "-9223372036854775809"');
+    rejects(() => long(''), 'For input string: ""');
+    rejects(() => long('-'), 'For input string: "-"');
+    rejects(() => long('1_000'), 'For input string: "1_000"');
+    rejects(() => Long.parseLong('g', 16), 'For input string: "g" under radix 16');
+    rejects(() => long(null), 'Cannot parse null string: null');
+    rejects(() => Long.parseLong('1', 37), 'radix 37 greater than Character.MAX_RADIX');
+    rejects(() => Long.parseUnsignedLong('-1'), 'Illegal leading minus sign on unsigned string -1.');
+    rejects(() => Long.parseUnsignedLong('18446744073709551616'),
+        'String value 18446744073709551616 exceeds range of unsigned long.');
+});
+
+test('conversions narrow as Java does', () => {
+    assert.strictEqual(long('4294967301').intValue(), 5);
+    assert.strictEqual(long('2147483648').intValue(), -2147483648);
+    assert.strictEqual(MAX.doubleValue(), 9223372036854775808);
+    assert.ok(Long.fromNumber(1e19).equals(MAX));
+    assert.ok(Long.fromNumber(-1e19).equals(MIN));
+    assert.strictEqual(Long.fromNumber(NaN).toString(), '0');
+    assert.strictEqual(Long.fromNumber(-1.5).toString(), '-1');
+    assert.strictEqual(Long.fromBigInt(2n ** 64n + 5n).toString(), '5');
+    assert.strictEqual(Long.fromBigInt(2n ** 63n).toString(), '-9223372036854775808');
+    assert.strictEqual(MIN.toBigInt(), -(2n ** 63n));
+    assert.strictEqual(Long.fromBits(-1, 0x7FFFFFFF).toString(), '9223372036854775807');
+    assert.strictEqual(Long.valueOf(-(2 ** 53)).toString(), '-9007199254740992');
+    assert.throws(() => Long.valueOf(2 ** 53 + 2), RangeError);
+    assert.ok(Long.fromBigInteger(BigInteger.ONE.shiftLeft(63).negate()).equals(MIN));
+    assert.throws(() => Long.fromBigInteger(BigInteger.ONE.shiftLeft(63)), ArithmeticException);
+});
+
+test('hashCode folds the halves together, as Long.hashCode does', () => {
+    assert.strictEqual(Long.NEGATIVE_ONE.hashCode(), 0);
+    assert.strictEqual(long('4294967296').hashCode(), 1);
+    assert.strictEqual(long('-2').hashCode(), 1);
+    assert.strictEqual(MAX.hashCode(), -2147483648);
+});
@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests the int and long division functions of JavaMath against Java's results.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JavaMath, Long, ArithmeticException } = require('../index.js');
+
+const MIN_INT = -2147483648;
+const MAX_INT = 2147483647;
+
+test('ceilDiv rounds int quotients up, and wraps MIN_VALUE / -1 around', () => {
+    assert.strictEqual(JavaMath.ceilDiv(MIN_INT, -1), MIN_INT);
+    assert.strictEqual(JavaMath.ceilDiv(MAX_INT, -1), -MAX_INT);
+    assert.strictEqual(JavaMath.ceilDiv(MIN_INT, 1), MIN_INT);
+    assert.strictEqual(JavaMath.ceilDiv(MIN_INT, -2), 1073741824);
+    assert.strictEqual(JavaMath.ceilDiv(7, 2), 4);
+    assert.strictEqual(JavaMath.ceilDiv(-7, 2), -3);
+    assert.strictEqual(JavaMath.ceilDiv(7, -2), -3);
+    assert.strictEqual(JavaMath.ceilDiv(-7, -2), 4);
+    assert.strictEqual(JavaMath.ceilDiv(6, 3), 2);
+    assert.throws(() => JavaMath.ceilDiv(1, 0), ArithmeticException);
+});
+
+test('floorDiv rounds int quotients down, and wraps MIN_VALUE / -1 around', () => {
+    assert.strictEqual(JavaMath.floorDiv(MIN_INT, -1), MIN_INT);
+    assert.strictEqual(JavaMath.floorDiv(MIN_INT, 3), -715827883);
+    assert.strictEqual(JavaMath.floorDiv(7, 2), 3);
+    assert.strictEqual(JavaMath.floorDiv(-7, 2), -4);
+    assert.strictEqual(JavaMath.floorDiv(7, -2), -4);
+    assert.strictEqual(JavaMath.floorDiv(-7, -2), 3);
+});
+
+test('ceilDiv and floorDiv wrap Long.MIN_VALUE / -1 around', () => {
+    assert.ok(JavaMath.ceilDiv(Long.MIN_VALUE, Long.valueOf(-1)).equals(Long.MIN_VALUE));
+    assert.ok(JavaMath.floorDiv(Long.MIN_VALUE, Long.valueOf(-1)).equals(Long.MIN_VALUE));
+    assert.ok(JavaMath.ceilDiv(Long.valueOf(-7), Long.valueOf(-2)).equals(Long.valueOf(4)));
+});
@@ -0,0 +1,83 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests the packaging of the library: that the ES module and Closure forms generated
+ * by npm run build have the exports and behaviour of the CommonJS sources, and that the package
+ * entry points resolve to them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const CLOSURE_DIR = path.join(ROOT, 'dist', 'closure', 'cljs', 'math');
+
+execFileSync(process.execPath, [path.join(ROOT, 'scripts', 'build.js')]);
+
+test('the package entry points load the CommonJS and ES module forms', async () => {
+    const cjs = require('cljs-math');
+    const esm = await import('cljs-math');
+    assert.strictEqual(cjs, require('../index.js'));
+    assert.deepStrictEqual(Object.keys(esm).sort(), Object.keys(cjs).sort());
+    assert.notStrictEqual(esm.BigInteger, cjs.BigInteger);
+    const { BigInteger } = await import('cljs-math/cljs/math/biginteger.js');
+    assert.strictEqual(BigInteger, esm.BigInteger);
+    assert.strictEqual(require('cljs-math/cljs/math/biginteger.js').BigInteger, cjs.BigInteger);
+});
+
+test('the ES module form calculates the same results as the CommonJS form', async () => {
+    const esm = await import('cljs-math');
+    for (const { BigInteger, BigDecimal, Ratio, Long, Integer, StrictMath } of [esm, require('../index.js')]) {
+        assert.strictEqual(BigInteger.TWO.pow(100).toString(), '1267650600228229401496703205376');
+        assert.strictEqual(BigDecimal.valueOf(1e20).toString(), '1.0E+20');
+        assert.strictEqual(Ratio.divide(6, 4).toString(), '3/2');
+        assert.strictEqual(Long.MAX_VALUE.add(Long.ONE).toString(), '-9223372036854775808');
+        assert.strictEqual(Integer.parseUnsignedInt('4294967295'), -1);
+        assert.strictEqual(StrictMath.exp(1), 2.7182818284590455);
+    }
+    // The ES module form starts its workers from its own location
+    const x = esm.BigInteger.ONE.shiftLeft(20000).subtract(esm.BigInteger.TEN);
+    assert.ok((await x.parallelMultiply(x, { workers: 2 })).equals(x.square()));
+});
+
+test('the Closure form declares a goog.module for each module, without CommonJS or private members', () => {
+    const namespaces = new Set();
+    const requires = new Set();
+    for (const file of fs.readdirSync(CLOSURE_DIR)) {
+        const source = fs.readFileSync(path.join(CLOSURE_DIR, file), 'utf8');
+        const [, namespace] = source.match(/^goog\.module\('([\w.]+)'\);\ngoog\.module\.declareLegacyNamespace\(\);$/m);
+        namespaces.add(namespace);
+        assert.ok(!/(?<!goog\.)require\('|module\.exports =/.test(source), `${file} uses CommonJS`);
+        assert.ok(!/\.#\w/.test(source), `${file} has private members`);
+        for (const [, required] of source.matchAll(/goog\.require\('([\w.]+)'\)/g)) requires.add(required);
+    }
+    for (const required of requires) assert.ok(namespaces.has(required), `${required} is not declared`);
+    for (const namespace of ['cljs.math.BigInteger', 'cljs.math.BigDecimal', 'cljs.math.Ratio', 'cljs.math.Long',
+        'cljs.math.Random', 'cljs.math.Integer', 'cljs.math.Math', 'cljs.math.StrictMath', 'cljs.math.NumberTheory']) {
+        assert.ok(namespaces.has(namespace), namespace);
+    }
+    assert.ok(!fs.existsSync(path.join(CLOSURE_DIR, 'multiplyworker.js')));
+});
@@ -0,0 +1,154 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests the in-place arithmetic of MutableBigInteger against native BigInts.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MutableBigInteger } = require('../cljs/math/mutablebiginteger.js');
+const { Random } = require('../index.js');
+
+/**
+ * Creates a normal MutableBigInteger from a non-negative BigInt. Leading zero ints are added before
+ * normalizing, so that the value starts at a non-zero offset in its array.
+ * @param {bigint} n  The value.
+ * @param {number} padding  The number of zero ints to put before the value.
+ * @returns {MutableBigInteger} A MutableBigInteger with the value of n.
+ */
+function mutable(n, padding = 0) {
+    const hex = n.toString(16);
+    const ints = n === 0n ? 0 : (hex.length + 7) >>> 3;
+    const value = new Uint32Array(padding + ints);
+    for (let i = 0; i < ints; i++) value[padding + ints - 1 - i] = Number(BigInt.asUintN(32, n >> BigInt(32 * i)));
+    const result = new MutableBigInteger(value);
+    result.normalize();
+    return result;
+}
+
+/**
+ * Returns the value of a MutableBigInteger.
+ * @param {MutableBigInteger} m  The MutableBigInteger.
+ * @returns {bigint} The value of m.
+ */
+function valueOf(m) {
+    let n = 0n;
+    for (const int of m.getMagnitudeArray()) n = (n << 32n) | BigInt(int);
+    return n;
+}
+
+/**
+ * Creates a random non-negative BigInt of up to the given number of ints.
+ * @param {number} ints  The largest number of ints.
+ * @param {Random} rnd  The source of random bits.
+ * @returns {bigint} The random value.
+ */
+function randomValue(ints, rnd) {
+    let n = 0n;
+    for (let i = rnd.nextInt(ints + 1); i > 0; i--) n = (n << 32n) | BigInt(rnd.nextInt() >>> 0);
+    return n;
+}
+
+test('add, subtract and compare agree with BigInt', () => {
+    const rnd = new Random(15);
+    for (let i = 0; i < 200; i++) {
+        const a = randomValue(6, rnd);
+        const b = randomValue(6, rnd);
+        const sum = mutable(a, i % 3);
+        sum.add(mutable(b, 1));
+        assert.strictEqual(valueOf(sum), a + b, `${a} + ${b}`);
+
+        const difference = mutable(a, 2);
+        const sign = difference.subtract(mutable(b));
+        assert.strictEqual(sign, a > b ? 1 : (a < b ? -1 : 0));
+        assert.strictEqual(valueOf(difference), a > b ? a - b : b - a, `|${a} - ${b}|`);
+        assert.strictEqual(mutable(a, 1).compare(mutable(b)), sign);
+    }
+    const carry = mutable(2n ** 128n - 1n);
+    carry.add(mutable(1n));
+    assert.strictEqual(valueOf(carry), 2n ** 128n);
+});
+
+test('leftShift and rightShift agree with BigInt', () => {
+    const rnd = new Random(16);
+    for (let i = 0; i < 100; i++) {
+        const a = randomValue(5, rnd);
+        for (const n of [0, 1, 5, 31, 32, 33, 64, 100, 200]) {
+            const left = mutable(a, i % 2);
+            left.leftShift(n);
+            assert.strictEqual(valueOf(left), a << BigInt(n), `${a} << ${n}`);
+            const right = mutable(a, i % 2);
+            right.rightShift(n);
+            assert.strictEqual(valueOf(right), a >> BigInt(n), `${a} >> ${n}`);
+        }
+        const m = mutable(a);
+        assert.strictEqual(m.getLowestSetBit(), a === 0n ? -1 : (a & -a).toString(2).length - 1);
+    }
+});
+
+test('multiply, divideOneWord and divideKnuth agree with BigInt', () => {
+    const rnd = new Random(17);
+    for (let i = 0; i < 200; i++) {
+        const a = randomValue(12, rnd);
+        const b = randomValue(5, rnd) || 1n;
+        const product = new MutableBigInteger();
+        mutable(a, 1).multiply(mutable(b, 2), product);
+        assert.strictEqual(valueOf(product), a * b, `${a} * ${b}`);
+
+        const quotient = new MutableBigInteger();
+        const dividend = mutable(a, 1);
+        const remainder = dividend.divideKnuth(mutable(b), quotient);
+        assert.strictEqual(valueOf(quotient), a / b, `${a} / ${b}`);
+        assert.strictEqual(valueOf(remainder), a % b, `${a} % ${b}`);
+        assert.strictEqual(valueOf(dividend), a, 'the dividend is unchanged');
+
+        const d = (rnd.nextInt() >>> 0) || 1;
+        const wordQuotient = new MutableBigInteger();
+        assert.strictEqual(BigInt(mutable(a, 1).divideOneWord(d, wordQuotient)), a % BigInt(d));
+        assert.strictEqual(valueOf(wordQuotient), a / BigInt(d), `${a} / ${d}`);
+    }
+    // The largest divisor word, whose partial dividends are the largest
+    const quotient = new MutableBigInteger();
+    const max = 2n ** 96n - 1n;
+    assert.strictEqual(mutable(max).divideOneWord(0xffffffff, quotient), 0);
+    assert.strictEqual(valueOf(quotient), max / 0xffffffffn);
+});
+
+test('hybridGcd, binaryGcd and inverseMod32 agree with BigInt', () => {
+    const rnd = new Random(18);
+    const gcd = (a, b) => (b === 0n ? a : gcd(b, a % b));
+    for (let i = 0; i < 100; i++) {
+        const common = randomValue(2, rnd) || 1n;
+        const a = (randomValue(8, rnd) || 1n) * common;
+        const b = (randomValue(3, rnd) || 1n) * common;
+        assert.strictEqual(valueOf(mutable(a, 1).hybridGcd(mutable(b))), gcd(a, b), `gcd(${a}, ${b})`);
+        assert.strictEqual(valueOf(mutable(a).binaryGcd(mutable(b, 1))), gcd(a, b), `gcd(${a}, ${b})`);
+
+        const x = rnd.nextInt() >>> 0;
+        const y = rnd.nextInt() >>> 0;
+        assert.strictEqual(MutableBigInteger.binaryGcd(x, y), Number(gcd(BigInt(x), BigInt(y))));
+        const odd = x | 1;
+        assert.strictEqual(Math.imul(odd, MutableBigInteger.inverseMod32(odd)), 1);
+    }
+    assert.strictEqual(MutableBigInteger.binaryGcd(0, 0xfffffffe), 0xfffffffe);
+});
@@ -0,0 +1,150 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests the NumberTheory functions against direct calculations and known values.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { NumberTheory, BigInteger, ArithmeticException } = require('../index.js');
+
+const { factorial, binomial, lcm, jacobi, modSqrt, isPerfectSquare, isPerfectPower, crt } = NumberTheory;
+
+/**
+ * Asserts that a function throws an ArithmeticException with the given message.
+ * @param {Function} fn  The function to call.
+ * @param {string} message  The message of the exception.
+ */
+function throwsArithmetic(fn, message) {
+    assert.throws(fn, { constructor: ArithmeticException, message });
+}
+
+test('factorial agrees with the product of the integers', () => {
+    var expected = 1n;
+    for (var n = 0; n <= 300; n++) {
+        if (n > 0) expected *= BigInt(n);
+        assert.strictEqual(factorial(n).toBigInt(), expected, `${n}!`);
+    }
+    assert.strictEqual(factorial(25).toString(), '15511210043330985984000000');
+    throwsArithmetic(() => factorial(-1), 'Negative argument: -1');
+    assert.throws(() => factorial(1.5), RangeError);
+});
+
+test('binomial agrees with the quotient of factorials, on both sides of the sieve limit', () => {
+    for (var n = 0; n <= 60; n++) {
+        for (var k = 0; k <= n; k++) {
+            assert.ok(binomial(n, k).equals(factorial(n).divide(factorial(k).multiply(factorial(n - k)))),
+                `(${n} ${k})`);
+        }
+    }
+    assert.strictEqual(binomial(52, 5).toString(), '2598960');
+    assert.strictEqual(binomial(100, 50).toString(), '100891344545564193334812497256');
+    const huge = 2 ** 40;
+    const big = BigInt(huge);
+    assert.strictEqual(binomial(huge, 3).toBigInt(), big * (big - 1n) * (big - 2n) / 6n);
+    assert.strictEqual(binomial(huge, huge - 1).toBigInt(), big);
+    throwsArithmetic(() => binomial(5, 6), 'k (6) > n (5)');
+    throwsArithmetic(() => binomial(5, -1), 'Negative argument: -1');
+});
+
+test('lcm is the least common multiple of the absolute values', () => {
+    assert.strictEqual(lcm(4, 6).toString(), '12');
+    assert.strictEqual(lcm(-4, 6).toString(), '12');
+    assert.strictEqual(lcm(7, -7).toString(), '7');
+    assert.strictEqual(lcm(0, 5).toString(), '0');
+    const a = BigInteger.ONE.shiftLeft(100);
+    assert.ok(lcm(a, a.multiply(BigInteger.valueOf(3))).equals(a.multiply(BigInteger.valueOf(3))));
+});
+
+test('jacobi gives the Jacobi symbol, and the Legendre symbol for a prime', () => {
+    assert.strictEqual(jacobi(1001, 9907), -1);
+    assert.strictEqual(jacobi(19, 45), 1);
+    assert.strictEqual(jacobi(8, 21), -1);
+    assert.strictEqual(jacobi(5, 21), 1);
+    assert.strictEqual(jacobi(0, 3), 0);
+    assert.strictEqual(jacobi(6, 9), 0);
+    assert.strictEqual(jacobi(-1, 7), -1);
+    assert.strictEqual(jacobi(-1, 13), 1);
+    assert.strictEqual(jacobi(3, 1), 1);
+    // Euler's criterion: a^((p-1)/2) is 1 for squares and p - 1 for non-squares modulo p
+    const p = BigInteger.valueOf(1009);
+    const half = p.shiftRight(1);
+    for (var a = 1; a < 1009; a++) {
+        const euler = BigInteger.valueOf(a).modPow(half, p);
+        assert.strictEqual(jacobi(a, p), euler.equals(BigInteger.ONE) ? 1 : -1, `(${a}/1009)`);
+    }
+    throwsArithmetic(() => jacobi(3, 8), 'Jacobi symbol of an even or non-positive modulus');
+    throwsArithmetic(() => jacobi(3, -7), 'Jacobi symbol of an even or non-positive modulus');
+});
+
+test('modSqrt finds the smaller square root by each of its methods', () => {
+    assert.strictEqual(modSqrt(10, 13).toString(), '6');
+    assert.strictEqual(modSqrt(2, 7).toString(), '3');
+    assert.strictEqual(modSqrt(5, 41).toString(), '13');
+    assert.strictEqual(modSqrt(-1, 13).toString(), '5');
+    assert.strictEqual(modSqrt(0, 13).toString(), '0');
+    assert.strictEqual(modSqrt(3, 2).toString(), '1');
+    // p = 3 (mod 4) uses a single power, 1 (mod 8) Tonelli-Shanks, and 65537 = 2^16 + 1 and
+    // 3 × 2^30 + 1 Cipolla's algorithm
+    const primes = [BigInteger.ONE.shiftLeft(127).subtract(BigInteger.ONE), BigInteger.valueOf(1000000009),
+        BigInteger.valueOf(65537), BigInteger.valueOf(3 * 2 ** 30 + 1)];
+    for (const p of primes) {
+        for (const x of [2, 3, 12345, 65536]) {
+            const a = BigInteger.valueOf(x).square().mod(p);
+            const root = modSqrt(a, p);
+            assert.ok(root.square().mod(p).equals(a), `sqrt(${a}) mod ${p}`);
+            assert.ok(root.compareTo(p.shiftRight(1)) <= 0, `sqrt(${a}) mod ${p}`);
+        }
+    }
+    throwsArithmetic(() => modSqrt(3, 7), 'Not a quadratic residue');
+    throwsArithmetic(() => modSqrt(4, 15), 'Modulus is not prime');
+    throwsArithmetic(() => modSqrt(1, 9), 'Modulus is not prime');
+    throwsArithmetic(() => modSqrt(1, 10), 'Modulus is not prime');
+    throwsArithmetic(() => modSqrt(1, 0), 'BigInteger: modulus not positive');
+});
+
+test('isPerfectSquare and isPerfectPower recognise powers', () => {
+    const big = BigInteger.ONE.shiftLeft(100).add(BigInteger.ONE);
+    for (const n of [0, 1, 4, 144, big.square()]) assert.ok(isPerfectSquare(n), String(n));
+    for (const n of [2, 3, -4, 143, big.square().subtract(BigInteger.ONE)]) assert.ok(!isPerfectSquare(n), String(n));
+    const powers = [0, 1, -1, 8, -8, -27, 32, 1000000, BigInteger.valueOf(3).pow(41), BigInteger.TWO.pow(61),
+        BigInteger.valueOf(7).pow(15).negate(), big.pow(5)];
+    for (const n of powers) assert.ok(isPerfectPower(n), String(n));
+    const nonPowers = [2, 6, 12, 72, -4, -32 * 9, BigInteger.TWO.pow(61).add(BigInteger.ONE),
+        big.pow(5).add(BigInteger.ONE)];
+    for (const n of nonPowers) assert.ok(!isPerfectPower(n), String(n));
+});
+
+test('crt solves congruences, with moduli that need not be coprime', () => {
+    assert.strictEqual(crt([2, 3, 2], [3, 5, 7]).toString(), '23');
+    assert.strictEqual(crt([1, 3], [4, 6]).toString(), '9');
+    assert.strictEqual(crt([-1], [5]).toString(), '4');
+    assert.strictEqual(crt([], []).toString(), '0');
+    const m1 = BigInteger.ONE.shiftLeft(89).subtract(BigInteger.ONE);
+    const m2 = BigInteger.ONE.shiftLeft(107).subtract(BigInteger.ONE);
+    const x = m1.multiply(m2).subtract(BigInteger.valueOf(12345));
+    assert.ok(crt([x.mod(m1), x.mod(m2)], [m1, m2]).equals(x));
+    throwsArithmetic(() => crt([0, 1], [2, 4]), 'Congruences have no solution');
+    throwsArithmetic(() => crt([0], [0]), 'BigInteger: modulus not positive');
+    throwsArithmetic(() => crt([0, 1], [2]), 'Residues and moduli differ in length');
+});
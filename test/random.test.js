@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests that Random reproduces the streams of java.util.Random, and that BigInteger
+ * draws its random values from whatever source it is given.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Random, SecureRandom, BigInteger } = require('../index.js');
+
+/**
+ * Draws values from a generator.
+ * @param {Random} rnd  The generator.
+ * @param {Function} fn  The function that draws one value from rnd.
+ * @param {number} count  The number of values to draw.
+ * @returns {Array} The values drawn.
+ */
+function draw(rnd, fn, count) {
+    return Array.from({ length: count }, () => fn(rnd));
+}
+
+test('nextInt and nextLong give the values of java.util.Random with the same seed', () => {
+    assert.deepStrictEqual(draw(new Random(0), (r) => r.nextInt(), 5),
+        [-1155484576, -723955400, 1033096058, -1690734402, -1557280266]);
+    assert.deepStrictEqual(draw(new Random(42), (r) => r.nextInt(), 5),
+        [-1170105035, 234785527, -1360544799, 205897768, 1325939940]);
+    assert.strictEqual(new Random(0).nextLong(), -4962768465676381896n);
+    assert.strictEqual(new Random(42).nextLong(), -5025562857975149833n);
+});
+
+test('bounded ints take the high bits for powers of two and the remainder otherwise', () => {
+    assert.strictEqual(new Random(0).nextInt(100), 60);
+    assert.strictEqual(new Random(42).nextInt(10), 0);
+    assert.strictEqual(new Random(0).nextInt(16), 11);
+    assert.strictEqual(new Random(0).nextInt(1), 0);
+    for (const value of draw(new Random(1), (r) => r.nextInt(0x40000001), 200)) {
+        assert.ok(value >= 0 && value < 0x40000001);
+    }
+    assert.throws(() => new Random(0).nextInt(0), RangeError);
+    assert.throws(() => new Random(0).nextInt(2 ** 31), RangeError);
+});
+
+test('doubles, floats, booleans and bytes are built from the same stream', () => {
+    assert.deepStrictEqual(draw(new Random(0), (r) => r.nextDouble(), 5),
+        [0.730967787376657, 0.24053641567148587, 0.6374174253501083, 0.5504370051176339, 0.5975452777972018]);
+    assert.strictEqual(new Random(42).nextDouble(), 0.7275636800328681);
+    assert.strictEqual(new Random(0).nextFloat(), Math.fround(0.73096776));
+    assert.deepStrictEqual(draw(new Random(0), (r) => r.nextBoolean(), 4), [true, true, false, true]);
+    // Each int fills four bytes, least significant first: 0xBB20B460, then 0xD4D95138
+    const bytes = new Uint8Array(6);
+    new Random(0).nextBytes(bytes);
+    assert.deepStrictEqual(Array.from(bytes), [0x60, 0xB4, 0x20, 0xBB, 0x38, 0x51]);
+});
+
+test('setSeed restarts the stream, and only the low 48 bits of the seed are used', () => {
+    const rnd = new Random(42);
+    const first = draw(rnd, (r) => r.nextInt(), 3);
+    rnd.setSeed(42);
+    assert.deepStrictEqual(draw(rnd, (r) => r.nextInt(), 3), first);
+    assert.deepStrictEqual(draw(new Random(42n), (r) => r.nextInt(), 3), first);
+    assert.deepStrictEqual(draw(new Random(42n + (1n << 48n)), (r) => r.nextInt(), 3), first);
+    assert.deepStrictEqual(draw(new Random(-1), (r) => r.nextInt(), 3),
+        draw(new Random((1n << 48n) - 1n), (r) => r.nextInt(), 3));
+    assert.throws(() => new Random(2 ** 53), RangeError);
+});
+
+test('random BigIntegers take their bits from the bytes of the source, as Java does', () => {
+    // The first four bytes of Random(0), read big-endian, with bits above numBits cleared
+    assert.strictEqual(BigInteger.randomValue(32, new Random(0)).toString(16), '60b420bb');
+    assert.strictEqual(BigInteger.randomValue(30, new Random(0)).toString(16), '20b420bb');
+    const ones = { nextInt: () => -1, nextBytes: (bytes) => bytes.fill(0xFF) };
+    assert.strictEqual(BigInteger.randomValue(20, ones).toString(16), 'fffff');
+    assert.strictEqual(BigInteger.randomValue(0, ones).toString(), '0');
+    const p = BigInteger.probablePrime(64, new Random(7));
+    assert.ok(p.equals(BigInteger.probablePrime(64, new Random(7))));
+    assert.strictEqual(p.bitLength(), 64);
+    assert.ok(p.isProbablePrime(50));
+});
+
+test('SecureRandom ignores seeds and gives values of the requested size', () => {
+    const rnd = new SecureRandom();
+    rnd.setSeed(42);
+    for (const value of draw(rnd, (r) => r.nextInt(10), 100)) assert.ok(value >= 0 && value < 10);
+    const value = BigInteger.randomValue(100, rnd);
+    assert.ok(value.bitLength() <= 100 && value.signum() >= 0);
+});
@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests Ratio against the behaviour of clojure.lang.Ratio and Clojure's division.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Ratio, BigInteger, Long, ArithmeticException, NumberFormatException } = require('../index.js');
+
+test('a Ratio is kept in lowest terms with a positive denominator', () => {
+    const r = new Ratio(6, -4);
+    assert.strictEqual(r.toString(), '-3/2');
+    assert.strictEqual(r.numerator.toString(), '-3');
+    assert.strictEqual(r.denominator.toString(), '2');
+    assert.strictEqual(new Ratio(-2, -8).toString(), '1/4');
+    const power = BigInteger.ONE.shiftLeft(98);
+    assert.strictEqual(new Ratio(power.shiftLeft(2), power.multiply(BigInteger.valueOf(3))).toString(), '4/3');
+    assert.throws(() => new Ratio(1, 0), { constructor: ArithmeticException, message: 'Divide by zero' });
+});
+
+test('divide gives a BigInteger for whole quotients and a Ratio otherwise, as Clojure does', () => {
+    const whole = Ratio.divide(6, 3);
+    assert.ok(whole instanceof BigInteger);
+    assert.strictEqual(whole.toString(), '2');
+    const fraction = Ratio.divide(6, -4);
+    assert.ok(fraction instanceof Ratio);
+    assert.strictEqual(fraction.toString(), '-3/2');
+    assert.strictEqual(Ratio.divide(0, 5).toString(), '0');
+    assert.throws(() => Ratio.divide(1, 0), { constructor: ArithmeticException, message: 'Divide by zero' });
+});
+
+test('arithmetic reduces its results, and gives whole numbers as BigIntegers', () => {
+    const half = new Ratio(1, 2);
+    const third = new Ratio(1, 3);
+    assert.strictEqual(half.add(third).toString(), '5/6');
+    assert.strictEqual(half.subtract(third).toString(), '1/6');
+    assert.strictEqual(half.multiply(third).toString(), '1/6');
+    assert.strictEqual(half.divide(third).toString(), '3/2');
+    assert.strictEqual(third.divide(2).toString(), '1/6');
+    assert.strictEqual(third.add(BigInteger.TWO).toString(), '7/3');
+    const sum = half.add(half);
+    assert.ok(sum instanceof BigInteger);
+    assert.strictEqual(sum.toString(), '1');
+    assert.strictEqual(half.subtract(half).toString(), '0');
+    assert.strictEqual(new Ratio(2, 3).multiply(new Ratio(3, 2)).toString(), '1');
+    assert.strictEqual(half.negate().toString(), '-1/2');
+    assert.strictEqual(half.negate().abs().toString(), '1/2');
+    assert.throws(() => half.divide(0), ArithmeticException);
+});
+
+test('compareTo and equals compare values', () => {
+    const half = new Ratio(1, 2);
+    assert.strictEqual(new Ratio(1, 3).compareTo(half), -1);
+    assert.strictEqual(half.compareTo(new Ratio(2, 4)), 0);
+    assert.strictEqual(new Ratio(-1, 2).compareTo(0), -1);
+    assert.strictEqual(new Ratio(7, 2).compareTo(BigInteger.valueOf(3)), 1);
+    assert.ok(half.equals(new Ratio(2, 4)));
+    assert.ok(!half.equals(new Ratio(1, 3)));
+    assert.ok(!half.equals(0.5));
+    assert.strictEqual(new Ratio(-1, 2).signum(), -1);
+});
+
+test('conversions truncate towards zero, and doubles go by way of a DECIMAL64 BigDecimal', () => {
+    const r = new Ratio(-7, 2);
+    assert.strictEqual(r.doubleValue(), -3.5);
+    assert.strictEqual(r.intValue(), -3);
+    assert.strictEqual(r.bigIntegerValue().toString(), '-3');
+    assert.strictEqual(new Ratio(1, 3).doubleValue(), 0.3333333333333333);
+    assert.strictEqual(new Ratio(1, 3).floatValue(), Math.fround(1 / 3));
+    assert.strictEqual(new Ratio(1, 8).decimalValue().toString(), '0.125');
+    assert.throws(() => new Ratio(1, 3).decimalValue(), ArithmeticException);
+    assert.strictEqual(new Ratio(BigInteger.ONE.shiftLeft(40), 3).intValue(), 0x7FFFFFFF);
+    // longValue wraps around as Java's narrowing conversion does: (2^70 + 1) / 3 modulo 2^64
+    const large = new Ratio(BigInteger.ONE.shiftLeft(70).add(BigInteger.ONE), 3);
+    assert.strictEqual(large.longValue(Long).toString(), '6148914691236517205');
+});
+
+test('approximate finds the closest fraction with a bounded denominator', () => {
+    assert.strictEqual(Ratio.approximate(Math.PI, 1000).toString(), '355/113');
+    assert.strictEqual(Ratio.approximate(Math.PI, 100).toString(), '311/99');
+    assert.strictEqual(Ratio.approximate(Math.PI, 7).toString(), '22/7');
+    assert.strictEqual(Ratio.approximate(0.1, 1e9).toString(), '1/10');
+    assert.strictEqual(Ratio.approximate(-0.75, 3).toString(), '-2/3');
+    assert.strictEqual(Ratio.approximate(0.3, 2).toString(), '1/2');
+    const whole = Ratio.approximate(Math.E, 1);
+    assert.ok(whole instanceof BigInteger);
+    assert.strictEqual(whole.toString(), '3');
+    assert.throws(() => Ratio.approximate(NaN, 10), { constructor: NumberFormatException, message: 'Infinite or NaN' });
+    assert.throws(() => Ratio.approximate(0.5, 0), RangeError);
+});
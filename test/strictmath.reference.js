@@ -0,0 +1,682 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Reference results of java.lang.StrictMath, for comparison by bit pattern. Each
+ * entry is the name of a function, the bits of each argument, and the bits of the result, as the
+ * hexadecimal of Double.doubleToLongBits. Every NaN is therefore 7ff8000000000000.
+ *
+ * For each function the entries start with the results that the StrictMath specification fixes:
+ * NaN, signed zeros, infinities, overflow, underflow and exact results. Then come arguments at the
+ * boundaries between the branches of the fdlibm code, subnormals, and arguments that need a long
+ * argument reduction, followed by arguments sampled across the range of each branch.
+ *
+ * Outside of the specified values, each result was computed at 80 significant digits (360 for the
+ * reduction of large trigonometric arguments), and only arguments whose exact result lies within
+ * 0.05 ulp of a double were kept (0.2 ulp for the boundary cases). fdlibm is accurate to within
+ * 1 ulp, so StrictMath must return that double.
+ *
+ * The entries at the end of the sections for sin, cos, tan, exp, log and pow are the opposite: their
+ * exact results lie between 0.5 and 0.64 ulp from fdlibm's, so a correctly rounded function returns
+ * a different double. The trigonometric arguments are within a few ulps of multiples of pi/2, up to
+ * 2^20 pi/2. These results were not generated by a JVM. Each is the result of this port that an
+ * independent port of the same fdlibm code also returns: V8's (in Node 20) for sin, cos, tan, exp and
+ * log, and @stdlib/math-base-special-pow, from FreeBSD's e_pow.c, for pow. There are none for cbrt,
+ * because the ports available, including V8's, use FreeBSD's rewrite of fdlibm's cbrt, which rounds
+ * differently. The table can be checked against a JVM in jshell:
+ *   Long.toHexString(Double.doubleToLongBits(StrictMath.sin(Double.longBitsToDouble(0x3ff0000000000000L))))
+ */
+
+const STRICT_MATH_RESULTS = [
+    // sin
+    ['sin', '7ff8000000000000', '7ff8000000000000'],
+    ['sin', '0000000000000000', '0000000000000000'],
+    ['sin', '8000000000000000', '8000000000000000'],
+    ['sin', '7ff0000000000000', '7ff8000000000000'],
+    ['sin', 'fff0000000000000', '7ff8000000000000'],
+    ['sin', '0000000000000001', '0000000000000001'],
+    ['sin', '8000000000000001', '8000000000000001'],
+    ['sin', '400921fb54442d18', '3ca1a62633145c07'],
+    ['sin', '3ff921fb54442d18', '3ff0000000000000'],
+    ['sin', '3fe921fb54442d19', '3fe6a09e667f3bcd'],
+    ['sin', '4002d97c7f3321d2', '3fe6a09e667f3bcd'],
+    ['sin', '412921fb54442d18', 'bdc1a62633145c07'],
+    ['sin', '414921fb54442d18', 'bde1a62633145c07'],
+    ['sin', '4480f0cf064dd592', 'bfeb453ab76bf397'],
+    ['sin', '7506ac5b262ca1ff', '3ff0000000000000'],
+    ['sin', '3e40000000000000', '3e40000000000000'],
+    ['sin', '3e40000000000001', '3e40000000000001'],
+    ['sin', '01a56e1fc2f8f359', '01a56e1fc2f8f359'],
+    ['sin', '0010000000000000', '0010000000000000'],
+    ['sin', '3f690c130268f9b8', '3f690c1073ad4e20'],
+    ['sin', '3eb8a625d8da350c', '3eb8a625d8da2b4c'],
+    ['sin', '3f661614d9b12b28', '3f66161318c95f1c'],
+    ['sin', '3fec5785809851ec', '3fe8c7751c0b72bb'],
+    ['sin', '4001806ceb8570a4', '3fea19f62d825b0a'],
+    ['sin', '3fedd956f1747ae2', '3fe9b476ad45fcac'],
+    ['sin', '4027f79b18f7ec66', 'bfe19c5832ac296e'],
+    ['sin', '401095b12fb00e76', 'bfeb0194111c7edc'],
+    ['sin', '4038638e9aa22454', 'bfe5aafec9eb0756'],
+    ['sin', 'c0059adce9979b28', 'bfdb510e6b09ce93'],
+    ['sin', 'c03dfbe04e1a034d', '3fefb142665d4045'],
+    ['sin', 'c0575b5a9c64c79a', '3fe767a3253f9ea1'],
+    ['sin', '40912f6789055d84', '3fd286c86f46eecf'],
+    ['sin', '40c2e8ae15328437', 'bfeb68d043371b47'],
+    ['sin', '410c6cdd4c0ecd3c', 'bfefd5338169de25'],
+    ['sin', '4247ec10f5350e97', 'bfefff829f995f26'],
+    ['sin', '41b567ae40fdbead', 'bfef9040b1f02acf'],
+    ['sin', '416fbd3753aea367', 'bfee4514fcafaede'],
+    ['sin', '443c16e7a947fbee', '3fdb01ea9791029f'],
+    ['sin', '43ac0a9b48132572', 'bfe78c298a9b86ad'],
+    ['sin', '43655197671423be', '3fec8a40b6c27267'],
+    ['sin', '78cfc309e93f4ef2', 'bfd317a4740875e5'],
+    ['sin', '5ac29223d5865fc9', '3fe593ae3257834a'],
+    ['sin', '6f6528c4d29cf0ac', 'bfefac03d68641e4'],
+    // sin: fdlibm results that are not the nearest double
+    ['sin', '41303ce43ef4af25', 'be124799a689aecb'],
+    ['sin', '4132b0119f25a3f4', '3e1192446f81bd7e'],
+    ['sin', '4126c3ba5e6fbf8d', 'bde813c53a77d236'],
+    // cos
+    ['cos', '7ff8000000000000', '7ff8000000000000'],
+    ['cos', '0000000000000000', '3ff0000000000000'],
+    ['cos', '8000000000000000', '3ff0000000000000'],
+    ['cos', '7ff0000000000000', '7ff8000000000000'],
+    ['cos', 'fff0000000000000', '7ff8000000000000'],
+    ['cos', '0000000000000001', '3ff0000000000000'],
+    ['cos', '400921fb54442d18', 'bff0000000000000'],
+    ['cos', '3ff921fb54442d18', '3c91a62633145c07'],
+    ['cos', '3fe921fb54442d19', '3fe6a09e667f3bcc'],
+    ['cos', '4002d97c7f3321d2', 'bfe6a09e667f3bcc'],
+    ['cos', '412921fb54442d18', '3ff0000000000000'],
+    ['cos', '414921fb54442d18', '3ff0000000000000'],
+    ['cos', '7506ac5b262ca1ff', 'bc214ae72e6ba22f'],
+    ['cos', '3fe9000000000000', '3fe6b898fa9efb5d'],
+    ['cos', '3ebe653686f23ffd', '3fefffffffffc642'],
+    ['cos', '3e834abd2391b579', '3fefffffffffffa3'],
+    ['cos', '3f4dc5ad0af34baf', '3fefffff22678aef'],
+    ['cos', '3ff83747e06147ae', '3fad52528aedae41'],
+    ['cos', '3fefaf9c5fe147ae', '3fe18d9662680bfc'],
+    ['cos', '3fffc46a6f047ae2', 'bfd9c8b781baf76a'],
+    ['cos', '402129470c2ea84a', 'bfe54271ff6b68d8'],
+    ['cos', '405293d237c617e2', '3fddaee14e737725'],
+    ['cos', '404bcd09577e418d', '3fe2b24fffc09cb6'],
+    ['cos', 'c00b120b9def96a7', 'bfef10dc69866ae9'],
+    ['cos', 'bff0058ef470003d', '3fe140cc44b2ff62'],
+    ['cos', 'c00ddbb01efa0f9b', 'bfea93fac2affa9a'],
+    ['cos', '410579383da58cb6', '3fe8a889cded64aa'],
+    ['cos', '40aa90c9b61ab287', '3fd7be60f82ebc28'],
+    ['cos', '40d1a89fb27cafde', '3febe55459c01875'],
+    ['cos', '4143bd65070b41a3', 'bfe441aee6efcba5'],
+    ['cos', '413297cbb0bb3f98', 'bfefb1094bf45230'],
+    ['cos', '41755a736ed5f83a', '3fee87c9687fad4c'],
+    ['cos', '4336d4e43b4a30d2', 'bfd471322cf85458'],
+    ['cos', '43846f4a0186871e', 'bfe7cba7d053b76a'],
+    ['cos', '4423384f89031b93', '3fb6f09071d52760'],
+    ['cos', '6ec24ced06abedea', 'bfc7c07088077c7d'],
+    ['cos', '630378b764679289', 'bfdebb02bf66aed8'],
+    ['cos', '5e55d743d3dae831', '3fcf7355e5bce3be'],
+    // cos: fdlibm results that are not the nearest double
+    ['cos', '4135387b86043c9f', '3e0c8e77a7787986'],
+    ['cos', '41359fb699d4daac', 'be01a7d89a4aacb7'],
+    // tan
+    ['tan', '7ff8000000000000', '7ff8000000000000'],
+    ['tan', '0000000000000000', '0000000000000000'],
+    ['tan', '8000000000000000', '8000000000000000'],
+    ['tan', '7ff0000000000000', '7ff8000000000000'],
+    ['tan', 'fff0000000000000', '7ff8000000000000'],
+    ['tan', '0000000000000001', '0000000000000001'],
+    ['tan', '400921fb54442d18', 'bca1a62633145c07'],
+    ['tan', '3ff921fb54442d18', '434d02967c31cdb5'],
+    ['tan', '4002d97c7f3321d2', 'bff0000000000001'],
+    ['tan', '412921fb54442d18', 'bdc1a62633145c07'],
+    ['tan', '3e30000000000000', '3e30000000000000'],
+    ['tan', '3ea058e386519774', '3ea058e3865198e0'],
+    ['tan', '3e574d87919653ec', '3e574d87919653ed'],
+    ['tan', '3f7c534816841af2', '3f7c5365ae04d94e'],
+    ['tan', '3fe5de1a7ba8f5c3', '3fea0e3bbee39d56'],
+    ['tan', '3fe6b5be20628f5d', '3feb7cc753d1418c'],
+    ['tan', '3fe8eb38f3828f5c', '3fef9334ffb37813'],
+    ['tan', '3ff90f9674db851f', '406bd5bda7a63c13'],
+    ['tan', '3fee65bd67a66667', '3ff65eccb841f117'],
+    ['tan', '3ffef14d234851ec', 'c0050dfdbef217e0'],
+    ['tan', '402f8dfc72cc5623', '3fb1c871db361e35'],
+    ['tan', '40429dad90b376ea', 'bfe024fb3f8798b2'],
+    ['tan', '403898aeee03c3a0', 'bfe305a93de6ce00'],
+    ['tan', 'c006f6672e55dff4', '3fd1ccf7b23b7bfc'],
+    ['tan', 'c057b59866fdca50', 'bfe568d0ed1ecb60'],
+    ['tan', 'c0182e0403237ddb', '3fcf160f4b67fb2f'],
+    ['tan', '4104b3c993096c3d', '3fe5eb62b1c63ad0'],
+    ['tan', '4123d5a2f713b1ff', 'c0285540b58b1903'],
+    ['tan', '40a2301ef13c2e22', '3fc2130444b82db9'],
+    ['tan', '4183e0182697e2b4', '3ff0f886bc1ff26b'],
+    ['tan', '41c36afd199fd0b6', 'c0406ab7e00d92ab'],
+    ['tan', '416c3348627d8c06', 'bffd7f74b44bd571'],
+    ['tan', '7b49fc3acddaeb3a', 'bfeaeaa0367d9ad6'],
+    ['tan', '6b4af94d76373e6f', '401320f6d1aff14f'],
+    ['tan', '5c4d8353854b2475', 'bfe9742cbe76b7fe'],
+    // tan: fdlibm results that are not the nearest double
+    ['tan', '4130485f34b27d0a', '41d05505fba43917'],
+    ['tan', '4135de3d03f61dc1', '41cc92e07980944f'],
+    ['tan', '4136e1a26e20e52f', '3e0ac1ca92955817'],
+    // asin
+    ['asin', '7ff8000000000000', '7ff8000000000000'],
+    ['asin', '0000000000000000', '0000000000000000'],
+    ['asin', '8000000000000000', '8000000000000000'],
+    ['asin', '3ff0000000000001', '7ff8000000000000'],
+    ['asin', 'c000000000000000', '7ff8000000000000'],
+    ['asin', '7ff0000000000000', '7ff8000000000000'],
+    ['asin', '0000000000000001', '0000000000000001'],
+    ['asin', '3ff0000000000000', '3ff921fb54442d18'],
+    ['asin', 'bff0000000000000', 'bff921fb54442d18'],
+    ['asin', '3fdfffffffffffff', '3fe0c152382d7365'],
+    ['asin', '3fef333333333333', '3ff58c2b5ce0c3e5'],
+    ['asin', '3e40000000000000', '3e40000000000000'],
+    ['asin', '0010000000000000', '0010000000000000'],
+    ['asin', '3e66f509162d7fde', '3e66f509162d7fe0'],
+    ['asin', '3edd9dada71ca9db', '3edd9dada71db871'],
+    ['asin', '3ed2b0d4db60ae49', '3ed2b0d4db60f24d'],
+    ['asin', '3fe3c75126fb3333', '3fe55251f04ac5f6'],
+    ['asin', '3fe2c75d6fb66666', '3fe411954089a570'],
+    ['asin', '3fea7dc032cccccc', '3fef355e7372fb94'],
+    ['asin', '3fefed65f889999a', '3ff80de650934d8e'],
+    ['asin', '3fefcf9de5fc0000', '3ff764974557190d'],
+    ['asin', '3fefa2f6811b3333', '3ff6b8144cbb6722'],
+    ['asin', 'bfe52d6e29500000', 'bfe7248c72ac7265'],
+    ['asin', 'bfe1d578f2000000', 'bfe2eaa03cbb7a13'],
+    ['asin', 'bfeaf78840800000', 'bff009753cb6fa62'],
+    // acos
+    ['acos', '7ff8000000000000', '7ff8000000000000'],
+    ['acos', '3ff0000000000000', '0000000000000000'],
+    ['acos', '3ff0000000000001', '7ff8000000000000'],
+    ['acos', 'c000000000000000', '7ff8000000000000'],
+    ['acos', 'fff0000000000000', '7ff8000000000000'],
+    ['acos', 'bff0000000000000', '400921fb54442d18'],
+    ['acos', '0000000000000000', '3ff921fb54442d18'],
+    ['acos', '3fef333333333333', '3fccae7fbb1b499a'],
+    ['acos', '3e959ca7754fe724', '3ff921fafdd18f43'],
+    ['acos', '3eb13c975ae3b19a', '3ff921fa407ab76a'],
+    ['acos', '3edfedd84b3fd8ee', '3ff921f358ce1a48'],
+    ['acos', '3fe9218f1298cccc', '3fe55c7e1e427728'],
+    ['acos', '3fe6dc9389a4cccd', '3fe8ccbe7487650b'],
+    ['acos', '3fe5cb11edaccccd', '3fea4aad8815fcbe'],
+    ['acos', '3fefe00995b40000', '3fb69f1ced1d6435'],
+    ['acos', '3fefdb010fd66666', '3fb856befe814c12'],
+    ['acos', '3fef7fad8ba73333', '3fc6af7ffd154468'],
+    ['acos', 'bf224b59e8f35a53', '3ff9228daf137cac'],
+    ['acos', 'beb15db41f0aff8b', '3ff921fc6a1f6f09'],
+    ['acos', 'bf0781c4ad530e48', '3ff9222a57cd8802'],
+    ['acos', 'bfeed2ac24100000', '4006f4c89664cef0'],
+    ['acos', 'bfe76c8929300000', '400322e9ecd64ab2'],
+    ['acos', 'bfe60c1025e00000', '4002a59d81a4befb'],
+    // atan
+    ['atan', '7ff8000000000000', '7ff8000000000000'],
+    ['atan', '0000000000000000', '0000000000000000'],
+    ['atan', '8000000000000000', '8000000000000000'],
+    ['atan', '0000000000000001', '0000000000000001'],
+    ['atan', '8000000000000001', '8000000000000001'],
+    ['atan', '3ff0000000000000', '3fe921fb54442d18'],
+    ['atan', 'bff0000000000000', 'bfe921fb54442d18'],
+    ['atan', '7ff0000000000000', '3ff921fb54442d18'],
+    ['atan', 'fff0000000000000', 'bff921fb54442d18'],
+    ['atan', '4003800000000000', '3ff2e75728833a54'],
+    ['atan', '3e40000000000000', '3e40000000000000'],
+    ['atan', '0010000000000000', '0010000000000000'],
+    ['atan', '3ed2cac04c3392f0', '3ed2cac04c3308af'],
+    ['atan', '3f01ccebd6772ba4', '3f01ccebd659cb5f'],
+    ['atan', '3eee96e54751f84c', '3eee96e54748a70d'],
+    ['atan', '3fe36c667428f5c3', '3fe1750bc63b9518'],
+    ['atan', '3fe0debbbc99999a', '3fdf0ce325a9d798'],
+    ['atan', '3fe38c0b63970a3e', '3fe18c2184b73bd3'],
+    ['atan', '3ff1e0aa9d547ae1', '3feae78b4cfba5cb'],
+    ['atan', '3fe7d3ee442147ae', '3fe47b48a9f88d47'],
+    ['atan', '3fed5dd9e6ceb852', '3fe7c2a87efd2ff5'],
+    ['atan', '400208cb1abccccd', '3ff273d4c909fa7c'],
+    ['atan', '3ff698f6bd8c28f6', '3fee8cd890860408'],
+    ['atan', '4001fbb4b2b0a3d8', '3ff26f846553c2c6'],
+    ['atan', '402affcdc4de64ea', '3ff7f31e6f94640c'],
+    ['atan', '42b2da8bb667ce74', '3ff921fb54442c3f'],
+    ['atan', '41776a9bfc1ca59c', '3ff921fb49557580'],
+    ['atan', 'c205baf3229399ff', 'bff921fb543e4927'],
+    ['atan', 'c34ce0d51eb5dbdc', 'bff921fb54442d18'],
+    ['atan', 'c31b95dba5a799b3', 'bff921fb54442d16'],
+    // atan2
+    ['atan2', '7ff8000000000000', '3ff0000000000000', '7ff8000000000000'],
+    ['atan2', '3ff0000000000000', '7ff8000000000000', '7ff8000000000000'],
+    ['atan2', '0000000000000000', '3ff0000000000000', '0000000000000000'],
+    ['atan2', '8000000000000000', '3ff0000000000000', '8000000000000000'],
+    ['atan2', '0000000000000000', '0000000000000000', '0000000000000000'],
+    ['atan2', '8000000000000000', '0000000000000000', '8000000000000000'],
+    ['atan2', '0000000000000000', '8000000000000000', '400921fb54442d18'],
+    ['atan2', '8000000000000000', '8000000000000000', 'c00921fb54442d18'],
+    ['atan2', '0000000000000000', 'bff0000000000000', '400921fb54442d18'],
+    ['atan2', '8000000000000000', 'bff0000000000000', 'c00921fb54442d18'],
+    ['atan2', '3ff0000000000000', '0000000000000000', '3ff921fb54442d18'],
+    ['atan2', '3ff0000000000000', '8000000000000000', '3ff921fb54442d18'],
+    ['atan2', 'bff0000000000000', '0000000000000000', 'bff921fb54442d18'],
+    ['atan2', '7ff0000000000000', '3ff0000000000000', '3ff921fb54442d18'],
+    ['atan2', 'fff0000000000000', '3ff0000000000000', 'bff921fb54442d18'],
+    ['atan2', '3ff0000000000000', '7ff0000000000000', '0000000000000000'],
+    ['atan2', 'bff0000000000000', '7ff0000000000000', '8000000000000000'],
+    ['atan2', '3ff0000000000000', 'fff0000000000000', '400921fb54442d18'],
+    ['atan2', 'bff0000000000000', 'fff0000000000000', 'c00921fb54442d18'],
+    ['atan2', '7ff0000000000000', '7ff0000000000000', '3fe921fb54442d18'],
+    ['atan2', 'fff0000000000000', '7ff0000000000000', 'bfe921fb54442d18'],
+    ['atan2', '7ff0000000000000', 'fff0000000000000', '4002d97c7f3321d2'],
+    ['atan2', 'fff0000000000000', 'fff0000000000000', 'c002d97c7f3321d2'],
+    ['atan2', '0000000000000001', '7fefffffffffffff', '0000000000000000'],
+    ['atan2', '3ff0000000000000', '43b0000000000000', '3c30000000000000'],
+    ['atan2', '3fd0c996b6b9aafa', '4007c105608bf5c6', '3fb68e7912d1e747'],
+    ['atan2', '4020f0ad741787cd', '401e9e61fc186dfd', '3feabfe2b799d673'],
+    ['atan2', '3f8a31fd4ec04960', '3f95104460ebba8c', '3fe1cd4237f95278'],
+    ['atan2', '4085890ff3306544', 'bf53542e6eebf41a', '3ff921fd1fce3d8b'],
+    ['atan2', '3febe3af511075fa', 'c01230e67049fe36', '40079e3309f02270'],
+    ['atan2', '406016260ff6dcfc', 'c010e95a38bff631', '3ff9a87f7c836e8d'],
+    ['atan2', 'bfe1dda417b4066e', 'c04e8a0f23103ecd', 'c0090f4310056a14'],
+    ['atan2', 'c008e1d245b29fdc', 'c0255de7d2ad4a5c', 'c006ddc8acf6b121'],
+    ['atan2', 'c0193b965fa9c01f', 'bfd551591c1de987', 'bff9fa0fb2e68994'],
+    ['atan2', '3f16b64e1fbb39fe', '4d44d62c1d93eb84', '31c170af1c66aaab'],
+    ['atan2', '3f40d08c1ac73f0b', '4e62a61f80f18fc5', '30ccda3f308642ab'],
+    ['atan2', '3f94ecf431825fd8', '4deb443f2b492bdc', '31988ee856c78ac8'],
+    // exp
+    ['exp', '7ff8000000000000', '7ff8000000000000'],
+    ['exp', '7ff0000000000000', '7ff0000000000000'],
+    ['exp', 'fff0000000000000', '0000000000000000'],
+    ['exp', '0000000000000000', '3ff0000000000000'],
+    ['exp', '8000000000000000', '3ff0000000000000'],
+    ['exp', '0000000000000001', '3ff0000000000000'],
+    ['exp', '40862e6666666666', '7ff0000000000000'],
+    ['exp', 'c087500000000000', '0000000000000000'],
+    ['exp', '3ff0000000000000', '4005bf0a8b14576a'],
+    ['exp', '3ff0a2b23f3bab73', '4006a09e667f3bcc'],
+    ['exp', '40862e42fefa39ef', '7fefffffffffff2a'],
+    ['exp', '3e30000000000000', '3ff0000001000000'],
+    ['exp', 'be30000000000000', '3feffffffe000000'],
+    ['exp', '4085e00000000000', '7f0d945df4f8ec8e'],
+    ['exp', '3e1279affe0a0698', '3ff000000049e6c0'],
+    ['exp', 'be298ec291349b3e', '3feffffffe6713d7'],
+    ['exp', 'be3ea02c71f8ebba', '3feffffffc2bfa72'],
+    ['exp', '3fd22094d228f5c3', '3ff53d1eb32716b6'],
+    ['exp', '3fbeba7038e147ae', '3ff20a605ac12915'],
+    ['exp', '3fcb267c1870a3d8', '3ff3c7d422f4d147'],
+    ['exp', '3fe357aa68f33333', '3ffd48b1ee745416'],
+    ['exp', '3fde6874de63d70a', '3ff9bb40c02ef4df'],
+    ['exp', '3fdb3e94735eb852', '3ff87d8e36001c10'],
+    ['exp', '401623fe948bfea4', '406fae45bd2f6420'],
+    ['exp', '4053c9c6775ef699', '47124b261e2b5226'],
+    ['exp', '403c93d04d57181c', '4282bed65d7c9983'],
+    ['exp', 'c05d4383e674eca1', '356174148e1571d0'],
+    ['exp', 'c00f5670686ba95d', '3f945fc5fe44fdab'],
+    ['exp', 'c06066a18f73814f', '341a22ef1884ec58'],
+    ['exp', 'c086f89abaa3a800', '0000000000002d93'],
+    ['exp', 'c08641ea940f9400', '000057c36dc11da2'],
+    ['exp', 'c087086f01e58c00', '000000000000064d'],
+    ['exp', '40862c5b7807deb8', '7fe938a19c01856c'],
+    ['exp', '4086288f85fefe8f', '7fdf61eaa46d1302'],
+    ['exp', '40862a57120f9a3d', '7fe399a456cec6ec'],
+    // exp: fdlibm results that are not the nearest double
+    ['exp', '4060dabcf7c7f44b', '4c170c6e1446338c'],
+    ['exp', 'c0858b140f457e19', '01c58687a88556d4'],
+    ['exp', '408476ddbe56122c', '7afb1c4dec1b8722'],
+    // expm1
+    ['expm1', '7ff8000000000000', '7ff8000000000000'],
+    ['expm1', '7ff0000000000000', '7ff0000000000000'],
+    ['expm1', 'fff0000000000000', 'bff0000000000000'],
+    ['expm1', '0000000000000000', '0000000000000000'],
+    ['expm1', '8000000000000000', '8000000000000000'],
+    ['expm1', '0000000000000001', '0000000000000001'],
+    ['expm1', '8000000000000001', '8000000000000001'],
+    ['expm1', '40862e6666666666', '7ff0000000000000'],
+    ['expm1', 'c08f400000000000', 'bff0000000000000'],
+    ['expm1', '3fd62e42fefa39ef', '3fda827999fcef32'],
+    ['expm1', '4043687a9f1af2b1', '436fffffffffffec'],
+    ['expm1', 'c043687a9f1af2b1', 'bff0000000000000'],
+    ['expm1', 'c044000000000000', 'bff0000000000000'],
+    ['expm1', '40862e42fefa39ef', '7fefffffffffff2a'],
+    ['expm1', '3f4269e7b1ca702e', '3f426b3ad2722fb1'],
+    ['expm1', '3ef4b56586ca6e8b', '3ef4b572ed9364f2'],
+    ['expm1', '3ef8527f64ac607d', '3ef85291e1498472'],
+    ['expm1', '3fda92cfea266666', '3fe07856dd3aba44'],
+    ['expm1', '3fe59fed8ddae148', '3feee5ca8e5bc906'],
+    ['expm1', '3fe176fc8648f5c2', '3fe73af0f2d384f8'],
+    ['expm1', '400352665c8e2c00', '4024628143428cd8'],
+    ['expm1', '4018921f4c55fe2e', '407d04e9b118432f'],
+    ['expm1', '4003703beaf0bfe1', '4024b6984fa0ff1f'],
+    ['expm1', '405b09e3eb6ad3f0', '49b061b6e1c5e604'],
+    ['expm1', '406d6b15a216c5ad', '552726efb4ed8336'],
+    ['expm1', '407d283d784b5737', '6a006fe882d3c577'],
+    ['expm1', 'bf45ae9a318bd02a', 'bf45acc42fb3e645'],
+    ['expm1', 'bf170f5178c72cd7', 'bf170f0f01151c1c'],
+    ['expm1', 'bfd49d75e7f05d53', 'bfd19fdbbc6535c5'],
+    ['expm1', 'c035935cdf7b6a4e', 'bfefffffffc56546'],
+    ['expm1', 'c020a3335481c30d', 'bfeffe00810501d9'],
+    ['expm1', 'c0023577afa8192e', 'bfecb6d1d0849598'],
+    ['expm1', 'c06750126cd25d42', 'bff0000000000000'],
+    ['expm1', 'c05d0edc3e69afbd', 'bff0000000000000'],
+    ['expm1', 'c060b5d2d9137aed', 'bff0000000000000'],
+    // log
+    ['log', '7ff8000000000000', '7ff8000000000000'],
+    ['log', 'bff0000000000000', '7ff8000000000000'],
+    ['log', 'fff0000000000000', '7ff8000000000000'],
+    ['log', '8000000000000001', '7ff8000000000000'],
+    ['log', '7ff0000000000000', '7ff0000000000000'],
+    ['log', '0000000000000000', 'fff0000000000000'],
+    ['log', '8000000000000000', 'fff0000000000000'],
+    ['log', '3ff0000000000000', '0000000000000000'],
+    ['log', '4000000000000000', '3fe62e42fefa39ef'],
+    ['log', '3fe0000000000000', 'bfe62e42fefa39ef'],
+    ['log', '4005bf0a8b145769', '3ff0000000000000'],
+    ['log', '4024000000000000', '40026bb1bbb55516'],
+    ['log', '3ff0000000000001', '3cafffffffffffff'],
+    ['log', '3feb7329e8b734d6', 'bfc3a1c9e8a22b47'],
+    ['log', '3fed0b8d4f2167a1', 'bfb8cd78c0dcc409'],
+    ['log', '3fea1f22925e4d02', 'bfc9fb00fd779f31'],
+    ['log', '3ff27b530fa6c56d', '3fc274f55b0fbdca'],
+    ['log', '3ff5b46e1392f5c2', '3fd38437b8815b32'],
+    ['log', '3ff5928268c5eecc', '3fd31fe4192e5026'],
+    ['log', '7a50f7596ab1ab3b', '40843baa3122947d'],
+    ['log', '58a85c6de5d3b8ec', '4071236aa1cff8d1'],
+    ['log', '77ccb004156434e8', '40835c83b37b46fa'],
+    ['log', '23cc51099e3db612', 'c073809dc7c942e4'],
+    ['log', '2523672250d330ee', 'c07292ad4b7e7df9'],
+    ['log', '15ce574fa1039d68', 'c07d33c03d9509ee'],
+    ['log', '0000000000007fd2', 'c086f05aa9b5a722'],
+    ['log', '0000ef1374996557', 'c08639e633a818ce'],
+    ['log', '0000f01717772f81', 'c08639dd883c5c91'],
+    // log: fdlibm results that are not the nearest double
+    ['log', '4004617c44f3a884', '3fedecc397c81580'],
+    ['log', '3ff189da625e93ec', '3fb780cce74e7404'],
+    ['log', '3fe9745f572a5b42', 'bfcd4aa2eedb985e'],
+    // log10
+    ['log10', '7ff8000000000000', '7ff8000000000000'],
+    ['log10', 'bff0000000000000', '7ff8000000000000'],
+    ['log10', '7ff0000000000000', '7ff0000000000000'],
+    ['log10', '0000000000000000', 'fff0000000000000'],
+    ['log10', '8000000000000000', 'fff0000000000000'],
+    ['log10', '3ff0000000000000', '0000000000000000'],
+    ['log10', '4024000000000000', '3ff0000000000000'],
+    ['log10', '4059000000000000', '4000000000000000'],
+    ['log10', '4480f0cf064dd592', '4036000000000000'],
+    ['log10', '3ee4f8b588e368f1', 'c014000000000000'],
+    ['log10', '0000000000000001', 'c07434e6420f4374'],
+    ['log10', '0010000000000000', 'c0733a7146f72a42'],
+    ['log10', '7fefffffffffffff', '40734413509f79ff'],
+    ['log10', '4000000000000000', '3fd34413509f79ff'],
+    ['log10', '3fe0000000000000', 'bfd34413509f79ff'],
+    ['log10', '3fe0e210cb41f972', 'bfd1c5d04dafb8f1'],
+    ['log10', '3feae07d21190625', 'bfb365b49969471b'],
+    ['log10', '3fe29936563f8fc5', 'bfce2a83636c87a1'],
+    ['log10', '3ff3987a26501965', '3fb689b77a05adda'],
+    ['log10', '3ffa39527df1bb99', '3fcb7746ea38fa87'],
+    ['log10', '3ff2e1678ae7d014', '3fb267979758babd'],
+    ['log10', '4fea78d237eb43dd', '40533ecddd4f69a8'],
+    ['log10', '6c93d60dfdfe0eac', '406ae0eb8e31d5ec'],
+    ['log10', '6087db92122ba31b', '4063a05309563d81'],
+    ['log10', '3481267339496f86', 'c04b8777b04f8a63'],
+    ['log10', '37e32022df922580', 'c04360b02848de5c'],
+    ['log10', '39abc3b3c335c2a2', 'c03e2a272d32e799'],
+    ['log10', '0000000048807f3a', 'c073a389d030cf8a'],
+    ['log10', '0001c7439cd74445', 'c07349b541b09fb3'],
+    ['log10', '000000001b6333ee', 'c073aa4d970ca51c'],
+    // log1p
+    ['log1p', '7ff8000000000000', '7ff8000000000000'],
+    ['log1p', 'c000000000000000', '7ff8000000000000'],
+    ['log1p', 'bff0000000000000', 'fff0000000000000'],
+    ['log1p', '7ff0000000000000', '7ff0000000000000'],
+    ['log1p', '0000000000000000', '0000000000000000'],
+    ['log1p', '8000000000000000', '8000000000000000'],
+    ['log1p', '0000000000000001', '0000000000000001'],
+    ['log1p', '8000000000000001', '8000000000000001'],
+    ['log1p', '0010000000000000', '0010000000000000'],
+    ['log1p', '3c30000000000000', '3c30000000000000'],
+    ['log1p', 'bfefffffffffffff', 'c0425e4f7b2737fa'],
+    ['log1p', '3fda827997709f7a', '3fd62e42fd2cf8f5'],
+    ['log1p', 'bfd2bec3298ae8d2', 'bfd62e42f1981e98'],
+    ['log1p', '3e20000000000000', '3e1fffffff800000'],
+    ['log1p', '4340000000000000', '40425e4f7b2737fa'],
+    ['log1p', '3eb1ab263abc7ca4', '3eb1ab259ea5c3e0'],
+    ['log1p', '3e5b362164874c97', '3e5b36215ebe5f9e'],
+    ['log1p', '3fbc2ad190eae64b', '3fbab9032ae2145e'],
+    ['log1p', '4007dd088f2bc11c', '3ff61cbdb242c315'],
+    ['log1p', '3fe2285c3eb2cf34', '3fdcc38c3f0c3a07'],
+    ['log1p', '400d1ff41be77724', '3ff88eb8c226fa06'],
+    ['log1p', '7a08e27927eb5a7b', '40842300ce5e251b'],
+    ['log1p', '49d119de837b96fc', '405b655d12d70274'],
+    ['log1p', '722e82a730b21544', '408169f0f9a859d9'],
+    ['log1p', 'be6cb05808b7cadc', 'be6cb0581593fdd0'],
+    ['log1p', 'bfa619651db40c1e', 'bfa6971ea39e5020'],
+    ['log1p', 'be5074e53a5dc4a4', 'be5074e53c7b68b4'],
+    ['log1p', 'bfed8520a351f6fd', 'c00475bcde381cfd'],
+    ['log1p', 'bfdbf361641e7efa', 'bfe25e2c610fd1c8'],
+    ['log1p', 'bfe9b5ddfd00d773', 'bffa078ad18cfdb9'],
+    // sinh
+    ['sinh', '7ff8000000000000', '7ff8000000000000'],
+    ['sinh', '7ff0000000000000', '7ff0000000000000'],
+    ['sinh', 'fff0000000000000', 'fff0000000000000'],
+    ['sinh', '0000000000000000', '0000000000000000'],
+    ['sinh', '8000000000000000', '8000000000000000'],
+    ['sinh', '0000000000000001', '0000000000000001'],
+    ['sinh', '4086380000000000', '7ff0000000000000'],
+    ['sinh', 'c086380000000000', 'fff0000000000000'],
+    ['sinh', '408633ce8fb9f87d', '7feffffffffffd3b'],
+    ['sinh', '3e30000000000000', '3e30000000000000'],
+    ['sinh', '0010000000000000', '0010000000000000'],
+    ['sinh', '3eee81287b1bf68d', '3eee81287b209545'],
+    ['sinh', '3eaeb42474d406d5', '3eaeb42474d40b8b'],
+    ['sinh', '3f4c096f8594142f', '3f4c096fbef89d8b'],
+    ['sinh', '3fff89a65d5c89a4', '400c284074c89837'],
+    ['sinh', '402a22c03845d3a5', '410ce62ecee0edad'],
+    ['sinh', '40030e14090f6ce2', '40157730da6d503f'],
+    ['sinh', '405478e9ac5905e0', '4741a542d8f72c26'],
+    ['sinh', '40428ff235da8b3c', '4337944a18a78411'],
+    ['sinh', '406142c1d3ce10f6', '4c5296432144367f'],
+    ['sinh', '4086304566ad2a8f', '7fe4918c4f75eea5'],
+    ['sinh', '40863167085d1ecd', '7fe7b1705fad89ba'],
+    ['sinh', '408631311a49c348', '7fe713cd696e72f0'],
+    ['sinh', 'be6232a130feca15', 'be6232a130feca16'],
+    ['sinh', 'bf1622e2d5f59718', 'bf1622e2d66694b0'],
+    ['sinh', 'c0193cd21b34630a', 'c0712daf47bdaf19'],
+    // cosh
+    ['cosh', '7ff8000000000000', '7ff8000000000000'],
+    ['cosh', '7ff0000000000000', '7ff0000000000000'],
+    ['cosh', 'fff0000000000000', '7ff0000000000000'],
+    ['cosh', '0000000000000000', '3ff0000000000000'],
+    ['cosh', '8000000000000000', '3ff0000000000000'],
+    ['cosh', '0000000000000001', '3ff0000000000000'],
+    ['cosh', '4086380000000000', '7ff0000000000000'],
+    ['cosh', 'c086380000000000', '7ff0000000000000'],
+    ['cosh', '408633ce8fb9f87d', '7feffffffffffd3b'],
+    ['cosh', '3c80000000000000', '3ff0000000000000'],
+    ['cosh', '3f53448f0d9a53d4', '3ff00000b99fcd91'],
+    ['cosh', '3e7469b41ba092ed', '3ff000000000000d'],
+    ['cosh', '3fbea36f1e6a0ade', '3ff01d5eaae520d9'],
+    ['cosh', '3fe5e7e25d0e6666', '3ff3e5cc0c8d1073'],
+    ['cosh', '3fe518a1bd433333', '3ff39acf3788ebd6'],
+    ['cosh', '3fe17978ee700000', '3ff2720b6056aacb'],
+    ['cosh', '400737c904a4ccc0', '402245105bbe25b3'],
+    ['cosh', '4025a038dbae93d1', '40d83f5e34f605ae'],
+    ['cosh', '40113e1b8e5ec345', '4042a0285fdb68fa'],
+    ['cosh', '407e4a3f4e110f6f', '6b923b54416c6776'],
+    ['cosh', '403d3b136ee5e405', '428203b0df65befb'],
+    ['cosh', '406c94c971dff201', '547d469238fdb961'],
+    ['cosh', '40862e683b76a066', '7fe04b27583670ed'],
+    ['cosh', '408632295c4bf148', '7fea0d285de3ee74'],
+    ['cosh', '40862f79bf7c3b1e', '7fe29f2244265b21'],
+    ['cosh', 'bf54d16157eda8be', '3ff00000d8b13cd3'],
+    ['cosh', 'bfb47de2f8c2e0c1', '3ff00d21163a107b'],
+    ['cosh', 'beb15d1b941f382b', '3ff000000000096c'],
+    // tanh
+    ['tanh', '7ff8000000000000', '7ff8000000000000'],
+    ['tanh', '7ff0000000000000', '3ff0000000000000'],
+    ['tanh', 'fff0000000000000', 'bff0000000000000'],
+    ['tanh', '0000000000000000', '0000000000000000'],
+    ['tanh', '8000000000000000', '8000000000000000'],
+    ['tanh', '0000000000000001', '0000000000000001'],
+    ['tanh', '4036000000000000', '3ff0000000000000'],
+    ['tanh', 'c044000000000000', 'bff0000000000000'],
+    ['tanh', '3c80000000000000', '3c80000000000000'],
+    ['tanh', '4035ffffffffffff', '3ff0000000000000'],
+    ['tanh', '3e9d48089405185c', '3e9d480894051651'],
+    ['tanh', '3ed90038a7cb5ba5', '3ed90038a7ca1617'],
+    ['tanh', '3f199bc813ed3abb', '3f199bc8128f5adc'],
+    ['tanh', '401100fb7adecdcf', '3feffcac668b23bb'],
+    ['tanh', '4006cef0566cce06', '3fefc979e445046b'],
+    ['tanh', '4021c0703deb54a5', '3fefffffeb09c61e'],
+    ['tanh', 'bea1d9ae7498667d', 'bea1d9ae749864a3'],
+    ['tanh', 'bf4f9b587859d259', 'bf4f9b57d3e5ef43'],
+    ['tanh', 'bf215d54f09a0add', 'bf215d54eee5b754'],
+    // hypot
+    ['hypot', '7ff0000000000000', '7ff8000000000000', '7ff0000000000000'],
+    ['hypot', '7ff8000000000000', 'fff0000000000000', '7ff0000000000000'],
+    ['hypot', '7ff8000000000000', '3ff0000000000000', '7ff8000000000000'],
+    ['hypot', '0000000000000000', '0000000000000000', '0000000000000000'],
+    ['hypot', '8000000000000000', '8000000000000000', '0000000000000000'],
+    ['hypot', '4008000000000000', '4010000000000000', '4014000000000000'],
+    ['hypot', 'c014000000000000', '4028000000000000', '402a000000000000'],
+    ['hypot', '0000000000000001', '0000000000000000', '0000000000000001'],
+    ['hypot', '7fefffffffffffff', '7fefffffffffffff', '7ff0000000000000'],
+    ['hypot', '7e88000000000000', '7e90000000000000', '7e94000000000000'],
+    ['hypot', '0000000000000003', '0000000000000004', '0000000000000005'],
+    ['hypot', '7fefffffffffffff', '7fdfffffffffffff', '7ff0000000000000'],
+    ['hypot', '6570000000000000', '3ff0000000000000', '6570000000000000'],
+    ['hypot', '3ff0000000000000', '3e10000000000000', '3ff0000000000000'],
+    ['hypot', '7e37e43c8800759c', '7e37e43c8800759c', '7e40e4d50f99b211'],
+    ['hypot', '00000000000017b8', '0000000000001fa0', '0000000000002788'],
+    ['hypot', '3f91b29aeed0ebad', '4027871259ed6cf0', '4027871403ec10f8'],
+    ['hypot', '3f814845ea82cdd8', '3f6b929157e15f91', '3f829b3555ee14c4'],
+    ['hypot', '40557feb1d004f25', '3ff5ea4820b031d3', '4055809dcfb46acd'],
+    ['hypot', '78e87fbdad72dc54', '7554b8f859b57d05', '78e87fbdad72dc54'],
+    ['hypot', '7df93f926985342c', '779b1594e39e329e', '7df93f926985342c'],
+    ['hypot', '75d95f2adfa4ce70', '7ab366532a3a9980', '7ab366532a3a9980'],
+    ['hypot', '090b34702b65a000', '03ce2ddbd1bf0c52', '090b34702b65a000'],
+    ['hypot', '09a4da89549bc249', '0378346f82a5b960', '09a4da89549bc249'],
+    ['hypot', '043428bf10307333', '0230cf2697f6b63c', '043428bf10307333'],
+    ['hypot', '3ff006f080c00000', '3c6088f15c1def5f', '3ff006f080c00000'],
+    ['hypot', '3fffbd59b6a00000', '3c760133694d9c8d', '3fffbd59b6a00000'],
+    ['hypot', '3ff4b0a98f800000', '3c7bc942408c7a3c', '3ff4b0a98f800000'],
+    ['hypot', '7fba0aa1ee7914b4', '7fabc32a10b17bac', '7fbd8298d4321a22'],
+    ['hypot', '7fc8d11ef7d1e49e', '7fa6b87007a55e1b', '7fc97567ebc6c47e'],
+    ['hypot', '7fe5406c94fc2bea', '7fa6d2c43e39bf2c', '7fe54caa7cf066d8'],
+    ['hypot', '000000000000f820', '000000d6f508f6e4', '000000d6f508f6e4'],
+    ['hypot', '00000a73401c5717', '0000000000006794', '00000a73401c5717'],
+    ['hypot', '0000000000002871', '0000043df7b1c761', '0000043df7b1c761'],
+    // cbrt
+    ['cbrt', '7ff8000000000000', '7ff8000000000000'],
+    ['cbrt', '7ff0000000000000', '7ff0000000000000'],
+    ['cbrt', 'fff0000000000000', 'fff0000000000000'],
+    ['cbrt', '0000000000000000', '0000000000000000'],
+    ['cbrt', '8000000000000000', '8000000000000000'],
+    ['cbrt', '403b000000000000', '4008000000000000'],
+    ['cbrt', 'c020000000000000', 'c000000000000000'],
+    ['cbrt', '01a56e1fc2f8f359', '2b2bff2ee48e0530'],
+    ['cbrt', '0000000000000001', '2990000000000000'],
+    ['cbrt', '0008000000000000', '2aa0000000000000'],
+    ['cbrt', '7fb0000000000000', '5530000000000000'],
+    ['cbrt', '408f400000000000', '4024000000000000'],
+    ['cbrt', '0010000000000000', '2aa428a2f98d728b'],
+    ['cbrt', '4000000000000000', '3ff428a2f98d728b'],
+    ['cbrt', '243737cdc38221dc', '36b21d4293e01c01'],
+    ['cbrt', '51b2e3fb0d9b072b', '45dad8143e22f086'],
+    ['cbrt', '09d1e0066a432199', '2de4ead5c41386fe'],
+    ['cbrt', 'c93b497b4f63206a', 'c30815b215fc3eef'],
+    ['cbrt', 'f3dc0658140a7b8f', 'd13e9dad50b88f2c'],
+    ['cbrt', 'ad5c75e65c4a9e08', 'b9bec617756ee69a'],
+    ['cbrt', '000000001c6f9e04', '2a286b0c3585c316'],
+    ['cbrt', '0000000000001c61', '29d35e23050d77c6'],
+    ['cbrt', '000000000000121c', '29d0ac9f6c61d0e6'],
+    // pow
+    ['pow', '7ff8000000000000', '0000000000000000', '3ff0000000000000'],
+    ['pow', '7ff8000000000000', '8000000000000000', '3ff0000000000000'],
+    ['pow', '4014000000000000', '0000000000000000', '3ff0000000000000'],
+    ['pow', '7ff0000000000000', '8000000000000000', '3ff0000000000000'],
+    ['pow', '4014000000000000', '3ff0000000000000', '4014000000000000'],
+    ['pow', '7ff8000000000000', '3ff0000000000000', '7ff8000000000000'],
+    ['pow', '3ff0000000000000', '7ff8000000000000', '7ff8000000000000'],
+    ['pow', '7ff8000000000000', '4000000000000000', '7ff8000000000000'],
+    ['pow', '4000000000000000', '7ff0000000000000', '7ff0000000000000'],
+    ['pow', '3fe0000000000000', 'fff0000000000000', '7ff0000000000000'],
+    ['pow', '3fe0000000000000', '7ff0000000000000', '0000000000000000'],
+    ['pow', '4000000000000000', 'fff0000000000000', '0000000000000000'],
+    ['pow', '3ff0000000000000', '7ff0000000000000', '7ff8000000000000'],
+    ['pow', 'bff0000000000000', 'fff0000000000000', '7ff8000000000000'],
+    ['pow', '0000000000000000', '3ff0000000000000', '0000000000000000'],
+    ['pow', '7ff0000000000000', 'bff0000000000000', '0000000000000000'],
+    ['pow', '0000000000000000', 'bff0000000000000', '7ff0000000000000'],
+    ['pow', '7ff0000000000000', '3fe0000000000000', '7ff0000000000000'],
+    ['pow', '8000000000000000', '4008000000000000', '8000000000000000'],
+    ['pow', '8000000000000000', '4000000000000000', '0000000000000000'],
+    ['pow', 'fff0000000000000', 'c008000000000000', '8000000000000000'],
+    ['pow', 'fff0000000000000', 'c000000000000000', '0000000000000000'],
+    ['pow', '8000000000000000', 'c008000000000000', 'fff0000000000000'],
+    ['pow', '8000000000000000', 'c000000000000000', '7ff0000000000000'],
+    ['pow', 'fff0000000000000', '4008000000000000', 'fff0000000000000'],
+    ['pow', 'fff0000000000000', '4000000000000000', '7ff0000000000000'],
+    ['pow', 'c020000000000000', '3fd5555555555555', '7ff8000000000000'],
+    ['pow', 'c000000000000000', '3fe0000000000000', '7ff8000000000000'],
+    ['pow', 'c000000000000000', '4008000000000000', 'c020000000000000'],
+    ['pow', 'c000000000000000', '4010000000000000', '4030000000000000'],
+    ['pow', '4000000000000000', '4024000000000000', '4090000000000000'],
+    ['pow', '4024000000000000', '402e000000000000', '430c6bf526340000'],
+    ['pow', '4000000000000000', 'c090c80000000000', '0000000000000001'],
+    ['pow', '3fe0000000000000', '4090c80000000000', '0000000000000001'],
+    ['pow', '4024000000000000', '4073500000000000', '7ff0000000000000'],
+    ['pow', '4000000000000000', '3fe0000000000000', '3ff6a09e667f3bcd'],
+    ['pow', '7fefffffffffffff', '3fe0000000000000', '5fefffffffffffff'],
+    ['pow', '01a56e1fc2f8f359', '3fe0000000000000', '20ca2fe76a3f9475'],
+    ['pow', '4000000000000000', '4090000000000000', '7ff0000000000000'],
+    ['pow', 'c000000000000000', '4090040000000000', 'fff0000000000000'],
+    ['pow', '4000000000000000', 'c090d00000000000', '0000000000000000'],
+    ['pow', 'c000000000000000', 'c090cc0000000000', '8000000000000000'],
+    ['pow', '4022000000000000', '3fe0000000000000', '4008000000000000'],
+    ['pow', '7fefffffffffffff', 'c000000000000000', '0000000000000000'],
+    ['pow', '4024000000000000', 'c072c00000000000', '01a56e1fc2f8f359'],
+    ['pow', '4024000000000000', '4073400000000000', '7fe1ccf385ebc8a0'],
+    ['pow', 'c000000000000000', '408ff80000000000', 'ffe0000000000000'],
+    ['pow', 'bfe0000000000000', 'c008000000000000', 'c020000000000000'],
+    ['pow', '0000000000000001', '3fe0000000000000', '1e60000000000000'],
+    ['pow', '0010000000000000', 'bff0000000000000', '7fd0000000000000'],
+    ['pow', '4022000000000000', '3ff8000000000000', '403b000000000000'],
+    ['pow', '3ffb480bf48d7ae2', 'c011bdd30d500000', '3fb80205ccae3a03'],
+    ['pow', '3fd9eaf53a3a4fd6', 'c000ce2bdde00000', '401ab6df7fc22be5'],
+    ['pow', '3fe0035f28754c18', 'c0009b05c2a00000', '4010d5473927423a'],
+    ['pow', '40b819b23f3afc88', 'c00e1434bca00000', '3cf94628dfd99184'],
+    ['pow', '3f595157dccbaed6', '4014b104a9500000', '3ce9ec371ed8e3ef'],
+    ['pow', '4050c1e979f4d07f', '403399fe15e40000', '475e3760a5119f7d'],
+    ['pow', '3feffdc80d22b020', '40c8b0f4c4def03c', '3fa0adfea2c9b128'],
+    ['pow', '3feffd02292c28f5', '40e21f60a78ad63a', '3eb5bea829b15f1f'],
+    ['pow', '3feffda3b072d0e5', '4126f44fb8a5d0ee', '2c632ba43841467e'],
+    ['pow', '3ffad6a738500000', '408d1879fae84000', '6b5b96c52af10bf0'],
+    ['pow', '3ffe5f854ad00000', '408e9e599dfc4000', '78906e6f814ff36c'],
+    ['pow', '3ffa30eeeb200000', '408f58655f4ec000', '6c8211c2e3323672'],
+    ['pow', '3fe2f07bf339999a', '408fddbcaf465000', '0fb516f4431e1f40'],
+    ['pow', '3fe2d1bbfd0ccccc', '40900d4a21867800', '0ec28edb4f65ac02'],
+    ['pow', '3fe1421c9c4ccccc', '409027c356461800', '065f90a12d76310a'],
+    ['pow', 'bffdc2de4fdf9ed2', '4030000000000000', '40d40dace3b0dd4a'],
+    ['pow', 'bfc56ded0e462290', 'c000000000000000', '4041d6c74d01b855'],
+    ['pow', 'c01cc3c604f4f856', '8000000000000000', '3ff0000000000000'],
+    // pow: fdlibm results that are not the nearest double
+    ['pow', '3ffa56a8a7d8e420', 'c02d4d7808ca78b8', '3f4612b7518c7ab8'],
+    ['pow', '3ff0005e12056b2c', 'c0671e40d15eab2e', '3fef7934d55be1f2'],
+    ['pow', '400ba7553a72724d', 'c064877628b43162', '2d9168017c5f7f42'],
+    ['pow', '3ffb3a8d077f02ca', '40629ad08fb365c7', '4711f748506a6156']
+];
+
+module.exports = { STRICT_MATH_RESULTS };
@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) 2022, Paula Gearon. All rights reserved.
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.
+ *
+ * This code is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License version 3 only, as
+ * published by the Free Software Foundation. This file is subject to
+ * the "Classpath" exception as provided in the LICENSE file that
+ * accompanied this code.
+ *
+ * This code is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License
+ * version 3 for more details (a copy is included in the LICENSE file that
+ * accompanied this code).
+ *
+ * You should have received a copy of the GNU General Public License version
+ * 3 along with this work; if not, write to the Free Software Foundation,
+ * Inc., 51 Franklin St, Fifth Floor, Boston, MA 02110-1301 USA.
+ *
+ */
+
+/**
+ * @fileoverview Tests StrictMath against the reference results of Java's StrictMath. Results are
+ * compared by bit pattern, so that the sign of a zero and the bits of every double are checked.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { StrictMath } = require('../index.js');
+const { STRICT_MATH_RESULTS } = require('./strictmath.reference.js');
+
+const view = new DataView(new ArrayBuffer(8));
+
+function fromBits(bits) {
+    view.setBigUint64(0, BigInt('0x' + bits));
+    return view.getFloat64(0);
+}
+
+// The bits of a double as Double.doubleToLongBits gives them, with a single NaN
+function toBits(x) {
+    if (Number.isNaN(x)) return '7ff8000000000000';
+    view.setFloat64(0, x);
+    return view.getBigUint64(0).toString(16).padStart(16, '0');
+}
+
+for (const name of new Set(STRICT_MATH_RESULTS.map(([name]) => name))) {
+    test(`StrictMath.${name} returns the bits of Java's results`, () => {
+        for (const [, ...bits] of STRICT_MATH_RESULTS.filter((entry) => entry[0] === name)) {
+            const expected = bits.pop();
+            const result = toBits(StrictMath[name](...bits.map(fromBits)));
+            assert.strictEqual(result, expected, `${name}(${bits.join(', ')})`);
+        }
+    });
+}